@@ -0,0 +1,78 @@
+jest.mock('../config/config', () => ({ clinic: { timeZone: 'Asia/Kolkata' }, appointments: {} }), { virtual: true });
+jest.mock('../db', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../calendar', () => ({}));
+jest.mock('../outbox', () => ({
+    queueNotification: jest.fn(async () => []),
+    deliverNow: jest.fn(async () => []),
+    describeNotification: jest.fn(row => row)
+}));
+jest.mock('../reminders', () => ({ rescheduleAppointmentReminders: jest.fn(async () => []) }));
+jest.mock('../waitlist', () => ({}));
+jest.mock('../risk_score', () => ({}));
+
+const db = require('../db');
+const { AppointmentChangeError, rescheduleAppointment } = require('../appointments');
+
+const doctor = {
+    doctor_id: 7,
+    time_zone: 'Europe/London',
+    available_slots: {
+        weekly: { monday: [{ start: '09:00', end: '12:00' }] },
+        breaks: [{ start: '10:00', end: '10:30' }],
+        leave: [{ from: '2099-11-09' }],
+        slotMinutes: 30
+    }
+};
+
+const appointment = {
+    appointment_id: 42,
+    doctor_id: 7,
+    patient_id: 3,
+    status: 'scheduled',
+    appointment_time: '2099-10-26T09:00:00Z'
+};
+
+// A transaction client answering the reschedule's queries; `statements` records them
+function fakeClient(statements) {
+    return {
+        query: jest.fn(async (sql) => {
+            statements.push(sql);
+            if (/FROM appointments WHERE appointment_id/.test(sql)) return { rows: [appointment] };
+            if (/SELECT \* FROM doctors/.test(sql)) return { rows: [doctor] };
+            if (/SELECT doctor_id FROM doctors/.test(sql)) return { rows: [{ doctor_id: 7 }] };
+            if (/UPDATE appointments/.test(sql)) return { rows: [{ ...appointment, appointment_time: '2099-11-02T09:00:00Z' }] };
+            return { rows: [], rowCount: 0 };
+        })
+    };
+}
+
+describe('rescheduleAppointment', () => {
+    let statements;
+
+    beforeEach(() => {
+        statements = [];
+        db.transaction.mockImplementation(async (fn) => fn(fakeClient(statements)));
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    const reschedule = (slotStart, slotEnd) =>
+        rescheduleAppointment(42, { slotStart, slotEnd, by: 'doctor', doctorId: 7 });
+
+    test.each([
+        ['off the slot grid', '2099-11-02T09:15:00Z', '2099-11-02T09:45:00Z'],
+        ['outside working hours', '2099-11-02T13:00:00Z', '2099-11-02T13:30:00Z'],
+        ['in a break', '2099-11-02T10:00:00Z', '2099-11-02T10:30:00Z'],
+        ['on a leave day', '2099-11-09T09:00:00Z', '2099-11-09T09:30:00Z']
+    ])('rejects a move %s with a 409', async (_, slotStart, slotEnd) => {
+        const error = await reschedule(slotStart, slotEnd).catch(e => e);
+        expect(error).toBeInstanceOf(AppointmentChangeError);
+        expect(error.status).toBe(409);
+        expect(statements.some(sql => /INSERT INTO appointment_slots/.test(sql))).toBe(false);
+    });
+
+    test("moves the appointment to one of the doctor's slots", async () => {
+        const result = await reschedule('2099-11-02T09:00:00Z', '2099-11-02T09:30:00Z');
+        expect(result.appointment.appointment_time).toBe('2099-11-02T09:00:00Z');
+        expect(statements.some(sql => /INSERT INTO appointment_slots/.test(sql))).toBe(true);
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../config/config', () => ({ clinic: { timeZone: 'Asia/Kolkata' }, appointments: {} }), { virtual: true });
+
+const { generateSlots } = require('../availability');
+
+// Sunday night hours across the 02:00 (New York) and 01:00 (London) changes
+const overnight = { weekly: { sunday: [{ start: '00:00', end: '04:00' }] }, slotMinutes: 30 };
+
+const starts = (timeZone, startDate, endDate, availability = overnight) =>
+    generateSlots(availability, { startDate, endDate, limit: 20, timeZone }).map(slot => slot.start);
+
+describe('generateSlots across DST changes', () => {
+    test('America/New_York spring forward yields no slots in the skipped hour', () => {
+        expect(starts('America/New_York', '2026-03-08T00:00:00Z', '2026-03-09T12:00:00Z')).toEqual([
+            '2026-03-08T05:00:00.000Z', // 00:00 EST
+            '2026-03-08T05:30:00.000Z',
+            '2026-03-08T06:00:00.000Z',
+            '2026-03-08T06:30:00.000Z', // 01:30 EST
+            '2026-03-08T07:00:00.000Z', // 03:00 EDT
+            '2026-03-08T07:30:00.000Z'
+        ]);
+    });
+
+    test('America/New_York fall back yields each wall-clock slot once', () => {
+        expect(starts('America/New_York', '2026-11-01T00:00:00Z', '2026-11-02T12:00:00Z')).toEqual([
+            '2026-11-01T04:00:00.000Z', // 00:00 EDT
+            '2026-11-01T04:30:00.000Z',
+            '2026-11-01T05:00:00.000Z', // 01:00 EDT, the first 01:00
+            '2026-11-01T05:30:00.000Z',
+            '2026-11-01T07:00:00.000Z', // 02:00 EST
+            '2026-11-01T07:30:00.000Z',
+            '2026-11-01T08:00:00.000Z',
+            '2026-11-01T08:30:00.000Z'
+        ]);
+    });
+
+    test('Europe/London spring forward yields no slots in the skipped hour', () => {
+        expect(starts('Europe/London', '2026-03-28T12:00:00Z', '2026-03-30T00:00:00Z')).toEqual([
+            '2026-03-29T00:00:00.000Z', // 00:00 GMT
+            '2026-03-29T00:30:00.000Z',
+            '2026-03-29T01:00:00.000Z', // 02:00 BST
+            '2026-03-29T01:30:00.000Z',
+            '2026-03-29T02:00:00.000Z',
+            '2026-03-29T02:30:00.000Z'
+        ]);
+    });
+
+    test('Europe/London fall back yields each wall-clock slot once', () => {
+        expect(starts('Europe/London', '2026-10-24T12:00:00Z', '2026-10-26T00:00:00Z')).toEqual([
+            '2026-10-24T23:00:00.000Z', // 00:00 BST
+            '2026-10-24T23:30:00.000Z',
+            '2026-10-25T00:00:00.000Z', // 01:00 BST, the first 01:00
+            '2026-10-25T00:30:00.000Z',
+            '2026-10-25T02:00:00.000Z', // 02:00 GMT
+            '2026-10-25T02:30:00.000Z',
+            '2026-10-25T03:00:00.000Z',
+            '2026-10-25T03:30:00.000Z'
+        ]);
+    });
+
+    test("keeps working hours on the doctor's wall clock either side of a change", () => {
+        const weekdays = { weekly: { friday: [{ start: '09:00', end: '09:30' }] }, slotMinutes: 30 };
+        // Fridays before and after the New York spring forward
+        expect(starts('America/New_York', '2026-03-06T00:00:00Z', '2026-03-14T00:00:00Z', weekdays)).toEqual([
+            '2026-03-06T14:00:00.000Z',
+            '2026-03-13T13:00:00.000Z'
+        ]);
+        // Fridays before and after the London fall back
+        expect(starts('Europe/London', '2026-10-23T00:00:00Z', '2026-10-31T00:00:00Z', weekdays)).toEqual([
+            '2026-10-23T08:00:00.000Z',
+            '2026-10-30T09:00:00.000Z'
+        ]);
+    });
+
+    test('counts daily capacity per day in the doctor\'s zone', () => {
+        const capped = { ...overnight, dailyCapacity: 2 };
+        const slots = generateSlots(capped, {
+            startDate: '2026-11-01T00:00:00Z',
+            endDate: '2026-11-02T12:00:00Z',
+            limit: 20,
+            timeZone: 'America/New_York',
+            // 23:30 UTC on 31 October is 19:30 EDT on the Saturday, so it does not count
+            bookings: [{ start: '2026-10-31T23:30:00Z' }, { start: '2026-11-01T09:00:00Z' }]
+        });
+        expect(slots.map(slot => slot.start)).toEqual(['2026-11-01T04:00:00.000Z']);
+    });
+});
@@ -0,0 +1,134 @@
+jest.mock('../config/config', () => ({}), { virtual: true });
+jest.mock('../db', () => ({}));
+jest.mock('../notify', () => ({}));
+jest.mock('../doctor_alerts', () => ({}));
+
+const { SCORING_VERSIONS, DEFAULT_VERSION, computeRiskScore, buildRiskInput } = require('../risk_score');
+
+const components = (assessment) => Object.fromEntries(assessment.factors.map(f => [f.component, f.points]));
+
+describe('heart-intake-v1', () => {
+    const score = SCORING_VERSIONS['heart-intake-v1'];
+
+    test('scores nothing for an empty intake', () => {
+        expect(score({})).toEqual({ score: 0, maxScore: 10, band: 'low', priority: 'NORMAL', factors: [] });
+    });
+
+    test('breaks a typical chest pain presentation down by component', () => {
+        const result = score({
+            age: 67,
+            gender: 'male',
+            symptoms: ['chest pain'],
+            answers: ['tightness going to my left arm when climbing stairs'],
+            medicalHistory: { conditions: ['diabetes', 'hypertension'] },
+            fields: { severity: { value: 8 }, onset: { value: 120 } }
+        });
+        expect(result.factors).toEqual([
+            { component: 'history', points: 2, detail: 'chest pain radiates to arm, jaw, neck or shoulder, brought on by exertion, pressure or tightness' },
+            { component: 'age', points: 2, detail: 'age 67' },
+            { component: 'risk_factors', points: 1, detail: 'hypertension, diabetes' },
+            { component: 'severity', points: 2, detail: 'severity 8/10' },
+            { component: 'acuity', points: 1, detail: 'started within the last 24 hours' }
+        ]);
+        expect(result.score).toBe(8);
+        expect(result.band).toBe('high');
+        expect(result.priority).toBe('URGENT');
+    });
+
+    test('ignores what the patient denies', () => {
+        const result = score({ symptoms: ['palpitations'], answers: ['no diabetes, never smoked'] });
+        expect(components(result)).toEqual({ history: 1 });
+    });
+
+    test('scores known disease in full, from history or medication', () => {
+        expect(components(score({ answers: ['I had a stent put in last year'] }))).toEqual({ risk_factors: 2 });
+        expect(components(score({ fields: { medications: { value: ['clopidogrel'] } } }))).toEqual({ risk_factors: 2 });
+    });
+
+    test('takes age a decade later for women', () => {
+        expect(components(score({ age: 50, gender: 'male' }))).toEqual({ age: 1 });
+        expect(components(score({ age: 50, gender: 'female' }))).toEqual({});
+        expect(components(score({ age: 58, gender: 'female' }))).toEqual({ age: 1 });
+    });
+
+    test('scores red flags as the highest acuity', () => {
+        const result = score({ redFlags: ['chest pain at rest'], fields: { onset: { value: 30 } } });
+        expect(result.factors).toEqual([{ component: 'acuity', points: 2, detail: 'red flags: chest pain at rest' }]);
+    });
+});
+
+describe('urgency bands', () => {
+    // age 50 (1) + chest pain (1) + severity 5 (1) = 3; a recent onset adds 1, severity 8 another
+    const base = { age: 50, gender: 'male', symptoms: ['chest pain'], fields: { severity: { value: 5 } } };
+
+    test.each([
+        ['low / NORMAL up to 3', base, 3, 'low', 'NORMAL'],
+        ['moderate / HIGH from 4', { ...base, fields: { ...base.fields, onset: { value: 60 } } }, 4, 'moderate', 'HIGH'],
+        ['high / URGENT from 7', {
+            ...base,
+            age: 70,
+            answers: ['pressure spreading to my jaw'],
+            fields: { severity: { value: 8 }, onset: { value: 60 } }
+        }, 7, 'high', 'URGENT']
+    ])('%s', (_, input, expectedScore, band, priority) => {
+        const result = computeRiskScore(input);
+        expect(result.score).toBe(expectedScore);
+        expect(result.band).toBe(band);
+        expect(result.priority).toBe(priority);
+    });
+
+    test('an emergency in the intake is URGENT whatever the score', () => {
+        const result = computeRiskScore({ isEmergency: true });
+        expect(result.score).toBe(0);
+        expect(result.band).toBe('high');
+        expect(result.priority).toBe('URGENT');
+        expect(result.factors).toContainEqual({ component: 'emergency', points: 0, detail: 'emergency flagged during intake' });
+    });
+});
+
+describe('computeRiskScore', () => {
+    test('records the version that scored the input', () => {
+        expect(computeRiskScore({}).version).toBe(DEFAULT_VERSION);
+        expect(computeRiskScore({}, { version: 'heart-intake-v1' }).version).toBe('heart-intake-v1');
+    });
+
+    test('rejects an unknown version', () => {
+        expect(() => computeRiskScore({}, { version: 'heart-intake-v0' })).toThrow('Unknown risk scoring version "heart-intake-v0"');
+    });
+
+    test('every version is a pure function of its input', () => {
+        const input = { age: 70, symptoms: ['chest pain'], fields: { severity: { value: 9 } } };
+        for (const scorer of Object.values(SCORING_VERSIONS)) {
+            expect(scorer(input)).toEqual(scorer(JSON.parse(JSON.stringify(input))));
+        }
+    });
+});
+
+describe('buildRiskInput', () => {
+    test('reads the patient row and the intake session', () => {
+        const input = buildRiskInput({
+            patient: { age: 61, gender: 'female', medical_history: { conditions: ['asthma'] } },
+            sessionData: {
+                symptoms: ['chest pain'],
+                clinicalFields: { severity: { value: 6 } },
+                allPatientAnswers: [{ question: 'Where?', answer: 'centre of the chest' }],
+                severityHits: ['pain at rest'],
+                isEmergency: false
+            }
+        });
+        expect(input).toEqual({
+            age: 61,
+            gender: 'female',
+            symptoms: ['chest pain'],
+            fields: { severity: { value: 6 } },
+            answers: ['centre of the chest'],
+            medicalHistory: { conditions: ['asthma'] },
+            redFlags: ['pain at rest'],
+            isEmergency: false
+        });
+    });
+
+    test('falls back to the comma-separated symptoms without a session', () => {
+        expect(buildRiskInput({ symptoms: 'chest pain, breathlessness' }).symptoms).toEqual(['chest pain', 'breathlessness']);
+    });
+});
@@ -0,0 +1,69 @@
+jest.mock('../config/config', () => ({ clinic: { timeZone: 'Asia/Kolkata' }, appointments: {} }), { virtual: true });
+jest.mock('../db', () => ({ transaction: jest.fn() }));
+jest.mock('../calendar', () => ({}));
+
+const db = require('../db');
+const { SlotConflictError, holdSlot, isDoctorSlot } = require('../slots');
+
+describe('isDoctorSlot', () => {
+    const doctor = {
+        time_zone: 'Europe/London',
+        available_slots: {
+            weekly: { monday: [{ start: '09:00', end: '12:00' }] },
+            breaks: [{ start: '10:00', end: '10:30' }],
+            leave: [{ from: '2026-11-09' }],
+            slotMinutes: 30,
+            urgentReserve: 1
+        }
+    };
+
+    test('accepts a slot on the grid in the doctor\'s zone, reserved ones included', () => {
+        expect(isDoctorSlot(doctor, '2026-11-02T09:00:00Z', '2026-11-02T09:30:00Z')).toBe(true);
+        expect(isDoctorSlot(doctor, '2026-07-06T10:30:00Z', '2026-07-06T11:00:00Z')).toBe(true);
+    });
+
+    test('rejects times off the grid, outside hours, in a break or on leave', () => {
+        expect(isDoctorSlot(doctor, '2026-11-02T09:15:00Z', '2026-11-02T09:45:00Z')).toBe(false);
+        expect(isDoctorSlot(doctor, '2026-11-02T09:00:00Z', '2026-11-02T10:00:00Z')).toBe(false);
+        expect(isDoctorSlot(doctor, '2026-11-02T13:00:00Z', '2026-11-02T13:30:00Z')).toBe(false);
+        expect(isDoctorSlot(doctor, '2026-11-02T10:00:00Z', '2026-11-02T10:30:00Z')).toBe(false);
+        expect(isDoctorSlot(doctor, '2026-11-03T09:00:00Z', '2026-11-03T09:30:00Z')).toBe(false);
+        expect(isDoctorSlot(doctor, '2026-11-09T09:00:00Z', '2026-11-09T09:30:00Z')).toBe(false);
+    });
+});
+
+describe('holdSlot', () => {
+    const doctor = {
+        doctor_id: 7,
+        time_zone: 'Europe/London',
+        available_slots: { weekly: { monday: [{ start: '09:00', end: '12:00' }] }, slotMinutes: 30 }
+    };
+    let statements;
+
+    beforeEach(() => {
+        statements = [];
+        db.transaction.mockImplementation(async (fn) => fn({
+            query: jest.fn(async (sql, params) => {
+                statements.push(sql);
+                if (/FROM doctors/.test(sql)) return { rows: [doctor] };
+                if (/INSERT INTO appointment_slots/.test(sql)) return { rows: [{ slot_id: 1, start_time: params[2] }] };
+                return { rows: [], rowCount: 0 };
+            })
+        }));
+    });
+
+    const hold = (start, end) => holdSlot({ doctorId: 7, patientId: 3, start, end });
+
+    test("holds one of the doctor's upcoming slots", async () => {
+        await expect(hold('2099-11-02T09:00:00Z', '2099-11-02T09:30:00Z')).resolves.toMatchObject({ slot_id: 1 });
+    });
+
+    test.each([
+        ['off the slot grid', '2099-11-02T09:10:00Z', '2099-11-02T09:40:00Z'],
+        ['outside working hours', '2099-11-02T18:00:00Z', '2099-11-02T18:30:00Z'],
+        ['in the past', '2020-11-02T09:00:00Z', '2020-11-02T09:30:00Z']
+    ])('refuses a time %s', async (_, start, end) => {
+        await expect(hold(start, end)).rejects.toBeInstanceOf(SlotConflictError);
+        expect(statements.some(sql => /INSERT INTO appointment_slots/.test(sql))).toBe(false);
+    });
+});
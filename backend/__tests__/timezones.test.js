@@ -0,0 +1,80 @@
+jest.mock('../config/config', () => ({ clinic: { timeZone: 'Asia/Kolkata' } }), { virtual: true });
+
+const { zonedTimeToUtc, wallClockExists, formatForPerson } = require('../timezones');
+
+const wallClock = (year, month, day, hour, minute = 0) => ({ year, month, day, hour, minute });
+const utc = (fields, timeZone) => zonedTimeToUtc(fields, timeZone).toISOString();
+
+describe('zonedTimeToUtc', () => {
+    test('converts ordinary wall-clock times with the zone offset of that day', () => {
+        expect(utc(wallClock(2026, 1, 15, 9), 'America/New_York')).toBe('2026-01-15T14:00:00.000Z');
+        expect(utc(wallClock(2026, 7, 15, 9), 'America/New_York')).toBe('2026-07-15T13:00:00.000Z');
+        expect(utc(wallClock(2026, 1, 15, 9), 'Europe/London')).toBe('2026-01-15T09:00:00.000Z');
+        expect(utc(wallClock(2026, 7, 15, 9), 'Europe/London')).toBe('2026-07-15T08:00:00.000Z');
+    });
+
+    test('shifts a time in the spring-forward gap forward by the change', () => {
+        // 02:00 EST -> 03:00 EDT on 8 March 2026
+        expect(utc(wallClock(2026, 3, 8, 2, 30), 'America/New_York')).toBe('2026-03-08T07:30:00.000Z');
+        // 01:00 GMT -> 02:00 BST on 29 March 2026
+        expect(utc(wallClock(2026, 3, 29, 1, 30), 'Europe/London')).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    test('gives the first of the two instants in the fall-back overlap', () => {
+        // 02:00 EDT -> 01:00 EST on 1 November 2026: 01:30 EDT, not 01:30 EST
+        expect(utc(wallClock(2026, 11, 1, 1, 30), 'America/New_York')).toBe('2026-11-01T05:30:00.000Z');
+        // 02:00 BST -> 01:00 GMT on 25 October 2026: 01:30 BST, not 01:30 GMT
+        expect(utc(wallClock(2026, 10, 25, 1, 30), 'Europe/London')).toBe('2026-10-25T00:30:00.000Z');
+    });
+
+    test('handles the hours either side of each change', () => {
+        expect(utc(wallClock(2026, 3, 8, 1, 30), 'America/New_York')).toBe('2026-03-08T06:30:00.000Z');
+        expect(utc(wallClock(2026, 3, 8, 3), 'America/New_York')).toBe('2026-03-08T07:00:00.000Z');
+        expect(utc(wallClock(2026, 11, 1, 2), 'America/New_York')).toBe('2026-11-01T07:00:00.000Z');
+        expect(utc(wallClock(2026, 3, 29, 2), 'Europe/London')).toBe('2026-03-29T01:00:00.000Z');
+        expect(utc(wallClock(2026, 10, 25, 2), 'Europe/London')).toBe('2026-10-25T02:00:00.000Z');
+    });
+});
+
+describe('wallClockExists', () => {
+    test('is false inside the spring-forward gap', () => {
+        expect(wallClockExists(wallClock(2026, 3, 8, 2), 'America/New_York')).toBe(false);
+        expect(wallClockExists(wallClock(2026, 3, 8, 2, 30), 'America/New_York')).toBe(false);
+        expect(wallClockExists(wallClock(2026, 3, 29, 1), 'Europe/London')).toBe(false);
+        expect(wallClockExists(wallClock(2026, 3, 29, 1, 30), 'Europe/London')).toBe(false);
+    });
+
+    test('is true at the edges of the gap', () => {
+        expect(wallClockExists(wallClock(2026, 3, 8, 1, 59), 'America/New_York')).toBe(true);
+        expect(wallClockExists(wallClock(2026, 3, 8, 3), 'America/New_York')).toBe(true);
+        expect(wallClockExists(wallClock(2026, 3, 29, 0, 59), 'Europe/London')).toBe(true);
+        expect(wallClockExists(wallClock(2026, 3, 29, 2), 'Europe/London')).toBe(true);
+    });
+
+    test('is true for times that happen twice in the fall-back overlap', () => {
+        expect(wallClockExists(wallClock(2026, 11, 1, 1, 30), 'America/New_York')).toBe(true);
+        expect(wallClockExists(wallClock(2026, 10, 25, 1, 30), 'Europe/London')).toBe(true);
+    });
+});
+
+describe('formatForPerson', () => {
+    const at = '2026-03-09T14:00:00Z';
+    const timeOnly = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+
+    test("shows the time in the doctor's zone", () => {
+        const doctor = { time_zone: 'America/New_York' };
+        expect(formatForPerson(at, doctor, timeOnly)).toMatch(/^10:00 (EDT|GMT-4)$/);
+        expect(formatForPerson(at, doctor)).toMatch(/Monday, 9 March 2026 at 10:00 am (EDT|GMT-4)/i);
+    });
+
+    test("shows the same instant in the patient's zone and language", () => {
+        const patient = { time_zone: 'Asia/Kolkata', language: 'en' };
+        expect(formatForPerson(at, patient, timeOnly)).toBe('19:30 IST');
+        expect(formatForPerson(at, { time_zone: 'Europe/London', language: 'hi' })).toMatch(/सोमवार/);
+    });
+
+    test("falls back to the clinic's zone without a valid zone", () => {
+        expect(formatForPerson(at, {}, timeOnly)).toBe('19:30 IST');
+        expect(formatForPerson(at, { time_zone: 'Not/AZone' }, timeOnly)).toBe('19:30 IST');
+    });
+});
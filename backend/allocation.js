@@ -0,0 +1,267 @@
+const config = require('./config/config');
+const db = require('./db');
+const metrics = require('./metrics');
+const { findFreeSlots, holdSlot } = require('./slots');
+const { normalizeAvailability } = require('./availability');
+const { AppointmentChangeError, rescheduleAppointment } = require('./appointments');
+const { sendNotifications } = require('./notify');
+
+// Urgency-aware slot allocation. The intake priority (see risk_score.js) decides how soon a
+// patient is offered a slot and whether the doctors' reserved urgent slots may be used:
+//   URGENT  within urgentWithinHours (same day), reserved slots included, earliest doctor first
+//   HIGH    within highWithinHours, reserved slots included, earliest doctor first
+//   NORMAL  from routineLeadHours onwards, leaving the earliest capacity for urgent cases
+// When an URGENT patient finds nothing in their window, a routine booking in that window may be
+// moved to a later slot, but only once its patient agrees (requestBump / respondToBump).
+const allocationCfg = config.allocation || {};
+const HOUR_MS = 3600000;
+
+const PRIORITY_WINDOWS = {
+    URGENT: { fromHours: 0, withinHours: allocationCfg.urgentWithinHours || 24, includeReserved: true },
+    HIGH: { fromHours: 0, withinHours: allocationCfg.highWithinHours || 72, includeReserved: true },
+    NORMAL: {
+        fromHours: allocationCfg.routineLeadHours ?? 24,
+        withinHours: allocationCfg.routineWithinHours || 7 * 24,
+        includeReserved: false
+    }
+};
+
+const BUMPING_ENABLED = allocationCfg.allowBumping !== false;
+const BUMP_RESPONSE_HOURS = allocationCfg.bumpResponseHours || 4;
+const BUMP_HOLD_MINUTES = allocationCfg.bumpHoldMinutes || 60;
+
+async function loadDoctors(doctorId) {
+    const result = doctorId
+        ? await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId])
+        : await db.query('SELECT * FROM doctors');
+    return result.rows || [];
+}
+
+// Urgent cases go to whoever can see them first; routine cases to whoever has most room
+async function pickDoctor(doctors, startDate, endDate, { priority, limit, includeReserved }) {
+    const earliestFirst = priority !== 'NORMAL';
+    let best = { doctor: null, slots: [] };
+    for (const doctor of doctors) {
+        let slots = [];
+        try {
+            slots = await findFreeSlots(doctor, startDate, endDate, { limit, includeReserved });
+        } catch (error) {
+            console.warn(`Free slots for doctor ${doctor.doctor_id} failed:`, error.message);
+        }
+        if (!slots.length) continue;
+        const better = !best.slots.length || (earliestFirst
+            ? new Date(slots[0].start) < new Date(best.slots[0].start)
+            : slots.length > best.slots.length);
+        if (better) {
+            best = { doctor, slots };
+        }
+    }
+    return best;
+}
+
+// Routine appointments in the window whose patient has not been asked to move before
+async function findBumpCandidates(doctorIds, startDate, endDate) {
+    const result = await db.query(
+        `SELECT a.appointment_id, a.doctor_id, a.patient_id, a.appointment_time
+         FROM appointments a
+         WHERE a.doctor_id = ANY($1) AND a.status = 'scheduled'
+         AND COALESCE(a.urgency, 'NORMAL') = 'NORMAL'
+         AND a.appointment_time >= $2 AND a.appointment_time < $3
+         AND NOT EXISTS (SELECT 1 FROM appointment_bumps b WHERE b.appointment_id = a.appointment_id)
+         ORDER BY a.appointment_time ASC
+         LIMIT 3`,
+        [doctorIds, startDate, endDate]
+    );
+    return result.rows;
+}
+
+// Slots for a patient of the given priority, optionally with one doctor.
+// Returns { priority, window, doctor, slots, bumpCandidates }.
+async function allocateSlots({ priority = 'NORMAL', doctorId = null, limit = 3 } = {}) {
+    const policy = PRIORITY_WINDOWS[priority] || PRIORITY_WINDOWS.NORMAL;
+    const now = Date.now();
+    const startDate = new Date(now + policy.fromHours * HOUR_MS);
+    const endDate = new Date(now + policy.withinHours * HOUR_MS);
+    const doctors = await loadDoctors(doctorId);
+    const options = { priority: PRIORITY_WINDOWS[priority] ? priority : 'NORMAL', limit, includeReserved: policy.includeReserved };
+
+    let best = await pickDoctor(doctors, startDate, endDate, options);
+    if (!best.slots.length && policy.fromHours > 0) {
+        // Nothing later on: a routine case may still take earlier unreserved capacity
+        best = await pickDoctor(doctors, new Date(now), endDate, options);
+    }
+
+    let bumpCandidates = [];
+    if (!best.slots.length && options.priority === 'URGENT' && BUMPING_ENABLED && doctors.length) {
+        bumpCandidates = await findBumpCandidates(doctors.map(d => d.doctor_id), new Date(now), endDate);
+    }
+
+    metrics.increment('slot_allocations', { priority: options.priority, outcome: best.slots.length ? 'offered' : 'none' });
+    return {
+        priority: options.priority,
+        window: { start: startDate, end: endDate },
+        doctor: best.doctor,
+        slots: best.slots,
+        bumpCandidates
+    };
+}
+
+// Ask the patient of a routine appointment whether they will move to a later slot so an urgent
+// patient can be seen. Nothing changes until they accept (respondToBump).
+async function requestBump({ appointmentId, urgentPatientId, requestedBy = 'system' }) {
+    if (!BUMPING_ENABLED) {
+        throw new AppointmentChangeError('Moving routine appointments for urgent cases is disabled', 409);
+    }
+
+    const appointmentRes = await db.query(
+        `SELECT a.*, s.end_time AS slot_end
+         FROM appointments a
+         LEFT JOIN appointment_slots s ON s.appointment_id = a.appointment_id AND s.status = 'booked'
+         WHERE a.appointment_id = $1`,
+        [appointmentId]
+    );
+    const appointment = appointmentRes.rows[0];
+    if (!appointment) {
+        throw new AppointmentChangeError('Appointment not found', 404);
+    }
+    if (appointment.status !== 'scheduled' || (appointment.urgency || 'NORMAL') !== 'NORMAL' ||
+        new Date(appointment.appointment_time).getTime() <= Date.now()) {
+        throw new AppointmentChangeError('Only upcoming routine appointments can be moved for an urgent case', 409);
+    }
+
+    const doctor = (await loadDoctors(appointment.doctor_id))[0];
+    const slotStart = new Date(appointment.appointment_time);
+    const slotMinutes = normalizeAvailability(doctor?.available_slots).slotMinutes;
+    const slotEnd = appointment.slot_end ? new Date(appointment.slot_end) : new Date(slotStart.getTime() + slotMinutes * 60000);
+
+    // The routine patient is offered the first free slot after the urgent window
+    const laterFrom = new Date(Math.max(slotEnd.getTime(), Date.now() + PRIORITY_WINDOWS.URGENT.withinHours * HOUR_MS));
+    const laterUntil = new Date(laterFrom.getTime() + PRIORITY_WINDOWS.NORMAL.withinHours * HOUR_MS);
+    const [proposed] = await findFreeSlots(doctor, laterFrom, laterUntil, { limit: 1 });
+    if (!proposed) {
+        throw new AppointmentChangeError('There is no later slot to offer the routine patient', 409);
+    }
+
+    const inserted = await db.query(
+        `INSERT INTO appointment_bumps (
+            appointment_id, doctor_id, patient_id, urgent_patient_id, slot_start, slot_end,
+            proposed_start, proposed_end, requested_by, expires_at
+         )
+         SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, LEAST(NOW() + ($10 || ' hours')::interval, $5::timestamptz)
+         WHERE NOT EXISTS (SELECT 1 FROM appointment_bumps WHERE appointment_id = $1 AND status = 'pending')
+         RETURNING *`,
+        [
+            appointment.appointment_id, appointment.doctor_id, appointment.patient_id, urgentPatientId,
+            slotStart, slotEnd, proposed.start, proposed.end, requestedBy, String(BUMP_RESPONSE_HOURS)
+        ]
+    );
+    const bump = inserted.rows[0];
+    if (!bump) {
+        throw new AppointmentChangeError('This patient has already been asked to move', 409);
+    }
+    metrics.increment('appointment_bumps', { status: 'requested' });
+
+    try {
+        const patientRes = await db.query('SELECT * FROM patients WHERE patient_id = $1', [appointment.patient_id]);
+        await sendNotifications('appointment_bump_request', { patient: patientRes.rows[0], doctor, appointment, bump });
+    } catch (e) {
+        console.warn('Bump request notification failed:', e?.message || e);
+    }
+    return bump;
+}
+
+// The routine patient's answer. Accepting moves their appointment to the proposed slot and holds
+// the freed slot for the urgent patient, who is told to confirm it.
+async function respondToBump(bumpId, { patientId, accept }) {
+    const claimed = await db.query(
+        `UPDATE appointment_bumps SET status = $3, responded_at = NOW()
+         WHERE bump_id = $1 AND patient_id = $2 AND status = 'pending' AND expires_at > NOW()
+         RETURNING *`,
+        [bumpId, patientId, accept ? 'accepted' : 'declined']
+    );
+    let bump = claimed.rows[0];
+    if (!bump) {
+        const existing = await db.query(
+            'SELECT status FROM appointment_bumps WHERE bump_id = $1 AND patient_id = $2',
+            [bumpId, patientId]
+        );
+        if (!existing.rows[0]) {
+            throw new AppointmentChangeError('Request not found', 404);
+        }
+        const status = existing.rows[0].status;
+        throw new AppointmentChangeError(
+            status === 'pending' ? 'This request has expired' : `This request was already ${status}`, 409, { status }
+        );
+    }
+    metrics.increment('appointment_bumps', { status: bump.status });
+    if (!accept) {
+        return { bump };
+    }
+
+    let change;
+    try {
+        change = await rescheduleAppointment(bump.appointment_id, {
+            slotStart: bump.proposed_start,
+            slotEnd: bump.proposed_end,
+            by: 'clinic',
+            reason: 'Moved with your agreement to make room for an urgent case'
+        });
+    } catch (error) {
+        await db.query(
+            "UPDATE appointment_bumps SET status = 'failed', failure_reason = $2 WHERE bump_id = $1",
+            [bump.bump_id, error.message]
+        );
+        throw error;
+    }
+
+    let hold = null;
+    try {
+        hold = await holdSlot({
+            doctorId: bump.doctor_id,
+            patientId: bump.urgent_patient_id,
+            start: bump.slot_start,
+            end: bump.slot_end,
+            minutes: BUMP_HOLD_MINUTES
+        });
+        const updated = await db.query(
+            'UPDATE appointment_bumps SET hold_id = $2 WHERE bump_id = $1 RETURNING *',
+            [bump.bump_id, hold?.slot_id || null]
+        );
+        bump = updated.rows[0] || bump;
+
+        const [patientRes, doctorRes] = await Promise.all([
+            db.query('SELECT * FROM patients WHERE patient_id = $1', [bump.urgent_patient_id]),
+            db.query('SELECT * FROM doctors WHERE doctor_id = $1', [bump.doctor_id])
+        ]);
+        await sendNotifications('appointment_bump_slot', {
+            patient: patientRes.rows[0],
+            doctor: doctorRes.rows[0],
+            bump,
+            hold
+        });
+    } catch (e) {
+        console.warn('Holding the freed slot for the urgent patient failed:', e?.message || e);
+    }
+    return { bump, appointment: change.appointment, hold };
+}
+
+// Pending requests for a patient's appointments
+async function listPendingBumps(patientId) {
+    const result = await db.query(
+        `SELECT b.bump_id, b.appointment_id, b.slot_start, b.slot_end, b.proposed_start, b.proposed_end, b.expires_at
+         FROM appointment_bumps b
+         WHERE b.patient_id = $1 AND b.status = 'pending' AND b.expires_at > NOW()
+         ORDER BY b.created_at DESC`,
+        [patientId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    PRIORITY_WINDOWS,
+    allocateSlots,
+    findBumpCandidates,
+    requestBump,
+    respondToBump,
+    listPendingBumps
+};
@@ -0,0 +1,166 @@
+const { extractSeverity, NEGATION_PATTERN } = require('./emergency');
+const { parseAnswer } = require('./question_engine');
+
+// Typed clinical fields read from a free-text answer. Every field is
+// { value, text, confidence } with confidence in 0-1; fields that are not found are omitted.
+//   onset       - minutes before the answer when the symptom started
+//   duration    - minutes an episode lasts / has lasted
+//   severity    - 0-10 rating
+//   yesNo       - 'yes' | 'no'
+//   location    - body locations, e.g. ['left arm', 'jaw']
+//   medications - medication names as written by the patient
+
+const MINUTES_PER_UNIT = {
+    sec: 1 / 60, second: 1 / 60, min: 1, minute: 1, hr: 60, hour: 60,
+    day: 1440, week: 10080, month: 43200, year: 525600
+};
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, few: 3, couple: 2, several: 4 };
+
+const AMOUNT = '(\\d+(?:\\.\\d+)?|a|an|one|two|three|four|five|six|seven|eight|nine|ten|few|couple(?: of)?|several)';
+const UNIT = '(sec(?:ond)?|min(?:ute)?|h(?:ou)?r|day|week|month|year)s?';
+
+// Relative start times patients commonly use
+const RELATIVE_ONSET = [
+    { pattern: /\b(just now|right now|a moment ago)\b/, minutes: 5 },
+    { pattern: /\bthis morning\b/, minutes: 360 },
+    { pattern: /\b(today|since morning)\b/, minutes: 480 },
+    { pattern: /\b(last night|since last night)\b/, minutes: 720 },
+    { pattern: /\byesterday\b/, minutes: 1440 },
+    { pattern: /\blast week\b/, minutes: 10080 },
+    { pattern: /\blast month\b/, minutes: 43200 }
+];
+
+const SEVERITY_WORDS = { mild: 3, slight: 2, moderate: 5, bad: 6, severe: 8, intense: 8, terrible: 9, worst: 10, unbearable: 10 };
+
+const BODY_LOCATIONS = ['chest', 'arm', 'shoulder', 'jaw', 'neck', 'back', 'stomach', 'abdomen', 'leg', 'ankle', 'foot', 'feet', 'head', 'throat'];
+
+// Common cardiac (and frequently co-prescribed) medications, brand names included
+const KNOWN_MEDICATIONS = [
+    'aspirin', 'ecosprin', 'clopidogrel', 'ticagrelor', 'prasugrel', 'warfarin', 'apixaban', 'rivaroxaban', 'dabigatran',
+    'heparin', 'nitroglycerin', 'sorbitrate', 'isosorbide', 'digoxin', 'amiodarone', 'ivabradine', 'ranolazine',
+    'furosemide', 'lasix', 'torsemide', 'spironolactone', 'hydrochlorothiazide', 'chlorthalidone', 'sacubitril',
+    'metformin', 'insulin', 'glimepiride', 'paracetamol', 'ibuprofen', 'diclofenac', 'pantoprazole', 'omeprazole'
+];
+// Generic-name endings of the big cardiac drug classes (ACE inhibitors, ARBs, beta blockers, statins, CCBs)
+const MEDICATION_SUFFIX = /\b([a-z]{3,}(?:pril|sartan|olol|statin|dipine))\b/g;
+
+const YES_NO_QUESTION = /^(do|does|did|is|are|was|were|have|has|had|any|can|could|will|would)\b/i;
+
+const field = (value, text, confidence) => ({ value, text, confidence: Math.round(confidence * 100) / 100 });
+
+function toMinutes(amount, unit) {
+    const count = NUMBER_WORDS[amount.replace(/ of$/, '')] ?? parseFloat(amount);
+    const key = unit.replace(/s$/, '').replace(/^hr$|^hour$/, 'hour').replace(/^second$/, 'sec').replace(/^minute$/, 'min');
+    const perUnit = MINUTES_PER_UNIT[key] ?? MINUTES_PER_UNIT[unit];
+    return perUnit === undefined || Number.isNaN(count) ? null : count * perUnit;
+}
+
+function extractOnset(text, question) {
+    const ago = text.match(new RegExp(`${AMOUNT}\\s*${UNIT}\\s*(ago|back|before)`));
+    if (ago) return field(toMinutes(ago[1], ago[2]), ago[0], 0.9);
+
+    const since = text.match(new RegExp(`(?:since|for the (?:last|past)|from the (?:last|past))\\s*${AMOUNT}\\s*${UNIT}`));
+    if (since) return field(toMinutes(since[1], since[2]), since[0], 0.8);
+
+    for (const { pattern, minutes } of RELATIVE_ONSET) {
+        const match = text.match(pattern);
+        if (match) return field(minutes, match[0], 0.7);
+    }
+
+    // A bare amount of time in reply to "when did it start?"
+    if (/\b(when|start|began|begin)\b/i.test(question || '')) {
+        const bare = text.match(new RegExp(`${AMOUNT}\\s*${UNIT}`));
+        if (bare) return field(toMinutes(bare[1], bare[2]), bare[0], 0.6);
+    }
+    return null;
+}
+
+function extractDuration(text, question) {
+    const explicit = text.match(new RegExp(`(?:lasts?|lasting|lasted|for|about|around|upto|up to)\\s*(?:about\\s*)?${AMOUNT}\\s*${UNIT}(?!\\s*(?:ago|back|before))`));
+    if (explicit) return field(toMinutes(explicit[1], explicit[2]), explicit[0], 0.85);
+
+    if (/\bhow long\b/i.test(question || '')) {
+        const bare = text.match(new RegExp(`${AMOUNT}\\s*${UNIT}(?!\\s*(?:ago|back|before))`));
+        if (bare) return field(toMinutes(bare[1], bare[2]), bare[0], 0.65);
+    }
+    return null;
+}
+
+function extractSeverityField(text, question, answerType) {
+    const explicit = text.match(/(\d{1,2}(?:\.\d)?)\s*(?:\/|out of|on)\s*10\b/i);
+    const rating = extractSeverity(text, question) ?? (answerType === 'scale' ? parseAnswer('scale', text) : null);
+    if (rating !== null && rating >= 0 && rating <= 10) {
+        return field(rating, explicit ? explicit[0] : String(rating), explicit ? 0.95 : 0.75);
+    }
+    const word = Object.keys(SEVERITY_WORDS).find(w => new RegExp(`\\b${w}\\b`).test(text));
+    return word ? field(SEVERITY_WORDS[word], word, 0.5) : null;
+}
+
+function extractYesNo(text, question, answerType) {
+    const value = parseAnswer('yes_no', text);
+    if (!value) return null;
+    const asked = answerType === 'yes_no' || YES_NO_QUESTION.test(String(question || '').trim());
+    return field(value, text.split(/[,.;!]/)[0].trim(), asked ? 0.9 : 0.5);
+}
+
+function extractLocation(text) {
+    const affirmed = text.replace(NEGATION_PATTERN, ' ');
+    const found = [];
+    for (const part of BODY_LOCATIONS) {
+        const match = affirmed.match(new RegExp(`\\b(?:(left|right|both|centre|center|middle of (?:the|my))\\s+)?(?:side of (?:the|my)\\s+)?${part}s?\\b`));
+        if (match) found.push(match[1] ? `${match[1].replace(/^middle of (the|my)$/, 'center')} ${part}` : part);
+    }
+    if (found.length === 0) return null;
+    return field([...new Set(found)], found.join(', '), found.some(f => f.includes(' ')) ? 0.85 : 0.75);
+}
+
+function extractMedications(text) {
+    const affirmed = text.replace(NEGATION_PATTERN, ' ');
+    const known = KNOWN_MEDICATIONS.filter(name => new RegExp(`\\b${name}\\b`).test(affirmed));
+    const bySuffix = [...affirmed.matchAll(MEDICATION_SUFFIX)].map(m => m[1]).filter(name => !known.includes(name));
+    if (known.length === 0 && bySuffix.length === 0) return null;
+    return field([...known, ...bySuffix], [...known, ...bySuffix].join(', '), bySuffix.length ? 0.7 : 0.9);
+}
+
+// Extract every field found in the answer; `confidence` is the mean over the fields found
+function extractAnswerFields(answer, { question, answerType } = {}) {
+    const text = String(answer || '').toLowerCase();
+    const candidates = {
+        onset: extractOnset(text, question),
+        duration: extractDuration(text, question),
+        severity: extractSeverityField(text, question, answerType),
+        yesNo: extractYesNo(text, question, answerType),
+        location: extractLocation(text),
+        medications: extractMedications(text)
+    };
+    const fields = Object.fromEntries(Object.entries(candidates).filter(([, value]) => value && value.value !== null));
+    const scores = Object.values(fields).map(f => f.confidence);
+    return {
+        fields,
+        confidence: scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100 : null
+    };
+}
+
+// Fold one answer's fields into the session-wide picture: the most confident value wins,
+// except severity where the highest reported rating is kept, and lists which are merged.
+// yesNo only means something next to its question, so it stays on the answer.
+function mergeClinicalFields(current = {}, fields = {}, symptom = null) {
+    const merged = { ...current };
+    for (const [name, next] of Object.entries(fields)) {
+        if (name === 'yesNo') continue;
+        const tagged = { ...next, symptom };
+        const previous = merged[name];
+        if (!previous) {
+            merged[name] = tagged;
+        } else if (Array.isArray(next.value)) {
+            const value = [...new Set([...[].concat(previous.value), ...next.value])];
+            merged[name] = { ...tagged, value, text: value.join(', '), confidence: Math.max(previous.confidence, next.confidence) };
+        } else if (name === 'severity' ? next.value > previous.value : next.confidence > previous.confidence) {
+            merged[name] = tagged;
+        }
+    }
+    return merged;
+}
+
+module.exports = { extractAnswerFields, mergeClinicalFields };
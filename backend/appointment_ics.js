@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const config = require('./config/config');
+const db = require('./db');
+const { buildCalendar } = require('./calendar_providers/ics');
+const { normalizeAvailability } = require('./availability');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+// Appointments as iCalendar: the invite attached to confirmation emails and each doctor's
+// subscription feed. Every appointment keeps one UID, so a client that imported the invite or
+// subscribed to the feed updates the same entry when it is rescheduled or cancelled.
+
+const appointmentUid = (appointmentId) => `appointment-${appointmentId}@doctor-ai-assistant`;
+
+// Appointments only store their start; the length is the doctor's slot length
+function appointmentEnd(appointment, doctor) {
+    const minutes = doctor?.available_slots
+        ? normalizeAvailability(doctor.available_slots).slotMinutes
+        : config.appointments?.defaultSlotDurationMinutes || 30;
+    return new Date(new Date(appointment.appointment_time).getTime() + minutes * 60000);
+}
+
+function appointmentEvent(appointment, { doctor, patient }) {
+    const cancelled = appointment.status === 'cancelled';
+    const links = [
+        appointment.meet_link ? `Google Meet: ${appointment.meet_link}` : null,
+        appointment.event_link ? `Calendar event: ${appointment.event_link}` : null
+    ].filter(Boolean);
+
+    return {
+        uid: appointmentUid(appointment.appointment_id),
+        start: appointment.appointment_time,
+        end: appointmentEnd(appointment, doctor),
+        summary: `Cardiology Consultation - ${patient?.name || 'Patient'}${doctor?.name ? ` with Dr. ${doctor.name}` : ''}`,
+        description: [
+            appointment.symptoms ? `Symptoms: ${appointment.symptoms}` : null,
+            appointment.chat_summary ? `Summary: ${appointment.chat_summary}` : null,
+            ...links
+        ].filter(Boolean).join('\n'),
+        location: doctor?.hospital_name || 'Cardiology Clinic',
+        url: appointment.meet_link || appointment.event_link || null,
+        organizer: doctor?.email || config.email?.fromEmail || null,
+        attendees: [patient?.email].filter(Boolean),
+        // Each reschedule is a new revision; a cancellation one more
+        sequence: (appointment.reschedule_count || 0) + (cancelled ? 1 : 0),
+        status: cancelled ? 'cancelled' : 'confirmed'
+    };
+}
+
+// A single-appointment invite for email: METHOD:REQUEST, or METHOD:CANCEL once cancelled
+function buildAppointmentInvite(appointment, { doctor, patient }) {
+    const method = appointment.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    return {
+        method,
+        content: buildCalendar([appointmentEvent(appointment, { doctor, patient })], { method })
+    };
+}
+
+// Appointments from the last 30 days on; cancelled ones stay in the feed so clients remove them
+async function buildDoctorFeed(doctor) {
+    const result = await db.query(
+        `SELECT a.*, p.name AS patient_name
+         FROM appointments a
+         JOIN patients p ON a.patient_id = p.patient_id
+         WHERE a.doctor_id = $1 AND a.appointment_time > NOW() - INTERVAL '30 days'
+         ORDER BY a.appointment_time ASC`,
+        [doctor.doctor_id]
+    );
+    const events = result.rows.map(row => ({
+        ...appointmentEvent(row, { doctor, patient: { name: row.patient_name } }),
+        // Subscribers are the doctor; patient contact details stay out of the feed
+        attendees: [],
+        url: config.server?.frontendUrl || null
+    }));
+    return buildCalendar(events, { name: `Dr. ${doctor.name} - Appointments` });
+}
+
+// The feed URL carries a random token, since calendar clients cannot log in; it is stored
+// encrypted so the doctor can copy the URL again, and rotating it cuts off old subscribers
+async function rotateFeedToken(doctorId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.query('UPDATE doctors SET ics_feed_token = $1 WHERE doctor_id = $2', [encryptSecret(token), doctorId]);
+    return token;
+}
+
+async function getFeedToken(doctorId) {
+    const result = await db.query('SELECT ics_feed_token FROM doctors WHERE doctor_id = $1', [doctorId]);
+    return decryptSecret(result.rows[0]?.ics_feed_token) || null;
+}
+
+async function disableFeed(doctorId) {
+    await db.query('UPDATE doctors SET ics_feed_token = NULL WHERE doctor_id = $1', [doctorId]);
+}
+
+async function verifyFeedToken(doctorId, token) {
+    const expected = await getFeedToken(doctorId);
+    if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+module.exports = {
+    appointmentUid,
+    buildAppointmentInvite,
+    buildDoctorFeed,
+    rotateFeedToken,
+    getFeedToken,
+    disableFeed,
+    verifyFeedToken
+};
@@ -0,0 +1,401 @@
+const config = require('./config/config');
+const db = require('./db');
+const calendar = require('./calendar');
+const { queueNotification, deliverNow, describeNotification } = require('./outbox');
+const { cancelAppointmentReminders, rescheduleAppointmentReminders, scheduleAppointmentReminders } = require('./reminders');
+const { SlotConflictError, releaseAppointmentSlot, moveAppointmentSlot, isDoctorSlot, reserveSlot, confirmSlot } = require('./slots');
+const { offerFreedSlot, completeWaitlistOnBooking } = require('./waitlist');
+const { applyEvent, canApply, currentState } = require('./intake_state');
+const { computeRiskScore, buildRiskInput } = require('./risk_score');
+
+// Patient-initiated changes must be made this long before the appointment (doctors are exempt)
+const CHANGE_POLICY_HOURS = config.appointments?.changePolicyHours ?? 24;
+
+class AppointmentChangeError extends Error {
+    constructor(message, status = 409, details = {}) {
+        super(message);
+        this.name = 'AppointmentChangeError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Lock the appointment for the rest of the transaction and check it may still be changed
+async function lockChangeableAppointment(client, appointmentId, { patientId, doctorId, enforcePolicy }) {
+    const result = await client.query(
+        'SELECT * FROM appointments WHERE appointment_id = $1 FOR UPDATE',
+        [appointmentId]
+    );
+    const appointment = result.rows[0];
+    if (!appointment ||
+        (patientId && String(appointment.patient_id) !== String(patientId)) ||
+        (doctorId && String(appointment.doctor_id) !== String(doctorId))) {
+        throw new AppointmentChangeError('Appointment not found', 404);
+    }
+    if (appointment.status !== 'scheduled') {
+        throw new AppointmentChangeError(`Appointment is already ${appointment.status}`, 409, { status: appointment.status });
+    }
+    const hoursLeft = (new Date(appointment.appointment_time).getTime() - Date.now()) / 3600000;
+    if (enforcePolicy && hoursLeft < CHANGE_POLICY_HOURS) {
+        throw new AppointmentChangeError(
+            `Appointments can only be changed at least ${CHANGE_POLICY_HOURS} hours in advance. Please contact the clinic.`,
+            409,
+            { policyHours: CHANGE_POLICY_HOURS }
+        );
+    }
+    return appointment;
+}
+
+// Remove the appointment's entry from doctors.booked_slots
+async function freeBookedSlot(client, doctorId, appointmentId) {
+    await client.query(
+        `UPDATE doctors
+         SET booked_slots = COALESCE((
+             SELECT jsonb_agg(slot) FROM jsonb_array_elements(COALESCE(booked_slots, '[]'::jsonb)) slot
+             WHERE slot->>'appointment_id' IS DISTINCT FROM $2::text
+         ), '[]'::jsonb)
+         WHERE doctor_id = $1`,
+        [doctorId, String(appointmentId)]
+    );
+}
+
+async function loadParticipants(appointment) {
+    const [patient, doctor] = await Promise.all([
+        db.query('SELECT * FROM patients WHERE patient_id = $1', [appointment.patient_id]),
+        db.query('SELECT * FROM doctors WHERE doctor_id = $1', [appointment.doctor_id])
+    ]);
+    return { patient: patient.rows[0], doctor: doctor.rows[0] };
+}
+
+// Calendar and notifications run after the change is committed; failures are reported, not thrown.
+// The notifications were queued with the change (`queued` outbox rows) and are retried by the outbox
+async function syncChange(appointment, change, queued = []) {
+    let participants = null;
+    try {
+        participants = await loadParticipants(appointment);
+    } catch (e) {
+        console.warn('Loading appointment participants failed:', e?.message || e);
+    }
+
+    let calendarResult = { success: false, error: 'No calendar event for this appointment' };
+    if (appointment.calendar_event_id && participants?.doctor) {
+        const { doctor } = participants;
+        calendarResult = change.type === 'cancelled'
+            ? await calendar.cancelAppointment(doctor, appointment.calendar_event_id, appointment.calendar_provider)
+            : await calendar.rescheduleAppointment(doctor, appointment.calendar_event_id, change.slotStart, change.slotEnd, appointment.calendar_provider);
+    }
+
+    let notifications = queued;
+    try {
+        notifications = await deliverNow(queued.map(row => row.outbox_id));
+    } catch (e) {
+        console.warn('Appointment change notifications failed:', e?.message || e);
+    }
+    return { calendar: calendarResult, notifications: notifications.map(describeNotification) };
+}
+
+// Offer a freed slot to the doctor's waitlist; failures are reported, not thrown
+async function backfillSlot(doctorId, freedSlot) {
+    if (!freedSlot) return null;
+    try {
+        return await offerFreedSlot({ doctorId, start: freedSlot.start_time, end: freedSlot.end_time });
+    } catch (e) {
+        console.warn('Waitlist backfill failed:', e?.message || e);
+        return null;
+    }
+}
+
+// Cancel a scheduled appointment. `by` is 'patient' or 'doctor'; the policy window applies to patients.
+async function cancelAppointment(appointmentId, { by, reason = null, patientId, doctorId } = {}) {
+    const change = { type: 'cancelled', by, reason };
+    let freedSlot = null;
+    let queued = [];
+    const appointment = await db.transaction(async (client) => {
+        const current = await lockChangeableAppointment(client, appointmentId, {
+            patientId, doctorId, enforcePolicy: by === 'patient'
+        });
+        const updated = await client.query(
+            `UPDATE appointments
+             SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2, cancellation_reason = $3
+             WHERE appointment_id = $1
+             RETURNING *`,
+            [appointmentId, by, reason]
+        );
+        await freeBookedSlot(client, current.doctor_id, appointmentId);
+        freedSlot = await releaseAppointmentSlot(client, appointmentId);
+        await cancelAppointmentReminders(appointmentId, `Appointment cancelled by ${by}`, client);
+        queued = await queueNotification('appointment_changed', { appointmentId, payload: { change } }, client);
+        return updated.rows[0];
+    });
+
+    const sync = await syncChange(appointment, change, queued);
+    const waitlistOffer = await backfillSlot(appointment.doctor_id, freedSlot);
+    return { appointment, ...sync, waitlistOffer };
+}
+
+// The doctor marks a scheduled appointment as a no-show; if it has not started yet (the patient
+// said they will not come), the slot is freed and offered to the waitlist
+async function markNoShow(appointmentId, { doctorId } = {}) {
+    let freedSlot = null;
+    const appointment = await db.transaction(async (client) => {
+        const current = await lockChangeableAppointment(client, appointmentId, { doctorId, enforcePolicy: false });
+        const updated = await client.query(
+            `UPDATE appointments SET status = 'no-show'
+             WHERE appointment_id = $1
+             RETURNING *`,
+            [appointmentId]
+        );
+        await freeBookedSlot(client, current.doctor_id, appointmentId);
+        freedSlot = await releaseAppointmentSlot(client, appointmentId);
+        await cancelAppointmentReminders(appointmentId, 'Appointment no-show', client);
+        return updated.rows[0];
+    });
+
+    const waitlistOffer = await backfillSlot(appointment.doctor_id, freedSlot);
+    return { appointment, waitlistOffer };
+}
+
+// Move a scheduled appointment to another of the doctor's slots that does not overlap their other bookings
+async function rescheduleAppointment(appointmentId, { slotStart, slotEnd, by, reason = null, patientId, doctorId } = {}) {
+    const start = new Date(slotStart);
+    const end = new Date(slotEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new AppointmentChangeError('slotStart and slotEnd must be valid times with slotEnd after slotStart', 400);
+    }
+    if (start.getTime() <= Date.now()) {
+        throw new AppointmentChangeError('The new slot must be in the future', 400);
+    }
+
+    let previousTime = null;
+    let queued = [];
+    const appointment = await db.transaction(async (client) => {
+        const current = await lockChangeableAppointment(client, appointmentId, {
+            patientId, doctorId, enforcePolicy: by === 'patient'
+        });
+        previousTime = current.appointment_time;
+
+        const doctorRes = await client.query('SELECT * FROM doctors WHERE doctor_id = $1', [current.doctor_id]);
+        if (!doctorRes.rows[0] || !isDoctorSlot(doctorRes.rows[0], start, end)) {
+            throw new AppointmentChangeError("That time is not one of the doctor's appointment slots. Please choose another one.", 409);
+        }
+
+        // Takes the doctor's row lock, so two changes or bookings cannot take the same slot
+        try {
+            await moveAppointmentSlot(client, {
+                appointmentId: Number(appointmentId),
+                doctorId: current.doctor_id,
+                patientId: current.patient_id,
+                start,
+                end
+            });
+        } catch (error) {
+            if (error instanceof SlotConflictError) {
+                throw new AppointmentChangeError(error.message, error.status);
+            }
+            throw error;
+        }
+
+        const updated = await client.query(
+            `UPDATE appointments
+             SET appointment_time = $2, reschedule_count = COALESCE(reschedule_count, 0) + 1
+             WHERE appointment_id = $1
+             RETURNING *`,
+            [appointmentId, start]
+        );
+        await freeBookedSlot(client, current.doctor_id, appointmentId);
+        await client.query(
+            `UPDATE doctors
+             SET booked_slots = COALESCE(booked_slots, '[]'::jsonb) || $1::jsonb
+             WHERE doctor_id = $2`,
+            [JSON.stringify([{ start: slotStart, end: slotEnd, appointment_id: Number(appointmentId), patient_id: current.patient_id }]), current.doctor_id]
+        );
+        await rescheduleAppointmentReminders(appointmentId, start, client);
+        queued = await queueNotification('appointment_changed', {
+            appointmentId,
+            payload: { change: { type: 'rescheduled', by, reason, previousTime } }
+        }, client);
+        return updated.rows[0];
+    });
+
+    const sync = await syncChange(appointment, { type: 'rescheduled', by, reason, previousTime, slotStart, slotEnd }, queued);
+    return { appointment, previousTime, ...sync };
+}
+
+// Book a slot for a patient, from the web chat or WhatsApp (see whatsapp_intake.js). With a chat
+// session the intake must be offering slots, and the session moves to 'booked'.
+// The slot is reserved in the same transaction as the appointment, so a taken slot is a 409,
+// and the reminders and confirmations are queued in it too (see outbox.js), so they survive a crash.
+async function createAppointment({ patientId, sessionId = null, doctorId, slotStart, slotEnd, holdId = null, chatSummary, symptoms, aiDiagnosisHints }) {
+    const start = new Date(slotStart);
+    const end = new Date(slotEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new AppointmentChangeError('slotStart and slotEnd must be valid times with slotEnd after slotStart', 400);
+    }
+    if (start.getTime() <= Date.now()) {
+        throw new AppointmentChangeError('That slot has already passed. Please choose another one.', 409);
+    }
+
+    let chatSession = null;
+    if (sessionId) {
+        const sessionRes = await db.query(
+            'SELECT session_data, status FROM chat_sessions WHERE session_id = $1 AND patient_id = $2',
+            [sessionId, patientId]
+        );
+        chatSession = sessionRes.rows[0];
+        if (!chatSession) {
+            throw new AppointmentChangeError('Chat session not found', 404);
+        }
+        const state = chatSession.status === 'completed' ? 'completed' : currentState(chatSession.session_data);
+        if (!canApply(state, 'appointment_booked', { appointmentId: true })) {
+            throw new AppointmentChangeError(`Cannot book an appointment while the consultation is in "${state}"`, 409, { state });
+        }
+    }
+
+    // Every complaint gathered during the chat, else what the client sent
+    const sessionSymptoms = chatSession?.session_data?.symptoms;
+    const appointmentSymptoms = Array.isArray(sessionSymptoms) && sessionSymptoms.length
+        ? sessionSymptoms.join(', ')
+        : symptoms;
+
+    const [patient, doctor] = await Promise.all([
+        db.query('SELECT * FROM patients WHERE patient_id = $1', [patientId]),
+        db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId])
+    ]);
+    if (patient.rows.length === 0) {
+        throw new AppointmentChangeError('Patient not found', 404);
+    }
+    if (doctor.rows.length === 0) {
+        throw new AppointmentChangeError('Doctor not found', 404);
+    }
+    const patientData = patient.rows[0];
+    const doctorData = doctor.rows[0];
+    // Only times the doctor offers, e.g. not a stale slot offered before their hours changed
+    if (!isDoctorSlot(doctorData, start, end)) {
+        throw new AppointmentChangeError("That time is not one of the doctor's appointment slots. Please choose another one.", 409);
+    }
+
+    // Score the intake; the priority becomes the appointment's urgency
+    const riskAssessment = computeRiskScore(buildRiskInput({
+        patient: patientData,
+        sessionData: chatSession?.session_data,
+        symptoms: appointmentSymptoms
+    }));
+
+    let queued = [];
+    let appointment;
+    try {
+        appointment = await db.transaction(async (client) => {
+            const slot = await reserveSlot(client, { doctorId, patientId, start: slotStart, end: slotEnd, holdId });
+
+            const appointmentResult = await client.query(`
+                INSERT INTO appointments (
+                    doctor_id, patient_id, appointment_time, status,
+                    chat_summary, symptoms, ai_diagnosis_hints, clinical_fields,
+                    risk_score, risk_assessment, urgency
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING appointment_id, appointment_time, risk_score, risk_assessment, urgency
+            `, [
+                doctorId, patientId, slotStart, 'scheduled', chatSummary, appointmentSymptoms, aiDiagnosisHints,
+                chatSession?.session_data?.clinicalFields ? JSON.stringify(chatSession.session_data.clinicalFields) : null,
+                riskAssessment.score, JSON.stringify(riskAssessment), riskAssessment.priority
+            ]);
+            const created = appointmentResult.rows[0];
+
+            await confirmSlot(client, slot.slot_id, created.appointment_id);
+            await completeWaitlistOnBooking(client, {
+                patientId,
+                doctorId,
+                holdId: slot.slot_id,
+                appointmentId: created.appointment_id
+            });
+
+            // Update doctor's booked_slots with this slot
+            await client.query(
+                `UPDATE doctors
+                 SET booked_slots = COALESCE(booked_slots, '[]'::jsonb) || $1::jsonb
+                 WHERE doctor_id = $2`,
+                [JSON.stringify([{ start: slotStart, end: slotEnd, appointment_id: created.appointment_id, patient_id: patientId }]), doctorId]
+            );
+
+            // The 24h / 2h reminders commit with the booking
+            await scheduleAppointmentReminders(created, client);
+
+            queued = [
+                ...await queueNotification('patient_appointment', { appointmentId: created.appointment_id }, client),
+                ...await queueNotification('doctor_appointment_enhanced', { appointmentId: created.appointment_id }, client)
+            ];
+
+            if (chatSession) {
+                const { sessionData } = applyEvent(chatSession.session_data || {}, 'appointment_booked', {
+                    appointmentId: created.appointment_id
+                });
+                await client.query(
+                    'UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2',
+                    [JSON.stringify({ ...sessionData, appointmentId: created.appointment_id }), sessionId]
+                );
+            }
+            return created;
+        });
+    } catch (error) {
+        if (error instanceof SlotConflictError) {
+            throw new AppointmentChangeError(error.message, error.status);
+        }
+        throw error;
+    }
+
+    // Book in the doctor's calendar with detailed information
+    const calendarBooking = await calendar.bookAppointment(
+        doctorData,
+        patientData.email,
+        slotStart,
+        slotEnd,
+        `Cardiology Consultation - ${patientData.name}`,
+        `Patient: ${patientData.name}
+Age: ${patientData.age}
+Mobile: ${patientData.mobile}
+Symptoms: ${appointmentSymptoms}
+Risk: ${riskAssessment.score}/${riskAssessment.maxScore} (${riskAssessment.band}, ${riskAssessment.version})
+
+Chat Summary:
+${chatSummary}
+
+AI Recommendations:
+${aiDiagnosisHints || 'Not available'}`
+    );
+
+    // Keep the event id so a reschedule or cancellation can update the invite, and the
+    // links for the confirmations
+    if (calendarBooking?.eventId) {
+        await db.query(
+            `UPDATE appointments SET calendar_event_id = $1, calendar_provider = $2, meet_link = $3, event_link = $4
+             WHERE appointment_id = $5`,
+            [calendarBooking.eventId, calendarBooking.provider, calendarBooking.meetLink || null, calendarBooking.eventLink || null, appointment.appointment_id]
+        );
+    }
+
+    // Deliver the queued confirmations now; whatever fails is retried by the outbox worker
+    let notifications = queued;
+    try {
+        notifications = await deliverNow(queued.map(row => row.outbox_id));
+    } catch (e) {
+        console.warn('Notifications failed:', e?.message || e);
+    }
+
+    return {
+        appointment,
+        doctor: doctorData,
+        calendar: calendarBooking,
+        notifications: notifications.map(describeNotification),
+        notificationsSent: notifications.some(row => row.status === 'delivered'),
+        fromChat: !!chatSession
+    };
+}
+
+module.exports = {
+    CHANGE_POLICY_HOURS,
+    AppointmentChangeError,
+    createAppointment,
+    cancelAppointment,
+    rescheduleAppointment,
+    markNoShow
+};
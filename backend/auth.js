@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const config = require('./config/config');
+const db = require('./db');
+
+const authCfg = config.auth || {};
+
+// Signing secret for session tokens; an ephemeral one only keeps development usable
+let tokenSecret = authCfg.tokenSecret || process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+    console.warn('auth.tokenSecret is not configured; using a random secret (sessions end on restart)');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const OTP_LENGTH = authCfg.otpLength || 6;
+const OTP_TTL_MINUTES = authCfg.otpTtlMinutes || 5;
+const OTP_MAX_ATTEMPTS = authCfg.otpMaxAttempts || 5;
+const OTP_RESEND_SECONDS = authCfg.otpResendSeconds || 30;
+
+const base64url = (input) => Buffer.from(input).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const hmac = (value) => base64url(crypto.createHmac('sha256', tokenSecret).update(value).digest());
+
+const hashCode = (purpose, subject, code) => hmac(`${purpose}:${subject}:${code}`);
+
+// Sign a compact "<payload>.<signature>" token
+function signToken(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${payload}.${hmac(payload)}`;
+}
+
+// Verify signature and expiry; returns the claims or null
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = hmac(payload);
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Start a server-side session and return its signed token
+async function createSession(role, subject, ttlSeconds) {
+    const sessionId = crypto.randomUUID();
+    await db.query(
+        `INSERT INTO auth_sessions (session_id, role, subject, expires_at)
+         VALUES ($1, $2, $3, NOW() + ($4 || ' seconds')::interval)`,
+        [sessionId, role, String(subject), String(ttlSeconds)]
+    );
+    return {
+        token: signToken({ sid: sessionId, role, sub: String(subject) }, ttlSeconds),
+        expiresIn: ttlSeconds
+    };
+}
+
+// Resolve a token to its claims if the session is still open
+async function resolveSession(token) {
+    const claims = verifyToken(token);
+    if (!claims?.sid) return null;
+    const result = await db.query(
+        `SELECT session_id FROM auth_sessions
+         WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [claims.sid]
+    );
+    return result.rows.length > 0 ? claims : null;
+}
+
+async function revokeSession(token) {
+    const claims = verifyToken(token);
+    if (!claims?.sid) return false;
+    await db.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE session_id = $1', [claims.sid]);
+    return true;
+}
+
+// Issue a one-time password for (purpose, subject); earlier unused codes are invalidated.
+// Returns null while the resend cooldown is running.
+async function createOtp(purpose, subject) {
+    const recent = await db.query(
+        `SELECT otp_id FROM auth_otps
+         WHERE purpose = $1 AND subject = $2 AND consumed_at IS NULL
+         AND created_at > NOW() - ($3 || ' seconds')::interval`,
+        [purpose, String(subject), String(OTP_RESEND_SECONDS)]
+    );
+    if (recent.rows.length > 0) return null;
+
+    await db.query(
+        'UPDATE auth_otps SET consumed_at = NOW() WHERE purpose = $1 AND subject = $2 AND consumed_at IS NULL',
+        [purpose, String(subject)]
+    );
+
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+    await db.query(
+        `INSERT INTO auth_otps (purpose, subject, code_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)`,
+        [purpose, String(subject), hashCode(purpose, subject, code), String(OTP_TTL_MINUTES)]
+    );
+    return code;
+}
+
+// Check a one-time password; each code can be used once and tolerates a few wrong guesses
+async function verifyOtp(purpose, subject, code) {
+    if (!code) return false;
+    const result = await db.query(
+        `UPDATE auth_otps SET attempts = attempts + 1
+         WHERE otp_id = (
+             SELECT otp_id FROM auth_otps
+             WHERE purpose = $1 AND subject = $2 AND consumed_at IS NULL AND expires_at > NOW()
+             ORDER BY created_at DESC LIMIT 1
+         )
+         RETURNING otp_id, code_hash, attempts`,
+        [purpose, String(subject)]
+    );
+    const otp = result.rows[0];
+    if (!otp || otp.attempts > OTP_MAX_ATTEMPTS) return false;
+
+    const expected = Buffer.from(otp.code_hash);
+    const actual = Buffer.from(hashCode(purpose, subject, String(code).trim()));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+    await db.query('UPDATE auth_otps SET consumed_at = NOW() WHERE otp_id = $1', [otp.otp_id]);
+    return true;
+}
+
+function getBearerToken(req) {
+    const header = req.headers?.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Middleware: require a session of the given role. When the route carries
+// `paramName`, the caller may only act on their own record.
+function requireRole(role, paramName) {
+    return async (req, res, next) => {
+        try {
+            const claims = await resolveSession(getBearerToken(req));
+            if (!claims || claims.role !== role) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (paramName && req.params[paramName] !== undefined && String(req.params[paramName]) !== claims.sub) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            req.auth = claims;
+            next();
+        } catch (error) {
+            console.error('Auth check error:', error);
+            res.status(500).json({ error: 'Authentication failed' });
+        }
+    };
+}
+
+const requireDoctor = requireRole('doctor', 'doctorId');
+const requirePatient = requireRole('patient', 'patientId');
+
+// Socket events carry the token in their payload; returns true if it belongs to doctorId
+async function isDoctorAuthorized(token, doctorId) {
+    const claims = await resolveSession(token);
+    return !!claims && claims.role === 'doctor' && claims.sub === String(doctorId);
+}
+
+// Same check for patient tokens
+async function isPatientAuthorized(token, patientId) {
+    const claims = await resolveSession(token);
+    return !!claims && claims.role === 'patient' && claims.sub === String(patientId);
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    createSession,
+    resolveSession,
+    revokeSession,
+    createOtp,
+    verifyOtp,
+    getBearerToken,
+    requireRole,
+    requireDoctor,
+    requirePatient,
+    isDoctorAuthorized,
+    isPatientAuthorized
+};
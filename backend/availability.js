@@ -0,0 +1,242 @@
+const config = require('./config/config');
+const { CLINIC_TIME_ZONE, zonedParts, zonedTimeToUtc, wallClockExists, dateKeyInZone } = require('./timezones');
+
+// Doctor working hours, kept in doctors.available_slots:
+//   {
+//     "weekly": { "monday": [{ "start": "09:00", "end": "13:00" }, { "start": "14:00", "end": "18:00" }], ... },
+//     "breaks": [{ "start": "11:00", "end": "11:15", "days": ["monday"] }],   // days optional = every day
+//     "leave": [{ "from": "2026-12-24", "to": "2026-12-26", "reason": "Conference" }],
+//     "slotMinutes": 30,
+//     "dailyCapacity": 12,                                                  // null = no limit
+//     "urgentReserve": 2                                                    // see generateSlots
+//   }
+// The original format ({ "monday": ["09:00", "17:00"], ... }) is read as the weekly hours.
+// Times and leave dates are wall-clock times in the doctor's zone (doctors.time_zone, see timezones.js).
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_SLOT_MINUTES = config.appointments?.defaultSlotDurationMinutes || 30;
+const DEFAULT_URGENT_RESERVE = config.appointments?.urgentReservePerDay || 0;
+
+const DEFAULT_AVAILABILITY = {
+    weekly: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+        .map(day => [day, [{ start: '09:00', end: '18:00' }]])),
+    breaks: [],
+    leave: [],
+    slotMinutes: DEFAULT_SLOT_MINUTES,
+    dailyCapacity: null,
+    urgentReserve: DEFAULT_URGENT_RESERVE
+};
+
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+// ["09:00", "17:00"], [["09:00", "13:00"], ...] or [{ start, end }, ...] -> [{ start, end }, ...]
+function normalizeIntervals(value) {
+    if (!Array.isArray(value)) return [];
+    if (value.length === 2 && value.every(v => typeof v === 'string')) {
+        return [{ start: value[0], end: value[1] }];
+    }
+    return value.map(v => Array.isArray(v) ? { start: v[0], end: v[1] } : { start: v?.start, end: v?.end });
+}
+
+// Stored value (either format, possibly empty) -> full availability with defaults filled in
+function normalizeAvailability(raw) {
+    const value = raw && typeof raw === 'object' ? raw : {};
+    const legacy = !value.weekly && WEEKDAYS.some(day => day in value);
+    const weeklySource = legacy ? value : value.weekly;
+
+    return {
+        weekly: weeklySource
+            ? Object.fromEntries(WEEKDAYS.filter(day => weeklySource[day]).map(day => [day, normalizeIntervals(weeklySource[day])]))
+            : DEFAULT_AVAILABILITY.weekly,
+        breaks: Array.isArray(value.breaks) ? value.breaks : [],
+        leave: Array.isArray(value.leave) ? value.leave : [],
+        slotMinutes: value.slotMinutes || DEFAULT_AVAILABILITY.slotMinutes,
+        dailyCapacity: value.dailyCapacity ?? DEFAULT_AVAILABILITY.dailyCapacity,
+        urgentReserve: value.urgentReserve ?? DEFAULT_AVAILABILITY.urgentReserve
+    };
+}
+
+function validateInterval(interval, path, errors) {
+    if (!TIME.test(interval.start || '') || !TIME.test(interval.end || '')) {
+        errors.push(`${path} needs start and end as HH:MM`);
+    } else if (toMinutes(interval.start) >= toMinutes(interval.end)) {
+        errors.push(`${path} must end after it starts`);
+    }
+}
+
+// Validate a (partial) availability update; returns a list of problems (empty when valid)
+function validateAvailability(update) {
+    const errors = [];
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return ['availability must be an object'];
+    }
+
+    if (update.weekly !== undefined) {
+        if (!update.weekly || typeof update.weekly !== 'object' || Array.isArray(update.weekly)) {
+            errors.push('weekly must map weekdays to working hours');
+        } else {
+            for (const [day, hours] of Object.entries(update.weekly)) {
+                if (!WEEKDAYS.includes(day)) {
+                    errors.push(`weekly.${day} is not a weekday`);
+                    continue;
+                }
+                if (!Array.isArray(hours)) {
+                    errors.push(`weekly.${day} must be a list of working periods`);
+                    continue;
+                }
+                normalizeIntervals(hours).forEach((interval, i) => validateInterval(interval, `weekly.${day}[${i}]`, errors));
+            }
+        }
+    }
+
+    if (update.breaks !== undefined) {
+        if (!Array.isArray(update.breaks)) {
+            errors.push('breaks must be an array');
+        } else {
+            update.breaks.forEach((b, i) => {
+                validateInterval(b || {}, `breaks[${i}]`, errors);
+                if (b?.days !== undefined && (!Array.isArray(b.days) || b.days.some(d => !WEEKDAYS.includes(d)))) {
+                    errors.push(`breaks[${i}].days must be a list of weekdays`);
+                }
+            });
+        }
+    }
+
+    if (update.leave !== undefined) {
+        if (!Array.isArray(update.leave)) {
+            errors.push('leave must be an array');
+        } else {
+            update.leave.forEach((l, i) => {
+                if (!DATE.test(l?.from || '') || (l.to !== undefined && !DATE.test(l.to))) {
+                    errors.push(`leave[${i}] needs from (and optionally to) as YYYY-MM-DD`);
+                } else if (l.to && l.to < l.from) {
+                    errors.push(`leave[${i}].to must not be before from`);
+                }
+            });
+        }
+    }
+
+    if (update.slotMinutes !== undefined &&
+        (!Number.isInteger(update.slotMinutes) || update.slotMinutes < 5 || update.slotMinutes > 240)) {
+        errors.push('slotMinutes must be a whole number between 5 and 240');
+    }
+
+    if (update.dailyCapacity !== undefined && update.dailyCapacity !== null &&
+        (!Number.isInteger(update.dailyCapacity) || update.dailyCapacity < 1)) {
+        errors.push('dailyCapacity must be a positive whole number or null');
+    }
+
+    if (update.urgentReserve !== undefined &&
+        (!Number.isInteger(update.urgentReserve) || update.urgentReserve < 0)) {
+        errors.push('urgentReserve must be a whole number of slots (0 or more)');
+    }
+
+    return errors;
+}
+
+// Apply a validated partial update to the stored value; weekly hours replace the named days only
+function mergeAvailability(stored, update) {
+    const current = normalizeAvailability(stored);
+    return {
+        weekly: update.weekly
+            ? Object.fromEntries(Object.entries({ ...current.weekly, ...update.weekly })
+                .map(([day, hours]) => [day, normalizeIntervals(hours)])
+                .filter(([, hours]) => hours.length > 0))
+            : current.weekly,
+        breaks: update.breaks ?? current.breaks,
+        leave: update.leave ?? current.leave,
+        slotMinutes: update.slotMinutes ?? current.slotMinutes,
+        dailyCapacity: update.dailyCapacity !== undefined ? update.dailyCapacity : current.dailyCapacity,
+        urgentReserve: update.urgentReserve ?? current.urgentReserve
+    };
+}
+
+const onLeave = (availability, key) =>
+    availability.leave.some(l => key >= l.from && key <= (l.to || l.from));
+
+const inBreak = (availability, weekday, startMinute, endMinute) =>
+    availability.breaks.some(b =>
+        (!b.days || b.days.includes(weekday)) &&
+        startMinute < toMinutes(b.end) && endMinute > toMinutes(b.start));
+
+// Free slots between startDate and endDate honouring working hours, breaks, leave and daily capacity,
+// with days and hours taken in `timeZone` (the doctor's). `busy` are { start, end } periods to avoid;
+// `bookings` are existing appointments ({ start }) counted against the daily capacity. The first
+// `urgentReserve` free slots of each day are kept for urgent patients and only returned with
+// `includeReserved`. Slots are UTC instants; hours skipped by a DST change yield no slots.
+function generateSlots(rawAvailability, {
+    startDate,
+    endDate,
+    busy = [],
+    bookings = [],
+    limit = 3,
+    includeReserved = false,
+    timeZone = CLINIC_TIME_ZONE
+} = {}) {
+    const availability = normalizeAvailability(rawAvailability);
+    const from = new Date(startDate);
+    const until = new Date(endDate);
+    const slotMs = availability.slotMinutes * 60000;
+
+    const bookedPerDay = {};
+    for (const booking of bookings) {
+        const key = dateKeyInZone(booking.start, timeZone);
+        bookedPerDay[key] = (bookedPerDay[key] || 0) + 1;
+    }
+
+    const slots = [];
+    // Calendar days in the doctor's zone, walked as UTC dates so no server zone is involved
+    const first = zonedParts(from, timeZone);
+    const day = new Date(Date.UTC(first.year, first.month - 1, first.day));
+    const dayFields = () => ({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() });
+
+    while (zonedTimeToUtc(dayFields(), timeZone) < until && slots.length < limit) {
+        const key = day.toISOString().slice(0, 10);
+        const weekday = WEEKDAYS[day.getUTCDay()];
+        let taken = bookedPerDay[key] || 0;
+        let reserved = includeReserved ? 0 : availability.urgentReserve;
+        const capacity = availability.dailyCapacity;
+
+        if (!onLeave(availability, key)) {
+            for (const period of availability.weekly[weekday] || []) {
+                const periodEnd = toMinutes(period.end);
+                for (let minute = toMinutes(period.start); minute + availability.slotMinutes <= periodEnd; minute += availability.slotMinutes) {
+                    if (slots.length >= limit || (capacity && taken >= capacity)) break;
+
+                    const wallClock = { ...dayFields(), hour: Math.floor(minute / 60), minute: minute % 60 };
+                    if (!wallClockExists(wallClock, timeZone)) continue;
+                    const slotStart = zonedTimeToUtc(wallClock, timeZone);
+                    const slotEnd = new Date(slotStart.getTime() + slotMs);
+                    if (slotStart < from || slotEnd > until) continue;
+                    if (inBreak(availability, weekday, minute, minute + availability.slotMinutes)) continue;
+                    if (busy.some(b => slotStart < new Date(b.end) && slotEnd > new Date(b.start))) continue;
+                    if (reserved > 0) {
+                        reserved--;
+                        taken++;
+                        continue;
+                    }
+
+                    slots.push({ start: slotStart.toISOString(), end: slotEnd.toISOString() });
+                    taken++;
+                }
+            }
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return slots;
+}
+
+module.exports = {
+    WEEKDAYS,
+    DEFAULT_AVAILABILITY,
+    normalizeAvailability,
+    validateAvailability,
+    mergeAvailability,
+    generateSlots
+};
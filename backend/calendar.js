@@ -1,141 +1,45 @@
-const { google } = require('googleapis');
-const fs = require('fs').promises;
-const path = require('path');
-const config = require('./config/config');
-
-// Normalize Google config (supports both flat and "web" format)
-const googleCfg = config.google || {};
-const clientId = googleCfg.clientId || googleCfg.web?.client_id;
-const clientSecret = googleCfg.clientSecret || googleCfg.web?.client_secret;
-const redirectUri = googleCfg.redirectUri || (Array.isArray(googleCfg.web?.redirect_uris) ? googleCfg.web.redirect_uris[0] : undefined);
-
-const oauth2Client = new google.auth.OAuth2(
-    clientId,
-    clientSecret,
-    redirectUri
-);
-
-// Prefer explicit tokens; fallback to nested tokens if provided
-const accessToken = googleCfg.accessToken || googleCfg.tokens?.access_token;
-const refreshToken = googleCfg.refreshToken || googleCfg.tokens?.refresh_token;
-if (accessToken || refreshToken) {
-    oauth2Client.setCredentials({
-        access_token: accessToken,
-        refresh_token: refreshToken
-    });
-}
-
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-// Ensure OAuth access token is valid (refresh only if a refresh_token is set)
-async function ensureAuth() {
-    try {
-        if (!refreshToken) return false; // No refresh token configured; skip refresh
-        await oauth2Client.getAccessToken();
-        return true;
-    } catch (e) {
-        console.error('OAuth token check/refresh failed:', e.message);
-        return false;
-    }
-}
-
-// Get free/busy information
-async function getFreeBusySlots(doctorEmail, startDate, endDate) {
+const { generateSlots } = require('./availability');
+const { doctorTimeZone, formatDateTime } = require('./timezones');
+const { getDoctorCalendar } = require('./calendar_providers');
+
+// Calendar operations for a doctor, on whichever calendar they use (Google, CalDAV or the local
+// calendar; see calendar_providers). `doctor` is the doctors row. Failures are reported as
+// { success: false, error } so a calendar outage never blocks a booking.
+
+// Free slots for a doctor: their working hours minus their calendar's free/busy and `localBusy`
+// (held and booked slots from the local inventory, see slots.js); when the calendar cannot be
+// reached the schedule and local bookings alone are used. `options` ({ limit, includeReserved })
+// are passed to generateSlots.
+async function getFreeBusySlots(doctor, startDate, endDate, localBusy = [], options = {}) {
+    let busySlots = [];
     try {
-        await ensureAuth();
-        const response = await calendar.freebusy.query({
-            requestBody: {
-                timeMin: startDate.toISOString(),
-                timeMax: endDate.toISOString(),
-                items: [{ id: doctorEmail }]
-            }
-        });
-
-        const busySlots = response.data.calendars[doctorEmail]?.busy || [];
-        return generateAvailableSlots(startDate, endDate, busySlots);
-
+        const calendar = await getDoctorCalendar(doctor);
+        busySlots = await calendar.freeBusy({ start: startDate, end: endDate });
     } catch (error) {
         console.error('Free/Busy Error:', error?.message || error);
-        // Return default slots if API fails
-        return getDefaultSlots();
+        // Fall back to the doctor's schedule when the calendar fails
     }
+    return generateAvailableSlots(startDate, endDate, [...busySlots, ...localBusy], doctor, localBusy, options);
 }
 
-// Generate available appointment slots
-function generateAvailableSlots(startDate, endDate, busySlots) {
-    const slots = [];
-    const current = new Date(startDate);
-    const end = new Date(endDate);
-
-    // Working hours: 9 AM to 6 PM, weekdays only
-    while (current < end && slots.length < 10) {
-        // Skip weekends
-        if (current.getDay() === 0 || current.getDay() === 6) {
-            current.setDate(current.getDate() + 1);
-            current.setHours(9, 0, 0, 0);
-            continue;
-        }
-
-        // Check working hours
-        const hour = current.getHours();
-        if (hour >= 9 && hour < 18) {
-            const slotStart = new Date(current);
-            const slotEnd = new Date(current.getTime() + 30 * 60000); // 30-minute slots
-
-            // Check if slot conflicts with busy time
-            const isConflict = busySlots.some(busy => {
-                const busyStart = new Date(busy.start);
-                const busyEnd = new Date(busy.end);
-                return slotStart < busyEnd && slotEnd > busyStart;
-            });
-
-            if (!isConflict) {
-                slots.push({
-                    start: slotStart.toISOString(),
-                    end: slotEnd.toISOString(),
-                    display: formatSlotTime(slotStart)
-                });
-            }
-        }
-
-        // Move to next 30-minute slot
-        current.setMinutes(current.getMinutes() + 30);
-
-        // If past working hours, move to next day 9 AM
-        if (current.getHours() >= 18) {
-            current.setDate(current.getDate() + 1);
-            current.setHours(9, 0, 0, 0);
-        }
-    }
-
-    return slots.slice(0, 3); // Return top 3 slots
-}
-
-// Default slots when calendar API is not available
-function getDefaultSlots() {
-    const slots = [];
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(10, 0, 0, 0);
-
-    for (let i = 0; i < 3; i++) {
-        const slotTime = new Date(tomorrow);
-        slotTime.setHours(10 + (i * 2), 0, 0, 0);
-
-        slots.push({
-            start: slotTime.toISOString(),
-            end: new Date(slotTime.getTime() + 30 * 60000).toISOString(),
-            display: formatSlotTime(slotTime)
-        });
-    }
-
-    return slots;
+// Generate available appointment slots from the doctor's schedule (see availability.js), in the
+// doctor's time zone; `bookings` count against the doctor's daily capacity
+function generateAvailableSlots(startDate, endDate, busySlots, doctor = {}, bookings = [], options = {}) {
+    const timeZone = doctorTimeZone(doctor);
+    return generateSlots(doctor.available_slots, {
+        ...options,
+        startDate,
+        endDate,
+        busy: busySlots,
+        bookings,
+        timeZone
+    }).map(slot => ({ ...slot, timeZone, display: formatSlotTime(slot.start, timeZone) }));
 }
 
-// Format slot time for display
-function formatSlotTime(date) {
-    return date.toLocaleDateString('en-IN', {
+// Format slot time for display, with the zone name; clients show `start` in the patient's own zone
+function formatSlotTime(date, timeZone) {
+    return formatDateTime(date, {
+        timeZone,
         weekday: 'short',
         month: 'short',
         day: 'numeric',
@@ -144,52 +48,25 @@ function formatSlotTime(date) {
     });
 }
 
-// Book appointment
-async function bookAppointment(doctorEmail, patientEmail, startTime, endTime, summary, description) {
+// Book appointment; `provider` in the result is stored with the appointment so later changes go
+// to the same calendar even if the doctor switches
+async function bookAppointment(doctor, patientEmail, startTime, endTime, summary, description) {
     try {
-        await ensureAuth();
-        const event = {
-            summary: summary,
-            description: description,
-            start: {
-                dateTime: startTime,
-                timeZone: 'Asia/Kolkata'
-            },
-            end: {
-                dateTime: endTime,
-                timeZone: 'Asia/Kolkata'
-            },
-            attendees: [
-                { email: doctorEmail },
-                { email: patientEmail }
-            ],
-            reminders: {
-                useDefault: false,
-                overrides: [
-                    { method: 'email', minutes: 24 * 60 }, // 24 hours
-                    { method: 'popup', minutes: 30 }
-                ]
-            },
-            conferenceData: {
-                createRequest: {
-                    requestId: `meet-meeting-${Date.now()}`,
-                    conferenceSolutionKey: { type: 'hangoutsMeet' }
-                }
-            }
-        };
-
-        const response = await calendar.events.insert({
-            calendarId: config.google.calendarId || 'primary',
-            resource: event,
-            sendUpdates: 'all',
-            conferenceDataVersion: 1
+        const calendar = await getDoctorCalendar(doctor);
+        const event = await calendar.createEvent({
+            start: startTime,
+            end: endTime,
+            summary,
+            description,
+            attendees: [doctor.email, patientEmail].filter(Boolean)
         });
 
         return {
             success: true,
-            eventId: response.data.id,
-            eventLink: response.data.htmlLink,
-            meetLink: response.data.hangoutLink || response.data.conferenceData?.entryPoints?.find(e => e.entryPointType === 'video')?.uri || null
+            provider: calendar.name,
+            eventId: event.eventId,
+            eventLink: event.eventLink,
+            meetLink: event.meetLink
         };
 
     } catch (error) {
@@ -201,24 +78,57 @@ async function bookAppointment(doctorEmail, patientEmail, startTime, endTime, su
     }
 }
 
+// Move a booked event; attendees are told by the calendar
+async function rescheduleAppointment(doctor, eventId, startTime, endTime, provider = null) {
+    try {
+        const calendar = await getDoctorCalendar(doctor, provider);
+        const event = await calendar.updateEvent(eventId, { start: startTime, end: endTime });
+
+        return {
+            success: true,
+            eventId: event.eventId,
+            eventLink: event.eventLink
+        };
+
+    } catch (error) {
+        console.error('Reschedule Error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Delete a booked event; attendees get a cancellation from the calendar
+async function cancelAppointment(doctor, eventId, provider = null) {
+    try {
+        const calendar = await getDoctorCalendar(doctor, provider);
+        await calendar.deleteEvent(eventId);
+        return { success: true };
+
+    } catch (error) {
+        console.error('Cancel Event Error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 // Get upcoming appointments
-async function getUpcomingAppointments(doctorEmail, days = 7) {
+async function getUpcomingAppointments(doctor, days = 7) {
     try {
         const timeMin = new Date();
         const timeMax = new Date();
         timeMax.setDate(timeMax.getDate() + days);
 
-        const response = await calendar.events.list({
-            calendarId: 'primary',
-            timeMin: timeMin.toISOString(),
-            timeMax: timeMax.toISOString(),
-            singleEvents: true,
-            orderBy: 'startTime',
-            q: doctorEmail // Filter for events with doctor's email
+        const calendar = await getDoctorCalendar(doctor);
+        return await calendar.listEvents({
+            start: timeMin,
+            end: timeMax,
+            query: doctor.email // Filter for events with doctor's email
         });
 
-        return response.data.items || [];
-
     } catch (error) {
         console.error('Get Appointments Error:', error);
         return [];
@@ -228,7 +138,8 @@ async function getUpcomingAppointments(doctorEmail, days = 7) {
 module.exports = {
     getFreeBusySlots,
     bookAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
     getUpcomingAppointments,
-    generateAvailableSlots,
-    getDefaultSlots
+    generateAvailableSlots
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { formatDate, buildCalendar, parseEvents } = require('./ics');
+
+// Any CalDAV server (Nextcloud, iCloud, Fastmail, Radicale, Baikal, ...). `url` is the calendar
+// collection, e.g. https://cloud.example.com/remote.php/dav/calendars/drkumar/appointments/.
+// Events are stored as <uid>.ics in the collection; the server notifies attendees if it supports it.
+function createCalDavProvider({ url, username, password, organizer = null, timeoutMs = 15000 }) {
+    if (!url) {
+        throw new Error('caldav: url is required');
+    }
+    const base = url.endsWith('/') ? url : `${url}/`;
+    const eventUrl = (uid) => `${base}${encodeURIComponent(uid)}.ics`;
+
+    const request = (method, target, { data, headers = {} } = {}) => axios({
+        method,
+        url: target,
+        data,
+        headers,
+        timeout: timeoutMs,
+        ...(username ? { auth: { username, password: password || '' } } : {})
+    });
+
+    // calendar-query REPORT for VEVENTs overlapping the range; recurring events are expanded by the server
+    async function queryEvents(start, end) {
+        const range = `start="${formatDate(start)}" end="${formatDate(end)}"`;
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <D:getetag/>
+    <C:calendar-data><C:expand ${range}/></C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range ${range}/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+        const response = await request('REPORT', base, {
+            data: body,
+            headers: { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' }
+        });
+
+        const xml = String(response.data || '');
+        const documents = [...xml.matchAll(/<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g)]
+            .map(match => match[1]
+                .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#13;/g, '\r')
+                .replace(/&amp;/g, '&'));
+        return documents.flatMap(parseEvents);
+    }
+
+    async function freeBusy({ start, end }) {
+        const events = await queryEvents(start, end);
+        return events
+            .filter(event => event.status !== 'cancelled')
+            .map(event => ({ start: event.start.toISOString(), end: event.end.toISOString() }));
+    }
+
+    async function createEvent({ start, end, summary, description, attendees = [] }) {
+        const uid = crypto.randomUUID();
+        await request('PUT', eventUrl(uid), {
+            data: buildCalendar([{ uid, start, end, summary, description, organizer, attendees }]),
+            headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+        });
+        return { eventId: uid, eventLink: null, meetLink: null };
+    }
+
+    // Rewrite the stored event with the new times and a higher SEQUENCE so clients see the change
+    async function updateEvent(eventId, { start, end }) {
+        const current = await request('GET', eventUrl(eventId));
+        const [event] = parseEvents(current.data);
+        if (!event) {
+            throw new Error(`caldav: event ${eventId} could not be read`);
+        }
+        await request('PUT', eventUrl(eventId), {
+            data: buildCalendar([{
+                ...event,
+                uid: eventId,
+                start,
+                end,
+                organizer,
+                sequence: (event.sequence || 0) + 1
+            }]),
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                ...(current.headers?.etag ? { 'If-Match': current.headers.etag } : {})
+            }
+        });
+        return { eventId, eventLink: null };
+    }
+
+    async function deleteEvent(eventId) {
+        try {
+            await request('DELETE', eventUrl(eventId));
+        } catch (error) {
+            // Already removed from the calendar
+            if (error.response?.status === 404 || error.response?.status === 410) return;
+            throw error;
+        }
+    }
+
+    async function listEvents({ start, end, query = null }) {
+        const events = await queryEvents(start, end);
+        const needle = query ? String(query).toLowerCase() : null;
+        return events
+            .filter(event => !needle || [event.summary, event.description, ...event.attendees]
+                .some(value => String(value || '').toLowerCase().includes(needle)))
+            .sort((a, b) => a.start - b.start)
+            .map(event => ({
+                eventId: event.uid,
+                summary: event.summary,
+                description: event.description,
+                start: event.start.toISOString(),
+                end: event.end.toISOString(),
+                attendees: event.attendees,
+                eventLink: null
+            }));
+    }
+
+    return { name: 'caldav', freeBusy, createEvent, updateEvent, deleteEvent, listEvents };
+}
+
+module.exports = { createCalDavProvider };
@@ -0,0 +1,228 @@
+const { google } = require('googleapis');
+const config = require('../config/config');
+
+// Google Calendar, either through the clinic's OAuth client (config.google) or with tokens a
+// doctor granted through the in-app connect flow. Attendees are invited and updated by Google
+// itself, and each booking gets a Meet link.
+const googleCfg = config.google || {};
+const clientId = googleCfg.clientId || googleCfg.web?.client_id;
+const clientSecret = googleCfg.clientSecret || googleCfg.web?.client_secret;
+const redirectUri = googleCfg.redirectUri || (Array.isArray(googleCfg.web?.redirect_uris) ? googleCfg.web.redirect_uris[0] : undefined);
+// Where Google sends doctors back after consent: <backend>/api/doctor/calendar/google/callback
+const connectRedirectUri = googleCfg.connectRedirectUri || redirectUri;
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/calendar',
+    'https://www.googleapis.com/auth/calendar.events'
+];
+
+// Prefer explicit tokens; fallback to nested tokens if provided
+const accessToken = googleCfg.accessToken || googleCfg.tokens?.access_token;
+const refreshToken = googleCfg.refreshToken || googleCfg.tokens?.refresh_token;
+
+let clinicClient = null;
+
+function getClinicClient() {
+    if (!clinicClient) {
+        clinicClient = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+        if (accessToken || refreshToken) {
+            clinicClient.setCredentials({ access_token: accessToken, refresh_token: refreshToken });
+        }
+    }
+    return clinicClient;
+}
+
+// Client for a doctor's own tokens; `onTokens` receives refreshed tokens so they can be stored
+function getDoctorClient(tokens, onTokens = null) {
+    const client = new google.auth.OAuth2(clientId, clientSecret, connectRedirectUri);
+    client.setCredentials(tokens);
+    if (onTokens) {
+        client.on('tokens', (refreshed) => {
+            // Google only sends the refresh token on first consent; keep the one we have
+            Promise.resolve(onTokens({ ...tokens, ...refreshed, refresh_token: refreshed.refresh_token || tokens.refresh_token }))
+                .catch(error => console.error('Storing refreshed Google tokens failed:', error.message));
+        });
+    }
+    return client;
+}
+
+// Whether the clinic has Google credentials at all
+const isGoogleConfigured = () => !!(accessToken || refreshToken);
+
+// Whether doctors can connect their own Google Calendar
+const isGoogleConnectConfigured = () => !!(clientId && clientSecret && connectRedirectUri);
+
+// Ensure OAuth access token is valid (refresh only if a refresh_token is set). `onRevoked` is
+// called when Google no longer accepts the refresh token (access removed or expired).
+async function ensureAuth(auth, onRevoked = null) {
+    try {
+        if (!auth.credentials?.refresh_token) return false; // No refresh token configured; skip refresh
+        await auth.getAccessToken();
+        return true;
+    } catch (e) {
+        console.error('OAuth token check/refresh failed:', e.message);
+        if (onRevoked && e.response?.data?.error === 'invalid_grant') {
+            await onRevoked();
+        }
+        return false;
+    }
+}
+
+// Consent page for a doctor connecting their calendar; `state` comes back to the callback
+function getConnectUrl(state) {
+    const client = new google.auth.OAuth2(clientId, clientSecret, connectRedirectUri);
+    return client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent', // always issue a refresh token, also when reconnecting
+        scope: SCOPES,
+        state
+    });
+}
+
+// Exchange the callback code; the account is the primary calendar's id (its email address)
+async function exchangeCode(code) {
+    const client = new google.auth.OAuth2(clientId, clientSecret, connectRedirectUri);
+    const { tokens } = await client.getToken(code);
+    if (!tokens.refresh_token) {
+        throw new Error('Google did not grant offline access');
+    }
+    client.setCredentials(tokens);
+    let account = null;
+    try {
+        const primary = await google.calendar({ version: 'v3', auth: client }).calendarList.get({ calendarId: 'primary' });
+        account = primary.data.id || null;
+    } catch (error) {
+        console.warn('Reading the connected Google account failed:', error.message);
+    }
+    return { tokens, account };
+}
+
+// Revoke a doctor's grant at Google; failures are logged, the tokens are dropped anyway
+async function revokeTokens(tokens) {
+    try {
+        const client = new google.auth.OAuth2(clientId, clientSecret, connectRedirectUri);
+        await client.revokeToken(tokens.refresh_token || tokens.access_token);
+    } catch (error) {
+        console.warn('Revoking Google tokens failed:', error.message);
+    }
+}
+
+// `calendarId` is where events are written; free/busy is read from `freeBusyId` (by default the
+// same calendar, or the doctor's email address on the clinic calendar account). With `tokens` the
+// doctor's own account is used instead of the clinic's.
+function createGoogleCalendarProvider({
+    calendarId = 'primary',
+    freeBusyId = null,
+    timeZone = 'Asia/Kolkata',
+    tokens = null,
+    onTokens = null,
+    onRevoked = null
+} = {}) {
+    const auth = tokens ? getDoctorClient(tokens, onTokens) : getClinicClient();
+    const calendar = google.calendar({ version: 'v3', auth });
+
+    async function freeBusy({ start, end }) {
+        await ensureAuth(auth, onRevoked);
+        const id = freeBusyId || calendarId;
+        const response = await calendar.freebusy.query({
+            requestBody: {
+                timeMin: new Date(start).toISOString(),
+                timeMax: new Date(end).toISOString(),
+                items: [{ id }]
+            }
+        });
+        return response.data.calendars[id]?.busy || [];
+    }
+
+    async function createEvent({ start, end, summary, description, attendees = [] }) {
+        await ensureAuth(auth, onRevoked);
+        const response = await calendar.events.insert({
+            calendarId,
+            resource: {
+                summary,
+                description,
+                start: { dateTime: start, timeZone },
+                end: { dateTime: end, timeZone },
+                attendees: attendees.map(email => ({ email })),
+                reminders: {
+                    useDefault: false,
+                    overrides: [
+                        { method: 'email', minutes: 24 * 60 }, // 24 hours
+                        { method: 'popup', minutes: 30 }
+                    ]
+                },
+                conferenceData: {
+                    createRequest: {
+                        requestId: `meet-meeting-${Date.now()}`,
+                        conferenceSolutionKey: { type: 'hangoutsMeet' }
+                    }
+                }
+            },
+            sendUpdates: 'all',
+            conferenceDataVersion: 1
+        });
+
+        return {
+            eventId: response.data.id,
+            eventLink: response.data.htmlLink,
+            meetLink: response.data.hangoutLink || response.data.conferenceData?.entryPoints?.find(e => e.entryPointType === 'video')?.uri || null
+        };
+    }
+
+    async function updateEvent(eventId, { start, end }) {
+        await ensureAuth(auth, onRevoked);
+        const response = await calendar.events.patch({
+            calendarId,
+            eventId,
+            resource: {
+                start: { dateTime: start, timeZone },
+                end: { dateTime: end, timeZone }
+            },
+            sendUpdates: 'all'
+        });
+        return { eventId: response.data.id, eventLink: response.data.htmlLink };
+    }
+
+    async function deleteEvent(eventId) {
+        await ensureAuth(auth, onRevoked);
+        try {
+            await calendar.events.delete({ calendarId, eventId, sendUpdates: 'all' });
+        } catch (error) {
+            // Already removed from the calendar
+            if (error.code === 404 || error.code === 410) return;
+            throw error;
+        }
+    }
+
+    async function listEvents({ start, end, query = null }) {
+        await ensureAuth(auth, onRevoked);
+        const response = await calendar.events.list({
+            calendarId,
+            timeMin: new Date(start).toISOString(),
+            timeMax: new Date(end).toISOString(),
+            singleEvents: true,
+            orderBy: 'startTime',
+            ...(query ? { q: query } : {})
+        });
+        return (response.data.items || []).map(item => ({
+            eventId: item.id,
+            summary: item.summary,
+            description: item.description,
+            start: item.start?.dateTime || item.start?.date,
+            end: item.end?.dateTime || item.end?.date,
+            attendees: (item.attendees || []).map(a => a.email),
+            eventLink: item.htmlLink
+        }));
+    }
+
+    return { name: 'google', freeBusy, createEvent, updateEvent, deleteEvent, listEvents };
+}
+
+module.exports = {
+    createGoogleCalendarProvider,
+    isGoogleConfigured,
+    isGoogleConnectConfigured,
+    getConnectUrl,
+    exchangeCode,
+    revokeTokens
+};
@@ -0,0 +1,138 @@
+// Minimal iCalendar (RFC 5545) reading and writing for the CalDAV and local calendar providers.
+// Only what appointments need: single VEVENTs with start, end, summary, description, attendees.
+
+const { CLINIC_TIME_ZONE, isValidTimeZone, zonedTimeToUtc } = require('../timezones');
+
+const PRODID = '-//Doctor AI Assistant//Appointments//EN';
+
+// 2026-10-20T09:00:00.000Z -> 20261020T090000Z
+const formatDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => String(value ?? '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 74;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+        parts.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+}
+
+// { uid, start, end, summary, description, location, url, organizer, attendees: [email], sequence, status } -> VEVENT lines
+function eventLines(event) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDate(event.updatedAt || Date.now())}`,
+        `DTSTART:${formatDate(event.start)}`,
+        `DTEND:${formatDate(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+        ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+        ...(event.url ? [`URL:${event.url}`] : []),
+        ...(event.organizer ? [`ORGANIZER:mailto:${event.organizer}`] : []),
+        ...(event.attendees || []).map(email => `ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${email}`),
+        `SEQUENCE:${event.sequence || 0}`,
+        `STATUS:${(event.status || 'confirmed').toUpperCase()}`,
+        'END:VEVENT'
+    ];
+}
+
+// A VCALENDAR document for the events; `method` (e.g. 'REQUEST', 'CANCEL') for email invitations
+function buildCalendar(events, { name = null, method = null } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        ...(method ? [`METHOD:${method}`] : []),
+        ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+        ...events.flatMap(eventLines),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// DTSTART;TZID=Asia/Kolkata:20261020T090000, DTSTART:20261020T033000Z or DTSTART;VALUE=DATE:20261020
+function parseDateValue(params, value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+    const parts = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+    if (utc) {
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+    // Floating times and all-day dates are read in the clinic's zone, unknown zone names likewise
+    return zonedTimeToUtc(parts, isValidTimeZone(params.TZID) ? params.TZID : CLINIC_TIME_ZONE);
+}
+
+// VEVENTs of an iCalendar document -> [{ uid, start, end, summary, description, location, url, status, sequence, attendees }]
+function parseEvents(text) {
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            current = { attendees: [] };
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (current?.start) {
+                // DTEND is optional: a timed event without it is instantaneous, an all-day one lasts a day
+                current.end = current.end || (current.allDay
+                    ? new Date(current.start.getTime() + 24 * 3600000)
+                    : current.start);
+                delete current.allDay;
+                events.push(current);
+            }
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        const colon = line.indexOf(':');
+        if (colon < 0) continue;
+        const [name, ...paramList] = line.slice(0, colon).split(';');
+        const params = Object.fromEntries(paramList.map(p => p.split('=')));
+        const value = line.slice(colon + 1);
+
+        switch (name.toUpperCase()) {
+            case 'UID': current.uid = value; break;
+            case 'DTSTART':
+                current.start = parseDateValue(params, value);
+                current.allDay = params.VALUE === 'DATE';
+                break;
+            case 'DTEND': current.end = parseDateValue(params, value); break;
+            case 'SUMMARY': current.summary = unescapeText(value); break;
+            case 'DESCRIPTION': current.description = unescapeText(value); break;
+            case 'LOCATION': current.location = unescapeText(value); break;
+            case 'URL': current.url = value; break;
+            case 'STATUS': current.status = value.toLowerCase(); break;
+            case 'SEQUENCE': current.sequence = parseInt(value) || 0; break;
+            case 'ATTENDEE': current.attendees.push(value.replace(/^mailto:/i, '')); break;
+            default: break;
+        }
+    }
+    return events;
+}
+
+module.exports = {
+    formatDate,
+    buildCalendar,
+    parseEvents
+};
@@ -0,0 +1,238 @@
+const config = require('../config/config');
+const db = require('../db');
+const { encryptSecret, decryptSecret, encryptJson, decryptJson } = require('../secrets');
+const { doctorTimeZone } = require('../timezones');
+const { createGoogleCalendarProvider, isGoogleConfigured, isGoogleConnectConfigured, revokeTokens } = require('./google');
+const { createCalDavProvider } = require('./caldav');
+const { createLocalCalendarProvider } = require('./local');
+
+// Every calendar provider implements
+//   freeBusy({ start, end })                                     -> [{ start, end }]
+//   createEvent({ start, end, summary, description, attendees }) -> { eventId, eventLink, meetLink }
+//   updateEvent(eventId, { start, end })                         -> { eventId, eventLink }
+//   deleteEvent(eventId)                                         an event that is already gone is not an error
+//   listEvents({ start, end, query })                            -> [{ eventId, summary, description, start, end, attendees, eventLink }]
+// and throws when the calendar cannot be reached.
+//
+// Each doctor's choice is kept in doctor_calendars; without a row, a doctors.google_calendar_id
+// selects Google, otherwise config.calendar.defaultProvider, otherwise Google when the clinic has
+// Google credentials and the local calendar when it does not. A doctor who connected their own
+// Google account (google_tokens) gets their own calendar instead of one on the clinic account.
+// Tokens and CalDAV passwords are stored encrypted (see secrets.js).
+const PROVIDERS = ['google', 'caldav', 'local'];
+
+const calendarCfg = config.calendar || {};
+
+function createCalendarProvider(name, { doctor = {}, settings = {} } = {}) {
+    switch (name) {
+        case 'google': {
+            const tokens = decryptJson(settings.google_tokens);
+            if (tokens) {
+                const calendarId = settings.calendar_id || 'primary';
+                return createGoogleCalendarProvider({
+                    calendarId,
+                    freeBusyId: calendarId,
+                    timeZone: doctorTimeZone(doctor),
+                    tokens,
+                    onTokens: (refreshed) => storeGoogleTokens(doctor.doctor_id, refreshed),
+                    onRevoked: () => markGoogleRevoked(doctor.doctor_id)
+                });
+            }
+            if (settings.google_revoked_at) {
+                throw new Error('Google Calendar access was revoked; connect the calendar again in Preferences');
+            }
+            const explicitId = settings.calendar_id || doctor.google_calendar_id || null;
+            return createGoogleCalendarProvider({
+                calendarId: explicitId || config.google?.calendarId || 'primary',
+                // Without a calendar of their own, the doctor's busy times are read by email address
+                freeBusyId: explicitId || doctor.email || null,
+                timeZone: doctorTimeZone(doctor)
+            });
+        }
+        case 'caldav':
+            return createCalDavProvider({
+                url: settings.caldav_url,
+                username: settings.caldav_username,
+                password: decryptSecret(settings.caldav_password),
+                organizer: doctor.email || null
+            });
+        case 'local':
+            return createLocalCalendarProvider({
+                doctorId: doctor.doctor_id,
+                doctorName: doctor.name,
+                organizer: doctor.email || null,
+                icsDirectory: calendarCfg.icsDirectory || null
+            });
+        default:
+            throw new Error(`Unknown calendar provider: ${name}`);
+    }
+}
+
+async function getCalendarSettings(doctorId) {
+    const result = await db.query('SELECT * FROM doctor_calendars WHERE doctor_id = $1', [doctorId]);
+    return result.rows[0] || null;
+}
+
+function defaultProviderName(doctor) {
+    if (doctor.google_calendar_id) return 'google';
+    if (PROVIDERS.includes(calendarCfg.defaultProvider)) return calendarCfg.defaultProvider;
+    return isGoogleConfigured() ? 'google' : 'local';
+}
+
+// The doctor's calendar; `providerName` pins the provider an existing event was created with
+async function getDoctorCalendar(doctor, providerName = null) {
+    const settings = (await getCalendarSettings(doctor.doctor_id)) || {};
+    const name = providerName || settings.provider || defaultProviderName(doctor);
+    return createCalendarProvider(name, { doctor, settings });
+}
+
+// Validate a settings update; returns a list of problems (empty when valid)
+function validateCalendarSettings(update, current = null) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return ['calendar settings must be an object'];
+    }
+    const errors = [];
+    if (!PROVIDERS.includes(update.provider)) {
+        errors.push(`provider must be one of: ${PROVIDERS.join(', ')}`);
+    }
+    if (update.calendarId !== undefined && update.calendarId !== null && typeof update.calendarId !== 'string') {
+        errors.push('calendarId must be a string');
+    }
+    if (update.provider === 'caldav') {
+        const caldav = update.caldav || {};
+        if (!/^https?:\/\/\S+$/.test(caldav.url || '')) {
+            errors.push('caldav.url must be the http(s) URL of the calendar collection');
+        }
+        if (!caldav.username) {
+            errors.push('caldav.username is required');
+        }
+        if (!caldav.password && !current?.caldav_password) {
+            errors.push('caldav.password is required');
+        }
+    }
+    return errors;
+}
+
+// Store a validated update; a CalDAV password left out keeps the stored one, and switching
+// to another provider drops the CalDAV credentials
+async function saveCalendarSettings(doctorId, update) {
+    const caldav = update.caldav || {};
+    const result = await db.query(
+        `INSERT INTO doctor_calendars (doctor_id, provider, calendar_id, caldav_url, caldav_username, caldav_password)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (doctor_id) DO UPDATE SET
+             provider = EXCLUDED.provider,
+             calendar_id = EXCLUDED.calendar_id,
+             caldav_url = EXCLUDED.caldav_url,
+             caldav_username = EXCLUDED.caldav_username,
+             caldav_password = CASE WHEN EXCLUDED.provider = 'caldav'
+                 THEN COALESCE(EXCLUDED.caldav_password, doctor_calendars.caldav_password) END,
+             updated_at = NOW()
+         RETURNING *`,
+        [
+            doctorId,
+            update.provider,
+            update.calendarId || null,
+            update.provider === 'caldav' ? caldav.url : null,
+            update.provider === 'caldav' ? caldav.username : null,
+            update.provider === 'caldav' && caldav.password ? encryptSecret(caldav.password) : null
+        ]
+    );
+    return result.rows[0];
+}
+
+// Store the doctor's Google grant from the connect flow and switch them to their own calendar
+async function connectGoogleCalendar(doctorId, { tokens, account }) {
+    const result = await db.query(
+        `INSERT INTO doctor_calendars (doctor_id, provider, google_tokens, google_account, google_connected_at)
+         VALUES ($1, 'google', $2, $3, NOW())
+         ON CONFLICT (doctor_id) DO UPDATE SET
+             provider = 'google',
+             calendar_id = NULL,
+             caldav_url = NULL,
+             caldav_username = NULL,
+             caldav_password = NULL,
+             google_tokens = EXCLUDED.google_tokens,
+             google_account = EXCLUDED.google_account,
+             google_connected_at = NOW(),
+             google_revoked_at = NULL,
+             updated_at = NOW()
+         RETURNING *`,
+        [doctorId, encryptJson(tokens), account]
+    );
+    return result.rows[0];
+}
+
+// Refreshed access tokens replace the stored ones
+async function storeGoogleTokens(doctorId, tokens) {
+    await db.query(
+        `UPDATE doctor_calendars SET google_tokens = $2, updated_at = NOW()
+         WHERE doctor_id = $1 AND google_tokens IS NOT NULL`,
+        [doctorId, encryptJson(tokens)]
+    );
+}
+
+// Google rejected the refresh token: drop it and make the doctor reconnect
+async function markGoogleRevoked(doctorId) {
+    console.warn(`Google Calendar access for doctor ${doctorId} was revoked`);
+    await db.query(
+        `UPDATE doctor_calendars SET google_tokens = NULL, google_revoked_at = NOW(), updated_at = NOW()
+         WHERE doctor_id = $1`,
+        [doctorId]
+    );
+}
+
+// Revoke and forget the doctor's Google grant; a doctor on Google goes back to the clinic default
+async function disconnectGoogleCalendar(doctorId) {
+    const settings = await getCalendarSettings(doctorId);
+    if (!settings) return null;
+
+    const tokens = decryptJson(settings.google_tokens);
+    if (tokens) {
+        await revokeTokens(tokens);
+    }
+    if (settings.provider === 'google') {
+        await db.query('DELETE FROM doctor_calendars WHERE doctor_id = $1', [doctorId]);
+        return null;
+    }
+    const result = await db.query(
+        `UPDATE doctor_calendars
+         SET google_tokens = NULL, google_account = NULL, google_connected_at = NULL, google_revoked_at = NULL,
+             updated_at = NOW()
+         WHERE doctor_id = $1
+         RETURNING *`,
+        [doctorId]
+    );
+    return result.rows[0] || null;
+}
+
+// Settings as shown to the doctor; tokens and the CalDAV password never leave the server
+function describeCalendarSettings(doctor, settings) {
+    return {
+        provider: settings?.provider || defaultProviderName(doctor),
+        configured: !!settings,
+        calendarId: settings?.calendar_id || doctor.google_calendar_id || null,
+        caldav: settings?.provider === 'caldav'
+            ? { url: settings.caldav_url, username: settings.caldav_username, hasPassword: !!settings.caldav_password }
+            : null,
+        google: {
+            connectAvailable: isGoogleConnectConfigured(),
+            connected: !!settings?.google_tokens,
+            account: settings?.google_tokens ? settings.google_account : null,
+            connectedAt: settings?.google_tokens ? settings.google_connected_at : null,
+            revoked: !!settings?.google_revoked_at && !settings?.google_tokens
+        }
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    createCalendarProvider,
+    getCalendarSettings,
+    getDoctorCalendar,
+    validateCalendarSettings,
+    saveCalendarSettings,
+    connectGoogleCalendar,
+    disconnectGoogleCalendar,
+    describeCalendarSettings
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../db');
+const { buildCalendar } = require('./ics');
+
+// Calendar kept in the clinic's own database (calendar_events), for clinics without Google
+// Workspace or a CalDAV server. With `icsDirectory` set, doctor-<id>.ics is rewritten there after
+// every change so any calendar app can subscribe to the file.
+function createLocalCalendarProvider({ doctorId, doctorName = null, organizer = null, icsDirectory = null }) {
+    if (!doctorId) {
+        throw new Error('local calendar: doctorId is required');
+    }
+
+    async function writeIcsFile() {
+        if (!icsDirectory) return;
+        try {
+            const result = await db.query(
+                `SELECT * FROM calendar_events WHERE doctor_id = $1 AND status = 'confirmed'
+                 AND end_time > NOW() - INTERVAL '30 days'
+                 ORDER BY start_time ASC`,
+                [doctorId]
+            );
+            const ics = buildCalendar(result.rows.map(row => ({
+                uid: row.event_id,
+                start: row.start_time,
+                end: row.end_time,
+                summary: row.summary,
+                description: row.description,
+                organizer,
+                attendees: row.attendees || [],
+                sequence: row.sequence,
+                updatedAt: row.updated_at
+            })), { name: doctorName ? `Dr. ${doctorName}` : null });
+            await fs.mkdir(icsDirectory, { recursive: true });
+            await fs.writeFile(path.join(icsDirectory, `doctor-${doctorId}.ics`), ics, 'utf8');
+        } catch (error) {
+            console.warn(`Writing the ICS file for doctor ${doctorId} failed:`, error.message);
+        }
+    }
+
+    async function freeBusy({ start, end }) {
+        const result = await db.query(
+            `SELECT start_time, end_time FROM calendar_events
+             WHERE doctor_id = $1 AND status = 'confirmed' AND start_time < $3 AND end_time > $2`,
+            [doctorId, start, end]
+        );
+        return result.rows.map(row => ({ start: row.start_time, end: row.end_time }));
+    }
+
+    async function createEvent({ start, end, summary, description, attendees = [] }) {
+        const eventId = crypto.randomUUID();
+        await db.query(
+            `INSERT INTO calendar_events (event_id, doctor_id, summary, description, attendees, start_time, end_time)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [eventId, doctorId, summary, description, JSON.stringify(attendees), start, end]
+        );
+        await writeIcsFile();
+        return { eventId, eventLink: null, meetLink: null };
+    }
+
+    async function updateEvent(eventId, { start, end }) {
+        const result = await db.query(
+            `UPDATE calendar_events
+             SET start_time = $3, end_time = $4, sequence = sequence + 1, updated_at = NOW()
+             WHERE event_id = $1 AND doctor_id = $2`,
+            [eventId, doctorId, start, end]
+        );
+        if (result.rowCount === 0) {
+            throw new Error(`local calendar: event ${eventId} not found`);
+        }
+        await writeIcsFile();
+        return { eventId, eventLink: null };
+    }
+
+    // Kept as cancelled rather than removed, so a subscribed feed can tell clients it is gone
+    async function deleteEvent(eventId) {
+        await db.query(
+            `UPDATE calendar_events SET status = 'cancelled', sequence = sequence + 1, updated_at = NOW()
+             WHERE event_id = $1 AND doctor_id = $2`,
+            [eventId, doctorId]
+        );
+        await writeIcsFile();
+    }
+
+    async function listEvents({ start, end, query = null }) {
+        const result = await db.query(
+            `SELECT * FROM calendar_events
+             WHERE doctor_id = $1 AND status = 'confirmed' AND start_time < $3 AND end_time > $2
+             AND ($4::text IS NULL OR summary ILIKE '%' || $4 || '%' OR description ILIKE '%' || $4 || '%'
+                  OR attendees::text ILIKE '%' || $4 || '%')
+             ORDER BY start_time ASC`,
+            [doctorId, start, end, query]
+        );
+        return result.rows.map(row => ({
+            eventId: row.event_id,
+            summary: row.summary,
+            description: row.description,
+            start: row.start_time,
+            end: row.end_time,
+            attendees: row.attendees || [],
+            eventLink: null
+        }));
+    }
+
+    return { name: 'local', freeBusy, createEvent, updateEvent, deleteEvent, listEvents };
+}
+
+module.exports = { createLocalCalendarProvider };
@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const config = require('./config/config');
+const { isValidTimeZone } = require('./timezones');
 
 const pool = new Pool({
     user: config.database.user,
@@ -39,6 +40,21 @@ const transaction = async (callback) => {
     }
 };
 
+// Scheduling columns that were TIMESTAMP. Their values were written as the server's wall-clock
+// time, so they are read in that zone (or config.database.legacyTimeZone) when converted to UTC.
+const TIMESTAMPTZ_COLUMNS = [
+    ['appointments', 'appointment_time'], ['appointments', 'cancelled_at'],
+    ['scheduled_jobs', 'run_at'],
+    ['appointment_slots', 'start_time'], ['appointment_slots', 'end_time'], ['appointment_slots', 'hold_expires_at'],
+    ['appointment_bumps', 'slot_start'], ['appointment_bumps', 'slot_end'],
+    ['appointment_bumps', 'proposed_start'], ['appointment_bumps', 'proposed_end'], ['appointment_bumps', 'expires_at'],
+    ['waitlist_entries', 'not_before'], ['waitlist_entries', 'not_after'],
+    ['waitlist_offers', 'slot_start'], ['waitlist_offers', 'slot_end'], ['waitlist_offers', 'expires_at'],
+    ['calendar_events', 'start_time'], ['calendar_events', 'end_time']
+];
+const LEGACY_TIME_ZONE = [config.database.legacyTimeZone, Intl.DateTimeFormat().resolvedOptions().timeZone]
+    .find(isValidTimeZone) || 'UTC';
+
 // Initialize database tables if they don't exist
 const initializeDatabase = async () => {
     try {
@@ -65,11 +81,216 @@ const initializeDatabase = async () => {
             "ALTER TABLE IF EXISTS chat_sessions ADD COLUMN IF NOT EXISTS summary TEXT",
             "ALTER TABLE IF EXISTS chat_sessions ADD COLUMN IF NOT EXISTS ai_diagnosis_hints TEXT",
             "ALTER TABLE IF EXISTS chat_sessions ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active'",
+            "ALTER TABLE IF EXISTS chat_sessions ADD COLUMN IF NOT EXISTS emergency_at TIMESTAMP",
+            "ALTER TABLE IF EXISTS chat_sessions ADD COLUMN IF NOT EXISTS emergency_event JSONB",
+            // typed fields extracted from each answer
+            "ALTER TABLE IF EXISTS chat_interactions ADD COLUMN IF NOT EXISTS extracted_fields JSONB DEFAULT '{}'",
             // appointments safety columns used by code
             "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS ai_diagnosis_hints TEXT",
             "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS chat_summary TEXT",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS clinical_fields JSONB",
+            // intake risk assessment (see risk_score.js)
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS risk_score INTEGER",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS risk_assessment JSONB",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS urgency VARCHAR(10) DEFAULT 'NORMAL'",
+            // reschedule / cancellation (see appointments.js)
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS calendar_event_id VARCHAR(255)",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS reschedule_count INTEGER DEFAULT 0",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20)",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT",
             // doctors safety columns for booking flow
-            "ALTER TABLE IF EXISTS doctors ADD COLUMN IF NOT EXISTS booked_slots JSONB DEFAULT '[]'"
+            "ALTER TABLE IF EXISTS doctors ADD COLUMN IF NOT EXISTS booked_slots JSONB DEFAULT '[]'",
+            // authentication: one-time passwords and revocable sessions
+            `CREATE TABLE IF NOT EXISTS auth_otps (
+                otp_id SERIAL PRIMARY KEY,
+                purpose VARCHAR(50) NOT NULL,
+                subject VARCHAR(100) NOT NULL,
+                code_hash VARCHAR(100) NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                expires_at TIMESTAMP NOT NULL,
+                consumed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_auth_otps_subject ON auth_otps (purpose, subject)",
+            `CREATE TABLE IF NOT EXISTS auth_sessions (
+                session_id UUID PRIMARY KEY,
+                role VARCHAR(20) NOT NULL,
+                subject VARCHAR(100) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            // persistent job scheduler (see jobs.js)
+            `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                job_id SERIAL PRIMARY KEY,
+                job_type VARCHAR(50) NOT NULL,
+                job_key VARCHAR(200) NOT NULL UNIQUE,
+                payload JSONB DEFAULT '{}',
+                run_at TIMESTAMP NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                locked_at TIMESTAMP,
+                locked_by VARCHAR(100),
+                result JSONB,
+                last_error TEXT,
+                completed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (status, run_at)",
+            // local slot inventory: short holds and booked slots (see slots.js)
+            `CREATE TABLE IF NOT EXISTS appointment_slots (
+                slot_id SERIAL PRIMARY KEY,
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                patient_id INTEGER REFERENCES patients(patient_id),
+                appointment_id INTEGER REFERENCES appointments(appointment_id),
+                start_time TIMESTAMP NOT NULL,
+                end_time TIMESTAMP NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'held',
+                hold_expires_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_appointment_slots_doctor ON appointment_slots (doctor_id, start_time)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_slots_active ON appointment_slots (doctor_id, start_time) WHERE status IN ('held', 'booked')",
+            // routine bookings moved for urgent cases with patient consent (see allocation.js)
+            `CREATE TABLE IF NOT EXISTS appointment_bumps (
+                bump_id SERIAL PRIMARY KEY,
+                appointment_id INTEGER REFERENCES appointments(appointment_id),
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                patient_id INTEGER REFERENCES patients(patient_id),
+                urgent_patient_id INTEGER REFERENCES patients(patient_id),
+                slot_start TIMESTAMP NOT NULL,
+                slot_end TIMESTAMP NOT NULL,
+                proposed_start TIMESTAMP NOT NULL,
+                proposed_end TIMESTAMP NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                requested_by VARCHAR(20),
+                hold_id INTEGER,
+                failure_reason TEXT,
+                expires_at TIMESTAMP NOT NULL,
+                responded_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_appointment_bumps_patient ON appointment_bumps (patient_id, status)",
+            // per-doctor waitlist and the freed slots offered from it (see waitlist.js)
+            `CREATE TABLE IF NOT EXISTS waitlist_entries (
+                entry_id SERIAL PRIMARY KEY,
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                patient_id INTEGER REFERENCES patients(patient_id),
+                session_id VARCHAR(100),
+                urgency VARCHAR(10) DEFAULT 'NORMAL',
+                not_before TIMESTAMP,
+                not_after TIMESTAMP,
+                status VARCHAR(20) DEFAULT 'waiting',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_waitlist_entries_doctor ON waitlist_entries (doctor_id, status)",
+            `CREATE TABLE IF NOT EXISTS waitlist_offers (
+                offer_id SERIAL PRIMARY KEY,
+                entry_id INTEGER REFERENCES waitlist_entries(entry_id),
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                patient_id INTEGER REFERENCES patients(patient_id),
+                slot_id INTEGER REFERENCES appointment_slots(slot_id),
+                slot_start TIMESTAMP NOT NULL,
+                slot_end TIMESTAMP NOT NULL,
+                status VARCHAR(20) DEFAULT 'offered',
+                appointment_id INTEGER REFERENCES appointments(appointment_id),
+                expires_at TIMESTAMP NOT NULL,
+                responded_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry ON waitlist_offers (entry_id, status)",
+            // per-doctor calendar provider and the local calendar (see calendar_providers)
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS calendar_provider VARCHAR(20)",
+            `CREATE TABLE IF NOT EXISTS doctor_calendars (
+                doctor_id INTEGER PRIMARY KEY REFERENCES doctors(doctor_id),
+                provider VARCHAR(20) NOT NULL,
+                calendar_id VARCHAR(255),
+                caldav_url TEXT,
+                caldav_username VARCHAR(255),
+                caldav_password TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS calendar_events (
+                event_id VARCHAR(100) PRIMARY KEY,
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                summary TEXT,
+                description TEXT,
+                attendees JSONB DEFAULT '[]',
+                start_time TIMESTAMP NOT NULL,
+                end_time TIMESTAMP NOT NULL,
+                status VARCHAR(20) DEFAULT 'confirmed',
+                sequence INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_calendar_events_doctor ON calendar_events (doctor_id, start_time)",
+            // doctors' own Google Calendar grants, encrypted (see secrets.js)
+            "ALTER TABLE IF EXISTS doctor_calendars ADD COLUMN IF NOT EXISTS google_tokens TEXT",
+            "ALTER TABLE IF EXISTS doctor_calendars ADD COLUMN IF NOT EXISTS google_account VARCHAR(255)",
+            "ALTER TABLE IF EXISTS doctor_calendars ADD COLUMN IF NOT EXISTS google_connected_at TIMESTAMP",
+            "ALTER TABLE IF EXISTS doctor_calendars ADD COLUMN IF NOT EXISTS google_revoked_at TIMESTAMP",
+            // secret token of the doctor's appointment feed, encrypted (see appointment_ics.js)
+            "ALTER TABLE IF EXISTS doctors ADD COLUMN IF NOT EXISTS ics_feed_token TEXT",
+            // time zones: working hours in the doctor's zone, times shown in each person's (see timezones.js)
+            "ALTER TABLE IF EXISTS doctors ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64)",
+            "ALTER TABLE IF EXISTS patients ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64)",
+            `DO $$
+            DECLARE col RECORD;
+            BEGIN
+                FOR col IN
+                    SELECT table_name, column_name FROM information_schema.columns
+                    WHERE table_schema = 'public' AND data_type = 'timestamp without time zone'
+                    AND (table_name::text, column_name::text) IN (VALUES ${TIMESTAMPTZ_COLUMNS.map(([table, column]) => `('${table}', '${column}')`).join(', ')})
+                LOOP
+                    EXECUTE format('ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMPTZ USING %I AT TIME ZONE %L',
+                        col.table_name, col.column_name, col.column_name, '${LEGACY_TIME_ZONE}');
+                END LOOP;
+            END $$`,
+            // durable appointment notifications with their delivery status (see outbox.js)
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS meet_link TEXT",
+            "ALTER TABLE IF EXISTS appointments ADD COLUMN IF NOT EXISTS event_link TEXT",
+            `CREATE TABLE IF NOT EXISTS notification_outbox (
+                outbox_id SERIAL PRIMARY KEY,
+                appointment_id INTEGER REFERENCES appointments(appointment_id),
+                notification_type VARCHAR(50) NOT NULL,
+                recipient VARCHAR(20) NOT NULL,
+                payload JSONB DEFAULT '{}',
+                status VARCHAR(20) DEFAULT 'pending',
+                channel VARCHAR(20),
+                attempts INTEGER DEFAULT 0,
+                deliveries JSONB DEFAULT '[]',
+                last_error TEXT,
+                next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                locked_at TIMESTAMPTZ,
+                locked_by VARCHAR(100),
+                delivered_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox (status, next_attempt_at)",
+            "CREATE INDEX IF NOT EXISTS idx_notification_outbox_appointment ON notification_outbox (appointment_id)",
+            // URGENT doctor alerts awaiting acknowledgement, escalated to a backup (see doctor_alerts.js)
+            `CREATE TABLE IF NOT EXISTS doctor_alerts (
+                alert_id SERIAL PRIMARY KEY,
+                doctor_id INTEGER REFERENCES doctors(doctor_id),
+                source VARCHAR(50) NOT NULL,
+                appointment_id INTEGER REFERENCES appointments(appointment_id),
+                session_id VARCHAR(100),
+                subject TEXT,
+                message TEXT NOT NULL,
+                deliveries JSONB DEFAULT '[]',
+                escalated_to INTEGER REFERENCES doctors(doctor_id),
+                escalated_at TIMESTAMPTZ,
+                escalation JSONB,
+                acknowledged_at TIMESTAMPTZ,
+                acknowledged_by INTEGER REFERENCES doctors(doctor_id),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )`,
+            "CREATE INDEX IF NOT EXISTS idx_doctor_alerts_open ON doctor_alerts (doctor_id, acknowledged_at)"
         ];
 
         for (const stmt of migrations) {
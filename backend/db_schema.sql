@@ -1,4 +1,5 @@
 -- Doctor AI Assistant Database Schema
+-- Scheduling times are TIMESTAMPTZ (UTC instants); see timezones.js
 
 -- Doctors table
 CREATE TABLE doctors (
@@ -13,8 +14,10 @@ CREATE TABLE doctors (
     consultation_fee DECIMAL(10,2),
     telegram_id VARCHAR(100),
     whatsapp_number VARCHAR(15),
-    prefs JSONB DEFAULT '{"telegram": false, "whatsapp": false, "email": false}',
+    prefs JSONB DEFAULT '{"telegram": false, "whatsapp": false, "email": false}', -- channels, quiet hours, digest and backup doctor (doctor_prefs.js)
     google_calendar_id VARCHAR(200),
+    time_zone VARCHAR(64), -- IANA zone of the working hours; the clinic's when not set
+    ics_feed_token TEXT, -- appointment feed URL token, encrypted (see appointment_ics.js)
     available_slots JSONB DEFAULT '{"monday": ["09:00", "17:00"], "tuesday": ["09:00", "17:00"], "wednesday": ["09:00", "17:00"], "thursday": ["09:00", "17:00"], "friday": ["09:00", "17:00"]}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -28,6 +31,7 @@ CREATE TABLE patients (
     age INTEGER,
     mobile VARCHAR(15),
     language VARCHAR(5) DEFAULT 'en',
+    time_zone VARCHAR(64), -- IANA zone times are shown in; the clinic's when not set
     medical_history JSONB DEFAULT '{}',
     emergency_contact VARCHAR(15),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -38,11 +42,23 @@ CREATE TABLE appointments (
     appointment_id SERIAL PRIMARY KEY,
     doctor_id INTEGER REFERENCES doctors(doctor_id),
     patient_id INTEGER REFERENCES patients(patient_id),
-    appointment_time TIMESTAMP NOT NULL,
+    appointment_time TIMESTAMPTZ NOT NULL,
     status VARCHAR(20) DEFAULT 'scheduled',
     chat_summary TEXT,
     symptoms TEXT,
     ai_diagnosis_hints TEXT,
+    clinical_fields JSONB, -- merged fields extracted during intake (onset, severity, location, ...)
+    risk_score INTEGER,
+    risk_assessment JSONB, -- { version, score, band, priority, factors } from risk_score.js
+    urgency VARCHAR(10) DEFAULT 'NORMAL', -- 'NORMAL', 'HIGH', 'URGENT'
+    calendar_event_id VARCHAR(255),
+    calendar_provider VARCHAR(20), -- 'google', 'caldav', 'local': where calendar_event_id lives
+    meet_link TEXT,
+    event_link TEXT,
+    reschedule_count INTEGER DEFAULT 0,
+    cancelled_at TIMESTAMPTZ,
+    cancelled_by VARCHAR(20), -- 'patient', 'doctor'
+    cancellation_reason TEXT,
     doctor_notes TEXT,
     prescription JSONB,
     follow_up_required BOOLEAN DEFAULT FALSE,
@@ -63,12 +79,14 @@ CREATE TABLE symptom_rules (
 CREATE TABLE chat_sessions (
     session_id SERIAL PRIMARY KEY,
     patient_id INTEGER REFERENCES patients(patient_id),
-    chat_type VARCHAR(20) DEFAULT 'text', -- 'text', 'voice', 'mixed'
+    chat_type VARCHAR(20) DEFAULT 'text', -- 'text', 'voice', 'mixed', 'whatsapp'
     session_data JSONB DEFAULT '{}',
     status VARCHAR(20) DEFAULT 'active',
     summary TEXT,
     ai_diagnosis_hints TEXT,
     total_questions_asked INTEGER DEFAULT 0,
+    emergency_at TIMESTAMP,
+    emergency_event JSONB, -- red flags matched and who was alerted
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP
 );
@@ -80,10 +98,194 @@ CREATE TABLE chat_interactions (
     question TEXT NOT NULL,
     answer TEXT NOT NULL,
     question_type VARCHAR(50), -- 'symptom', 'follow_up', 'clarification'
-    ai_confidence_score DECIMAL(3,2),
+    extracted_fields JSONB DEFAULT '{}', -- { severity: { value, text, confidence }, ... }
+    ai_confidence_score DECIMAL(3,2), -- mean confidence of the extracted fields
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- One-time passwords (only a hash of the code is stored)
+CREATE TABLE auth_otps (
+    otp_id SERIAL PRIMARY KEY,
+    purpose VARCHAR(50) NOT NULL, -- 'doctor_login', ...
+    subject VARCHAR(100) NOT NULL,
+    code_hash VARCHAR(100) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auth_otps_subject ON auth_otps (purpose, subject);
+
+-- Signed session tokens reference a row here so they can be revoked
+CREATE TABLE auth_sessions (
+    session_id UUID PRIMARY KEY,
+    role VARCHAR(20) NOT NULL, -- 'doctor', 'patient'
+    subject VARCHAR(100) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scheduled jobs (appointment reminders, ...); job_key makes queueing idempotent
+CREATE TABLE scheduled_jobs (
+    job_id SERIAL PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL, -- 'appointment_reminder', ...
+    job_key VARCHAR(200) NOT NULL UNIQUE,
+    payload JSONB DEFAULT '{}',
+    run_at TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'running', 'done', 'failed', 'skipped', 'cancelled'
+    attempts INTEGER DEFAULT 0,
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(100),
+    result JSONB, -- delivery outcome per channel
+    last_error TEXT,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs (status, run_at);
+
+-- Local slot inventory; an active (held/booked) slot per doctor and start time is unique
+CREATE TABLE appointment_slots (
+    slot_id SERIAL PRIMARY KEY,
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    patient_id INTEGER REFERENCES patients(patient_id),
+    appointment_id INTEGER REFERENCES appointments(appointment_id),
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'held', -- 'held', 'booked', 'released'
+    hold_expires_at TIMESTAMPTZ, -- holds lapse after appointments.holdMinutes
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_appointment_slots_doctor ON appointment_slots (doctor_id, start_time);
+CREATE UNIQUE INDEX idx_appointment_slots_active ON appointment_slots (doctor_id, start_time) WHERE status IN ('held', 'booked');
+
+-- Requests to move a routine booking later so an urgent patient can take its slot
+CREATE TABLE appointment_bumps (
+    bump_id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(appointment_id), -- the routine booking
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    patient_id INTEGER REFERENCES patients(patient_id), -- whose consent is needed
+    urgent_patient_id INTEGER REFERENCES patients(patient_id),
+    slot_start TIMESTAMPTZ NOT NULL, -- the slot freed for the urgent patient
+    slot_end TIMESTAMPTZ NOT NULL,
+    proposed_start TIMESTAMPTZ NOT NULL, -- the later slot offered to the routine patient
+    proposed_end TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'accepted', 'declined', 'failed'
+    requested_by VARCHAR(20), -- 'system' or 'doctor'
+    hold_id INTEGER, -- appointment_slots hold for the urgent patient once accepted
+    failure_reason TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_appointment_bumps_patient ON appointment_bumps (patient_id, status);
+
+-- Per-doctor waitlist; freed slots are offered to it in urgency then join order
+CREATE TABLE waitlist_entries (
+    entry_id SERIAL PRIMARY KEY,
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    patient_id INTEGER REFERENCES patients(patient_id),
+    session_id VARCHAR(100), -- the intake that led to joining, if any
+    urgency VARCHAR(10) DEFAULT 'NORMAL', -- 'URGENT', 'HIGH', 'NORMAL'
+    not_before TIMESTAMPTZ, -- optional window the patient can attend
+    not_after TIMESTAMPTZ,
+    status VARCHAR(20) DEFAULT 'waiting', -- 'waiting', 'offered', 'booked', 'left'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_waitlist_entries_doctor ON waitlist_entries (doctor_id, status);
+
+CREATE TABLE waitlist_offers (
+    offer_id SERIAL PRIMARY KEY,
+    entry_id INTEGER REFERENCES waitlist_entries(entry_id),
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    patient_id INTEGER REFERENCES patients(patient_id),
+    slot_id INTEGER REFERENCES appointment_slots(slot_id), -- the hold the patient confirms with
+    slot_start TIMESTAMPTZ NOT NULL,
+    slot_end TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) DEFAULT 'offered', -- 'offered', 'accepted', 'declined', 'expired', 'withdrawn'
+    appointment_id INTEGER REFERENCES appointments(appointment_id),
+    expires_at TIMESTAMPTZ NOT NULL, -- confirm-by deadline
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_waitlist_offers_entry ON waitlist_offers (entry_id, status);
+
+-- Calendar each doctor uses (see calendar_providers); no row means the clinic default
+CREATE TABLE doctor_calendars (
+    doctor_id INTEGER PRIMARY KEY REFERENCES doctors(doctor_id),
+    provider VARCHAR(20) NOT NULL, -- 'google', 'caldav', 'local'
+    calendar_id VARCHAR(255), -- Google calendar id
+    caldav_url TEXT, -- CalDAV calendar collection
+    caldav_username VARCHAR(255),
+    caldav_password TEXT, -- encrypted (see secrets.js)
+    google_tokens TEXT, -- the doctor's own Google OAuth tokens, encrypted JSON
+    google_account VARCHAR(255), -- email of the connected Google account
+    google_connected_at TIMESTAMP,
+    google_revoked_at TIMESTAMP, -- Google stopped accepting the refresh token
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Events of the local calendar provider
+CREATE TABLE calendar_events (
+    event_id VARCHAR(100) PRIMARY KEY, -- also the iCalendar UID
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    summary TEXT,
+    description TEXT,
+    attendees JSONB DEFAULT '[]', -- email addresses
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) DEFAULT 'confirmed', -- 'confirmed', 'cancelled'
+    sequence INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_calendar_events_doctor ON calendar_events (doctor_id, start_time);
+
+-- Appointment notifications, queued with the change they report and delivered by outbox.js
+CREATE TABLE notification_outbox (
+    outbox_id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(appointment_id),
+    notification_type VARCHAR(50) NOT NULL, -- 'patient_appointment', 'doctor_appointment_enhanced', 'appointment_changed'
+    recipient VARCHAR(20) NOT NULL, -- 'patient', 'doctor'
+    payload JSONB DEFAULT '{}', -- e.g. { change } for appointment_changed
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'sending', 'delivered', 'failed', 'digest' (waiting for the doctor's daily digest)
+    channel VARCHAR(20), -- the channel that delivered it
+    attempts INTEGER DEFAULT 0,
+    deliveries JSONB DEFAULT '[]', -- every channel tried: { channel, success, messageId, error, at }
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- exponential backoff between attempts
+    locked_at TIMESTAMPTZ,
+    locked_by VARCHAR(100),
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_notification_outbox_due ON notification_outbox (status, next_attempt_at);
+CREATE INDEX idx_notification_outbox_appointment ON notification_outbox (appointment_id);
+
+-- URGENT alerts the doctor must acknowledge; unacknowledged ones escalate to a backup doctor (doctor_alerts.js)
+CREATE TABLE doctor_alerts (
+    alert_id SERIAL PRIMARY KEY,
+    doctor_id INTEGER REFERENCES doctors(doctor_id),
+    source VARCHAR(50) NOT NULL, -- 'emergency_alert', or the notification type of the appointment alert
+    appointment_id INTEGER REFERENCES appointments(appointment_id),
+    session_id VARCHAR(100), -- chat session of an emergency alert
+    subject TEXT,
+    message TEXT NOT NULL,
+    deliveries JSONB DEFAULT '[]',
+    escalated_to INTEGER REFERENCES doctors(doctor_id),
+    escalated_at TIMESTAMPTZ,
+    escalation JSONB, -- deliveries to the backup doctor
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_by INTEGER REFERENCES doctors(doctor_id),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_doctor_alerts_open ON doctor_alerts (doctor_id, acknowledged_at);
+
 -- Enhanced seed data
 INSERT INTO doctors (name, mobile, email, specialization, experience_years, qualification, hospital_name, consultation_fee, telegram_id, whatsapp_number, prefs) VALUES
 ('Dr. Rajesh Kumar', '+1111111111', 'musk12@gmail.com', 'Cardiology', 15, 'MD Cardiology, DM Interventional Cardiology', 'Apollo Hospital', 800.00, '@rajesh_doc', '+919876543210', 
@@ -94,9 +296,10 @@ INSERT INTO doctors (name, mobile, email, specialization, experience_years, qual
 -- Enhanced symptom rules with severity indicators
 INSERT INTO symptom_rules (symptom, follow_up_questions, severity_indicators, emergency_flags) VALUES
 ('chest pain', '[
-    "When did the chest pain start? (minutes, hours, days ago)",
-    "On a scale of 1-10, how severe is the pain?",
-    "Does the pain radiate to your arm, jaw, neck or back?",
+    {"id": "onset", "text": "When did the chest pain start? (minutes, hours, days ago)", "answerType": "duration"},
+    {"id": "severity", "text": "On a scale of 1-10, how severe is the pain?", "answerType": "scale"},
+    {"id": "radiation", "text": "Does the pain radiate to your arm, jaw, neck or back?", "answerType": "yes_no",
+     "branches": [{"when": {"equals": "yes"}, "questions": ["Is it mainly your jaw or your arm, and which side?"]}]},
     "Do you have shortness of breath along with chest pain?",
     "Any family history of heart problems?",
     "Are you experiencing sweating or nausea?",
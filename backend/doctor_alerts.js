@@ -0,0 +1,229 @@
+const config = require('./config/config');
+const db = require('./db');
+const jobs = require('./jobs');
+const { normalizePrefs } = require('./doctor_prefs');
+const { formatForPerson } = require('./timezones');
+const { sendToDoctor } = require('./notify');
+
+// Delivery of doctor alerts by priority (see doctor_prefs.js for the routing rules).
+//
+// URGENT alerts are recorded in doctor_alerts and must be acknowledged from the dashboard; one
+// still open after the doctor's escalationMinutes goes to their backup doctor (prefs.backupDoctorId,
+// else notifications.doctorAlerts.backupDoctorId), once:
+//   urgent_alert_escalation:<alertId>
+// NORMAL appointment notifications wait in the outbox as 'digest' and go out together in the
+// doctor's daily digest:
+//   doctor_digest:<doctorId>:<digest time, epoch ms>
+const alertsCfg = config.notifications?.doctorAlerts || {};
+
+// Acknowledge / intake buttons on Telegram; required here because telegram_bot.js uses this module
+async function sendTelegramActions(doctor, alert) {
+    try {
+        await require('./telegram_bot').sendAlertActions(doctor, alert);
+    } catch (error) {
+        console.error(`Telegram actions for alert ${alert.alert_id} error:`, error.message);
+    }
+}
+
+// Record an URGENT alert that was sent and queue its escalation check
+async function recordUrgentAlert({ doctor, source, appointmentId = null, sessionId = null, message, deliveries = [] }) {
+    const prefs = normalizePrefs(doctor.prefs);
+    const result = await db.query(
+        `INSERT INTO doctor_alerts (doctor_id, source, appointment_id, session_id, subject, message, deliveries)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [doctor.doctor_id, source, appointmentId, sessionId, message.subject || null, message.text, JSON.stringify(deliveries)]
+    );
+    const alert = result.rows[0];
+    if (deliveries.some(d => d.success && (d.channel || d.type) === 'telegram')) {
+        await sendTelegramActions(doctor, alert);
+    }
+    await jobs.enqueue({
+        type: 'urgent_alert_escalation',
+        key: `urgent_alert_escalation:${alert.alert_id}`,
+        runAt: new Date(Date.now() + prefs.escalationMinutes * 60000),
+        payload: { alertId: alert.alert_id }
+    });
+    return alert;
+}
+
+// The doctor, or the backup it was escalated to, acknowledges an alert; null when it is not theirs
+async function acknowledgeAlert(alertId, doctorId) {
+    const result = await db.query(
+        `UPDATE doctor_alerts
+         SET acknowledged_at = COALESCE(acknowledged_at, NOW()), acknowledged_by = COALESCE(acknowledged_by, $2)
+         WHERE alert_id = $1 AND (doctor_id = $2 OR escalated_to = $2)
+         RETURNING *`,
+        [alertId, doctorId]
+    );
+    return result.rows[0] || null;
+}
+
+// Unacknowledged alerts for the doctor, including those escalated to them
+async function listOpenAlerts(doctorId) {
+    const result = await db.query(
+        `SELECT al.*, d.name AS doctor_name
+         FROM doctor_alerts al
+         JOIN doctors d ON al.doctor_id = d.doctor_id
+         WHERE (al.doctor_id = $1 OR al.escalated_to = $1)
+         AND al.acknowledged_at IS NULL
+         AND al.created_at > NOW() - INTERVAL '7 days'
+         ORDER BY al.created_at DESC`,
+        [doctorId]
+    );
+    return result.rows;
+}
+
+async function findBackupDoctor(doctor) {
+    const backupId = normalizePrefs(doctor.prefs).backupDoctorId || alertsCfg.backupDoctorId;
+    if (!backupId || String(backupId) === String(doctor.doctor_id)) return null;
+    const result = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [backupId]);
+    return result.rows[0] || null;
+}
+
+async function runEscalation(job) {
+    const result = await db.query(
+        `SELECT al.*, row_to_json(d) AS doctor
+         FROM doctor_alerts al
+         JOIN doctors d ON al.doctor_id = d.doctor_id
+         WHERE al.alert_id = $1`,
+        [job.payload.alertId]
+    );
+    const alert = result.rows[0];
+    if (!alert) {
+        return { status: 'skipped', error: 'Alert no longer exists' };
+    }
+    if (alert.acknowledged_at) {
+        return { status: 'skipped', error: 'Alert was acknowledged' };
+    }
+    const backup = await findBackupDoctor(alert.doctor);
+    if (!backup) {
+        return { status: 'failed', error: `No backup doctor set for Dr. ${alert.doctor.name}` };
+    }
+
+    const minutes = normalizePrefs(alert.doctor.prefs).escalationMinutes;
+    const text = `🚨 ESCALATED: Dr. ${alert.doctor.name} has not acknowledged this alert within ${minutes} minutes.
+
+${alert.message}`;
+    const deliveries = await sendToDoctor(backup, {
+        subject: `🚨 ESCALATED: ${alert.subject || 'Urgent alert'}`,
+        text,
+        html: `<pre style="font-family: monospace; background-color: #fef2f2; padding: 15px; border-radius: 5px;">${text}</pre>`
+    }, { urgent: true });
+
+    await db.query(
+        'UPDATE doctor_alerts SET escalated_to = $2, escalated_at = NOW(), escalation = $3 WHERE alert_id = $1',
+        [alert.alert_id, backup.doctor_id, JSON.stringify(deliveries)]
+    );
+    const delivered = deliveries.some(d => d.success);
+    if (deliveries.some(d => d.success && d.type === 'telegram')) {
+        await sendTelegramActions(backup, alert);
+    }
+    return {
+        status: delivered ? 'done' : 'failed',
+        result: { backupDoctorId: backup.doctor_id, deliveries },
+        error: delivered ? null : 'No channel delivered the escalation',
+        retry: !delivered
+    };
+}
+
+// Queue the doctor's next digest; the key makes every NORMAL alert before it share the one job
+async function scheduleDigest(doctor, at) {
+    return jobs.enqueue({
+        type: 'doctor_digest',
+        key: `doctor_digest:${doctor.doctor_id}:${at.getTime()}`,
+        runAt: at,
+        payload: { doctorId: doctor.doctor_id }
+    });
+}
+
+const DIGEST_LABELS = {
+    doctor_appointment_enhanced: 'New appointment',
+    appointment_changed: 'Appointment changed'
+};
+
+async function runDoctorDigest(job) {
+    const doctorRes = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [job.payload.doctorId]);
+    const doctor = doctorRes.rows[0];
+    if (!doctor) {
+        return { status: 'skipped', error: 'Doctor no longer exists' };
+    }
+
+    // Claim what is waiting, so a digest running at the same time does not repeat it
+    const claimed = await db.query(
+        `UPDATE notification_outbox o
+         SET status = 'sending', attempts = o.attempts + 1, locked_at = NOW(), updated_at = NOW()
+         FROM appointments a
+         WHERE o.appointment_id = a.appointment_id AND a.doctor_id = $1
+         AND o.recipient = 'doctor' AND o.status = 'digest'
+         RETURNING o.outbox_id`,
+        [doctor.doctor_id]
+    );
+    if (claimed.rows.length === 0) {
+        return { status: 'skipped', error: 'Nothing to report' };
+    }
+    const ids = claimed.rows.map(row => row.outbox_id);
+    const items = await db.query(
+        `SELECT o.notification_type, o.payload, a.appointment_time, a.symptoms, p.name AS patient_name
+         FROM notification_outbox o
+         JOIN appointments a ON o.appointment_id = a.appointment_id
+         JOIN patients p ON a.patient_id = p.patient_id
+         WHERE o.outbox_id = ANY($1::int[])
+         ORDER BY a.appointment_time ASC`,
+        [ids]
+    );
+
+    const lines = items.rows.map(item => {
+        const change = item.payload?.change;
+        const label = change ? `Appointment ${change.type}` : DIGEST_LABELS[item.notification_type] || item.notification_type;
+        return `• ${formatForPerson(item.appointment_time, doctor, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })} - ${item.patient_name}: ${label}${item.symptoms ? ` (${item.symptoms})` : ''}`;
+    });
+    const text = `📋 Daily summary for Dr. ${doctor.name}
+
+${lines.join('\n')}
+
+Routine updates are collected here; urgent and high-priority alerts are sent as they happen.`;
+
+    const deliveries = await sendToDoctor(doctor, {
+        subject: `Daily summary - ${lines.length} update${lines.length === 1 ? '' : 's'}`,
+        text,
+        html: `<pre style="font-family: monospace; background-color: #f5f5f5; padding: 15px; border-radius: 5px;">${text}</pre>`
+    });
+    const delivered = deliveries.find(d => d.success);
+    const log = deliveries.map(d => ({
+        channel: d.type, success: !!d.success, messageId: d.messageId || null, error: d.error || null,
+        digest: true, at: new Date().toISOString()
+    }));
+
+    // Failed rows wait for the retry of this job (or the next digest); with no channel chosen they fail
+    const status = delivered ? 'delivered' : deliveries.length ? 'digest' : 'failed';
+    await db.query(
+        `UPDATE notification_outbox
+         SET status = $2, channel = $3, deliveries = deliveries || $4::jsonb, last_error = $5,
+             delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END, locked_at = NULL, updated_at = NOW()
+         WHERE outbox_id = ANY($1::int[])`,
+        [
+            ids,
+            status,
+            delivered?.type || null,
+            JSON.stringify(log),
+            delivered ? null : (log.map(d => `${d.channel}: ${d.error}`).join('; ') || 'No channel chosen in preferences')
+        ]
+    );
+    return {
+        status: delivered ? 'done' : 'failed',
+        result: { items: ids.length, deliveries },
+        error: delivered ? null : 'No channel delivered the digest',
+        retry: !delivered && deliveries.length > 0
+    };
+}
+
+jobs.registerHandler('urgent_alert_escalation', runEscalation);
+jobs.registerHandler('doctor_digest', runDoctorDigest);
+
+module.exports = {
+    recordUrgentAlert,
+    acknowledgeAlert,
+    listOpenAlerts,
+    scheduleDigest
+};
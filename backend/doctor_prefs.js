@@ -0,0 +1,160 @@
+const config = require('./config/config');
+const { doctorTimeZone, zonedParts, zonedTimeToUtc } = require('./timezones');
+
+// Doctor notification preferences, kept in doctors.prefs:
+//   {
+//     "email": true, "whatsapp": true, "telegram": false, "sms": false,   // channels the doctor wants
+//     "quietHours": { "start": "22:00", "end": "07:00" },                 // null = none
+//     "digestTime": "08:00",                                              // daily digest of NORMAL alerts
+//     "backupDoctorId": 2,                                                // URGENT alerts escalate here
+//     "escalationMinutes": 15                                             // ... when not acknowledged by then
+//   }
+// Times are wall-clock times in the doctor's zone (see timezones.js). Alerts are routed by priority:
+// URGENT goes out at once, quiet hours or not; HIGH waits for the end of quiet hours; NORMAL is
+// collected into the daily digest (see doctor_alerts.js).
+const CHANNEL_PREFS = ['email', 'whatsapp', 'telegram', 'sms'];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const alertsCfg = config.notifications?.doctorAlerts || {};
+
+const DEFAULT_PREFS = {
+    email: false,
+    whatsapp: false,
+    telegram: false,
+    sms: false,
+    quietHours: null,
+    digestTime: alertsCfg.digestTime || '08:00',
+    backupDoctorId: null,
+    escalationMinutes: alertsCfg.escalationMinutes || 15
+};
+
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+// Stored value (possibly the original { telegram, whatsapp, email }) -> full prefs with defaults
+function normalizePrefs(raw) {
+    const value = raw && typeof raw === 'object' ? raw : {};
+    return {
+        ...Object.fromEntries(CHANNEL_PREFS.map(channel => [channel, value[channel] === true])),
+        quietHours: value.quietHours?.start && value.quietHours?.end
+            ? { start: value.quietHours.start, end: value.quietHours.end }
+            : null,
+        digestTime: value.digestTime || DEFAULT_PREFS.digestTime,
+        backupDoctorId: value.backupDoctorId || null,
+        escalationMinutes: value.escalationMinutes || DEFAULT_PREFS.escalationMinutes
+    };
+}
+
+// Validate a (partial) prefs update; returns a list of problems (empty when valid)
+function validatePrefs(update) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return ['Preferences must be an object'];
+    }
+    const errors = [];
+    for (const channel of CHANNEL_PREFS) {
+        if (update[channel] !== undefined && typeof update[channel] !== 'boolean') {
+            errors.push(`${channel} must be true or false`);
+        }
+    }
+    if (update.quietHours !== undefined && update.quietHours !== null) {
+        const { start, end } = update.quietHours || {};
+        if (!TIME.test(start || '') || !TIME.test(end || '')) {
+            errors.push('quietHours needs start and end as HH:MM');
+        } else if (start === end) {
+            errors.push('quietHours must not start and end at the same time');
+        }
+    }
+    if (update.digestTime !== undefined && !TIME.test(update.digestTime || '')) {
+        errors.push('digestTime must be HH:MM');
+    }
+    if (update.backupDoctorId !== undefined && update.backupDoctorId !== null &&
+        (!Number.isInteger(update.backupDoctorId) || update.backupDoctorId < 1)) {
+        errors.push('backupDoctorId must be a doctor id or null');
+    }
+    if (update.escalationMinutes !== undefined &&
+        (!Number.isInteger(update.escalationMinutes) || update.escalationMinutes < 1 || update.escalationMinutes > 240)) {
+        errors.push('escalationMinutes must be a whole number between 1 and 240');
+    }
+    return errors;
+}
+
+// Apply a validated partial update to the stored value
+function mergePrefs(stored, update) {
+    const current = normalizePrefs(stored);
+    const merged = { ...current };
+    for (const key of Object.keys(DEFAULT_PREFS)) {
+        if (update[key] !== undefined) merged[key] = update[key];
+    }
+    return normalizePrefs(merged);
+}
+
+// Whether the doctor wants alerts on a channel the clinic has switched on
+const doctorWantsChannel = (doctor, channel) => {
+    const prefs = normalizePrefs(doctor?.prefs);
+    const clinicEnabled = channel === 'sms'
+        ? config.notifications?.enabledChannels?.sms !== false
+        : !!config.notifications?.enabledChannels?.[channel];
+    return prefs[channel] && clinicEnabled;
+};
+
+// Wall-clock minute of the day in the doctor's zone
+function minuteOfDay(doctor, at) {
+    const { hour, minute } = zonedParts(at, doctorTimeZone(doctor));
+    return hour * 60 + minute;
+}
+
+// The next UTC instant the doctor's clock reads `time` (HH:MM), after `at`
+function nextWallClock(doctor, time, at = new Date()) {
+    const timeZone = doctorTimeZone(doctor);
+    const [hour, minute] = time.split(':').map(Number);
+    const today = zonedParts(at, timeZone);
+    for (let offset = 0; offset <= 2; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const candidate = zonedTimeToUtc({
+            year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour, minute
+        }, timeZone);
+        if (candidate > at) return candidate;
+    }
+    return new Date(at.getTime() + 24 * 3600000);
+}
+
+// Quiet hours may run past midnight ("22:00"-"07:00")
+function inQuietHours(doctor, at = new Date()) {
+    const { quietHours } = normalizePrefs(doctor?.prefs);
+    if (!quietHours) return false;
+    const now = minuteOfDay(doctor, at);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// How an alert of `priority` reaches the doctor now:
+//   { action: 'send' } | { action: 'defer', until } (quiet hours) | { action: 'digest', at }
+function routeDoctorAlert(doctor, priority, at = new Date()) {
+    const prefs = normalizePrefs(doctor?.prefs);
+    if (priority === 'URGENT') {
+        return { action: 'send' };
+    }
+    if (priority === 'NORMAL') {
+        return { action: 'digest', at: nextWallClock(doctor, prefs.digestTime, at) };
+    }
+    if (inQuietHours(doctor, at)) {
+        return { action: 'defer', until: nextWallClock(doctor, prefs.quietHours.end, at) };
+    }
+    return { action: 'send' };
+}
+
+module.exports = {
+    CHANNEL_PREFS,
+    DEFAULT_PREFS,
+    normalizePrefs,
+    validatePrefs,
+    mergePrefs,
+    doctorWantsChannel,
+    nextWallClock,
+    inQuietHours,
+    routeDoctorAlert
+};
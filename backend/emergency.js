@@ -0,0 +1,205 @@
+const config = require('./config/config');
+const db = require('./db');
+const { sendNotifications, emergencyAlertMessage } = require('./notify');
+const { recordUrgentAlert } = require('./doctor_alerts');
+
+// Words that carry no meaning when matching a rule flag against a patient answer
+const FLAG_STOPWORDS = new Set(['with', 'of', 'in', 'to', 'the', 'a', 'an', 'at', 'or', 'and', 'any', 'for', 'on', 'associated']);
+
+// Negated phrases are removed before matching ("no sweating", "not crushing", "don't feel dizzy")
+const NEGATION_PATTERN = /\b(no|not|never|without|denies|deny|nope|none|\w+n't|do not|does not)\b[^,.;!?]*/gi;
+const NEGATION_WORDS = /\b(no|not|never|without|cannot|can't|unable|inability)\b/i;
+
+// Everyday words patients use for the clinical terms found in rule flags
+const FLAG_SYNONYMS = {
+    radiation: ['radiating', 'radiates', 'spreads', 'spreading', 'travels', 'goes'],
+    sweating: ['sweaty', 'perspiration', 'perspiring', 'clammy'],
+    fainting: ['fainted', 'faint', 'collapsed', 'blackout'],
+    unconsciousness: ['unconscious', 'collapsed', 'blackout'],
+    crushing: ['squeezing', 'pressing', 'heavy'],
+    swelling: ['swollen', 'puffy']
+};
+
+// Intensity words are implied by a satisfied severity threshold ("severe pain >7/10" vs "8 out of 10")
+const INTENSITY_WORDS = new Set(['severe', 'extreme', 'intense']);
+const INTENSITY_THRESHOLD = 7;
+
+// Reduce a word to a crude stem so "sweating"/"sweats" and "dizzy"/"dizziness" compare equal
+function stem(word) {
+    let value = String(word || '').toLowerCase();
+    for (let i = 0; i < 2; i++) {
+        value = value.replace(/(ness|ing|ed|es|s|e)$/, '');
+    }
+    return value.replace(/y$/, 'i');
+}
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9']+/g).filter(Boolean);
+}
+
+// Pull a 0-10 severity rating out of an answer ("9/10", "8 out of 10", or a bare "9" to a scale question)
+function extractSeverity(text, question) {
+    const value = String(text || '');
+    const explicit = value.match(/(\d{1,2}(?:\.\d)?)\s*(?:\/|out of|on)\s*10\b/i);
+    if (explicit) return parseFloat(explicit[1]);
+    if (/scale|1\s*-\s*10|out of 10/i.test(question || '')) {
+        const bare = value.match(/\b(10|\d(?:\.\d)?)\b/);
+        if (bare) return parseFloat(bare[1]);
+    }
+    return null;
+}
+
+// A flag such as "pain >8/10 with sweating" matches when every clause is present in the answer.
+// Clause words may be satisfied by the symptom name itself ("pain" for the chest pain rule),
+// "a/b" means either word, and ">N/10" compares against the reported severity.
+function matchesFlag(flag, answer, symptom, question) {
+    const flagText = String(flag || '').toLowerCase().trim();
+    if (!flagText) return false;
+
+    // Negation words in the flag itself ("cannot speak in sentences") must be matched literally
+    const answerText = NEGATION_WORDS.test(flagText)
+        ? String(answer || '')
+        : String(answer || '').replace(NEGATION_PATTERN, ' ');
+    const available = new Set([...tokenize(answerText), ...tokenize(symptom)].map(stem));
+    const severity = extractSeverity(answer, question);
+
+    const clauses = flagText.split(/\s+(?:with|and)\s+/g);
+    return clauses.every((clause) => {
+        const terms = clause.split(/\s+/g).filter(t => t && !FLAG_STOPWORDS.has(t));
+        if (terms.length === 0) return true;
+        return terms.every((term) => {
+            if (INTENSITY_WORDS.has(term) && severity !== null && severity > INTENSITY_THRESHOLD) {
+                return true;
+            }
+            const threshold = term.match(/^([<>])(\d{1,2})(?:\/10)?$/);
+            if (threshold) {
+                if (severity === null) return false;
+                const limit = parseInt(threshold[2]);
+                return threshold[1] === '>' ? severity > limit : severity < limit;
+            }
+            const alternatives = term.split('/')
+                .map(t => t.replace(/[^a-z0-9']/g, ''))
+                .filter(Boolean)
+                .flatMap(t => [t, ...(FLAG_SYNONYMS[t] || [])])
+                .map(stem);
+            return alternatives.some(alt => available.has(alt));
+        });
+    });
+}
+
+// Check a patient answer against the emergency flags and severity indicators of a symptom rule
+async function checkEmergencyFlags(answer, symptom, question) {
+    const empty = { emergencyFlags: [], severityHits: [] };
+    if (!symptom || !answer) return empty;
+    try {
+        const result = await db.query(
+            'SELECT emergency_flags, severity_indicators FROM symptom_rules WHERE symptom ILIKE $1 LIMIT 1',
+            [`%${symptom}%`]
+        );
+        const rule = result.rows[0];
+        if (!rule) return empty;
+
+        const flags = Array.isArray(rule.emergency_flags) ? rule.emergency_flags : [];
+        const indicators = Array.isArray(rule.severity_indicators) ? rule.severity_indicators : [];
+        return {
+            emergencyFlags: flags.filter(f => matchesFlag(f, answer, symptom, question)),
+            severityHits: indicators.filter(i => matchesFlag(i, answer, symptom, question))
+        };
+    } catch (error) {
+        console.error('Emergency flag check error:', error.message);
+        return empty;
+    }
+}
+
+// Message shown to the patient once the questionnaire has been stopped for an emergency
+function getEmergencyMessage() {
+    const emergencyNumber = config.chat?.emergencyNumber || '108';
+    return config.chat?.emergencyMessage ||
+        `Your answers suggest a possible medical emergency. Please stop this consultation and seek emergency care now: call ${emergencyNumber} or go to the nearest emergency department. Do not drive yourself. Our on-call cardiologist has been alerted.`;
+}
+
+// Resolve the doctor who receives emergency escalations
+async function getOnCallDoctor() {
+    const configuredId = config.notifications?.onCallDoctorId;
+    if (configuredId) {
+        const configured = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [configuredId]);
+        if (configured.rows[0]) return configured.rows[0];
+    }
+    const fallback = await db.query('SELECT * FROM doctors ORDER BY doctor_id ASC LIMIT 1');
+    return fallback.rows[0] || null;
+}
+
+// Record an emergency against the session and alert the on-call doctor (once per session)
+async function raiseEmergency({ patientId, sessionId, symptom, answer, emergencyFlags = [], severityHits = [] }) {
+    const event = {
+        symptom: symptom || null,
+        answer,
+        emergencyFlags,
+        severityHits,
+        source: emergencyFlags.length ? 'symptom_rules' : 'ai',
+        detectedAt: new Date()
+    };
+
+    // Claim the escalation; a session that already has one is not alerted twice
+    const claimed = await db.query(
+        `UPDATE chat_sessions
+         SET emergency_at = NOW(), emergency_event = $1
+         WHERE session_id = $2 AND emergency_at IS NULL
+         RETURNING session_id`,
+        [JSON.stringify(event), sessionId]
+    );
+    if (claimed.rows.length === 0) {
+        return { escalated: false, reason: 'already_escalated' };
+    }
+
+    let notifications = [];
+    let doctor = null;
+    try {
+        const [patientRes, onCall] = await Promise.all([
+            db.query('SELECT * FROM patients WHERE patient_id = $1', [patientId]),
+            getOnCallDoctor()
+        ]);
+        doctor = onCall;
+        if (doctor) {
+            const patient = patientRes.rows[0] || { patient_id: patientId, name: 'Unknown patient' };
+            const emergency = { ...event, sessionId };
+            notifications = await sendNotifications('emergency_alert', { doctor, patient, emergency });
+            // Escalates to the backup doctor unless acknowledged (see doctor_alerts.js)
+            await recordUrgentAlert({
+                doctor,
+                source: 'emergency_alert',
+                sessionId,
+                message: emergencyAlertMessage(doctor, patient, emergency),
+                deliveries: notifications
+            });
+        } else {
+            console.warn('Emergency escalation: no on-call doctor configured');
+        }
+    } catch (error) {
+        console.error('Emergency notification error:', error.message);
+    }
+
+    // Keep the delivery outcome with the recorded event
+    try {
+        await db.query(
+            'UPDATE chat_sessions SET emergency_event = emergency_event || $1 WHERE session_id = $2',
+            [JSON.stringify({ notifiedDoctorId: doctor?.doctor_id || null, notifications }), sessionId]
+        );
+    } catch (error) {
+        console.warn('Failed to record emergency notifications:', error.message);
+    }
+
+    return { escalated: true, doctorId: doctor?.doctor_id || null, notifications };
+}
+
+module.exports = {
+    stem,
+    tokenize,
+    FLAG_STOPWORDS,
+    NEGATION_PATTERN,
+    matchesFlag,
+    extractSeverity,
+    checkEmergencyFlags,
+    getEmergencyMessage,
+    raiseEmergency
+};
@@ -0,0 +1,154 @@
+const db = require('./db');
+
+// Intake conversation state machine. session_data.currentStep holds the state name.
+//
+// Each transition declares its target, an optional guard over the transition context and the
+// side effects the caller must run once the transition is persisted:
+//   offer_slots     - attach appointment slot options to the reply
+//   raise_emergency - record the emergency and alert the on-call doctor
+//   close_session   - mark the chat session completed
+const INITIAL_STATE = 'symptom_identification';
+
+const hasSymptom = (ctx) => !!ctx.currentSymptom;
+
+const TRANSITIONS = {
+    symptom_unclear: { from: ['symptom_identification'], to: 'symptom_identification' },
+    symptom_identified: { from: ['symptom_identification'], to: 'symptom_questions', guard: hasSymptom },
+    question_asked: { from: ['symptom_questions'], to: 'symptom_questions', guard: hasSymptom },
+    questions_completed: { from: ['symptom_questions'], to: 'session_summary', guard: hasSymptom },
+    summary_ready: {
+        from: ['symptom_questions', 'session_summary'],
+        to: 'booking_offer',
+        effects: ['offer_slots']
+    },
+    booking_discussed: { from: ['booking_offer'], to: 'booking_offer', effects: ['offer_slots'] },
+    appointment_booked: {
+        from: ['booking_offer'],
+        to: 'booked',
+        guard: (ctx) => !!ctx.appointmentId
+    },
+    emergency_detected: {
+        from: ['symptom_identification', 'symptom_questions', 'session_summary', 'booking_offer'],
+        to: 'emergency',
+        effects: ['raise_emergency']
+    },
+    complete: {
+        from: ['symptom_identification', 'symptom_questions', 'session_summary', 'booking_offer', 'booked', 'emergency'],
+        to: 'completed',
+        effects: ['close_session']
+    }
+};
+
+// What a client may do in each state
+const STATE_ACTIONS = {
+    symptom_identification: ['send_message', 'complete_session'],
+    symptom_questions: ['send_message', 'complete_session'],
+    session_summary: ['send_message', 'complete_session'],
+    booking_offer: ['send_message', 'book_appointment', 'complete_session'],
+    booked: ['complete_session'],
+    // Messages after an emergency only repeat the emergency guidance
+    emergency: ['send_message', 'complete_session'],
+    completed: []
+};
+
+const STATES = Object.keys(STATE_ACTIONS);
+
+class IntakeTransitionError extends Error {
+    constructor(state, event) {
+        super(`Cannot apply "${event}" in state "${state}"`);
+        this.name = 'IntakeTransitionError';
+        this.state = state;
+        this.event = event;
+    }
+}
+
+// Sessions created before the state machine may carry no step or an unknown one
+function currentState(sessionData) {
+    const step = sessionData?.currentStep;
+    return STATES.includes(step) ? step : INITIAL_STATE;
+}
+
+function allowedEvents(state, ctx = {}) {
+    return Object.entries(TRANSITIONS)
+        .filter(([, t]) => t.from.includes(state) && (!t.guard || t.guard(ctx)))
+        .map(([event]) => event);
+}
+
+function allowedActions(state) {
+    return STATE_ACTIONS[state] || [];
+}
+
+function canApply(state, event, ctx = {}) {
+    return allowedEvents(state, ctx).includes(event);
+}
+
+// Apply an event to session data; returns the updated data and the side effects to run.
+// Throws IntakeTransitionError for a transition that is not allowed from the current state.
+function applyEvent(sessionData, event, ctx = {}) {
+    const state = currentState(sessionData);
+    if (!canApply(state, event, ctx)) {
+        throw new IntakeTransitionError(state, event);
+    }
+    const transition = TRANSITIONS[event];
+    return {
+        state: transition.to,
+        effects: transition.effects || [],
+        sessionData: { ...sessionData, currentStep: transition.to, stateChangedAt: new Date() }
+    };
+}
+
+// Map a consultation reply (deterministic or model-produced) onto the event it represents
+function eventForReply(state, reply) {
+    if (reply?.isEmergency) return 'emergency_detected';
+    switch (reply?.nextStep) {
+        case 'symptom_identification':
+            return 'symptom_unclear';
+        case 'symptom_questions':
+            return state === 'symptom_identification' ? 'symptom_identified' : 'question_asked';
+        case 'session_summary':
+            return 'questions_completed';
+        case 'booking_offer':
+            return state === 'booking_offer' ? 'booking_discussed' : 'summary_ready';
+        case 'complete':
+            // Only the patient closes a session (POST /chat/complete); the model may just wrap up the offer
+            return state === 'booking_offer' ? 'booking_discussed' : null;
+        default:
+            return null;
+    }
+}
+
+// Load a session's state and what may happen next
+async function getSessionState(sessionId, patientId) {
+    const result = await db.query(
+        'SELECT session_id, status, session_data FROM chat_sessions WHERE session_id = $1 AND patient_id = $2',
+        [sessionId, patientId]
+    );
+    const session = result.rows[0];
+    if (!session) return null;
+
+    const sessionData = session.session_data || {};
+    const state = session.status === 'completed' ? 'completed' : currentState(sessionData);
+    return {
+        sessionId: session.session_id,
+        status: session.status,
+        state,
+        currentSymptom: sessionData.currentSymptom || null,
+        questionsAskedForCurrentSymptom: sessionData.questionsAskedForCurrentSymptom || 0,
+        events: allowedEvents(state, sessionData),
+        actions: allowedActions(state)
+    };
+}
+
+module.exports = {
+    INITIAL_STATE,
+    STATES,
+    TRANSITIONS,
+    IntakeTransitionError,
+    currentState,
+    allowedEvents,
+    allowedActions,
+    canApply,
+    applyEvent,
+    eventForReply,
+    getSessionState
+};
@@ -0,0 +1,173 @@
+const os = require('os');
+const config = require('./config/config');
+const db = require('./db');
+const metrics = require('./metrics');
+
+// Persistent in-process job scheduler backed by the scheduled_jobs table.
+//
+// Jobs are keyed (job_key is unique) so queueing the same job twice is a no-op, and a worker
+// claims due jobs with FOR UPDATE SKIP LOCKED so several processes never run the same one.
+// Statuses: pending -> running -> done | failed | skipped, or cancelled while still pending.
+// A job left 'running' by a process that died is never re-run, since it may already have been
+// delivered; it is marked failed as interrupted so the outcome is still visible.
+const jobsCfg = config.jobs || {};
+const POLL_INTERVAL_MS = jobsCfg.pollIntervalMs || 30000;
+const BATCH_SIZE = jobsCfg.batchSize || 10;
+const MAX_ATTEMPTS = jobsCfg.maxAttempts || 3;
+const RETRY_DELAY_SECONDS = jobsCfg.retryDelaySeconds || 300;
+const LEASE_SECONDS = jobsCfg.leaseSeconds || 600;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+let timer = null;
+let polling = false;
+
+// A handler receives the job row and returns { status: 'done' | 'failed' | 'skipped', result, error }.
+// 'failed' is retried (up to jobs.maxAttempts) only when the handler sets retry: true.
+function registerHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+// Queue a job; an existing job with the same key is left as it is, unless it was cancelled
+// before it ran, in which case it is queued again (e.g. an appointment moved back to a time it
+// had before). `executor` may be a transaction client so the job commits together with the
+// change that caused it.
+async function enqueue({ type, key, runAt, payload = {} }, executor = db) {
+    const result = await executor.query(
+        `INSERT INTO scheduled_jobs (job_type, job_key, run_at, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (job_key) DO UPDATE
+         SET status = 'pending', run_at = EXCLUDED.run_at, payload = EXCLUDED.payload, attempts = 0,
+             result = NULL, last_error = NULL, completed_at = NULL, updated_at = NOW()
+         WHERE scheduled_jobs.status = 'cancelled'
+         RETURNING *`,
+        [type, key, runAt, JSON.stringify(payload)]
+    );
+    return result.rows[0] || null;
+}
+
+// Cancel pending jobs whose key starts with `keyPrefix`; returns how many were cancelled
+async function cancel(keyPrefix, reason = 'cancelled', executor = db) {
+    const result = await executor.query(
+        `UPDATE scheduled_jobs
+         SET status = 'cancelled', last_error = $2, completed_at = NOW(), updated_at = NOW()
+         WHERE job_key LIKE $1 AND status = 'pending'`,
+        [`${keyPrefix}%`, reason]
+    );
+    return result.rowCount;
+}
+
+async function listJobs(keyPrefix) {
+    const result = await db.query(
+        'SELECT * FROM scheduled_jobs WHERE job_key LIKE $1 ORDER BY run_at ASC',
+        [`${keyPrefix}%`]
+    );
+    return result.rows;
+}
+
+// Jobs whose worker disappeared mid-run: the outcome is unknown, so do not send again
+async function failInterruptedJobs() {
+    const result = await db.query(
+        `UPDATE scheduled_jobs
+         SET status = 'failed', last_error = 'Interrupted before the outcome was recorded',
+             completed_at = NOW(), updated_at = NOW()
+         WHERE status = 'running' AND locked_at < NOW() - ($1 || ' seconds')::interval`,
+        [String(LEASE_SECONDS)]
+    );
+    if (result.rowCount > 0) {
+        console.warn(`Marked ${result.rowCount} interrupted job(s) as failed`);
+        metrics.increment('jobs_interrupted', {}, result.rowCount);
+    }
+}
+
+async function claimDueJobs() {
+    const result = await db.query(
+        `UPDATE scheduled_jobs
+         SET status = 'running', locked_at = NOW(), locked_by = $1, attempts = attempts + 1, updated_at = NOW()
+         WHERE job_id IN (
+             SELECT job_id FROM scheduled_jobs
+             WHERE status = 'pending' AND run_at <= NOW()
+             ORDER BY run_at ASC
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [WORKER_ID, BATCH_SIZE]
+    );
+    return result.rows;
+}
+
+async function finishJob(job, outcome) {
+    const retry = outcome.status === 'failed' && outcome.retry && job.attempts < MAX_ATTEMPTS;
+    await db.query(
+        `UPDATE scheduled_jobs
+         SET status = $2, result = $3, last_error = $4, locked_at = NULL, locked_by = NULL, updated_at = NOW(),
+             run_at = CASE WHEN $2 = 'pending' THEN NOW() + ($5 || ' seconds')::interval ELSE run_at END,
+             completed_at = CASE WHEN $2 = 'pending' THEN NULL ELSE NOW() END
+         WHERE job_id = $1`,
+        [
+            job.job_id,
+            retry ? 'pending' : outcome.status,
+            outcome.result === undefined ? null : JSON.stringify(outcome.result),
+            outcome.error || null,
+            String(RETRY_DELAY_SECONDS * job.attempts)
+        ]
+    );
+    metrics.increment('jobs_finished', { type: job.job_type, status: retry ? 'retry' : outcome.status });
+}
+
+async function runJob(job) {
+    const handler = handlers[job.job_type];
+    if (!handler) {
+        await finishJob(job, { status: 'failed', error: `No handler for job type "${job.job_type}"` });
+        return;
+    }
+    let outcome;
+    try {
+        outcome = await handler(job);
+    } catch (error) {
+        console.error(`Job ${job.job_id} (${job.job_type}) error:`, error);
+        outcome = { status: 'failed', error: error.message, retry: true };
+    }
+    await finishJob(job, outcome || { status: 'done' });
+}
+
+// Run everything that is due; overlapping polls are skipped
+async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+        await failInterruptedJobs();
+        const jobs = await claimDueJobs();
+        for (const job of jobs) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Job poll error:', error);
+    } finally {
+        polling = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+    poll();
+    console.log(`⏰ Job scheduler polling every ${Math.round(POLL_INTERVAL_MS / 1000)}s`);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    cancel,
+    listJobs,
+    poll,
+    start,
+    stop
+};
@@ -1,9 +1,18 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config/config');
 const db = require('./db');
-const { getFreeBusySlots, getDefaultSlots } = require('./calendar');
+const { allocateSlots, requestBump } = require('./allocation');
+const { computeRiskScore, buildRiskInput } = require('./risk_score');
+const { checkEmergencyFlags, getEmergencyMessage } = require('./emergency');
+const { complete } = require('./llm_providers');
+const { completeStructured, CONSULTATION_SCHEMA, DIAGNOSIS_SCHEMA } = require('./llm_output');
+const { currentState, applyEvent, eventForReply, allowedActions } = require('./intake_state');
+const metrics = require('./metrics');
+const { detectSymptoms, buildQuestionPlan } = require('./symptoms');
+const { nextQuestion, findQuestion, parseAnswer } = require('./question_engine');
+const { extractAnswerFields, mergeClinicalFields } = require('./answer_extraction');
+const { doctorTimeZone, formatForPerson } = require('./timezones');
 
 // Load prompts from external files
 async function loadPrompt(promptName) {
@@ -47,60 +56,143 @@ async function getAIResponse(message, sessionData, patientId, chatType = 'text')
             }
         }
         
-        const currentStep = sessionData.currentStep || 'symptom_identification';
+        const currentStep = currentState(sessionData);
         const currentSymptom = sessionData.currentSymptom || null;
         const questionsAskedForCurrentSymptom = sessionData.questionsAskedForCurrentSymptom || 0;
         const allPatientAnswers = sessionData.allPatientAnswers || [];
+        const maxPerSymptom = config.ai.maxQuestionsPerSymptom || 3;
+
+        // Every presenting complaint, the ones still waiting for questions, and the
+        // de-duplicated follow-up questions planned for each of them
+        let presentingSymptoms = Array.isArray(sessionData.symptoms) ? sessionData.symptoms : (currentSymptom ? [currentSymptom] : []);
+        let symptomQueue = Array.isArray(sessionData.symptomQueue) ? sessionData.symptomQueue : [];
+        let questionPlan = sessionData.questionPlan || {};
+        // Parsed answers per symptom and question id, used to walk branching question trees
+        let questionAnswers = sessionData.questionAnswers || {};
+        const questionLimit = { maxTopLevel: maxPerSymptom };
+        
+        // A session stopped for an emergency does not resume the questionnaire
+        if (currentStep === 'emergency') {
+            return {
+                message: getEmergencyMessage(),
+                type: 'emergency',
+                nextStep: 'emergency',
+                state: 'emergency',
+                actions: allowedActions('emergency'),
+                effects: [],
+                currentSymptom,
+                isEmergency: true,
+                allQuestionsCompleted: false
+            };
+        }
         
         // Content filtering and spell check
         const filteredMessage = await filterAndSpellCheck(message);
 
-        // Get ALL questions for current symptom from database
+        // Screen the answer against the red flags of the symptom being discussed
+        // (or of every symptom just described, when none has been identified yet)
+        const isIdentifying = currentStep === 'symptom_identification' || !currentSymptom;
+        const detectedSymptoms = isIdentifying ? await detectSymptoms(filteredMessage) : [];
+        const screenedSymptoms = isIdentifying ? detectedSymptoms : [currentSymptom];
+        const screening = await Promise.all(
+            screenedSymptoms.map(symptom => checkEmergencyFlags(filteredMessage, symptom, sessionData.lastQuestion))
+        );
+        const emergencyFlags = [...new Set(screening.flatMap(r => r.emergencyFlags))];
+        const severityHits = [...new Set(screening.flatMap(r => r.severityHits))];
+        const screenedSymptom = screenedSymptoms[screening.findIndex(r => r.emergencyFlags.length > 0)] || screenedSymptoms[0] || null;
+
+        // Planned questions for the current symptom (sessions started before planning get one now)
         let symptomQuestions = [];
+        let askedQuestion = null;
         if (currentStep === 'symptom_questions' && currentSymptom) {
-            const symptomResult = await db.query(
-                'SELECT follow_up_questions FROM symptom_rules WHERE symptom ILIKE $1 LIMIT 1',
-                [`%${currentSymptom}%`]
-            );
-            symptomQuestions = symptomResult.rows[0]?.follow_up_questions || [];
+            if (!questionPlan[currentSymptom]) {
+                const askedBefore = allPatientAnswers.map(qa => qa.question);
+                questionPlan = {
+                    ...questionPlan,
+                    ...(await buildQuestionPlan([currentSymptom], getSymptomQuestions, askedBefore))
+                };
+            }
+            symptomQuestions = questionPlan[currentSymptom];
+
+            // Record the answer to the question just asked so branches and skips can use it
+            askedQuestion = findQuestion(symptomQuestions, sessionData.lastQuestionId);
+            if (askedQuestion) {
+                questionAnswers = {
+                    ...questionAnswers,
+                    [currentSymptom]: {
+                        ...(questionAnswers[currentSymptom] || {}),
+                        [askedQuestion.id]: parseAnswer(askedQuestion.answerType, filteredMessage)
+                    }
+                };
+            }
         }
+        const upcomingQuestion = currentStep === 'symptom_questions' && currentSymptom
+            ? nextQuestion(symptomQuestions, questionAnswers[currentSymptom] || {}, questionLimit)
+            : null;
 
         // Determine the next single question to ask (default)
         let nextSymptomQuestion = '';
         if (currentStep === 'symptom_questions') {
-            // Cap by config.ai.maxQuestionsPerSymptom or available list
-            const maxQ = Math.min(config.ai.maxQuestionsPerSymptom || 3, symptomQuestions.length || 3);
-            const idx = Math.min((questionsAskedForCurrentSymptom || 0), maxQ - 1);
-            nextSymptomQuestion = symptomQuestions[idx] || symptomQuestions[0] || 'Can you tell me more about your main symptom?';
+            nextSymptomQuestion = upcomingQuestion?.text || 'Can you tell me more about your main symptom?';
         }
 
         // Deterministic control to prevent loops and ensure symptom selection from rules
         let aiResponse = null;
-        if (currentStep === 'symptom_identification' || !currentSymptom) {
-            const detected = await detectMainSymptom(filteredMessage);
-            if (detected) {
-                const followUps = await getSymptomQuestions(detected);
+        if (emergencyFlags.length > 0) {
+            // Red flag hit: end the questionnaire and direct the patient to emergency care
+            aiResponse = {
+                message: getEmergencyMessage(),
+                type: 'emergency',
+                nextStep: 'emergency',
+                currentSymptom: screenedSymptom,
+                isEmergency: true,
+                emergencyFlags,
+                severityHits,
+                allQuestionsCompleted: false
+            };
+        } else if (isIdentifying) {
+            if (detectedSymptoms.length > 0) {
+                // Queue every complaint; questions shared by overlapping rules are asked once
+                questionPlan = await buildQuestionPlan(detectedSymptoms, getSymptomQuestions);
+                const askable = detectedSymptoms.filter(symptom => nextQuestion(questionPlan[symptom], {}, questionLimit));
+                presentingSymptoms = detectedSymptoms;
+                if (askable.length > 0) {
+                    const first = nextQuestion(questionPlan[askable[0]], {}, questionLimit);
+                    symptomQueue = askable.slice(1);
+                    aiResponse = {
+                        message: first.text,
+                        type: 'symptom_questions',
+                        nextStep: 'symptom_questions',
+                        currentSymptom: askable[0],
+                        questionId: first.id,
+                        questionNumber: '1',
+                        allQuestionsCompleted: false
+                    };
+                }
+            }
+        } else if (currentStep === 'symptom_questions' && currentSymptom) {
+            if (upcomingQuestion) {
                 aiResponse = {
-                    message: followUps[0] || 'Can you tell me more about your main symptom?',
+                    message: upcomingQuestion.text,
                     type: 'symptom_questions',
                     nextStep: 'symptom_questions',
-                    currentSymptom: detected,
-                    questionNumber: '1',
+                    currentSymptom: currentSymptom,
+                    questionId: upcomingQuestion.id,
+                    questionNumber: String((questionsAskedForCurrentSymptom || 0) + 1),
                     allQuestionsCompleted: false
                 };
-            }
-        } else if (currentStep === 'symptom_questions' && currentSymptom) {
-            const followUps = symptomQuestions.length ? symptomQuestions : await getSymptomQuestions(currentSymptom);
-            const maxPerSymptom = config.ai.maxQuestionsPerSymptom || 3;
-            const nextIdx = (questionsAskedForCurrentSymptom || 0);
-            const completed = nextIdx >= Math.min(maxPerSymptom, followUps.length || maxPerSymptom);
-            if (!completed) {
+            } else if (symptomQueue.length > 0) {
+                // Current symptom done: move on to the next queued complaint
+                const [nextSymptom, ...remaining] = symptomQueue;
+                const first = nextQuestion(questionPlan[nextSymptom], questionAnswers[nextSymptom] || {}, questionLimit);
+                symptomQueue = remaining;
                 aiResponse = {
-                    message: followUps[nextIdx] || followUps[0] || 'Can you tell me more about your main symptom?',
+                    message: first?.text || `Can you tell me more about your ${nextSymptom}?`,
                     type: 'symptom_questions',
                     nextStep: 'symptom_questions',
-                    currentSymptom: currentSymptom,
-                    questionNumber: String(nextIdx + 1),
+                    currentSymptom: nextSymptom,
+                    questionId: first?.id || null,
+                    questionNumber: '1',
                     allQuestionsCompleted: false
                 };
             } else {
@@ -113,14 +205,15 @@ async function getAIResponse(message, sessionData, patientId, chatType = 'text')
                 }];
                 
                 // Generate summary when all questions are completed
-                const summaryText = await generateSessionSummary(allAnswersForSummary, currentSymptom, patientInfo);
-                const diagnosisSuggestions = await generateDiagnosisSuggestions(allAnswersForSummary, currentSymptom);
+                const summaryText = await generateSessionSummary(allAnswersForSummary, presentingSymptoms, patientInfo);
+                const diagnosisSuggestions = await generateDiagnosisSuggestions(allAnswersForSummary, presentingSymptoms);
                 
                 aiResponse = {
                     message: summaryText,
                     type: 'session_summary',
                     nextStep: 'booking_offer',
                     currentSymptom: currentSymptom,
+                    symptoms: presentingSymptoms,
                     questionNumber: String(questionsAskedForCurrentSymptom || maxPerSymptom),
                     allQuestionsCompleted: true,
                     sessionSummary: summaryText,
@@ -145,84 +238,114 @@ async function getAIResponse(message, sessionData, patientId, chatType = 'text')
                 .replace(/{currentSymptom}/g, currentSymptom || 'None')
                 .replace(/{questionsAskedForCurrentSymptom}/g, questionsAskedForCurrentSymptom.toString())
                 .replace(/{allPatientAnswers}/g, JSON.stringify(allPatientAnswers))
-                .replace(/{symptomQuestions}/g, JSON.stringify(symptomQuestions))
+                .replace(/{symptomQuestions}/g, JSON.stringify(symptomQuestions.map(q => q.text)))
                 .replace(/{nextSymptomQuestion}/g, nextSymptomQuestion)
                 .replace(/{currentMessage}/g, filteredMessage);
 
-            const response = await axios.post(config.ai.openrouterApiUrl, {
-                model: config.ai.defaultModel,
+            aiResponse = await completeStructured({
+                task: 'consultation',
+                schema: CONSULTATION_SCHEMA,
                 messages: [{ role: "system", content: customizedPrompt }],
                 temperature: config.ai.temperature,
-                max_tokens: config.ai.maxTokens
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${config.ai.openrouterApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                maxTokens: config.ai.maxTokens
             });
 
-            const rawContent = response?.data?.choices?.[0]?.message?.content || '';
-            try {
-                aiResponse = JSON.parse(rawContent);
-            } catch (parseError) {
-                console.error('JSON Parse Error:', parseError);
-                // Try to extract JSON from code fences
-                let candidate = null;
-                const fence = rawContent.match(/```json\s*([\s\S]*?)```/i) || rawContent.match(/```\s*([\s\S]*?)```/);
-                if (fence && fence[1]) candidate = fence[1];
-                if (!candidate) {
-                    // Fallback: grab first {...} block
-                    const first = rawContent.indexOf('{');
-                    const last = rawContent.lastIndexOf('}');
-                    if (first !== -1 && last !== -1 && last > first) {
-                        candidate = rawContent.slice(first, last + 1);
-                    }
-                }
-                if (candidate) {
-                    try { aiResponse = JSON.parse(candidate); } catch (_) {}
-                }
-                // Final fallback: construct deterministic single-question response
-                if (!aiResponse) {
-                    const maxPerSymptom = config.ai.maxQuestionsPerSymptom || 3;
-                    const nextQNum = Math.min((questionsAskedForCurrentSymptom || 0) + 1, maxPerSymptom);
-                    const completed = nextQNum >= maxPerSymptom || (symptomQuestions.length && nextQNum >= symptomQuestions.length);
+            // No valid reply after repair: ask the next question deterministically
+            if (!aiResponse) {
+                if (!currentSymptom) {
+                    aiResponse = {
+                        message: 'Could you describe your main symptom in a few words, for example chest pain, shortness of breath or palpitations?',
+                        type: 'symptom_identification',
+                        nextStep: 'symptom_identification',
+                        currentSymptom: null,
+                        questionNumber: '0',
+                        allQuestionsCompleted: false
+                    };
+                } else if (currentStep === 'session_summary' || currentStep === 'booking_offer') {
                     aiResponse = {
-                        message: nextSymptomQuestion,
+                        message: 'Please choose one of the appointment slots below, or tell me if you need a different time.',
+                        type: 'booking_offer',
+                        nextStep: 'booking_offer',
+                        currentSymptom,
+                        allQuestionsCompleted: true
+                    };
+                } else {
+                    aiResponse = {
+                        message: nextSymptomQuestion || 'Can you tell me more about your main symptom?',
                         type: 'symptom_questions',
-                        nextStep: completed ? 'session_summary' : 'symptom_questions',
-                        currentSymptom: currentSymptom || null,
-                        questionNumber: String(nextQNum),
-                        allQuestionsCompleted: completed
+                        nextStep: upcomingQuestion ? 'symptom_questions' : 'session_summary',
+                        currentSymptom,
+                        questionId: upcomingQuestion?.id || null,
+                        questionNumber: String((questionsAskedForCurrentSymptom || 0) + 1),
+                        allQuestionsCompleted: !upcomingQuestion
                     };
                 }
             }
         }
 
+        // Advance the intake state machine; a reply proposing an illegal step leaves the state unchanged
+        const event = eventForReply(currentStep, aiResponse);
+        let transition = { state: currentStep, effects: [], sessionData };
+        try {
+            transition = applyEvent(sessionData, event, { currentSymptom: aiResponse.currentSymptom || currentSymptom });
+        } catch (error) {
+            console.warn(`Intake transition rejected: ${error.message}`);
+            metrics.increment('intake_rejected_transitions', { state: currentStep, event: event || 'unknown' });
+        }
+        aiResponse.nextStep = transition.state;
+        aiResponse.state = transition.state;
+        aiResponse.actions = allowedActions(transition.state);
+        aiResponse.effects = transition.effects;
+
+        // Typed clinical fields (onset, severity, location, ...) read from the patient's reply
+        const answeredSymptom = isIdentifying ? (detectedSymptoms[0] || aiResponse?.currentSymptom || null) : currentSymptom;
+        const extraction = extractAnswerFields(filteredMessage, {
+            question: sessionData.lastQuestion,
+            answerType: askedQuestion?.answerType
+        });
+
         // STRICT FLOW MANAGEMENT - Update session data according to exact flow
         const updatedSession = {
-            ...sessionData,
-            currentStep: aiResponse.nextStep || currentStep,
+            ...transition.sessionData,
             currentSymptom: aiResponse.currentSymptom || currentSymptom,
             questionsAskedForCurrentSymptom: aiResponse.questionNumber ? parseInt(aiResponse.questionNumber) : questionsAskedForCurrentSymptom,
             allPatientAnswers: [...allPatientAnswers, {
                 question: sessionData.lastQuestion || (aiResponse?.type === 'symptom_questions' ? 'Initial symptom question' : 'Initial symptom description'),
                 answer: filteredMessage,
                 timestamp: new Date(),
-                symptom: aiResponse?.currentSymptom || currentSymptom
+                questionId: sessionData.lastQuestionId || null,
+                // Tag the answer with the symptom that was asked about, or everything it described
+                symptom: answeredSymptom,
+                ...(isIdentifying && detectedSymptoms.length > 1 ? { symptoms: detectedSymptoms } : {}),
+                fields: extraction.fields
             }],
+            clinicalFields: mergeClinicalFields(sessionData.clinicalFields, extraction.fields, answeredSymptom),
+            symptoms: presentingSymptoms.length ? presentingSymptoms : [aiResponse.currentSymptom || currentSymptom].filter(Boolean),
+            symptomQueue,
+            questionPlan,
+            questionAnswers,
             lastQuestion: aiResponse.message,
+            lastQuestionId: aiResponse.questionId || null,
             sessionSummary: aiResponse.sessionSummary || sessionData.sessionSummary,
             diagnosisSuggestions: aiResponse.diagnosis_suggestions,
             isEmergency: aiResponse.isEmergency || false,
+            severityHits: [...new Set([...(sessionData.severityHits || []), ...severityHits])],
             allQuestionsCompleted: aiResponse.allQuestionsCompleted || false,
             timestamp: new Date()
         };
 
         // Store Q&A in database - EVERY question and answer
         await db.query(`
-            INSERT INTO chat_interactions (session_id, question, answer, question_type, timestamp)
-            VALUES ((SELECT session_id FROM chat_sessions WHERE patient_id = $1 AND status = 'active'), $2, $3, $4, NOW())
-        `, [patientId, sessionData.lastQuestion || (aiResponse?.type === 'symptom_questions' ? 'Initial symptom question' : 'Initial symptom'), filteredMessage, currentStep]);
+            INSERT INTO chat_interactions (session_id, question, answer, question_type, extracted_fields, ai_confidence_score, timestamp)
+            VALUES ((SELECT session_id FROM chat_sessions WHERE patient_id = $1 AND status = 'active'), $2, $3, $4, $5, $6, NOW())
+        `, [
+            patientId,
+            sessionData.lastQuestion || (aiResponse?.type === 'symptom_questions' ? 'Initial symptom question' : 'Initial symptom'),
+            filteredMessage,
+            currentStep,
+            JSON.stringify(extraction.fields),
+            extraction.confidence
+        ]);
 
         // Update session data
         await db.query(
@@ -242,32 +365,38 @@ async function getAIResponse(message, sessionData, patientId, chatType = 'text')
             console.warn('Failed to increment total_questions_asked:', e.message);
         }
 
-        // Attach up to 3 appointment slots at booking step
-        if (aiResponse?.nextStep === 'booking_offer' || aiResponse?.allQuestionsCompleted) {
+        // Attach up to 3 appointment slots at booking step; the intake risk decides how early
+        if (transition.effects.includes('offer_slots')) {
             try {
-                const doctorsRes = await db.query('SELECT doctor_id, email, name FROM doctors');
-                const doctors = doctorsRes.rows || [];
-                const startDate = new Date();
-                const endDate = new Date();
-                endDate.setDate(endDate.getDate() + 3);
-
-                let best = { doctor: null, slots: [] };
-                for (const doc of doctors) {
-                    const email = doc.email || 'doctor@clinic.com';
-                    let slots = [];
-                    try {
-                        slots = await getFreeBusySlots(email, startDate, endDate);
-                    } catch (_) {}
-                    if ((!best.slots?.length && slots?.length) || (slots?.length || 0) > (best.slots?.length || 0)) {
-                        best = { doctor: doc, slots };
-                    }
+                const { priority } = computeRiskScore(buildRiskInput({ patient: patientInfo, sessionData: updatedSession }));
+                const allocation = await allocateSlots({ priority });
+                aiResponse.options = allocation.slots.slice(0, 3);
+                aiResponse.priority = allocation.priority;
+                if (allocation.doctor) {
+                    aiResponse.suggestedDoctorId = allocation.doctor.doctor_id;
+                    aiResponse.suggestedDoctorName = allocation.doctor.name;
                 }
 
-                const finalSlots = (best.slots?.length ? best.slots : getDefaultSlots()).slice(0, 3);
-                aiResponse.options = finalSlots;
-                if (best.doctor) {
-                    aiResponse.suggestedDoctorId = best.doctor.doctor_id;
-                    aiResponse.suggestedDoctorName = best.doctor.name;
+                // No urgent slot left: ask a routine patient in the window whether they will move.
+                // Once per session (session_data.bumpId), or each further message would ask another one
+                if (!allocation.slots.length && (updatedSession.bumpId || allocation.bumpCandidates.length)) {
+                    try {
+                        if (!updatedSession.bumpId) {
+                            const bump = await requestBump({
+                                appointmentId: allocation.bumpCandidates[0].appointment_id,
+                                urgentPatientId: patientId
+                            });
+                            updatedSession.bumpId = bump.bump_id;
+                            await db.query(
+                                'UPDATE chat_sessions SET session_data = session_data || $1 WHERE patient_id = $2 AND status = $3',
+                                [JSON.stringify({ bumpId: bump.bump_id }), patientId, 'active']
+                            );
+                        }
+                        aiResponse.bumpRequested = true;
+                        aiResponse.message += '\n\nThere is no urgent slot free right now. We are trying to free one for you and will message you as soon as it is available. If your symptoms get worse, call emergency services immediately.';
+                    } catch (e) {
+                        console.warn('Failed to request an appointment move:', e.message);
+                    }
                 }
             } catch (e) {
                 console.warn('Failed to attach booking slots:', e.message);
@@ -282,7 +411,10 @@ async function getAIResponse(message, sessionData, patientId, chatType = 'text')
         return {
             message: "I'm having trouble processing your request. Please try again.",
             type: "error",
-            nextStep: sessionData.currentStep || 'symptom_identification'
+            nextStep: currentState(sessionData),
+            state: currentState(sessionData),
+            actions: allowedActions(currentState(sessionData)),
+            effects: []
         };
     }
 }
@@ -347,42 +479,42 @@ async function filterAndSpellCheck(message) {
 async function getDoctorAIResponse(query, doctorId) {
     try {
         const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        const doctorData = doctor.rows[0];
+        const timeZone = doctorTimeZone(doctorData);
+        // From the start of yesterday in the doctor's zone
         const appointments = await db.query(`
             SELECT a.*, p.name as patient_name, p.age, p.gender, p.mobile
             FROM appointments a
             JOIN patients p ON a.patient_id = p.patient_id
-            WHERE a.doctor_id = $1 AND a.appointment_time >= CURRENT_DATE - INTERVAL '1 day'
+            WHERE a.doctor_id = $1
+            AND a.appointment_time >= (date_trunc('day', NOW() AT TIME ZONE $2) - INTERVAL '1 day') AT TIME ZONE $2
             ORDER BY a.appointment_time ASC
-        `, [doctorId]);
+        `, [doctorId, timeZone]);
 
-        const doctorData = doctor.rows[0];
-        const appointmentsData = appointments.rows;
+        // Times are stored in UTC; the assistant answers in the doctor's zone
+        const appointmentsData = appointments.rows.map(a => ({
+            ...a,
+            appointment_time_local: formatForPerson(a.appointment_time, doctorData)
+        }));
         
         const promptTemplate = await loadPrompt('doctor_assistant');
         const customizedPrompt = promptTemplate
             .replace(/{doctorName}/g, doctorData?.name || 'Doctor')
             .replace(/{doctorSpecialization}/g, doctorData?.specialization || 'Cardiology')
             .replace(/{hospitalName}/g, doctorData?.hospital_name || 'Hospital')
-            .replace(/{currentDate}/g, new Date().toLocaleDateString('en-IN'))
-            .replace(/{currentTime}/g, new Date().toLocaleTimeString('en-IN'))
+            .replace(/{currentDate}/g, new Date().toLocaleDateString('en-IN', { timeZone }))
+            .replace(/{currentTime}/g, new Date().toLocaleTimeString('en-IN', { timeZone, timeZoneName: 'short' }))
             .replace(/{appointmentsData}/g, JSON.stringify(appointmentsData));
 
-        const response = await axios.post(config.ai.openrouterApiUrl, {
-            model: config.ai.defaultModel,
+        return await complete({
+            task: 'doctor_query',
             messages: [
                 { role: "system", content: customizedPrompt },
                 { role: "user", content: query }
             ],
             temperature: 0.3,
-            max_tokens: 300
-        }, {
-            headers: {
-                'Authorization': `Bearer ${config.ai.openrouterApiKey}`,
-                'Content-Type': 'application/json'
-            }
+            maxTokens: 300
         });
-
-        return response.data.choices[0].message.content;
     } catch (error) {
         console.error('Doctor AI Response Error:', error);
         return "I'm having trouble accessing your information right now. Please try again.";
@@ -412,35 +544,34 @@ async function getSymptomQuestions(symptom) {
     }
 }
 
-// Detect main symptom against symptom_rules using fuzzy match
+// "severity=8, location=left arm/jaw" for the fields extracted from an answer
+function formatFields(fields) {
+    return Object.entries(fields || {})
+        .map(([name, f]) => `${name}=${[].concat(f.value).join('/')}`)
+        .join(', ');
+}
+
+// Numbered Q/A list for summary prompts, each answer labelled with its symptom and extracted fields
+function formatAnswers(allPatientAnswers) {
+    return allPatientAnswers
+        .map((qa, index) => {
+            const extracted = formatFields(qa.fields);
+            return `${index + 1}. ${qa.symptom ? `[${qa.symptom}] ` : ''}Q: ${qa.question}\n   A: ${qa.answer}` +
+                (extracted ? `\n   Extracted: ${extracted}` : '');
+        })
+        .join('\n');
+}
+
+// First symptom_rules entry described in the message (see detectSymptoms for all of them)
 async function detectMainSymptom(message) {
-    try {
-        const res = await db.query('SELECT symptom FROM symptom_rules');
-        const list = res.rows.map(r => r.symptom.toLowerCase());
-        const text = (message || '').toLowerCase();
-        // Simple containment/variant check first
-        let best = null;
-        for (const s of list) {
-            if (text.includes(s)) { best = s; break; }
-        }
-        if (best) return best;
-        // Lightweight fuzzy: token overlap
-        let score = 0; let choice = null;
-        const tokens = new Set(text.split(/[^a-z]+/g).filter(Boolean));
-        for (const s of list) {
-            const st = new Set(s.split(/\s+/g));
-            const overlap = [...st].filter(t => tokens.has(t)).length;
-            if (overlap > score) { score = overlap; choice = s; }
-        }
-        return choice; // may be null
-    } catch (e) {
-        console.error('detectMainSymptom error:', e.message);
-        return null;
-    }
+    const symptoms = await detectSymptoms(message);
+    return symptoms[0] || null;
 }
 
 // Generate session summary with diagnosis suggestions
-async function generateSessionSummary(allPatientAnswers, currentSymptom, patientInfo) {
+// `symptoms` is the list of presenting complaints (a single symptom name is accepted too)
+async function generateSessionSummary(allPatientAnswers, symptoms, patientInfo) {
+    const complaints = [].concat(symptoms || []).filter(Boolean);
     try {
         const summaryPrompt = `
 You are a medical AI assistant. Generate a concise summary of the patient consultation.
@@ -449,13 +580,14 @@ PATIENT INFO:
 - Name: ${patientInfo?.name || 'Unknown'}
 - Age: ${patientInfo?.age || 'Unknown'}
 
-MAIN SYMPTOM: ${currentSymptom || 'Not specified'}
+MAIN SYMPTOM: ${complaints[0] || 'Not specified'}
+PRESENTING COMPLAINTS: ${complaints.join(', ') || 'Not specified'}
 
 PATIENT RESPONSES:
-${allPatientAnswers.map((qa, index) => `${index + 1}. Q: ${qa.question}\n   A: ${qa.answer}`).join('\n')}
+${formatAnswers(allPatientAnswers)}
 
 Generate a professional medical summary that includes:
-1. Chief complaint
+1. Chief complaint(s) - list every presenting complaint
 2. Key symptoms and characteristics
 3. Duration and severity
 4. Associated symptoms
@@ -464,35 +596,32 @@ Generate a professional medical summary that includes:
 Keep it concise but comprehensive. This will be shared with the doctor.
 `;
 
-        const response = await axios.post(config.ai.openrouterApiUrl, {
-            model: config.ai.defaultModel,
+        const content = await complete({
+            task: 'summary',
             messages: [{ role: "system", content: summaryPrompt }],
             temperature: 0.3,
-            max_tokens: 500
-        }, {
-            headers: {
-                'Authorization': `Bearer ${config.ai.openrouterApiKey}`,
-                'Content-Type': 'application/json'
-            }
+            maxTokens: 500
         });
 
-        return response?.data?.choices?.[0]?.message?.content || 'Summary generation failed';
+        return content || 'Summary generation failed';
     } catch (error) {
         console.error('Summary generation error:', error);
-        return `Patient consultation summary: Main symptom - ${currentSymptom}. ${allPatientAnswers.length} questions answered. Please review detailed responses with doctor.`;
+        return `Patient consultation summary: Presenting complaints - ${complaints.join(', ') || 'not specified'}. ${allPatientAnswers.length} questions answered. Please review detailed responses with doctor.`;
     }
 }
 
 // Generate diagnosis suggestions for doctor
-async function generateDiagnosisSuggestions(allPatientAnswers, currentSymptom) {
+async function generateDiagnosisSuggestions(allPatientAnswers, symptoms) {
+    const complaints = [].concat(symptoms || []).filter(Boolean);
     try {
         const diagnosisPrompt = `
 You are a medical AI assistant specializing in cardiology. Based on the patient responses, suggest possible differential diagnoses for the doctor to consider.
 
-MAIN SYMPTOM: ${currentSymptom || 'Not specified'}
+MAIN SYMPTOM: ${complaints[0] || 'Not specified'}
+PRESENTING COMPLAINTS: ${complaints.join(', ') || 'Not specified'}
 
 PATIENT RESPONSES:
-${allPatientAnswers.map((qa, index) => `${index + 1}. Q: ${qa.question}\n   A: ${qa.answer}`).join('\n')}
+${formatAnswers(allPatientAnswers)}
 
 Provide 2-3 most likely differential diagnoses with brief rationale. Format as a JSON array:
 [
@@ -506,29 +635,14 @@ Provide 2-3 most likely differential diagnoses with brief rationale. Format as a
 Focus on cardiology-related conditions. Be conservative and emphasize need for proper medical examination.
 `;
 
-        const response = await axios.post(config.ai.openrouterApiUrl, {
-            model: config.ai.defaultModel,
+        const suggestions = await completeStructured({
+            task: 'diagnosis',
+            schema: DIAGNOSIS_SCHEMA,
             messages: [{ role: "system", content: diagnosisPrompt }],
             temperature: 0.2,
-            max_tokens: 400
-        }, {
-            headers: {
-                'Authorization': `Bearer ${config.ai.openrouterApiKey}`,
-                'Content-Type': 'application/json'
-            }
+            maxTokens: 400
         });
-
-        const content = response?.data?.choices?.[0]?.message?.content || '[]';
-        try {
-            return JSON.parse(content);
-        } catch (parseError) {
-            // Try to extract JSON from response
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            return [{ condition: "Requires medical evaluation", likelihood: "High", rationale: "Symptoms require professional assessment" }];
-        }
+        return suggestions || [{ condition: "Requires medical evaluation", likelihood: "High", rationale: "Symptoms require professional assessment" }];
     } catch (error) {
         console.error('Diagnosis suggestions error:', error);
         return [{ condition: "Requires medical evaluation", likelihood: "High", rationale: "Unable to generate suggestions, requires professional assessment" }];
@@ -0,0 +1,154 @@
+const config = require('./config/config');
+const { complete } = require('./llm_providers');
+const metrics = require('./metrics');
+
+// Steps a consultation reply may move the session to
+const CONSULTATION_STEPS = ['symptom_identification', 'symptom_questions', 'session_summary', 'booking_offer', 'complete'];
+
+// Reply schema for prompts/patient_consultation.txt
+const CONSULTATION_SCHEMA = {
+    type: 'object',
+    required: ['message', 'nextStep'],
+    properties: {
+        message: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: CONSULTATION_STEPS },
+        nextStep: { type: 'string', enum: CONSULTATION_STEPS },
+        currentSymptom: { type: ['string', 'null'] },
+        questionNumber: { type: ['string', 'integer'], pattern: '^\\d+$' },
+        allQuestionsCompleted: { type: 'boolean' },
+        sessionSummary: { type: ['string', 'null'] },
+        diagnosis_suggestions: { type: ['string', 'array', 'null'] },
+        isEmergency: { type: 'boolean' }
+    }
+};
+
+// Reply schema for the differential diagnosis prompt
+const DIAGNOSIS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['condition', 'likelihood', 'rationale'],
+        properties: {
+            condition: { type: 'string', minLength: 1 },
+            likelihood: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+            rationale: { type: 'string' }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Validate a value against the small JSON Schema subset used above; returns a list of problems
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+    const allowed = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (allowed.length && !allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+        return [`${path} should be ${allowed.join(' or ')}, got ${actual}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${path} should not be empty`);
+    }
+    if (schema.pattern && (typeof value === 'string' || typeof value === 'number') && !new RegExp(schema.pattern).test(String(value))) {
+        errors.push(`${path} should match ${schema.pattern}`);
+    }
+
+    if (actual === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) {
+                errors.push(...validateSchema(fieldSchema, value[field], `${path}.${field}`));
+            }
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    return errors;
+}
+
+// Parse a model reply as JSON. A surrounding ```json fence is tolerated; anything else is a failure.
+function parseJsonReply(raw) {
+    const text = String(raw || '').trim();
+    const fence = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    try {
+        return { value: JSON.parse(fence ? fence[1] : text) };
+    } catch (error) {
+        return { error: `reply is not valid JSON (${error.message})` };
+    }
+}
+
+function repairInstruction(schema, errors) {
+    return `Your previous reply could not be used: ${errors.join('; ')}.
+Reply again with ONLY a JSON value that matches this schema, with no explanation or code fences:
+${JSON.stringify(schema)}`;
+}
+
+// Ask the model for JSON matching `schema`. Invalid replies are sent back with the validation
+// errors for repair (config.ai.maxRepairAttempts, default 1). Returns the value, or null when
+// no valid reply was produced so the caller can use its deterministic fallback.
+async function completeStructured({ task, schema, messages, temperature, maxTokens }) {
+    const maxRepairs = config.ai?.maxRepairAttempts ?? 1;
+    let conversation = [...messages];
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        let raw = '';
+        try {
+            raw = await complete({ task, messages: conversation, temperature, maxTokens });
+        } catch (error) {
+            console.error(`LLM ${task} request error:`, error.message);
+            metrics.increment('llm_request_errors', { task });
+            return null;
+        }
+
+        const parsed = parseJsonReply(raw);
+        const errors = parsed.error ? [parsed.error] : validateSchema(schema, parsed.value);
+        if (errors.length === 0) {
+            if (attempt > 0) metrics.increment('llm_repair_success', { task });
+            return parsed.value;
+        }
+
+        console.warn(`LLM ${task} reply failed validation (attempt ${attempt + 1}):`, errors.join('; '));
+        metrics.increment('llm_validation_failures', { task, reason: parsed.error ? 'parse' : 'schema' });
+
+        if (attempt < maxRepairs) {
+            metrics.increment('llm_repair_attempts', { task });
+            conversation = [
+                ...conversation,
+                { role: 'assistant', content: String(raw || '') },
+                { role: 'user', content: repairInstruction(schema, errors) }
+            ];
+        }
+    }
+
+    metrics.increment('llm_structured_fallbacks', { task });
+    return null;
+}
+
+module.exports = {
+    CONSULTATION_STEPS,
+    CONSULTATION_SCHEMA,
+    DIAGNOSIS_SCHEMA,
+    validateSchema,
+    parseJsonReply,
+    completeStructured
+};
@@ -0,0 +1,52 @@
+const config = require('../config/config');
+const { createOpenRouterProvider } = require('./openrouter');
+const { createOpenAICompatibleProvider } = require('./openai_compatible');
+const { createMockProvider } = require('./mock');
+
+// Selected with config.ai.provider (or LLM_PROVIDER): 'openrouter' (default), 'openai_compatible', 'mock'
+function createProvider(name) {
+    const ai = config.ai || {};
+    switch (name) {
+        case 'mock':
+            return createMockProvider({ script: ai.mockScript });
+        case 'openai_compatible':
+            return createOpenAICompatibleProvider({
+                apiUrl: ai.localApiUrl,
+                apiKey: ai.localApiKey,
+                model: ai.localModel || ai.defaultModel,
+                timeoutMs: ai.timeoutMs
+            });
+        case 'openrouter':
+            return createOpenRouterProvider({
+                apiUrl: ai.openrouterApiUrl,
+                apiKey: ai.openrouterApiKey,
+                model: ai.defaultModel,
+                appUrl: ai.appUrl,
+                appName: ai.appName,
+                timeoutMs: ai.timeoutMs
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+let provider = null;
+
+function getProvider() {
+    if (!provider) {
+        provider = createProvider(config.ai?.provider || process.env.LLM_PROVIDER || 'openrouter');
+    }
+    return provider;
+}
+
+// Swap the active provider, e.g. a scripted mock inside a test
+function setProvider(next) {
+    provider = next;
+}
+
+// Run one chat completion; `task` lets the mock pick a matching canned reply
+async function complete({ task, messages, temperature, maxTokens, model }) {
+    return getProvider().complete({ task, messages, temperature, maxTokens, model });
+}
+
+module.exports = { createProvider, getProvider, setProvider, complete };
@@ -0,0 +1,153 @@
+// Offline, deterministic provider for development and tests.
+// Replies are derived from the prompt itself, so the intake flow runs end-to-end
+// without network access or API keys. A script can queue exact replies per task:
+//   createMockProvider({ script: { consultation: ['{"message": ...}'], summary: ['...'] } })
+
+const DIAGNOSIS_BY_SYMPTOM = {
+    'chest pain': [
+        { condition: 'Stable angina', likelihood: 'Medium', rationale: 'Chest discomfort reported during the intake; exertional pattern should be confirmed' },
+        { condition: 'Acute coronary syndrome', likelihood: 'Low', rationale: 'Must be excluded with ECG and troponin given chest pain' }
+    ],
+    'shortness of breath': [
+        { condition: 'Heart failure', likelihood: 'Medium', rationale: 'Breathlessness may reflect reduced cardiac function' },
+        { condition: 'Pulmonary cause', likelihood: 'Low', rationale: 'Respiratory causes should be considered on examination' }
+    ],
+    'palpitations': [
+        { condition: 'Supraventricular tachycardia', likelihood: 'Medium', rationale: 'Episodes of rapid heartbeat reported' },
+        { condition: 'Atrial fibrillation', likelihood: 'Low', rationale: 'Irregular rhythm should be assessed with ECG or Holter' }
+    ]
+};
+
+const DEFAULT_DIAGNOSIS = [
+    { condition: 'Requires medical evaluation', likelihood: 'Medium', rationale: 'Mock provider: symptoms require professional cardiac assessment' }
+];
+
+// Read a single "Label: value" line out of a prompt
+function readField(prompt, label) {
+    const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = String(prompt || '').match(new RegExp(`${escaped}:[ \\t]*(.*)`));
+    return match ? match[1].trim() : '';
+}
+
+function systemPrompt(messages) {
+    return (messages || []).filter(m => m.role === 'system').map(m => m.content).join('\n');
+}
+
+function lastUserMessage(messages) {
+    const users = (messages || []).filter(m => m.role === 'user');
+    return users.length ? users[users.length - 1].content : '';
+}
+
+function consultationReply(messages) {
+    const prompt = systemPrompt(messages);
+    const symptom = readField(prompt, 'Current Symptom Being Analyzed');
+    const asked = parseInt(readField(prompt, 'Questions Asked for Current Symptom')) || 0;
+    const nextQuestion = readField(prompt, 'Next question to ask NOW');
+    const step = readField(prompt, 'Current Step');
+
+    if (step === 'session_summary' || step === 'booking_offer') {
+        return {
+            message: 'Please choose one of the appointment slots below, or tell me if you need a different time.',
+            type: 'booking_offer',
+            nextStep: 'booking_offer',
+            currentSymptom: symptom && symptom !== 'None' ? symptom : null,
+            allQuestionsCompleted: true,
+            isEmergency: false
+        };
+    }
+
+    if (!symptom || symptom === 'None') {
+        return {
+            message: 'Could you describe your main symptom in a few words, for example chest pain, shortness of breath or palpitations?',
+            type: 'symptom_identification',
+            nextStep: 'symptom_identification',
+            currentSymptom: null,
+            questionNumber: '0',
+            allQuestionsCompleted: false,
+            isEmergency: false
+        };
+    }
+
+    return {
+        message: nextQuestion || `Can you tell me more about your ${symptom}?`,
+        type: 'symptom_questions',
+        nextStep: 'symptom_questions',
+        currentSymptom: symptom,
+        questionNumber: String(asked + 1),
+        allQuestionsCompleted: false,
+        isEmergency: false
+    };
+}
+
+function summaryReply(messages) {
+    const prompt = systemPrompt(messages);
+    const symptom = readField(prompt, 'PRESENTING COMPLAINTS') || readField(prompt, 'MAIN SYMPTOM') || 'Not specified';
+    const name = readField(prompt, '- Name') || 'Unknown';
+    const age = readField(prompt, '- Age') || 'Unknown';
+    const answers = [...prompt.matchAll(/(?:\[([^\]]+)\]\s*)?Q:\s*(.*)\n\s*A:\s*(.*)/g)]
+        .map(m => `- ${m[1] ? `(${m[1]}) ` : ''}${m[2].trim()} ${m[3].trim()}`);
+
+    return [
+        `Chief complaint(s): ${symptom}.`,
+        `Patient: ${name}, age ${age}.`,
+        'Reported details:',
+        ...(answers.length ? answers : ['- No answers recorded']),
+        'Preliminary assessment: findings to be reviewed by the cardiologist at consultation.'
+    ].join('\n');
+}
+
+function diagnosisReply(messages) {
+    const prompt = systemPrompt(messages);
+    const symptoms = (readField(prompt, 'PRESENTING COMPLAINTS') || readField(prompt, 'MAIN SYMPTOM')).toLowerCase();
+    const suggestions = Object.keys(DIAGNOSIS_BY_SYMPTOM)
+        .filter(k => symptoms.includes(k))
+        .flatMap(k => DIAGNOSIS_BY_SYMPTOM[k]);
+    return suggestions.length ? suggestions.slice(0, 3) : DEFAULT_DIAGNOSIS;
+}
+
+function doctorQueryReply(messages) {
+    const prompt = systemPrompt(messages);
+    let appointments = [];
+    try {
+        const raw = prompt.split('APPOINTMENTS DATA:')[1]?.split('\n').find(line => line.trim().startsWith('['));
+        appointments = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        appointments = [];
+    }
+    const next = appointments[0];
+    const nextText = next
+        ? ` The next one is ${next.patient_name || 'a patient'} at ${next.appointment_time_local || new Date(next.appointment_time).toLocaleString('en-IN')}.`
+        : '';
+    return `(mock) You asked: "${lastUserMessage(messages)}". You have ${appointments.length} appointment(s) in the current window.${nextText}`;
+}
+
+const CANNED_REPLIES = {
+    consultation: consultationReply,
+    summary: summaryReply,
+    diagnosis: diagnosisReply,
+    doctor_query: doctorQueryReply
+};
+
+function createMockProvider({ script = {} } = {}) {
+    // Copy so queued replies are consumed per provider instance
+    const queues = Object.fromEntries(
+        Object.entries(script).map(([task, replies]) => [task, [...(Array.isArray(replies) ? replies : [replies])]])
+    );
+    const calls = [];
+
+    async function complete({ task, messages }) {
+        calls.push({ task, messages });
+
+        const queued = queues[task]?.shift();
+        if (queued !== undefined) {
+            return typeof queued === 'string' ? queued : JSON.stringify(queued);
+        }
+
+        const reply = CANNED_REPLIES[task] ? CANNED_REPLIES[task](messages) : '';
+        return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    }
+
+    return { name: 'mock', model: 'mock', complete, calls };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Provider for any server that speaks the OpenAI chat completions API
+// (OpenRouter, vLLM, llama.cpp server, Ollama, LM Studio, ...)
+function createOpenAICompatibleProvider({ name = 'openai_compatible', apiUrl, apiKey, model, headers = {}, timeoutMs = 30000 }) {
+    if (!apiUrl) {
+        throw new Error(`${name}: apiUrl is required`);
+    }
+
+    // Accept either a base URL (".../v1") or the full chat completions endpoint
+    const endpoint = /\/chat\/completions\/?$/.test(apiUrl)
+        ? apiUrl
+        : `${apiUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function complete({ messages, temperature, maxTokens, model: modelOverride }) {
+        const response = await axios.post(endpoint, {
+            model: modelOverride || model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        }, {
+            timeout: timeoutMs,
+            headers: {
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                'Content-Type': 'application/json',
+                ...headers
+            }
+        });
+
+        return response?.data?.choices?.[0]?.message?.content || '';
+    }
+
+    return { name, model, complete };
+}
+
+module.exports = { createOpenAICompatibleProvider };
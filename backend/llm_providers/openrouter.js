@@ -0,0 +1,23 @@
+const { createOpenAICompatibleProvider } = require('./openai_compatible');
+
+const DEFAULT_OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+// OpenRouter is OpenAI-compatible; it only needs its key and optional attribution headers
+function createOpenRouterProvider({ apiUrl, apiKey, model, appUrl, appName, timeoutMs }) {
+    if (!apiKey) {
+        console.warn('OpenRouter provider: no API key configured; requests will be rejected');
+    }
+    return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        apiUrl: apiUrl || DEFAULT_OPENROUTER_URL,
+        apiKey,
+        model,
+        timeoutMs,
+        headers: {
+            ...(appUrl ? { 'HTTP-Referer': appUrl } : {}),
+            ...(appName ? { 'X-Title': appName } : {})
+        }
+    });
+}
+
+module.exports = { createOpenRouterProvider };
@@ -11,8 +11,19 @@ const db = require('./db');
 const patientRoutes = require('./routes/patient_routes');
 const doctorRoutes = require('./routes/doctor_routes');
 const symptomRoutes = require('./routes/symptom_routes');
+const telegramRoutes = require('./routes/telegram_routes');
+const whatsappRoutes = require('./routes/whatsapp_routes');
 const { sendNotifications } = require('./notify');
 const { generateTTS } = require('./tts');
+const { isDoctorAuthorized, isPatientAuthorized, getBearerToken } = require('./auth');
+const { getProvider } = require('./llm_providers');
+const metrics = require('./metrics');
+const { recordChatMessage, processPatientMessage } = require('./patient_chat');
+const jobs = require('./jobs');
+require('./reminders'); // registers the appointment_reminder job handler
+require('./waitlist'); // registers the waitlist_offer_expiry job handler
+require('./doctor_alerts'); // registers the urgent_alert_escalation and doctor_digest job handlers
+const outbox = require('./outbox');
 
 const app = express();
 const server = http.createServer(app);
@@ -35,6 +46,8 @@ app.use('/audio', express.static(config.storage.audioDir));
 app.use('/api/patient', patientRoutes);
 app.use('/api/doctor', doctorRoutes);
 app.use('/api/symptom', symptomRoutes);
+app.use('/api/telegram', telegramRoutes);
+app.use('/api/whatsapp', whatsappRoutes);
 
 // REST endpoint mirror for chat messages (optional HTTP alternative to WebSocket)
 app.post('/api/chat/message', async (req, res) => {
@@ -45,6 +58,10 @@ app.post('/api/chat/message', async (req, res) => {
             return res.status(400).json({ error: 'patientId, message, and sessionId are required' });
         }
 
+        if (!(await isPatientSessionAuthorized(getBearerToken(req), patientId, sessionId))) {
+            return res.status(401).json({ error: 'Patient verification required' });
+        }
+
         if (message.length > config.chat.maxMessageLength) {
             return res.status(400).json({ 
                 error: `Message too long. Maximum ${config.chat.maxMessageLength} characters allowed.` 
@@ -52,17 +69,7 @@ app.post('/api/chat/message', async (req, res) => {
         }
 
         // Save message to session similar to WebSocket flow (append + trim window)
-        const sessBefore = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [sessionId]);
-        const prevData = sessBefore.rows[0]?.session_data || {};
-        const prevMsgs = Array.isArray(prevData.messages) ? prevData.messages : [];
-        const newMsgs = [...prevMsgs, { role: 'user', content: message, timestamp: new Date() }];
-        const maxMsgs = config.chat.maxConversationMessages || 10;
-        const trimmedMsgs = newMsgs.slice(-maxMsgs);
-
-        await db.query(
-            'UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2',
-            [JSON.stringify({ ...prevData, messages: trimmedMsgs }), sessionId]
-        );
+        await recordChatMessage(sessionId, 'user', message);
 
         // Process via same logic used for sockets
         const response = await processPatientMessage(message, patientId, sessionId, chatType || 'text_voice');
@@ -84,13 +91,7 @@ app.post('/api/chat/message', async (req, res) => {
 
         // Append assistant message to session and trim window
         try {
-            const sessAfter = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [sessionId]);
-            const prevData2 = sessAfter.rows[0]?.session_data || {};
-            const prevMsgs2 = Array.isArray(prevData2.messages) ? prevData2.messages : [];
-            const newMsgs2 = [...prevMsgs2, { role: 'assistant', content: response?.message || '', timestamp: new Date() }];
-            const maxMsgs2 = config.chat.maxConversationMessages || 10;
-            const trimmed2 = newMsgs2.slice(-maxMsgs2);
-            await db.query('UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2', [JSON.stringify({ ...prevData2, messages: trimmed2 }), sessionId]);
+            await recordChatMessage(sessionId, 'assistant', response?.message || '');
         } catch (e) {
             console.warn('Failed to append assistant message (REST):', e.message);
         }
@@ -157,7 +158,13 @@ io.on('connection', (socket) => {
 
     socket.on('patient_message', async (data) => {
         try {
-            const { patientId, message, sessionId, chatType } = data;
+            const { patientId, message, sessionId, chatType, token } = data;
+
+            // Only the verified patient may write to their own session
+            if (!(await isPatientSessionAuthorized(token, patientId, sessionId))) {
+                socket.emit('error', { message: 'Patient verification required' });
+                return;
+            }
             
             // Validate message length
             if (message.length > config.chat.maxMessageLength) {
@@ -169,17 +176,7 @@ io.on('connection', (socket) => {
             
             // Save message to session
             // Append and trim message history window
-            const sessBefore = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [sessionId]);
-            const prevData = sessBefore.rows[0]?.session_data || {};
-            const prevMsgs = Array.isArray(prevData.messages) ? prevData.messages : [];
-            const newMsgs = [...prevMsgs, { role: 'user', content: message, timestamp: new Date() }];
-            const maxMsgs = config.chat.maxConversationMessages || 10;
-            const trimmedMsgs = newMsgs.slice(-maxMsgs);
-
-            await db.query(
-                'UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2',
-                [JSON.stringify({ ...prevData, messages: trimmedMsgs }), sessionId]
-            );
+            await recordChatMessage(sessionId, 'user', message);
 
             // Process with LLM and respond
             const response = await processPatientMessage(message, patientId, sessionId, chatType);
@@ -201,13 +198,7 @@ io.on('connection', (socket) => {
             
             // Append assistant message to session and trim window
             try {
-                const sessAfter = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [sessionId]);
-                const prevData2 = sessAfter.rows[0]?.session_data || {};
-                const prevMsgs2 = Array.isArray(prevData2.messages) ? prevData2.messages : [];
-                const newMsgs2 = [...prevMsgs2, { role: 'assistant', content: response?.message || '', timestamp: new Date() }];
-                const maxMsgs2 = config.chat.maxConversationMessages || 10;
-                const trimmed2 = newMsgs2.slice(-maxMsgs2);
-                await db.query('UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2', [JSON.stringify({ ...prevData2, messages: trimmed2 }), sessionId]);
+                await recordChatMessage(sessionId, 'assistant', response?.message || '');
             } catch (e) {
                 console.warn('Failed to append assistant message:', e.message);
             }
@@ -219,18 +210,11 @@ io.on('connection', (socket) => {
                 options: response.options,
                 summary: response.summary,
                 isEmergency: response.isEmergency,
+                state: response.state,
+                actions: response.actions,
                 audioUrl
             });
 
-            // Handle emergency cases
-            if (response.isEmergency) {
-                // Log emergency case
-                console.log(`EMERGENCY CASE: Patient ${patientId} - ${message}`);
-                
-                // Could trigger immediate notifications to doctor
-                // await sendEmergencyNotification(patientId, message);
-            }
-
         } catch (error) {
             console.error('Chat error:', error);
             socket.emit('error', { message: 'Something went wrong. Please try again.' });
@@ -239,7 +223,14 @@ io.on('connection', (socket) => {
 
     socket.on('doctor_query', async (data) => {
         try {
-            const { doctorId, query } = data;
+            const { doctorId, query, token } = data;
+
+            // Only the signed-in doctor may query their own schedule
+            if (!(await isDoctorAuthorized(token, doctorId))) {
+                socket.emit('error', { message: 'Authentication required' });
+                return;
+            }
+
             const response = await processDoctorQuery(query, doctorId);
             
             socket.emit('doctor_response', {
@@ -257,21 +248,14 @@ io.on('connection', (socket) => {
     });
 });
 
-async function processPatientMessage(message, patientId, sessionId, chatType) {
-    const { getAIResponse } = require('./llm');
-    
-    // Get session data
-    const sessionResult = await db.query(
-        'SELECT session_data FROM chat_sessions WHERE session_id = $1',
-        [sessionId]
+// Patient token must match patientId, and the chat session must belong to that patient
+async function isPatientSessionAuthorized(token, patientId, sessionId) {
+    if (!(await isPatientAuthorized(token, patientId))) return false;
+    const result = await db.query(
+        'SELECT 1 FROM chat_sessions WHERE session_id = $1 AND patient_id = $2',
+        [sessionId, patientId]
     );
-    
-    const sessionData = sessionResult.rows[0]?.session_data || {};
-    
-    // Process with AI
-    const aiResponse = await getAIResponse(message, sessionData, patientId, chatType);
-    
-    return aiResponse;
+    return result.rows.length > 0;
 }
 
 async function processDoctorQuery(query, doctorId) {
@@ -288,7 +272,8 @@ app.get('/api/health', (req, res) => {
         config: {
             nodeEnv: config.server.nodeEnv,
             features: config.features
-        }
+        },
+        metrics: metrics.snapshot()
     });
 });
 
@@ -339,7 +324,10 @@ server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📱 Environment: ${config.server.nodeEnv}`);
     console.log(`🌐 Frontend URL: ${config.server.frontendUrl}`);
-    console.log(`🤖 AI Model: ${config.ai.defaultModel}`);
+    const llmProvider = getProvider();
+    console.log(`🤖 AI Provider: ${llmProvider.name} (${llmProvider.model})`);
     console.log(`💾 Database: ${config.database.host}:${config.database.port}/${config.database.name}`);
     console.log(`✨ Features enabled:`, Object.entries(config.features).filter(([k, v]) => v).map(([k]) => k).join(', '));
+    jobs.start();
+    outbox.start();
 });
@@ -0,0 +1,81 @@
+// Patient notification templates, one file per language in templates/<language>.json.
+//
+// Each file has a "phrases" section (pieces that depend on the situation, e.g. "tomorrow" or
+// the reason line; the WhatsApp intake's replies are under "whatsapp") and one entry per
+// notification type: { subject, text, html? }, where text and html are arrays of lines.
+// {{name}}-style variables are filled in when rendering; a line that is only a variable which
+// comes out empty is left out. Without html, emails get the text.
+//
+// Messages are rendered in the patient's language (patients.language) and fall back to English
+// per template, so a language file only needs the templates it translates. Doctor alerts stay
+// in English.
+const LANGUAGES = ['en', 'hi', 'te', 'ta', 'mr', 'ml', 'kn'];
+const DEFAULT_LANGUAGE = 'en';
+
+// For the doctor's view of a patient
+const LANGUAGE_NAMES = {
+    en: 'English', hi: 'Hindi', te: 'Telugu', ta: 'Tamil', mr: 'Marathi', ml: 'Malayalam', kn: 'Kannada'
+};
+
+const catalogs = Object.fromEntries(LANGUAGES.map(language => [language, require(`./templates/${language}.json`)]));
+
+const TEMPLATE_TYPES = Object.keys(catalogs[DEFAULT_LANGUAGE]).filter(key => !['language', 'phrases'].includes(key));
+
+const ONLY_VARIABLE = /^\s*\{\{\s*\w+\s*\}\}\s*$/;
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const languageFor = (person) => (LANGUAGES.includes(person?.language) ? person.language : DEFAULT_LANGUAGE);
+
+function fill(template, vars, escape = (value) => value) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) =>
+        (vars[name] === undefined || vars[name] === null ? '' : escape(String(vars[name]))));
+}
+
+function fillLines(lines, vars, escape) {
+    const list = Array.isArray(lines) ? lines : [lines];
+    return list
+        .map(line => ({ line, value: fill(line, vars, escape) }))
+        .filter(({ line, value }) => !(ONLY_VARIABLE.test(line) && value.trim() === ''))
+        .map(({ value }) => value)
+        .join('\n');
+}
+
+// A phrase in the language (English when it has none); `key` may be nested, e.g. 'otpPurpose.login'
+function phrase(language, key, vars = {}) {
+    const lookup = (catalog) => key.split('.').reduce((node, part) => node?.[part], catalog?.phrases);
+    const value = lookup(catalogs[language]) ?? lookup(catalogs[DEFAULT_LANGUAGE]);
+    return typeof value === 'string' ? fill(value, vars) : null;
+}
+
+// { language, subject, text, html } for a notification type in a language
+function renderTemplate(type, language, vars = {}) {
+    if (!TEMPLATE_TYPES.includes(type)) {
+        throw new Error(`Unknown notification template: ${type}`);
+    }
+    const used = catalogs[language]?.[type] ? language : DEFAULT_LANGUAGE;
+    const template = catalogs[used][type];
+    const text = fillLines(template.text, vars);
+    return {
+        language: used,
+        subject: fill(template.subject, vars),
+        text,
+        html: template.html
+            ? fillLines(template.html, vars, escapeHtml)
+            : `<pre style="font-family: Arial, sans-serif;">${escapeHtml(text)}</pre>`
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_NAMES,
+    TEMPLATE_TYPES,
+    languageFor,
+    phrase,
+    renderTemplate
+};
@@ -0,0 +1,23 @@
+// In-process counters for operational events (reset on restart).
+// Exposed through /api/health so failures show up without digging through logs.
+const counters = new Map();
+
+const keyFor = (name, labels) => `${name}${JSON.stringify(labels)}`;
+
+function increment(name, labels = {}, by = 1) {
+    const key = keyFor(name, labels);
+    const entry = counters.get(key) || { name, labels, value: 0, lastAt: null };
+    entry.value += by;
+    entry.lastAt = new Date();
+    counters.set(key, entry);
+}
+
+function snapshot() {
+    return [...counters.values()].map(entry => ({ ...entry }));
+}
+
+function reset() {
+    counters.clear();
+}
+
+module.exports = { increment, snapshot, reset };
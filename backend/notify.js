@@ -2,6 +2,10 @@ import twilio from 'twilio';
 import nodemailer from 'nodemailer';
 import fetch from 'node-fetch';
 import config from './config/config.js';
+import { buildAppointmentInvite } from './appointment_ics.js';
+import { formatForPerson } from './timezones.js';
+import { doctorWantsChannel } from './doctor_prefs.js';
+import { LANGUAGE_NAMES, languageFor, phrase, renderTemplate } from './message_templates.js';
 
 import dotenv from "dotenv";
 const TELEGRAM_TOKEN = config.telegram.TELEGRAM_TOKEN;
@@ -68,7 +72,7 @@ async function sendSMSMessage(to, message) {
 }
 
 // Send email
-async function sendEmail(to, subject, text, html) {
+async function sendEmail(to, subject, text, html, attachments = []) {
   if (!emailTransporter) return { success: false, error: 'Email not configured' };
   try {
     const result = await emailTransporter.sendMail({
@@ -77,6 +81,7 @@ async function sendEmail(to, subject, text, html) {
       subject,
       text,
       html,
+      ...(attachments.length ? { attachments } : {}),
     });
     return { success: true, messageId: result.messageId };
   } catch (error) {
@@ -85,28 +90,45 @@ async function sendEmail(to, subject, text, html) {
   }
 }
 
-// Send Telegram message
-async function sendTelegramMessage(chatId, message) {
-  if (!config.telegram?.TELEGRAM_TOKEN) return { success: false, error: 'Telegram token not configured' };
+// .ics invite for an appointment, so any calendar app can add it (or update or remove it later)
+function inviteAttachments(appointment, doctor, patient) {
   try {
-    const url = `https://api.telegram.org/bot${config.telegram.TELEGRAM_TOKEN}/sendMessage`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: message,
-        parse_mode: 'HTML',
-      }),
+    const invite = buildAppointmentInvite(appointment, { doctor, patient });
+    return [{
+      filename: invite.method === 'CANCEL' ? 'cancellation.ics' : 'appointment.ics',
+      content: invite.content,
+      contentType: `text/calendar; charset=utf-8; method=${invite.method}`,
+    }];
+  } catch (error) {
+    console.warn('Calendar invite could not be built:', error.message);
+    return [];
+  }
+}
+
+// Call a Telegram Bot API method; throws with Telegram's description when it fails
+async function callTelegram(method, body) {
+  const response = await fetch(`${TELEGRAM_API_URL}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || data.ok === false) {
+    throw new Error(data.description || 'Telegram API error');
+  }
+  return data;
+}
+
+// Send Telegram message; `replyMarkup` adds buttons (see telegram_bot.js), parseMode null sends plain text
+async function sendTelegramMessage(chatId, message, { replyMarkup = null, parseMode = 'HTML' } = {}) {
+  if (!TELEGRAM_API_URL) return { success: false, error: 'Telegram token not configured' };
+  try {
+    const data = await callTelegram('sendMessage', {
+      chat_id: chatId,
+      text: message,
+      ...(parseMode ? { parse_mode: parseMode } : {}),
+      ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
     });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.description || 'Telegram API error');
-    }
-    
     return { success: true, messageId: data?.result?.message_id };
   } catch (error) {
     console.error('Telegram Error:', error.message);
@@ -114,25 +136,30 @@ async function sendTelegramMessage(chatId, message) {
   }
 }
 
+// Stop the spinner on a tapped button, optionally with a short notice
+async function answerTelegramCallback(callbackQueryId, text = '') {
+  if (!TELEGRAM_API_URL) return { success: false, error: 'Telegram token not configured' };
+  try {
+    await callTelegram('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+    return { success: true };
+  } catch (error) {
+    console.error('Telegram Error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 export default async function sendMessage(message, chatId = config.telegram.CHAT_ID) {
   if (!TELEGRAM_TOKEN) throw new Error("TELEGRAM_TOKEN is not set in environment variables.");
   if (!chatId) throw new Error("CHAT_ID is not set or provided.");
   if (!message) throw new Error("Message is required.");
 
-  const url = `https://api.telegram.org/bot${TELEGRAM_TOKEN}/getUpdates`;
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ chat_id: chatId, text: message })
-  });
-
-  const data = await response.json();
-  return data;
+  return callTelegram('sendMessage', { chat_id: chatId, text: message });
 }
 
-// Determine appointment priority based on symptoms and AI hints
-function determinePriority(symptoms, aiHints) {
+// Determine appointment priority: the intake risk assessment when the appointment has one
+// (see risk_score.js), else keywords in the symptoms and AI hints
+function determinePriority(symptoms, aiHints, riskAssessment) {
+  if (riskAssessment?.priority) return riskAssessment.priority;
   const emergencyKeywords = [
     'severe chest pain', 'crushing pain', 'cannot breathe', 'unconscious',
     'fainting', 'severe', 'extreme', 'unbearable', 'emergency', 'blue lips',
@@ -147,97 +174,61 @@ function determinePriority(symptoms, aiHints) {
   return 'NORMAL';
 }
 
+// Patient confirmation message, in the patient's language: { subject, text, html, attachments }
+function patientAppointmentMessage(patient, appointment, doctor) {
+  const language = languageFor(patient);
+  return {
+    ...renderTemplate('patient_appointment', language, {
+      name: patient.name,
+      time: formatForPerson(appointment.appointment_time, patient),
+      doctor: doctor.name,
+      hospital: doctor.hospital_name || phrase(language, 'clinic'),
+      meetLink: appointment.meet_link || phrase(language, 'meetPending'),
+      eventLink: appointment.event_link || phrase(language, 'notAvailable'),
+      fee: doctor.consultation_fee || 800,
+    }),
+    attachments: inviteAttachments(appointment, doctor, patient),
+  };
+}
+
 // Patient confirmation notification - simple approach
 async function sendPatientAppointmentNotification(patient, appointment, doctor) {
-  const appointmentTime = new Date(appointment.appointment_time);
-  const formattedTime = appointmentTime.toLocaleDateString('en-IN', {
-    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
-  });
-
-  const message = `Hello ${patient.name},
-
-Your cardiology consultation appointment has been confirmed:
-
-📅 Date & Time: ${formattedTime}
-👨‍⚕️ Doctor: ${doctor.name}
-🏥 Hospital: ${doctor.hospital_name || 'Cardiology Clinic'}
-🔗 Google Meet: ${appointment.meet_link || 'Link will be shared separately'}
-🔗 Calendar Event: ${appointment.event_link || 'N/A'}
-
-📍 Please arrive 15 minutes early with:
-• Valid ID proof
-• Insurance card (if applicable)
-• List of current medications
-• Previous medical reports
-
-If you need to reschedule, please contact us at least 24 hours in advance.
-
-Thank you for choosing our cardiology services!`;
-
-  const htmlMessage = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #2563eb;">Appointment Confirmation</h2>
-      <p>Hello <strong>${patient.name}</strong>,</p>
-      <p>Your cardiology consultation appointment has been confirmed:</p>
-      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <ul style="list-style: none; padding: 0;">
-          <li><strong>📅 Date & Time:</strong> ${formattedTime}</li>
-          <li><strong>👨‍⚕️ Doctor:</strong> ${doctor.name}</li>
-          <li><strong>🏥 Hospital:</strong> ${doctor.hospital_name || 'Cardiology Clinic'}</li>
-          <li><strong>💰 Consultation Fee:</strong> ₹${doctor.consultation_fee || 800}</li>
-        </ul>
-      </div>
-      <h3>Please bring:</h3>
-      <ul>
-        <li>Valid ID proof</li>
-        <li>Insurance card (if applicable)</li>
-        <li>List of current medications</li>
-        <li>Previous medical reports</li>
-      </ul>
-      <p><strong>Please arrive 15 minutes early.</strong></p>
-      <p>If you need to reschedule, please contact us at least 24 hours in advance.</p>
-      <p>Thank you for choosing our cardiology services!</p>
-    </div>
-  `;
-
+  const { subject, text, html, attachments } = patientAppointmentMessage(patient, appointment, doctor);
   const results = [];
 
   // Send WhatsApp notification
   if (patient.mobile && config.notifications.enabledChannels.whatsapp) {
-    const whatsappResult = await sendWhatsAppMessage(patient.mobile, message);
+    const whatsappResult = await sendWhatsAppMessage(patient.mobile, text);
     results.push({ type: 'whatsapp', ...whatsappResult });
   }
 
   // Send Email notification
   if (patient.email && config.notifications.enabledChannels.email) {
-    const emailResult = await sendEmail(patient.email, 'Appointment Confirmation - Cardiology Consultation', message, htmlMessage);
+    const emailResult = await sendEmail(patient.email, subject, text, html, attachments);
     results.push({ type: 'email', ...emailResult });
   }
 
   // Send Telegram notification
   if (patient.telegram_id && config.notifications.enabledChannels.telegram) {
-    const telegramResult = await sendTelegramMessage(patient.telegram_id, message);
+    const telegramResult = await sendTelegramMessage(patient.telegram_id, text);
     results.push({ type: 'telegram', ...telegramResult });
   }
 
-  // Add Google Calendar event (if configured)
-  if (config.notifications.enabledChannels.googleCalendar) {
-    // This would be implemented separately for Google Calendar integration
-    results.push({ type: 'googleCalendar', success: true, message: 'Calendar integration pending' });
-  }
-
-  console.info('Patient notifications sent:', results);
   return results;
 }
 
-// Doctor notification - simple approach
-async function sendDoctorAppointmentEnhanced(doctor, patient, appointment) {
-  const appointmentTime = new Date(appointment.appointment_time);
-  const formattedTime = appointmentTime.toLocaleDateString('en-IN', {
-    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
-  });
-
-  const priority = determinePriority(appointment.symptoms, appointment.ai_diagnosis_hints);
+// New appointment message for the doctor: { subject, text, html, attachments }
+function doctorAppointmentMessage(doctor, patient, appointment) {
+  const formattedTime = formatForPerson(appointment.appointment_time, doctor);
+
+  const risk = appointment.risk_assessment;
+  const priority = determinePriority(appointment.symptoms, appointment.ai_diagnosis_hints, risk);
+  const riskSection = risk
+    ? `
+📈 RISK SCORE: ${risk.score}/${risk.maxScore} (${risk.band}, ${risk.version})
+${risk.factors.map(f => `• ${f.component.replace('_', ' ')} +${f.points}: ${f.detail}`).join('\n') || '• No contributing factors reported'}
+`
+    : '';
   const priorityEmoji = priority === 'URGENT' ? '🚨' : priority === 'HIGH' ? '⚠️' : '📋';
 
   const message = `${priorityEmoji} New Patient Appointment - ${priority} PRIORITY
@@ -247,7 +238,7 @@ async function sendDoctorAppointmentEnhanced(doctor, patient, appointment) {
 • Age: ${patient.age || 'Not provided'} | Gender: ${patient.gender || 'Not provided'}
 • Mobile: ${patient.mobile || 'Not provided'}
 • Email: ${patient.email || 'Not provided'}
-• Language: ${patient.language === 'te' ? 'Telugu' : 'English'}
+• Language: ${LANGUAGE_NAMES[patient.language] || LANGUAGE_NAMES.en}
 • Emergency Contact: ${patient.emergency_contact || 'Not provided'}
 
 📅 APPOINTMENT:
@@ -262,7 +253,7 @@ ${appointment.chat_summary || 'Patient described general symptoms during consult
 
 🩺 SYMPTOMS REPORTED:
 ${appointment.symptoms || 'General consultation requested'}
-
+${riskSection}
 🤖 AI ANALYSIS & RECOMMENDATIONS:
 ${appointment.ai_diagnosis_hints || 'AI analysis not available for this session'}
 
@@ -272,67 +263,259 @@ ${appointment.ai_diagnosis_hints || 'AI analysis not available for this session'
 • Consider ECG, Echo, or stress test based on symptoms
 • Plan ${config.appointments.defaultSlotDurationMinutes}-minute consultation slot
 
-${priority === 'URGENT' ? '🚨 URGENT: Consider prioritizing this appointment or advising immediate care' : ''}
+${priority === 'URGENT' ? `🚨 URGENT: Consider prioritizing this appointment or advising immediate care
+Please acknowledge this alert in the dashboard.` : ''}
 
 Please review before the appointment.`;
 
+  return {
+    subject: `${priorityEmoji} New ${priority} Priority Appointment - ${patient.name}`,
+    text: message,
+    html: `<pre style="font-family: monospace; background-color: #f5f5f5; padding: 15px; border-radius: 5px;">${message}</pre>`,
+    attachments: inviteAttachments(appointment, doctor, patient),
+  };
+}
+
+// Doctor notification - simple approach
+async function sendDoctorAppointmentEnhanced(doctor, patient, appointment) {
+  const priority = determinePriority(appointment.symptoms, appointment.ai_diagnosis_hints, appointment.risk_assessment);
+  const results = await sendToDoctor(doctor, doctorAppointmentMessage(doctor, patient, appointment), { urgent: priority === 'URGENT' });
+
+  return results;
+}
+
+// Emergency alert message for the on-call doctor: { subject, text, html }
+function emergencyAlertMessage(doctor, patient, emergency) {
+  const formattedTime = formatForPerson(emergency.detectedAt || Date.now(), doctor, {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+  });
+  const flags = (emergency.emergencyFlags || []).length
+    ? emergency.emergencyFlags.map(f => `• ${f}`).join('\n')
+    : '• Flagged by AI assessment';
+
+  const message = `🚨 URGENT: Possible cardiac emergency during intake
+
+👤 PATIENT:
+• Name: ${patient.name}
+• Age: ${patient.age || 'Not provided'} | Gender: ${patient.gender || 'Not provided'}
+• Mobile: ${patient.mobile || 'Not provided'}
+• Emergency Contact: ${patient.emergency_contact || 'Not provided'}
+
+🩺 SYMPTOM: ${emergency.symptom || 'Not identified'}
+💬 PATIENT SAID: "${emergency.answer || ''}"
+
+🚩 RED FLAGS MATCHED:
+${flags}
+
+🕒 Detected: ${formattedTime} (session ${emergency.sessionId})
+
+The patient has been advised to seek emergency care immediately. Please contact them now, and acknowledge this alert in the dashboard.`;
+
+  return {
+    subject: `🚨 URGENT: Possible emergency - ${patient.name}`,
+    text: message,
+    html: `<pre style="font-family: monospace; background-color: #fef2f2; padding: 15px; border-radius: 5px;">${message}</pre>`,
+  };
+}
+
+// Emergency escalation - URGENT alert to the on-call doctor while the patient is still in intake
+async function sendEmergencyAlert(doctor, patient, emergency) {
+  return sendToDoctor(doctor, emergencyAlertMessage(doctor, patient, emergency), { urgent: true });
+}
+
+// One-time password message, in the recipient's language when they have one
+function otpMessage(recipient, code, purposeLabel = 'login') {
+  const language = languageFor(recipient);
+  return renderTemplate('otp_code', language, {
+    purpose: phrase(language, `otpPurpose.${purposeLabel}`) || purposeLabel,
+    code,
+    minutes: config.auth?.otpTtlMinutes || 5,
+  });
+}
+
+// One-time password delivery - SMS first, then WhatsApp, then email
+async function sendOtpCode(recipient, code, purposeLabel = 'login') {
+  const { subject, text: message } = otpMessage(recipient, code, purposeLabel);
   const results = [];
 
-  // Send WhatsApp notification
-  if (doctor.whatsapp_number && config.notifications.enabledChannels.whatsapp) {
-    const whatsappResult = await sendWhatsAppMessage(doctor.whatsapp_number, message);
+  if (recipient.mobile) {
+    const smsResult = await sendSMSMessage(recipient.mobile, message);
+    results.push({ type: 'sms', ...smsResult });
+    if (smsResult.success) return results;
+  }
+
+  const whatsappTo = recipient.whatsapp_number || recipient.mobile;
+  if (whatsappTo && config.notifications.enabledChannels.whatsapp) {
+    const whatsappResult = await sendWhatsAppMessage(whatsappTo, message);
     results.push({ type: 'whatsapp', ...whatsappResult });
+    if (whatsappResult.success) return results;
   }
 
-  // Send Email notification
-  if (doctor.email && config.notifications.enabledChannels.email) {
-    const emailResult = await sendEmail(doctor.email, `${priorityEmoji} New ${priority} Priority Appointment - ${patient.name}`, message, `<pre style="font-family: monospace; background-color: #f5f5f5; padding: 15px; border-radius: 5px;">${message}</pre>`);
+  if (recipient.email) {
+    const emailResult = await sendEmail(recipient.email, subject, message);
     results.push({ type: 'email', ...emailResult });
   }
 
-  // Send Telegram notification
-  if (doctor.telegram_id && config.notifications.enabledChannels.telegram) {
-    const telegramResult = await sendTelegramMessage(doctor.telegram_id, message);
-    results.push({ type: 'telegram', ...telegramResult });
-  }
+  return results;
+}
 
-  // Add Google Calendar event (if configured)
-  if (config.notifications.enabledChannels.googleCalendar) {
-    // This would be implemented separately for Google Calendar integration
-    results.push({ type: 'googleCalendar', success: true, message: 'Calendar integration pending' });
+// Appointment rescheduled or cancelled: { patient, doctor } messages, each { subject, text, html, attachments }
+// change: { type: 'rescheduled' | 'cancelled', previousTime, reason, by: 'patient' | 'doctor' }
+function appointmentChangeMessages(patient, appointment, doctor, change) {
+  // Each recipient sees times in their own zone
+  const formatTime = (value, person) => formatForPerson(value, person);
+  const rescheduled = change.type === 'rescheduled';
+  const byLabel = change.by === 'doctor' ? `Dr. ${doctor.name}` : change.by === 'clinic' ? 'the clinic' : patient.name;
+
+  const details = (person) => rescheduled
+    ? `📅 Previous time: ${formatTime(change.previousTime, person)}
+📅 New time: ${formatTime(appointment.appointment_time, person)}`
+    : `📅 Was scheduled for: ${formatTime(appointment.appointment_time, person)}`;
+  const reason = change.reason ? `\n📝 Reason: ${change.reason}` : '';
+
+  const language = languageFor(patient);
+  const patientMessage = renderTemplate(rescheduled ? 'appointment_rescheduled' : 'appointment_cancelled', language, {
+    name: patient.name,
+    doctor: doctor.name,
+    time: formatTime(appointment.appointment_time, patient),
+    previousTime: rescheduled ? formatTime(change.previousTime, patient) : null,
+    byDoctor: change.by === 'doctor' ? phrase(language, 'byDoctor') : '',
+    reason: change.reason ? phrase(language, 'reason', { reason: change.reason }) : '',
+    hospital: doctor.hospital_name || phrase(language, 'clinic'),
+  });
+
+  const doctorMessage = `${rescheduled ? '🔁' : '❌'} Appointment ${change.type} by ${byLabel}
+
+👤 Patient: ${patient.name} (${patient.mobile || 'no mobile'})
+${details(doctor)}${reason}
+🩺 Symptoms: ${appointment.symptoms || 'Not specified'}`;
+
+  const attachments = inviteAttachments(appointment, doctor, patient);
+
+  return {
+    patient: { ...patientMessage, attachments },
+    doctor: {
+      subject: `Appointment ${rescheduled ? 'Rescheduled' : 'Cancelled'} - ${rescheduled ? formatTime(appointment.appointment_time, doctor) : patient.name}`,
+      text: doctorMessage,
+      html: `<pre style="font-family: monospace; background-color: #f5f5f5; padding: 15px; border-radius: 5px;">${doctorMessage}</pre>`,
+      attachments,
+    },
+  };
+}
+
+// Appointment rescheduled or cancelled - tell both the patient and the doctor
+async function sendAppointmentChangeNotification(patient, appointment, doctor, change) {
+  const messages = appointmentChangeMessages(patient, appointment, doctor, change);
+  const results = [];
+
+  const { subject, text, html, attachments } = messages.patient;
+  if (patient.mobile && config.notifications.enabledChannels.whatsapp) {
+    const whatsappResult = await sendWhatsAppMessage(patient.mobile, text);
+    results.push({ type: 'whatsapp', recipient: 'patient', ...whatsappResult });
   }
+  if (patient.email && config.notifications.enabledChannels.email) {
+    const emailResult = await sendEmail(patient.email, subject, text, html, attachments);
+    results.push({ type: 'email', recipient: 'patient', ...emailResult });
+  }
+  if (patient.telegram_id && config.notifications.enabledChannels.telegram) {
+    const telegramResult = await sendTelegramMessage(patient.telegram_id, text);
+    results.push({ type: 'telegram', recipient: 'patient', ...telegramResult });
+  }
+
+  const doctorResults = await sendToDoctor(doctor, messages.doctor);
+  results.push(...doctorResults.map(result => ({ ...result, recipient: 'doctor' })));
 
-  console.info('Doctor notifications sent:', results);
   return results;
 }
 
-// Appointment reminder - simple approach
-async function sendAppointmentReminder(patient, appointment, doctor, hoursBeforeAppointment = 24) {
-  const appointmentTime = new Date(appointment.appointment_time);
-  const formattedTime = appointmentTime.toLocaleDateString('en-IN', {
-    weekday: 'long', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
+// Same message ({ subject, text, html }) to each of the patient's channels
+async function sendToPatient(patient, { subject, text, html }) {
+  const results = [];
+  if (patient.mobile && config.notifications.enabledChannels.whatsapp) {
+    const whatsappResult = await sendWhatsAppMessage(patient.mobile, text);
+    results.push({ type: 'whatsapp', recipient: 'patient', ...whatsappResult });
+  }
+  if (patient.email && config.notifications.enabledChannels.email) {
+    const emailResult = await sendEmail(patient.email, subject, text, html);
+    results.push({ type: 'email', recipient: 'patient', ...emailResult });
+  }
+  if (patient.telegram_id && config.notifications.enabledChannels.telegram) {
+    const telegramResult = await sendTelegramMessage(patient.telegram_id, text);
+    results.push({ type: 'telegram', recipient: 'patient', ...telegramResult });
+  }
+  return results;
+}
+
+const SHORT_DATE_TIME = { weekday: 'long', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+const TIME_ONLY = { hour: '2-digit', minute: '2-digit' };
+
+// Ask a routine patient whether they will move later for an urgent case (see allocation.js)
+function bumpRequestMessage(patient, doctor, bump) {
+  return renderTemplate('appointment_bump_request', languageFor(patient), {
+    name: patient.name,
+    doctor: doctor.name,
+    time: formatForPerson(bump.slot_start, patient, SHORT_DATE_TIME),
+    proposedTime: formatForPerson(bump.proposed_start, patient, SHORT_DATE_TIME),
+    deadline: formatForPerson(bump.expires_at, patient, SHORT_DATE_TIME),
+    requestId: bump.bump_id,
   });
-  const timeLabel = hoursBeforeAppointment === 24 ? 'tomorrow' : 'in 2 hours';
-  const message = `🔔 Appointment Reminder
+}
 
-Hello ${patient.name},
+async function sendAppointmentBumpRequest(patient, appointment, doctor, bump) {
+  return sendToPatient(patient, bumpRequestMessage(patient, doctor, bump));
+}
 
-This is a reminder for your cardiology consultation ${timeLabel}:
+// Tell the urgent patient a slot has been freed and held for them
+function bumpSlotMessage(patient, doctor, bump, hold) {
+  const language = languageFor(patient);
+  return renderTemplate('appointment_bump_slot', language, {
+    name: patient.name,
+    doctor: doctor.name,
+    time: formatForPerson(bump.slot_start, patient, SHORT_DATE_TIME),
+    hospital: doctor.hospital_name || phrase(language, 'clinic'),
+    heldUntil: hold?.hold_expires_at
+      ? phrase(language, 'heldUntil', { time: formatForPerson(hold.hold_expires_at, patient, TIME_ONLY) })
+      : '',
+  });
+}
 
-📅 ${formattedTime}
-👨‍⚕️ Dr. ${doctor.name}
-🏥 ${doctor.hospital_name || 'Cardiology Clinic'}
+async function sendBumpSlotAvailable(patient, doctor, bump, hold) {
+  return sendToPatient(patient, bumpSlotMessage(patient, doctor, bump, hold));
+}
 
-Please bring:
-• Valid ID and insurance card
-• List of current medications
-• Previous medical reports
-• Arrive 15 minutes early
+// Offer a freed slot to the next patient on the waitlist (see waitlist.js)
+function waitlistOfferMessage(patient, doctor, offer) {
+  const language = languageFor(patient);
+  return renderTemplate('waitlist_offer', language, {
+    name: patient.name,
+    doctor: doctor.name,
+    time: formatForPerson(offer.slot_start, patient, SHORT_DATE_TIME),
+    hospital: doctor.hospital_name || phrase(language, 'clinic'),
+    deadline: formatForPerson(offer.expires_at, patient, TIME_ONLY),
+  });
+}
 
-If you need to reschedule, please contact us immediately.
+async function sendWaitlistOffer(patient, doctor, offer) {
+  return sendToPatient(patient, waitlistOfferMessage(patient, doctor, offer));
+}
 
-See you ${timeLabel}!`;
+// Appointment reminder, `hoursBeforeAppointment` ahead
+function appointmentReminderMessage(patient, appointment, doctor, hoursBeforeAppointment = 24) {
+  const language = languageFor(patient);
+  const tomorrow = hoursBeforeAppointment === 24;
+  return renderTemplate('appointment_reminder', language, {
+    name: patient.name,
+    doctor: doctor.name,
+    time: formatForPerson(appointment.appointment_time, patient, SHORT_DATE_TIME),
+    hospital: doctor.hospital_name || phrase(language, 'clinic'),
+    when: tomorrow ? phrase(language, 'tomorrow') : phrase(language, 'inHours', { hours: hoursBeforeAppointment }),
+    whenTitle: tomorrow ? phrase(language, 'tomorrowTitle') : phrase(language, 'inHoursTitle', { hours: hoursBeforeAppointment }),
+  });
+}
 
+// Appointment reminder - simple approach
+async function sendAppointmentReminder(patient, appointment, doctor, hoursBeforeAppointment = 24) {
+  const { subject, text: message, html } = appointmentReminderMessage(patient, appointment, doctor, hoursBeforeAppointment);
   const results = [];
 
   // Send WhatsApp reminder
@@ -343,7 +526,7 @@ See you ${timeLabel}!`;
 
   // Send Email reminder
   if (patient.email && config.notifications.enabledChannels.email) {
-    const emailResult = await sendEmail(patient.email, `Appointment Reminder - ${timeLabel === 'tomorrow' ? 'Tomorrow' : 'In 2 Hours'}`, message, `<pre style="font-family: Arial, sans-serif;">${message}</pre>`);
+    const emailResult = await sendEmail(patient.email, subject, message, html);
     results.push({ type: 'email_reminder', ...emailResult });
   }
 
@@ -359,10 +542,131 @@ See you ${timeLabel}!`;
     results.push({ type: 'googleCalendar_reminder', success: true, message: 'Calendar reminder integration pending' });
   }
 
-  console.info('Appointment reminders sent:', results);
   return results;
 }
 
+// Channels a single message can go out on, and where each person receives them; doctors
+// have a WhatsApp number of their own, patients use their mobile
+const CHANNELS = ['whatsapp', 'sms', 'email', 'telegram'];
+
+function channelAddress(channel, person, recipient) {
+  switch (channel) {
+    case 'whatsapp': return (recipient === 'doctor' ? person?.whatsapp_number : person?.mobile) || null;
+    case 'sms': return person?.mobile || null;
+    case 'email': return person?.email || null;
+    case 'telegram': return person?.telegram_id || null;
+    default: return null;
+  }
+}
+
+// SMS has no switch in enabledChannels and is on unless set to false
+const channelEnabled = (channel) => (channel === 'sms'
+  ? config.notifications.enabledChannels.sms !== false
+  : !!config.notifications.enabledChannels[channel]);
+
+// Send one rendered message ({ subject, text, html, attachments }) on one channel
+async function sendOnChannel(channel, to, { subject, text, html, attachments = [] }) {
+  switch (channel) {
+    case 'whatsapp': return sendWhatsAppMessage(to, text);
+    case 'sms': return sendSMSMessage(to, text);
+    case 'email': return sendEmail(to, subject, text, html, attachments);
+    case 'telegram': return sendTelegramMessage(to, text);
+    default: return { success: false, error: `Unknown channel: ${channel}` };
+  }
+}
+
+// Channels the doctor asked for (doctors.prefs, see doctor_prefs.js) that they have an address on
+const doctorChannels = (doctor) => CHANNELS.filter(channel =>
+  doctorWantsChannel(doctor, channel) && channelAddress(channel, doctor, 'doctor'));
+
+// Send a message to each of the doctor's chosen channels. An urgent alert that no chosen
+// channel can carry, or that every chosen channel failed to deliver, still goes out by SMS
+// to the registered mobile.
+async function sendToDoctor(doctor, message, { urgent = false } = {}) {
+  const channels = doctorChannels(doctor);
+  const results = [];
+  for (const channel of channels) {
+    const result = await sendOnChannel(channel, channelAddress(channel, doctor, 'doctor'), message);
+    results.push({ type: channel, ...result });
+  }
+  if (urgent && doctor.mobile && !channels.includes('sms') && !results.some(result => result.success)) {
+    results.push({ type: 'sms', ...await sendOnChannel('sms', channelAddress('sms', doctor, 'doctor'), message) });
+  }
+  return results;
+}
+
+// The message one recipient ('patient' or 'doctor') gets for an appointment notification;
+// the outbox renders it when it delivers (see outbox.js)
+function renderAppointmentMessage(type, recipient, { patient, doctor, appointment, change }) {
+  switch (type) {
+    case 'patient_appointment':
+      return patientAppointmentMessage(patient, appointment, doctor);
+    case 'doctor_appointment_enhanced':
+      return doctorAppointmentMessage(doctor, patient, appointment);
+    case 'appointment_changed':
+      return appointmentChangeMessages(patient, appointment, doctor, change)[recipient];
+    default:
+      throw new Error(`Unknown notification type: ${type}`);
+  }
+}
+
+// A patient notification by template type (see message_templates.js), from the data
+// sendNotifications gets for it; appointment changes are split into rescheduled and cancelled
+function renderPatientNotification(type, data) {
+  switch (type) {
+    case 'patient_appointment':
+      return patientAppointmentMessage(data.patient, data.appointment, data.doctor);
+    case 'appointment_reminder':
+      return appointmentReminderMessage(data.patient, data.appointment, data.doctor, data.hoursBeforeAppointment);
+    case 'appointment_rescheduled':
+    case 'appointment_cancelled':
+      return appointmentChangeMessages(data.patient, data.appointment, data.doctor, {
+        ...data.change, type: type === 'appointment_rescheduled' ? 'rescheduled' : 'cancelled',
+      }).patient;
+    case 'appointment_bump_request':
+      return bumpRequestMessage(data.patient, data.doctor, data.bump);
+    case 'appointment_bump_slot':
+      return bumpSlotMessage(data.patient, data.doctor, data.bump, data.hold);
+    case 'waitlist_offer':
+      return waitlistOfferMessage(data.patient, data.doctor, data.offer);
+    case 'otp_code':
+      return otpMessage(data.recipient, data.code, data.purposeLabel);
+    default:
+      throw new Error(`Unknown notification template: ${type}`);
+  }
+}
+
+const PREVIEW_PATIENT = { name: 'Asha Rao', mobile: '+919800000000', email: 'asha@example.com' };
+
+// A patient notification as the doctor's patient would get it. Times, the change, offers and
+// codes are examples; `patient` and `appointment` may be real ones (their language included).
+function previewNotification(type, { doctor, patient = {}, appointment = null }) {
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+  const person = { ...PREVIEW_PATIENT, time_zone: doctor.time_zone, ...patient };
+  const visit = appointment || { appointment_id: 0, appointment_time: hoursFromNow(24) };
+  const message = renderPatientNotification(type, {
+    patient: person,
+    doctor,
+    appointment: visit,
+    hoursBeforeAppointment: 24,
+    change: { by: 'doctor', previousTime: hoursFromNow(48), reason: null },
+    bump: { bump_id: 1, slot_start: visit.appointment_time, proposed_start: hoursFromNow(48), expires_at: hoursFromNow(2) },
+    hold: { hold_expires_at: hoursFromNow(1) },
+    offer: { slot_start: visit.appointment_time, expires_at: hoursFromNow(2) },
+    recipient: person,
+    code: '123456',
+    purposeLabel: 'verification',
+  });
+  return {
+    type,
+    language: message.language,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    attachments: (message.attachments || []).map(attachment => attachment.filename),
+  };
+}
+
 // Main dispatcher
 async function sendNotifications(type, data) {
   switch (type) {
@@ -372,6 +676,18 @@ async function sendNotifications(type, data) {
       return await sendDoctorAppointmentEnhanced(data.doctor, data.patient, data.appointment);
     case 'appointment_reminder':
       return await sendAppointmentReminder(data.patient, data.appointment, data.doctor, data.hoursBeforeAppointment);
+    case 'appointment_changed':
+      return await sendAppointmentChangeNotification(data.patient, data.appointment, data.doctor, data.change);
+    case 'appointment_bump_request':
+      return await sendAppointmentBumpRequest(data.patient, data.appointment, data.doctor, data.bump);
+    case 'appointment_bump_slot':
+      return await sendBumpSlotAvailable(data.patient, data.doctor, data.bump, data.hold);
+    case 'waitlist_offer':
+      return await sendWaitlistOffer(data.patient, data.doctor, data.offer);
+    case 'emergency_alert':
+      return await sendEmergencyAlert(data.doctor, data.patient, data.emergency);
+    case 'otp_code':
+      return await sendOtpCode(data.recipient, data.code, data.purposeLabel);
     default:
       return { success: false, error: `Unknown notification type: ${type}` };
   }
@@ -382,6 +698,23 @@ export {
   sendPatientAppointmentNotification,
   sendDoctorAppointmentEnhanced,
   sendAppointmentReminder,
+  sendAppointmentChangeNotification,
+  sendAppointmentBumpRequest,
+  sendBumpSlotAvailable,
+  sendWaitlistOffer,
+  sendEmergencyAlert,
+  sendOtpCode,
   determinePriority,
   sendTelegramMessage,
+  answerTelegramCallback,
+  CHANNELS,
+  channelAddress,
+  channelEnabled,
+  sendOnChannel,
+  doctorChannels,
+  sendToDoctor,
+  emergencyAlertMessage,
+  renderAppointmentMessage,
+  renderPatientNotification,
+  previewNotification,
 };
@@ -0,0 +1,298 @@
+const os = require('os');
+const config = require('./config/config');
+const db = require('./db');
+const metrics = require('./metrics');
+const { CHANNELS, channelAddress, channelEnabled, doctorChannels, sendOnChannel, renderAppointmentMessage, determinePriority } = require('./notify');
+const { routeDoctorAlert } = require('./doctor_prefs');
+const { recordUrgentAlert, scheduleDigest } = require('./doctor_alerts');
+
+// Durable appointment notifications (notification_outbox). A row is queued in the same
+// transaction as the appointment change it reports, one per recipient, and is rendered from
+// the current appointment when it is delivered.
+//
+// Each attempt goes down the fallback order (notifications.fallbackOrder, e.g. WhatsApp -> SMS
+// -> email) and stops at the first channel that takes the message; channels the recipient has
+// no address for, or that are switched off, are passed over. When every channel fails the row
+// is tried again after an exponential backoff, until outbox.maxAttempts.
+// Doctors only get the channels they chose, routed by the appointment's priority (see
+// doctor_prefs.js): HIGH waits out quiet hours, NORMAL waits as 'digest' for the daily digest,
+// and a delivered URGENT one is recorded for acknowledgement (see doctor_alerts.js).
+// Statuses: pending -> sending -> delivered | failed, or digest. As with scheduled jobs (see
+// jobs.js), a row left 'sending' by a process that died is marked failed rather than sent twice.
+const outboxCfg = config.notifications?.outbox || {};
+const POLL_INTERVAL_MS = outboxCfg.pollIntervalMs || 15000;
+const BATCH_SIZE = outboxCfg.batchSize || 20;
+const MAX_ATTEMPTS = outboxCfg.maxAttempts || 6;
+const RETRY_BASE_SECONDS = outboxCfg.retryBaseSeconds || 60;
+const MAX_RETRY_DELAY_SECONDS = outboxCfg.maxRetryDelaySeconds || 3600;
+const LEASE_SECONDS = outboxCfg.leaseSeconds || 300;
+// Rows the request that queued them delivers itself once the calendar event exists; the
+// worker only picks them up if that did not happen within this time
+const HANDOFF_SECONDS = outboxCfg.handoffSeconds || 60;
+
+const FALLBACK_ORDER = (config.notifications?.fallbackOrder || ['whatsapp', 'sms', 'email', 'telegram'])
+    .filter(channel => CHANNELS.includes(channel));
+
+// Who gets each appointment notification
+const RECIPIENTS = {
+    patient_appointment: ['patient'],
+    doctor_appointment_enhanced: ['doctor'],
+    appointment_changed: ['patient', 'doctor']
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let polling = false;
+
+// Delay before attempt `attempts + 1`: 1, 2, 4, 8, ... times the base, capped
+const retryDelaySeconds = (attempts) =>
+    Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+
+// Queue a notification for each of its recipients; `executor` should be the transaction client
+// of the appointment change. `payload` is kept for rendering (e.g. the change for appointment_changed).
+async function queueNotification(type, { appointmentId, payload = {}, handoff = true }, executor = db) {
+    const recipients = RECIPIENTS[type];
+    if (!recipients) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+    const queued = [];
+    for (const recipient of recipients) {
+        const result = await executor.query(
+            `INSERT INTO notification_outbox (appointment_id, notification_type, recipient, payload, next_attempt_at)
+             VALUES ($1, $2, $3, $4, NOW() + ($5 || ' seconds')::interval)
+             RETURNING *`,
+            [appointmentId, type, recipient, JSON.stringify(payload), String(handoff ? HANDOFF_SECONDS : 0)]
+        );
+        queued.push(result.rows[0]);
+    }
+    return queued;
+}
+
+async function loadAppointment(appointmentId) {
+    const result = await db.query(`
+        SELECT a.*, row_to_json(p) AS patient, row_to_json(d) AS doctor
+        FROM appointments a
+        JOIN patients p ON a.patient_id = p.patient_id
+        JOIN doctors d ON a.doctor_id = d.doctor_id
+        WHERE a.appointment_id = $1
+    `, [appointmentId]);
+    return result.rows[0] || null;
+}
+
+// Try the recipient's channels in fallback order; returns
+// { status, channel, deliveries, error, retry } or, when it is not sent now, { deferUntil } / { status: 'digest' }
+async function attemptDelivery(row) {
+    const loaded = await loadAppointment(row.appointment_id);
+    if (!loaded) {
+        return { status: 'failed', deliveries: [], error: 'Appointment no longer exists', retry: false };
+    }
+    const { patient, doctor, ...appointment } = loaded;
+    const person = row.recipient === 'doctor' ? doctor : patient;
+
+    let channels = FALLBACK_ORDER.filter(channel => channelAddress(channel, person, row.recipient) && channelEnabled(channel));
+    let priority = null;
+    if (row.recipient === 'doctor') {
+        priority = determinePriority(appointment.symptoms, appointment.ai_diagnosis_hints, appointment.risk_assessment);
+        const route = routeDoctorAlert(doctor, priority);
+        if (route.action === 'digest') {
+            await scheduleDigest(doctor, route.at);
+            return { status: 'digest', deliveries: [] };
+        }
+        if (route.action === 'defer') {
+            return { deferUntil: route.until };
+        }
+        const chosen = doctorChannels(doctor);
+        channels = FALLBACK_ORDER.filter(channel => chosen.includes(channel));
+        if (priority === 'URGENT' && channels.length === 0 && doctor.mobile) {
+            channels = ['sms'];
+        }
+    }
+
+    const message = renderAppointmentMessage(row.notification_type, row.recipient, {
+        patient, doctor, appointment, change: row.payload?.change
+    });
+
+    const deliveries = [];
+    for (const channel of channels) {
+        const to = channelAddress(channel, person, row.recipient);
+        const result = await sendOnChannel(channel, to, message);
+        deliveries.push({
+            channel,
+            success: !!result.success,
+            messageId: result.messageId || null,
+            error: result.error || null,
+            at: new Date().toISOString()
+        });
+        if (result.success) {
+            // The doctor has the message: failing to record the alert must not send it again
+            if (priority === 'URGENT') {
+                try {
+                    await recordUrgentAlert({
+                        doctor, source: row.notification_type, appointmentId: row.appointment_id, message, deliveries
+                    });
+                } catch (error) {
+                    console.error(`Recording the urgent alert for notification ${row.outbox_id} failed:`, error);
+                }
+            }
+            return { status: 'delivered', channel, deliveries };
+        }
+    }
+    if (deliveries.length === 0) {
+        return { status: 'failed', deliveries, error: `No channel available for the ${row.recipient}`, retry: false };
+    }
+    return { status: 'failed', deliveries, error: deliveries.map(d => `${d.channel}: ${d.error}`).join('; '), retry: true };
+}
+
+async function finishRow(row, outcome) {
+    const retry = outcome.status === 'failed' && outcome.retry && row.attempts < MAX_ATTEMPTS;
+    // Held for quiet hours or the digest: nothing was tried, so the attempt does not count
+    const held = !!outcome.deferUntil || outcome.status === 'digest';
+    const status = outcome.deferUntil || retry ? 'pending' : outcome.status;
+    const nextAttemptAt = outcome.deferUntil || (retry ? new Date(Date.now() + retryDelaySeconds(row.attempts) * 1000) : null);
+    const result = await db.query(
+        `UPDATE notification_outbox
+         SET status = $2, channel = $3, deliveries = deliveries || $4::jsonb, last_error = $5,
+             attempts = attempts - $7, locked_at = NULL, locked_by = NULL, updated_at = NOW(),
+             next_attempt_at = COALESCE($6, next_attempt_at),
+             delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END
+         WHERE outbox_id = $1
+         RETURNING *`,
+        [
+            row.outbox_id,
+            status,
+            outcome.channel || null,
+            JSON.stringify(outcome.deliveries || []),
+            outcome.error || null,
+            nextAttemptAt,
+            held ? 1 : 0
+        ]
+    );
+    metrics.increment('notifications_outbox', {
+        type: row.notification_type,
+        status: retry ? 'retry' : outcome.deferUntil ? 'deferred' : outcome.status,
+        channel: outcome.channel || 'none'
+    });
+    return result.rows[0];
+}
+
+async function deliverRow(row) {
+    let outcome;
+    try {
+        outcome = await attemptDelivery(row);
+    } catch (error) {
+        console.error(`Notification ${row.outbox_id} (${row.notification_type}) error:`, error);
+        outcome = { status: 'failed', deliveries: [], error: error.message, retry: true };
+    }
+    return finishRow(row, outcome);
+}
+
+// Claim pending rows: the given ids whether or not they are due, else whatever is due
+async function claimRows(outboxIds = null) {
+    const result = await db.query(
+        `UPDATE notification_outbox
+         SET status = 'sending', locked_at = NOW(), locked_by = $1, attempts = attempts + 1, updated_at = NOW()
+         WHERE outbox_id IN (
+             SELECT outbox_id FROM notification_outbox
+             WHERE status = 'pending'
+             AND ${outboxIds ? 'outbox_id = ANY($3::int[])' : 'next_attempt_at <= NOW()'}
+             ORDER BY next_attempt_at ASC
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        outboxIds ? [WORKER_ID, outboxIds.length, outboxIds] : [WORKER_ID, BATCH_SIZE]
+    );
+    return result.rows;
+}
+
+// Deliver queued rows right away (after the change they report is committed); rows another
+// worker already has are left to it. Returns the rows as they ended up.
+async function deliverNow(outboxIds) {
+    if (!outboxIds?.length) return [];
+    const rows = await claimRows(outboxIds);
+    const finished = [];
+    for (const row of rows) {
+        finished.push(await deliverRow(row));
+    }
+    return finished;
+}
+
+// Rows whose worker disappeared mid-send: the outcome is unknown, so do not send again
+async function failInterruptedRows() {
+    const result = await db.query(
+        `UPDATE notification_outbox
+         SET status = 'failed', last_error = 'Interrupted before the outcome was recorded',
+             locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE status = 'sending' AND locked_at < NOW() - ($1 || ' seconds')::interval`,
+        [String(LEASE_SECONDS)]
+    );
+    if (result.rowCount > 0) {
+        console.warn(`Marked ${result.rowCount} interrupted notification(s) as failed`);
+        metrics.increment('notifications_outbox_interrupted', {}, result.rowCount);
+    }
+}
+
+// Deliver everything that is due; overlapping polls are skipped
+async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+        await failInterruptedRows();
+        const rows = await claimRows();
+        for (const row of rows) {
+            await deliverRow(row);
+        }
+    } catch (error) {
+        console.error('Notification outbox poll error:', error);
+    } finally {
+        polling = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+    poll();
+    console.log(`📬 Notification outbox polling every ${Math.round(POLL_INTERVAL_MS / 1000)}s`);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Delivery state of an appointment's notifications, oldest first
+async function getAppointmentNotifications(appointmentId) {
+    const result = await db.query(
+        'SELECT * FROM notification_outbox WHERE appointment_id = $1 ORDER BY created_at ASC, outbox_id ASC',
+        [appointmentId]
+    );
+    return result.rows;
+}
+
+// As shown to the doctor and returned by the booking and change routes
+const describeNotification = (row) => ({
+    id: row.outbox_id,
+    type: row.notification_type,
+    recipient: row.recipient,
+    status: row.status,
+    channel: row.channel,
+    attempts: row.attempts,
+    deliveries: row.deliveries || [],
+    error: row.last_error,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at
+});
+
+module.exports = {
+    FALLBACK_ORDER,
+    queueNotification,
+    deliverNow,
+    getAppointmentNotifications,
+    describeNotification,
+    poll,
+    start,
+    stop
+};
@@ -0,0 +1,140 @@
+const config = require('./config/config');
+const db = require('./db');
+const { raiseEmergency } = require('./emergency');
+const { INITIAL_STATE, applyEvent, currentState, allowedActions } = require('./intake_state');
+
+// The patient intake conversation, shared by the web chat (Socket.IO and POST /api/chat/message)
+// and WhatsApp (see whatsapp_intake.js). chat_sessions.chat_type records where it runs.
+
+// Start a new intake for the patient; any active session is ended first
+async function startChatSession(patientId, { chatType = 'text_voice', language } = {}) {
+    await db.query(
+        'UPDATE chat_sessions SET status = $1, completed_at = NOW() WHERE patient_id = $2 AND status = $3',
+        ['completed', patientId, 'active']
+    );
+
+    // Check if patient is existing (has previous completed sessions)
+    const isExistingPatient = await db.query(`
+        SELECT COUNT(*) as count FROM chat_sessions
+        WHERE patient_id = $1 AND status = 'completed'
+    `, [patientId]);
+
+    // Get previous sessions ONLY for existing patients
+    let previousSessions = [];
+    if (parseInt(isExistingPatient.rows[0].count) > 0) {
+        const sessionsResult = await db.query(`
+            SELECT session_data, summary, ai_diagnosis_hints, created_at
+            FROM chat_sessions
+            WHERE patient_id = $1 AND status = 'completed' AND summary IS NOT NULL
+            ORDER BY created_at DESC
+            LIMIT 3
+        `, [patientId]);
+        previousSessions = sessionsResult.rows;
+    }
+
+    // Chosen language for this session (default to English)
+    const sessionLanguage = typeof language === 'string' && language ? language : 'en';
+    const result = await db.query(`
+        INSERT INTO chat_sessions (patient_id, chat_type, session_data, status)
+        VALUES ($1, $2, $3, $4)
+        RETURNING session_id
+    `, [
+        patientId,
+        chatType,
+        JSON.stringify({
+            currentStep: INITIAL_STATE,
+            startTime: new Date(),
+            chatType: chatType,
+            questionsAskedForCurrentSymptom: 0,
+            allPatientAnswers: [],
+            currentSymptom: null,
+            isExistingPatient: previousSessions.length > 0,
+            language: sessionLanguage
+        }),
+        'active'
+    ]);
+
+    return {
+        sessionId: result.rows[0].session_id,
+        previousSessions,
+        isExistingPatient: previousSessions.length > 0,
+        language: sessionLanguage
+    };
+}
+
+// Close the patient's session, keeping the summary and the AI's diagnosis suggestions
+async function completeChatSession(sessionId, patientId, summary, sessionData) {
+    const { sessionData: closed } = applyEvent(sessionData || {}, 'complete');
+    await db.query(`
+        UPDATE chat_sessions
+        SET status = 'completed', completed_at = NOW(), summary = $1,
+            ai_diagnosis_hints = (session_data->>'diagnosisSuggestions'),
+            session_data = $2
+        WHERE session_id = $3 AND patient_id = $4
+    `, [summary, JSON.stringify(closed), sessionId, patientId]);
+}
+
+// Append a message to the session's history window (session_data.messages)
+async function recordChatMessage(sessionId, role, content) {
+    const session = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [sessionId]);
+    const prevData = session.rows[0]?.session_data || {};
+    const prevMsgs = Array.isArray(prevData.messages) ? prevData.messages : [];
+    const maxMsgs = config.chat.maxConversationMessages || 10;
+    const messages = [...prevMsgs, { role, content, timestamp: new Date() }].slice(-maxMsgs);
+    await db.query(
+        'UPDATE chat_sessions SET session_data = $1 WHERE session_id = $2',
+        [JSON.stringify({ ...prevData, messages }), sessionId]
+    );
+}
+
+async function processPatientMessage(message, patientId, sessionId, chatType) {
+    const { getAIResponse } = require('./llm');
+
+    // Get session data
+    const sessionResult = await db.query(
+        'SELECT session_data, status FROM chat_sessions WHERE session_id = $1',
+        [sessionId]
+    );
+
+    const sessionData = sessionResult.rows[0]?.session_data || {};
+
+    // Booked or closed sessions take no further intake messages
+    const state = sessionResult.rows[0]?.status === 'completed' ? 'completed' : currentState(sessionData);
+    if (!allowedActions(state).includes('send_message')) {
+        return {
+            message: 'This consultation has ended. Please start a new consultation if you need further help.',
+            type: 'error',
+            nextStep: state,
+            state,
+            actions: allowedActions(state)
+        };
+    }
+
+    // Process with AI
+    const aiResponse = await getAIResponse(message, sessionData, patientId, chatType);
+
+    // Emergency: record it against the session and alert the on-call doctor
+    if (aiResponse?.effects?.includes('raise_emergency')) {
+        try {
+            await raiseEmergency({
+                patientId,
+                sessionId,
+                symptom: aiResponse.currentSymptom || sessionData.currentSymptom,
+                answer: message,
+                emergencyFlags: aiResponse.emergencyFlags || [],
+                severityHits: aiResponse.severityHits || []
+            });
+        } catch (error) {
+            console.error('Emergency escalation error:', error);
+        }
+    }
+
+    return aiResponse;
+}
+
+module.exports = {
+    startChatSession,
+    completeChatSession,
+    recordChatMessage,
+    processPatientMessage
+};
@@ -0,0 +1,217 @@
+// Follow-up question trees for symptom_rules.follow_up_questions.
+//
+// Entries are either plain strings (free-text questions, the original format) or objects:
+//   {
+//     "id": "radiation",                          // optional; defaults to q1, q2, ... (q3.b1.1 in branches)
+//     "text": "Does the pain radiate to your arm, jaw, neck or back?",
+//     "answerType": "yes_no",                     // scale | yes_no | duration | free_text (default)
+//     "skipIf": [{ "question": "onset", "gt": 10080 }],   // skip when any condition holds
+//     "branches": [
+//       { "when": { "equals": "yes" }, "questions": ["Is it the jaw or the arm?"] }
+//     ]
+//   }
+// A condition compares the answer to `question` (a branch defaults to its parent question) with
+// one of: equals, in, gt, gte, lt, lte, contains. Scale answers are 0-10, durations are minutes.
+const ANSWER_TYPES = ['scale', 'yes_no', 'duration', 'free_text'];
+const OPERATORS = ['equals', 'in', 'gt', 'gte', 'lt', 'lte', 'contains'];
+
+const MINUTES_PER_UNIT = {
+    minute: 1, min: 1, hour: 60, hr: 60, day: 1440, week: 10080, month: 43200, year: 525600
+};
+
+// Give every node an id and an answer type so the tree can be walked uniformly
+function normalizeQuestions(entries, parentId = null) {
+    return (Array.isArray(entries) ? entries : []).map((entry, index) => {
+        const id = parentId ? `${parentId}.${index + 1}` : `q${index + 1}`;
+        if (typeof entry === 'string') {
+            return { id, text: entry, answerType: 'free_text', skipIf: [], branches: [] };
+        }
+        const nodeId = entry.id || id;
+        return {
+            id: nodeId,
+            text: entry.text,
+            answerType: entry.answerType || 'free_text',
+            skipIf: [].concat(entry.skipIf || []),
+            branches: (entry.branches || []).map((branch, branchIndex) => ({
+                when: branch.when,
+                questions: normalizeQuestions(branch.questions, `${nodeId}.b${branchIndex + 1}`)
+            }))
+        };
+    });
+}
+
+function validateCondition(condition, path, knownIds, errors, requireQuestion) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (requireQuestion && !condition.question) {
+        errors.push(`${path}.question is required`);
+    }
+    if (condition.question !== undefined && typeof condition.question !== 'string') {
+        errors.push(`${path}.question must be a question id`);
+    }
+    const operators = OPERATORS.filter(op => condition[op] !== undefined);
+    if (operators.length !== 1) {
+        errors.push(`${path} needs exactly one of ${OPERATORS.join(', ')}`);
+        return;
+    }
+    const [op] = operators;
+    if (op === 'in' && !Array.isArray(condition.in)) errors.push(`${path}.in must be an array`);
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && typeof condition[op] !== 'number') {
+        errors.push(`${path}.${op} must be a number`);
+    }
+    if (condition.question) knownIds.referenced.push({ id: condition.question, path });
+}
+
+function validateNodes(entries, path, knownIds, errors) {
+    if (!Array.isArray(entries)) {
+        errors.push(`${path} must be an array`);
+        return;
+    }
+    entries.forEach((entry, index) => {
+        const at = `${path}[${index}]`;
+        if (typeof entry === 'string') {
+            if (!entry.trim()) errors.push(`${at} must not be empty`);
+            return;
+        }
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${at} must be a question string or object`);
+            return;
+        }
+        if (typeof entry.text !== 'string' || !entry.text.trim()) {
+            errors.push(`${at}.text is required`);
+        }
+        if (entry.id !== undefined) {
+            if (typeof entry.id !== 'string' || !entry.id.trim()) {
+                errors.push(`${at}.id must be a non-empty string`);
+            } else if (knownIds.declared.has(entry.id)) {
+                errors.push(`${at}.id "${entry.id}" is used more than once`);
+            } else {
+                knownIds.declared.add(entry.id);
+            }
+        }
+        if (entry.answerType !== undefined && !ANSWER_TYPES.includes(entry.answerType)) {
+            errors.push(`${at}.answerType must be one of ${ANSWER_TYPES.join(', ')}`);
+        }
+        if (entry.skipIf !== undefined) {
+            [].concat(entry.skipIf).forEach((condition, i) =>
+                validateCondition(condition, `${at}.skipIf[${i}]`, knownIds, errors, true));
+        }
+        if (entry.branches !== undefined) {
+            if (!Array.isArray(entry.branches)) {
+                errors.push(`${at}.branches must be an array`);
+                return;
+            }
+            entry.branches.forEach((branch, i) => {
+                const branchPath = `${at}.branches[${i}]`;
+                validateCondition(branch?.when, `${branchPath}.when`, knownIds, errors, false);
+                validateNodes(branch?.questions, `${branchPath}.questions`, knownIds, errors);
+            });
+        }
+    });
+}
+
+// Validate a follow_up_questions value; returns a list of problems (empty when valid)
+function validateFollowUpQuestions(entries) {
+    const errors = [];
+    const knownIds = { declared: new Set(), referenced: [] };
+    validateNodes(entries, 'follow_up_questions', knownIds, errors);
+
+    // Conditions may point at generated ids (q1, q2.b1.1, ...) as well as declared ones
+    const generated = new Set();
+    const collect = (nodes) => nodes.forEach(node => {
+        generated.add(node.id);
+        node.branches.forEach(branch => collect(branch.questions));
+    });
+    if (errors.length === 0) collect(normalizeQuestions(entries));
+    for (const ref of knownIds.referenced) {
+        if (!knownIds.declared.has(ref.id) && !generated.has(ref.id)) {
+            errors.push(`${ref.path}.question refers to unknown question "${ref.id}"`);
+        }
+    }
+    return errors;
+}
+
+// Read an answer according to its question's answer type (null when it cannot be read)
+function parseAnswer(answerType, text) {
+    const value = String(text || '').trim().toLowerCase();
+    switch (answerType) {
+        case 'yes_no':
+            if (/^(y|yes|yeah|yep|haan|ha|sure|correct|it does|i do|true)\b/.test(value)) return 'yes';
+            if (/^(n|no|nope|nah|nahi|not|never|none|false)\b/.test(value)) return 'no';
+            return null;
+        case 'scale': {
+            const match = value.match(/\b(10|\d(?:\.\d)?)\b/);
+            return match ? parseFloat(match[1]) : null;
+        }
+        case 'duration': {
+            const match = value.match(/(\d+(?:\.\d+)?|an?|one|few|couple of)\s*(minute|min|hour|hr|day|week|month|year)s?/);
+            if (!match) return null;
+            const amounts = { a: 1, an: 1, one: 1, few: 3, 'couple of': 2 };
+            const amount = amounts[match[1]] ?? parseFloat(match[1]);
+            return amount * MINUTES_PER_UNIT[match[2]];
+        }
+        default:
+            return value || null;
+    }
+}
+
+function conditionHolds(condition, answers, defaultQuestion) {
+    if (!condition) return false;
+    const answer = answers[condition.question || defaultQuestion];
+    if (answer === undefined || answer === null) return false;
+    if (condition.equals !== undefined) return String(answer).toLowerCase() === String(condition.equals).toLowerCase();
+    if (condition.in !== undefined) return condition.in.map(v => String(v).toLowerCase()).includes(String(answer).toLowerCase());
+    if (condition.contains !== undefined) return String(answer).toLowerCase().includes(String(condition.contains).toLowerCase());
+    const number = Number(answer);
+    if (Number.isNaN(number)) return false;
+    if (condition.gt !== undefined) return number > condition.gt;
+    if (condition.gte !== undefined) return number >= condition.gte;
+    if (condition.lt !== undefined) return number < condition.lt;
+    if (condition.lte !== undefined) return number <= condition.lte;
+    return false;
+}
+
+// Next unanswered question, depth first: a branch is entered once its parent's answer matches
+// `when`, and questions whose skipIf holds are passed over. `answers` maps question id -> value.
+// `maxTopLevel` caps the top-level questions asked; branches of answered ones are still followed.
+function nextQuestion(nodes, answers = {}, { maxTopLevel = Infinity } = {}) {
+    const list = nodes || [];
+    const answeredTopLevel = list.filter(node => node.id in answers).length;
+    for (const node of list) {
+        if (!(node.id in answers)) {
+            if (answeredTopLevel >= maxTopLevel) continue;
+            if (node.skipIf.some(condition => conditionHolds(condition, answers, node.id))) continue;
+            return node;
+        }
+        for (const branch of node.branches) {
+            if (!conditionHolds(branch.when, answers, node.id)) continue;
+            const next = nextQuestion(branch.questions, answers);
+            if (next) return next;
+        }
+    }
+    return null;
+}
+
+// Find a question anywhere in a tree
+function findQuestion(nodes, id) {
+    for (const node of nodes || []) {
+        if (node.id === id) return node;
+        for (const branch of node.branches) {
+            const found = findQuestion(branch.questions, id);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    ANSWER_TYPES,
+    normalizeQuestions,
+    validateFollowUpQuestions,
+    parseAnswer,
+    conditionHolds,
+    nextQuestion,
+    findQuestion
+};
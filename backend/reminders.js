@@ -0,0 +1,100 @@
+const config = require('./config/config');
+const db = require('./db');
+const jobs = require('./jobs');
+const { sendNotifications } = require('./notify');
+
+// Appointment reminders as scheduled jobs, one per appointment time and lead time:
+//   appointment_reminder:<appointmentId>:<appointment time, epoch ms>:<hours>h
+// Keying on the time means a moved appointment gets fresh reminders while the outcome of
+// those already sent for the old time stays on record; moving it back to a time it had revives
+// that time's cancelled reminders (see jobs.enqueue).
+const REMINDER_HOURS = config.notifications?.reminderHours || [24, 2];
+
+const reminderPrefix = (appointmentId) => `appointment_reminder:${appointmentId}:`;
+
+const reminderTime = (appointmentTime, hours) => new Date(new Date(appointmentTime).getTime() - hours * 3600 * 1000);
+
+// Queue every reminder that is still ahead of us; pass a transaction client to queue with the booking
+async function scheduleAppointmentReminders(appointment, executor = db) {
+    const now = Date.now();
+    const queued = [];
+    for (const hours of REMINDER_HOURS) {
+        const runAt = reminderTime(appointment.appointment_time, hours);
+        if (runAt.getTime() <= now) continue;
+        const job = await jobs.enqueue({
+            type: 'appointment_reminder',
+            key: `${reminderPrefix(appointment.appointment_id)}${new Date(appointment.appointment_time).getTime()}:${hours}h`,
+            runAt,
+            payload: { appointmentId: appointment.appointment_id, hoursBeforeAppointment: hours }
+        }, executor);
+        if (job) queued.push(job);
+    }
+    return queued;
+}
+
+// Follow the appointment to its new time: pending reminders for the old time are cancelled
+async function rescheduleAppointmentReminders(appointmentId, appointmentTime, executor = db) {
+    await jobs.cancel(reminderPrefix(appointmentId), 'Appointment rescheduled', executor);
+    return scheduleAppointmentReminders({ appointment_id: appointmentId, appointment_time: appointmentTime }, executor);
+}
+
+async function cancelAppointmentReminders(appointmentId, reason = 'Appointment cancelled', executor = db) {
+    return jobs.cancel(reminderPrefix(appointmentId), reason, executor);
+}
+
+async function getAppointmentReminders(appointmentId) {
+    return jobs.listJobs(reminderPrefix(appointmentId));
+}
+
+// Send one reminder; the per-channel results are kept on the job as its delivery outcome
+async function runAppointmentReminder(job) {
+    const { appointmentId, hoursBeforeAppointment } = job.payload;
+    const result = await db.query(`
+        SELECT a.*, row_to_json(p) AS patient, row_to_json(d) AS doctor
+        FROM appointments a
+        JOIN patients p ON a.patient_id = p.patient_id
+        JOIN doctors d ON a.doctor_id = d.doctor_id
+        WHERE a.appointment_id = $1
+    `, [appointmentId]);
+    const appointment = result.rows[0];
+
+    if (!appointment) {
+        return { status: 'skipped', error: 'Appointment no longer exists' };
+    }
+    if (appointment.status !== 'scheduled') {
+        return { status: 'skipped', error: `Appointment is ${appointment.status}` };
+    }
+    // A reminder that fell due while the server was down is only worth sending if no later
+    // (shorter lead time) reminder is already due as well
+    const startsInHours = (new Date(appointment.appointment_time).getTime() - Date.now()) / 3600000;
+    if (startsInHours <= 0 || REMINDER_HOURS.some(h => h < hoursBeforeAppointment && startsInHours <= h)) {
+        return { status: 'skipped', error: 'Reminder is out of date' };
+    }
+
+    const { patient, doctor, ...appointmentRow } = appointment;
+    const deliveries = await sendNotifications('appointment_reminder', {
+        patient,
+        doctor,
+        appointment: appointmentRow,
+        hoursBeforeAppointment
+    });
+    // The calendar entry is a placeholder that always reports success; it does not reach the patient
+    const delivered = (deliveries || []).filter(d => d.success && !String(d.type).startsWith('googleCalendar'));
+    return {
+        status: delivered.length > 0 ? 'done' : 'failed',
+        result: deliveries,
+        error: delivered.length > 0 ? null : 'No channel delivered the reminder',
+        // Nothing went out, so trying again cannot duplicate the reminder
+        retry: delivered.length === 0
+    };
+}
+
+jobs.registerHandler('appointment_reminder', runAppointmentReminder);
+
+module.exports = {
+    REMINDER_HOURS,
+    scheduleAppointmentReminders,
+    rescheduleAppointmentReminders,
+    cancelAppointmentReminders,
+    getAppointmentReminders
+};
@@ -0,0 +1,180 @@
+const config = require('./config/config');
+const { NEGATION_PATTERN } = require('./emergency');
+
+// Deterministic cardiac risk scoring from intake data, modelled on HEART. The intake cannot see
+// an ECG or troponin, so those components are replaced by what the patient reports (severity,
+// onset, red flags). Every scorer is a pure function of the input below, so a version can be
+// exercised on its own and a stored assessment can always be traced to the version that made it.
+//
+// Input (see buildRiskInput):
+//   { age, gender, symptoms: [...], fields: { severity, onset, location, medications, ... },
+//     answers: ['free text', ...], medicalHistory: {...}, redFlags: [...], isEmergency }
+// Output:
+//   { version, score, maxScore, band: 'low'|'moderate'|'high', priority: 'NORMAL'|'HIGH'|'URGENT',
+//     factors: [{ component, points, detail }] }
+
+const PRIORITY_RANK = { URGENT: 3, HIGH: 2, NORMAL: 1 };
+
+const CHEST_PAIN = /\b(chest|angina)\b/;
+const OTHER_CARDIAC_SYMPTOMS = /\b(breath|breathless|dyspn|palpitation|syncope|faint|edema|oedema|swelling)/;
+
+// Features that make chest pain look typical of ischaemia
+const TYPICAL_FEATURES = [
+    { label: 'radiates to arm, jaw, neck or shoulder', pattern: /\b(arm|jaw|neck|shoulder)s?\b/ },
+    { label: 'brought on by exertion', pattern: /\b(exert\w*|walking|stairs|climbing|exercis\w*|running)\b/ },
+    { label: 'with sweating', pattern: /\b(sweat\w*|diaphore\w*|clammy)\b/ },
+    { label: 'with nausea', pattern: /\b(nausea|nauseous|vomit\w*)\b/ },
+    { label: 'pressure or tightness', pattern: /\b(pressure|tight\w*|squeez\w*|crushing|heavy|heaviness)\b/ }
+];
+
+const RISK_FACTORS = [
+    { label: 'hypertension', pattern: /\b(hypertension|high (blood )?pressure|high bp|bp patient)\b/, medication: /(pril|sartan|dipine|olol|thiazide|chlorthalidone)$/ },
+    { label: 'diabetes', pattern: /\b(diabet\w*|sugar patient|high sugar)\b/, medication: /^(metformin|insulin|glimepiride)$/ },
+    { label: 'high cholesterol', pattern: /\b(cholesterol|hyperlipid\w*|dyslipid\w*)\b/, medication: /statin$/ },
+    { label: 'smoking', pattern: /\b(smok\w*|cigarette\w*|tobacco|beedi|bidi)\b/ },
+    { label: 'family history', pattern: /\b(father|mother|brother|sister|family)\b[^.]*\b(heart|cardiac|attack|stroke)\b/ },
+    { label: 'obesity', pattern: /\b(obes\w*|overweight)\b/ }
+];
+
+// Known atherosclerotic disease scores the risk factor component in full, as in HEART
+const KNOWN_DISEASE = {
+    pattern: /\b(heart attack|myocardial infarction|stent\w*|angioplasty|bypass|cabg|stroke)\b/,
+    medication: /^(clopidogrel|ticagrelor|prasugrel)$/
+};
+
+const componentTotal = (factors, component) =>
+    factors.filter(f => f.component === component).reduce((sum, f) => sum + f.points, 0);
+
+// Text the patient actually affirmed: negated clauses ("no diabetes") are dropped
+const affirmedText = (input) =>
+    [...(input.symptoms || []), ...(input.answers || [])]
+        .map(text => String(text || '').toLowerCase().replace(NEGATION_PATTERN, ' '))
+        .join(' . ');
+
+function historyFactors(input, text) {
+    const hasChestPain = (input.symptoms || []).some(s => CHEST_PAIN.test(String(s).toLowerCase()));
+    const locations = [].concat(input.fields?.location?.value || []).join(' ');
+    const features = TYPICAL_FEATURES.filter(f => f.pattern.test(`${text} ${locations}`)).map(f => f.label);
+
+    if (hasChestPain && features.length >= 2) {
+        return [{ component: 'history', points: 2, detail: `chest pain ${features.join(', ')}` }];
+    }
+    if (hasChestPain) {
+        return [{ component: 'history', points: 1, detail: features.length ? `chest pain ${features[0]}` : 'chest pain' }];
+    }
+    const other = (input.symptoms || []).find(s => OTHER_CARDIAC_SYMPTOMS.test(String(s).toLowerCase()));
+    return other ? [{ component: 'history', points: 1, detail: other }] : [];
+}
+
+function ageFactors(input) {
+    const age = parseInt(input.age);
+    if (Number.isNaN(age)) return [];
+    const female = /^f/i.test(input.gender || '');
+    if (age >= 65) return [{ component: 'age', points: 2, detail: `age ${age}` }];
+    // Risk rises about a decade later in women
+    if (age >= (female ? 55 : 45)) {
+        return [{ component: 'age', points: 1, detail: `age ${age}${input.gender ? ` (${input.gender})` : ''}` }];
+    }
+    return [];
+}
+
+function riskFactorFactors(input, text) {
+    const historyText = `${text} ${JSON.stringify(input.medicalHistory || {}).toLowerCase()}`;
+    const medications = [].concat(input.fields?.medications?.value || []);
+
+    const knownDisease = KNOWN_DISEASE.pattern.test(historyText) || medications.some(m => KNOWN_DISEASE.medication.test(m));
+    const present = RISK_FACTORS
+        .filter(f => f.pattern.test(historyText) || (f.medication && medications.some(m => f.medication.test(m))))
+        .map(f => f.label);
+
+    if (knownDisease) {
+        return [{ component: 'risk_factors', points: 2, detail: ['known atherosclerotic disease', ...present].join(', ') }];
+    }
+    if (present.length === 0) return [];
+    return [{ component: 'risk_factors', points: present.length >= 3 ? 2 : 1, detail: present.join(', ') }];
+}
+
+function severityFactors(input) {
+    const severity = input.fields?.severity?.value;
+    if (typeof severity !== 'number') return [];
+    if (severity >= 8) return [{ component: 'severity', points: 2, detail: `severity ${severity}/10` }];
+    if (severity >= 5) return [{ component: 'severity', points: 1, detail: `severity ${severity}/10` }];
+    return [];
+}
+
+function acuityFactors(input) {
+    if ((input.redFlags || []).length > 0) {
+        return [{ component: 'acuity', points: 2, detail: `red flags: ${input.redFlags.join(', ')}` }];
+    }
+    const onset = input.fields?.onset?.value;
+    if (typeof onset === 'number' && onset <= 1440) {
+        return [{ component: 'acuity', points: 1, detail: 'started within the last 24 hours' }];
+    }
+    return [];
+}
+
+// heart-intake-v1: five HEART-style components worth 0-2 points each
+function scoreHeartIntakeV1(input) {
+    const text = affirmedText(input);
+    const factors = [
+        ...historyFactors(input, text),
+        ...ageFactors(input),
+        ...riskFactorFactors(input, text),
+        ...severityFactors(input),
+        ...acuityFactors(input)
+    ];
+    const score = ['history', 'age', 'risk_factors', 'severity', 'acuity']
+        .reduce((sum, component) => sum + Math.min(2, componentTotal(factors, component)), 0);
+
+    let band = score >= 7 ? 'high' : score >= 4 ? 'moderate' : 'low';
+    if (input.isEmergency) {
+        factors.push({ component: 'emergency', points: 0, detail: 'emergency flagged during intake' });
+        band = 'high';
+    }
+    return {
+        score,
+        maxScore: 10,
+        band,
+        priority: band === 'high' ? 'URGENT' : band === 'moderate' ? 'HIGH' : 'NORMAL',
+        factors
+    };
+}
+
+const SCORING_VERSIONS = {
+    'heart-intake-v1': scoreHeartIntakeV1
+};
+
+const DEFAULT_VERSION = 'heart-intake-v1';
+
+function computeRiskScore(input, { version = config.risk?.version || DEFAULT_VERSION } = {}) {
+    const scorer = SCORING_VERSIONS[version];
+    if (!scorer) {
+        throw new Error(`Unknown risk scoring version "${version}"`);
+    }
+    return { version, ...scorer(input || {}) };
+}
+
+// Gather the scoring input from a patient row and an intake session
+function buildRiskInput({ patient = {}, sessionData = {}, symptoms } = {}) {
+    const sessionSymptoms = Array.isArray(sessionData.symptoms) ? sessionData.symptoms : [];
+    return {
+        age: patient.age,
+        gender: patient.gender,
+        symptoms: sessionSymptoms.length
+            ? sessionSymptoms
+            : String(symptoms || '').split(',').map(s => s.trim()).filter(Boolean),
+        fields: sessionData.clinicalFields || {},
+        answers: (sessionData.allPatientAnswers || []).map(qa => qa.answer),
+        medicalHistory: patient.medical_history || {},
+        redFlags: sessionData.severityHits || [],
+        isEmergency: !!sessionData.isEmergency
+    };
+}
+
+module.exports = {
+    PRIORITY_RANK,
+    SCORING_VERSIONS,
+    DEFAULT_VERSION,
+    computeRiskScore,
+    buildRiskInput
+};
@@ -3,6 +3,41 @@ const router = express.Router();
 const config = require('../config/config');
 const db = require('../db');
 const { getUpcomingAppointments } = require('../calendar');
+const { sendNotifications, previewNotification } = require('../notify');
+const { LANGUAGES, TEMPLATE_TYPES } = require('../message_templates');
+const { createOtp, verifyOtp, createSession, revokeSession, getBearerToken, requireDoctor, signToken, verifyToken } = require('../auth');
+const { cancelAppointmentReminders, getAppointmentReminders } = require('../reminders');
+const { getAppointmentNotifications, describeNotification } = require('../outbox');
+const { AppointmentChangeError, cancelAppointment, markNoShow } = require('../appointments');
+const { requestBump } = require('../allocation');
+const { getDoctorWaitlist } = require('../waitlist');
+const { normalizeAvailability, validateAvailability, mergeAvailability } = require('../availability');
+const { doctorTimeZone, isValidTimeZone } = require('../timezones');
+const { validatePrefs, mergePrefs } = require('../doctor_prefs');
+const { acknowledgeAlert, listOpenAlerts } = require('../doctor_alerts');
+const {
+    getCalendarSettings,
+    getDoctorCalendar,
+    validateCalendarSettings,
+    saveCalendarSettings,
+    connectGoogleCalendar,
+    disconnectGoogleCalendar,
+    describeCalendarSettings
+} = require('../calendar_providers');
+const { isGoogleConnectConfigured, getConnectUrl, exchangeCode } = require('../calendar_providers/google');
+const { buildDoctorFeed, rotateFeedToken, getFeedToken, disableFeed, verifyFeedToken } = require('../appointment_ics');
+
+// How long a doctor has to finish Google's consent page
+const CALENDAR_CONNECT_TTL_SECONDS = 10 * 60;
+
+// "Today" is the doctor's day: appointment times are UTC, dates are taken in the doctor's zone
+async function getDoctorTimeZone(doctorId) {
+    const result = await db.query('SELECT time_zone FROM doctors WHERE doctor_id = $1', [doctorId]);
+    return doctorTimeZone(result.rows[0]);
+}
+
+// Highest intake risk first (see risk_score.js), then by time
+const RISK_ORDER = `CASE a.urgency WHEN 'URGENT' THEN 0 WHEN 'HIGH' THEN 1 ELSE 2 END, a.risk_score DESC NULLS LAST, a.appointment_time ASC`;
 
 // Get available doctors for appointment booking
 router.get('/available', async (req, res) => {
@@ -31,92 +66,184 @@ router.get('/available', async (req, res) => {
     }
 });
 
-// Doctor login/register (idempotent by normalized mobile)
-router.post('/login', async (req, res) => {
+// Normalize mobile to a consistent format (E.164-like; default +91 for 10-digit numbers)
+const normalizeMobile = (m) => {
+    if (!m) return '';
+    const digits = String(m).replace(/\D/g, ''); // keep only digits
+    if (digits.length === 10) return `+91${digits}`; // assume India
+    if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`; // already has 91
+    return m.toString().replace(/\s/g, ''); // fallback: strip spaces
+};
+
+// The doctor's own profile as sent to the dashboard; calendar ids, the feed token and booked
+// slots stay on the server
+const PROFILE_FIELDS = [
+    'doctor_id', 'name', 'mobile', 'email', 'specialization', 'experience_years', 'qualification',
+    'hospital_name', 'consultation_fee', 'telegram_id', 'whatsapp_number', 'prefs', 'time_zone', 'created_at'
+];
+const doctorProfile = (doctor) => Object.fromEntries(PROFILE_FIELDS.map(field => [field, doctor[field]]));
+
+// Find a registered doctor by any of the common representations of their mobile
+async function findDoctorByMobile(mobile) {
+    const normalized = normalizeMobile(mobile);
+    const rawNoSpace = String(mobile).replace(/\s/g, '');
+    const digitsOnly = String(mobile).replace(/\D/g, '');
+
+    const result = await db.query(
+        `SELECT * FROM doctors WHERE mobile = $1 OR mobile = $2 OR mobile = $3 LIMIT 1`,
+        [normalized, rawNoSpace, digitsOnly]
+    );
+    return result.rows[0] || null;
+}
+
+// Doctor login step 1: send a one-time password to the registered mobile
+router.post('/login/request-otp', async (req, res) => {
     try {
-        const { mobile, name } = req.body;
-        
-        if (!mobile || !name) {
-            return res.status(400).json({ 
-                error: 'Mobile number and name are required' 
-            });
-        }
+        const { mobile } = req.body;
 
-        // Normalize mobile to a consistent format (E.164-like; default +91 for 10-digit numbers)
-        const normalizeMobile = (m) => {
-            if (!m) return '';
-            const digits = String(m).replace(/\D/g, ''); // keep only digits
-            if (digits.length === 10) return `+91${digits}`; // assume India
-            if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`; // already has 91
-            return m.toString().replace(/\s/g, ''); // fallback: strip spaces
-        };
+        if (!mobile) {
+            return res.status(400).json({ error: 'Mobile number is required' });
+        }
 
-        const normalized = normalizeMobile(mobile);
-        const rawNoSpace = String(mobile).replace(/\s/g, '');
-        const digitsOnly = String(mobile).replace(/\D/g, '');
+        const doctor = await findDoctorByMobile(mobile);
 
-        // Try to find existing doctor by any of the common representations
-        let result = await db.query(
-            `SELECT * FROM doctors WHERE mobile = $1 OR mobile = $2 OR mobile = $3 LIMIT 1`,
-            [normalized, rawNoSpace, digitsOnly]
-        );
-        
-        let doctor;
-        let isFirstLogin = false;
-        
-        if (result.rows.length === 0) {
-            // Register new doctor with normalized mobile
-            result = await db.query(`
-                INSERT INTO doctors (name, mobile, prefs)
-                VALUES ($1, $2, $3)
-                RETURNING *
-            `, [name, normalized, JSON.stringify({ telegram: false, whatsapp: false, email: false })]);
-            
-            doctor = result.rows[0];
-            isFirstLogin = true;
-        } else {
-            // Existing doctor found
-            doctor = result.rows[0];
-
-            // Migrate stored mobile to normalized format if different
-            if (doctor.mobile !== normalized) {
-                try {
-                    const upd = await db.query(
-                        'UPDATE doctors SET mobile = $1 WHERE doctor_id = $2 RETURNING *',
-                        [normalized, doctor.doctor_id]
-                    );
-                    if (upd.rows[0]) doctor = upd.rows[0];
-                } catch (e) {
-                    // If unique constraint prevents update, ignore and keep existing
-                    console.warn('Mobile normalization skipped:', e.message);
+        // Same response whether or not the number is registered
+        if (doctor) {
+            // A null code means one was sent moments ago (resend cooldown)
+            const code = await createOtp('doctor_login', doctor.doctor_id);
+            if (code) {
+                if (config.server.nodeEnv === 'development') {
+                    console.log(`Doctor login OTP for ${doctor.mobile}: ${code}`);
+                }
+                const delivery = await sendNotifications('otp_code', {
+                    recipient: { mobile: doctor.mobile, whatsapp_number: doctor.whatsapp_number, email: doctor.email },
+                    code,
+                    purposeLabel: 'doctor login'
+                });
+                if (!delivery.some(d => d.success)) {
+                    console.warn('Doctor login OTP could not be delivered:', delivery);
                 }
             }
-            
-            // Update name if different
-            if (doctor.name !== name) {
-                await db.query(
-                    'UPDATE doctors SET name = $1 WHERE doctor_id = $2',
-                    [name, doctor.doctor_id]
+        }
+
+        res.json({
+            success: true,
+            message: 'If this number is registered, a login code has been sent'
+        });
+
+    } catch (error) {
+        console.error('Doctor OTP request error:', error);
+        res.status(500).json({ error: 'Failed to send login code' });
+    }
+});
+
+// Doctor login step 2: exchange the one-time password for a session token
+router.post('/login/verify-otp', async (req, res) => {
+    try {
+        const { mobile, otp } = req.body;
+
+        if (!mobile || !otp) {
+            return res.status(400).json({ error: 'Mobile number and code are required' });
+        }
+
+        let doctor = await findDoctorByMobile(mobile);
+        const valid = doctor && await verifyOtp('doctor_login', doctor.doctor_id, otp);
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid or expired code' });
+        }
+
+        // Migrate stored mobile to normalized format if different
+        const normalized = normalizeMobile(mobile);
+        if (doctor.mobile !== normalized) {
+            try {
+                const upd = await db.query(
+                    'UPDATE doctors SET mobile = $1 WHERE doctor_id = $2 RETURNING *',
+                    [normalized, doctor.doctor_id]
                 );
-                doctor.name = name;
+                if (upd.rows[0]) doctor = upd.rows[0];
+            } catch (e) {
+                // If unique constraint prevents update, ignore and keep existing
+                console.warn('Mobile normalization skipped:', e.message);
             }
         }
-        
+
+        const ttlSeconds = (config.auth?.doctorSessionHours || 12) * 3600;
+        const session = await createSession('doctor', doctor.doctor_id, ttlSeconds);
+
         res.json({
             success: true,
-            doctor: doctor,
-            isFirstLogin: isFirstLogin,
-            message: isFirstLogin ? 'Doctor registered successfully' : 'Login successful'
+            doctor: doctorProfile(doctor),
+            token: session.token,
+            expiresIn: session.expiresIn,
+            message: 'Login successful'
         });
-        
+
     } catch (error) {
         console.error('Doctor login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
+// Doctor logout: revoke the current session token
+router.post('/logout', async (req, res) => {
+    try {
+        await revokeSession(getBearerToken(req));
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Doctor logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Google sends the doctor back here after the consent page (config.google.connectRedirectUri);
+// the signed `state` says which doctor started the flow. Ends on the dashboard's Preferences tab.
+router.get('/calendar/google/callback', async (req, res) => {
+    const { code, state, error: oauthError } = req.query;
+    const back = (result) => res.redirect(`${config.server.frontendUrl}/?calendar=${result}`);
+    try {
+        const claims = verifyToken(state);
+        if (!claims || claims.purpose !== 'google_calendar' || !claims.doctorId) {
+            return back('invalid');
+        }
+        if (oauthError || !code) {
+            return back('denied');
+        }
+
+        const grant = await exchangeCode(code);
+        await connectGoogleCalendar(claims.doctorId, grant);
+        back('connected');
+
+    } catch (error) {
+        console.error('Google calendar connect error:', error);
+        back('error');
+    }
+});
+
+// The doctor's appointments as an iCalendar feed for any calendar app; calendar clients cannot
+// send a session token, so the URL carries the feed token instead
+router.get('/:doctorId/appointments.ics', async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        if (!(await verifyFeedToken(doctorId, req.query.token))) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="doctor-${doctorId}.ics"`);
+        res.send(await buildDoctorFeed(doctor.rows[0]));
+
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
 // Get doctor profile
-router.get('/:doctorId', async (req, res) => {
+router.get('/:doctorId', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
         
@@ -131,7 +258,7 @@ router.get('/:doctorId', async (req, res) => {
         
         res.json({
             success: true,
-            doctor: result.rows[0]
+            doctor: doctorProfile(result.rows[0])
         });
         
     } catch (error) {
@@ -141,16 +268,29 @@ router.get('/:doctorId', async (req, res) => {
 });
 
 // Update doctor preferences
-router.put('/:doctorId/preferences', async (req, res) => {
+router.put('/:doctorId/preferences', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
         const { email, telegram_id, whatsapp_number, prefs } = req.body;
         
-        // Validate prefs format
-        if (prefs && typeof prefs !== 'object') {
-            return res.status(400).json({ 
-                error: 'Preferences must be an object' 
-            });
+        // Validate prefs format; channels, quiet hours, digest time and backup doctor (see doctor_prefs.js)
+        if (prefs !== undefined) {
+            const errors = validatePrefs(prefs);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid preferences', details: errors });
+            }
+            if (prefs.backupDoctorId !== undefined && prefs.backupDoctorId !== null) {
+                const backup = await db.query(
+                    'SELECT doctor_id FROM doctors WHERE doctor_id = $1 AND doctor_id <> $2',
+                    [prefs.backupDoctorId, doctorId]
+                );
+                if (backup.rows.length === 0) {
+                    return res.status(400).json({
+                        error: 'Invalid preferences',
+                        details: ['backupDoctorId must be another doctor']
+                    });
+                }
+            }
         }
         
         const updateFields = [];
@@ -173,8 +313,10 @@ router.put('/:doctorId/preferences', async (req, res) => {
         }
         
         if (prefs !== undefined) {
+            // A partial update keeps the preferences it leaves out
+            const current = await db.query('SELECT prefs FROM doctors WHERE doctor_id = $1', [doctorId]);
             updateFields.push(`prefs = $${paramCount++}`);
-            updateValues.push(JSON.stringify(prefs));
+            updateValues.push(JSON.stringify(mergePrefs(current.rows[0]?.prefs, prefs)));
         }
         
         if (updateFields.length === 0) {
@@ -198,7 +340,7 @@ router.put('/:doctorId/preferences', async (req, res) => {
         
         res.json({
             success: true,
-            doctor: result.rows[0],
+            doctor: doctorProfile(result.rows[0]),
             message: 'Preferences updated successfully'
         });
         
@@ -209,17 +351,18 @@ router.put('/:doctorId/preferences', async (req, res) => {
 });
 
 // Get doctor's appointments
-router.get('/:doctorId/appointments', async (req, res) => {
+router.get('/:doctorId/appointments', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
-        const { filter = 'today', limit = 50 } = req.query;
+        const { filter = 'today', limit = 50, sort = 'time' } = req.query;
         
         let dateFilter = '';
+        const timeZone = await getDoctorTimeZone(doctorId);
         const params = [doctorId];
         
         switch (filter) {
             case 'today':
-                dateFilter = 'AND DATE(appointment_time) = CURRENT_DATE';
+                dateFilter = 'AND (appointment_time AT TIME ZONE $3)::date = (NOW() AT TIME ZONE $3)::date';
                 break;
             case 'upcoming':
                 dateFilter = 'AND appointment_time >= NOW()';
@@ -240,15 +383,23 @@ router.get('/:doctorId/appointments', async (req, res) => {
                 p.email as patient_email,
                 p.mobile as patient_mobile,
                 p.age as patient_age,
-                p.gender as patient_gender
+                p.gender as patient_gender,
+                (
+                    SELECT COALESCE(json_agg(json_build_object(
+                        'type', o.notification_type, 'recipient', o.recipient, 'status', o.status,
+                        'channel', o.channel, 'attempts', o.attempts, 'error', o.last_error
+                    ) ORDER BY o.outbox_id), '[]'::json)
+                    FROM notification_outbox o WHERE o.appointment_id = a.appointment_id
+                ) as notifications
             FROM appointments a
             JOIN patients p ON a.patient_id = p.patient_id
             WHERE a.doctor_id = $1 ${dateFilter}
-            ORDER BY a.appointment_time ASC
+            ORDER BY ${sort === 'risk' ? RISK_ORDER : 'a.appointment_time ASC'}
             LIMIT $2
         `;
         
         params.push(limit);
+        if (filter === 'today') params.push(timeZone);
         
         const result = await db.query(query, params);
         
@@ -256,14 +407,14 @@ router.get('/:doctorId/appointments', async (req, res) => {
         const statsQuery = `
             SELECT 
                 COUNT(*) as total_appointments,
-                COUNT(CASE WHEN DATE(appointment_time) = CURRENT_DATE THEN 1 END) as today_appointments,
+                COUNT(CASE WHEN (appointment_time AT TIME ZONE $2)::date = (NOW() AT TIME ZONE $2)::date THEN 1 END) as today_appointments,
                 COUNT(CASE WHEN appointment_time >= NOW() THEN 1 END) as upcoming_appointments,
                 COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_appointments
             FROM appointments
             WHERE doctor_id = $1
         `;
         
-        const statsResult = await db.query(statsQuery, [doctorId]);
+        const statsResult = await db.query(statsQuery, [doctorId, timeZone]);
         const stats = statsResult.rows[0];
         
         res.json({
@@ -283,8 +434,66 @@ router.get('/:doctorId/appointments', async (req, res) => {
     }
 });
 
+// Reminder jobs for an appointment with their delivery outcome
+router.get('/:doctorId/appointments/:appointmentId/reminders', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId, appointmentId } = req.params;
+
+        const appointment = await db.query(
+            'SELECT appointment_id FROM appointments WHERE appointment_id = $1 AND doctor_id = $2',
+            [appointmentId, doctorId]
+        );
+        if (appointment.rows.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const reminders = await getAppointmentReminders(appointmentId);
+        res.json({
+            success: true,
+            reminders: reminders.map(job => ({
+                hoursBeforeAppointment: job.payload?.hoursBeforeAppointment,
+                runAt: job.run_at,
+                status: job.status,
+                attempts: job.attempts,
+                deliveries: job.result || [],
+                error: job.last_error,
+                completedAt: job.completed_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get appointment reminders error:', error);
+        res.status(500).json({ error: 'Failed to get appointment reminders' });
+    }
+});
+
+// Confirmation and change notifications for an appointment: each channel tried and the outcome
+router.get('/:doctorId/appointments/:appointmentId/notifications', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId, appointmentId } = req.params;
+
+        const appointment = await db.query(
+            'SELECT appointment_id FROM appointments WHERE appointment_id = $1 AND doctor_id = $2',
+            [appointmentId, doctorId]
+        );
+        if (appointment.rows.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const notifications = await getAppointmentNotifications(appointmentId);
+        res.json({
+            success: true,
+            notifications: notifications.map(describeNotification)
+        });
+
+    } catch (error) {
+        console.error('Get appointment notifications error:', error);
+        res.status(500).json({ error: 'Failed to get appointment notifications' });
+    }
+});
+
 // Get specific appointment details
-router.get('/:doctorId/appointments/:appointmentId', async (req, res) => {
+router.get('/:doctorId/appointments/:appointmentId', requireDoctor, async (req, res) => {
     try {
         const { doctorId, appointmentId } = req.params;
         
@@ -317,11 +526,39 @@ router.get('/:doctorId/appointments/:appointmentId', async (req, res) => {
     }
 });
 
+// Ask the patient of a routine appointment to move later so an urgent patient can have the slot
+router.post('/:doctorId/appointments/:appointmentId/bump', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId, appointmentId } = req.params;
+        const { urgentPatientId } = req.body;
+        if (!urgentPatientId) {
+            return res.status(400).json({ error: 'urgentPatientId is required' });
+        }
+
+        const appointment = await db.query(
+            'SELECT appointment_id FROM appointments WHERE appointment_id = $1 AND doctor_id = $2',
+            [appointmentId, doctorId]
+        );
+        if (appointment.rows.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const bump = await requestBump({ appointmentId, urgentPatientId, requestedBy: 'doctor' });
+        res.json({ success: true, bump });
+    } catch (error) {
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Request appointment move error:', error);
+        res.status(500).json({ error: 'Failed to request appointment move' });
+    }
+});
+
 // Update appointment status
-router.put('/:doctorId/appointments/:appointmentId', async (req, res) => {
+router.put('/:doctorId/appointments/:appointmentId', requireDoctor, async (req, res) => {
     try {
         const { doctorId, appointmentId } = req.params;
-        const { status, notes } = req.body;
+        const { status, notes, reason } = req.body;
         
         const validStatuses = ['scheduled', 'in-progress', 'completed', 'cancelled', 'no-show'];
         
@@ -331,11 +568,20 @@ router.put('/:doctorId/appointments/:appointmentId', async (req, res) => {
             });
         }
         
+        // Cancelling also frees the slot, removes the calendar event and tells the patient;
+        // a cancellation or no-show offers the freed slot to the waitlist
+        let cancellation = null;
+        if (status === 'cancelled') {
+            cancellation = await cancelAppointment(appointmentId, { by: 'doctor', reason: reason || null, doctorId });
+        } else if (status === 'no-show') {
+            cancellation = await markNoShow(appointmentId, { doctorId });
+        }
+
         const updateFields = [];
         const updateValues = [];
         let paramCount = 1;
         
-        if (status) {
+        if (status && !cancellation) {
             updateFields.push(`status = $${paramCount++}`);
             updateValues.push(status);
         }
@@ -345,6 +591,17 @@ router.put('/:doctorId/appointments/:appointmentId', async (req, res) => {
             updateValues.push(notes);
         }
         
+        if (updateFields.length === 0 && cancellation) {
+            return res.json({
+                success: true,
+                appointment: cancellation.appointment,
+                calendar: cancellation.calendar,
+                notifications: cancellation.notifications,
+                waitlistOffer: cancellation.waitlistOffer || null,
+                message: status === 'no-show' ? 'Appointment marked as no-show' : 'Appointment cancelled'
+            });
+        }
+
         if (updateFields.length === 0) {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
@@ -363,6 +620,11 @@ router.put('/:doctorId/appointments/:appointmentId', async (req, res) => {
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Appointment not found' });
         }
+
+        // Reminders only make sense while the appointment is still ahead
+        if (status && status !== 'scheduled' && !cancellation) {
+            await cancelAppointmentReminders(appointmentId, `Appointment ${status}`);
+        }
         
         res.json({
             success: true,
@@ -371,15 +633,113 @@ router.put('/:doctorId/appointments/:appointmentId', async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Update appointment error:', error);
         res.status(500).json({ error: 'Failed to update appointment' });
     }
 });
 
+// Patients waiting for a freed slot with this doctor, in the order slots are offered
+router.get('/:doctorId/waitlist', requireDoctor, async (req, res) => {
+    try {
+        const waitlist = await getDoctorWaitlist(req.params.doctorId);
+        res.json({ success: true, waitlist });
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({ error: 'Failed to get waitlist' });
+    }
+});
+
+// Patient notification templates and the languages they are written in
+router.get('/:doctorId/notification-templates', requireDoctor, (req, res) => {
+    res.json({ success: true, types: TEMPLATE_TYPES, languages: LANGUAGES });
+});
+
+// A patient notification as it would be sent: ?language= (default: the patient's, else English)
+// and ?appointmentId= to render it with one of the doctor's appointments instead of an example
+router.get('/:doctorId/notification-templates/:type/preview', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId, type } = req.params;
+        const { language, appointmentId } = req.query;
+
+        const errors = [];
+        if (!TEMPLATE_TYPES.includes(type)) {
+            errors.push(`type must be one of: ${TEMPLATE_TYPES.join(', ')}`);
+        }
+        if (language !== undefined && !LANGUAGES.includes(language)) {
+            errors.push(`language must be one of: ${LANGUAGES.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid preview request', details: errors });
+        }
+
+        const doctorRes = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctorRes.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        let patient = {};
+        let appointment = null;
+        if (appointmentId !== undefined) {
+            const result = await db.query(
+                `SELECT a.*, row_to_json(p) AS patient
+                 FROM appointments a
+                 JOIN patients p ON a.patient_id = p.patient_id
+                 WHERE a.appointment_id = $1 AND a.doctor_id = $2`,
+                [appointmentId, doctorId]
+            );
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'Appointment not found' });
+            }
+            ({ patient, ...appointment } = result.rows[0]);
+        }
+
+        const preview = previewNotification(type, {
+            doctor: doctorRes.rows[0],
+            patient: { ...patient, language: language || patient.language || 'en' },
+            appointment
+        });
+        res.json({ success: true, preview });
+
+    } catch (error) {
+        console.error('Notification preview error:', error);
+        res.status(500).json({ error: 'Failed to preview notification' });
+    }
+});
+
+// URGENT alerts not yet acknowledged, including those escalated from doctors this one backs up
+router.get('/:doctorId/alerts', requireDoctor, async (req, res) => {
+    try {
+        const alerts = await listOpenAlerts(req.params.doctorId);
+        res.json({ success: true, alerts });
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({ error: 'Failed to get alerts' });
+    }
+});
+
+// Acknowledging an URGENT alert stops its escalation to the backup doctor
+router.post('/:doctorId/alerts/:alertId/acknowledge', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId, alertId } = req.params;
+        const alert = await acknowledgeAlert(alertId, doctorId);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json({ success: true, alert });
+    } catch (error) {
+        console.error('Acknowledge alert error:', error);
+        res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+});
+
 // Get dashboard summary
-router.get('/:doctorId/dashboard', async (req, res) => {
+router.get('/:doctorId/dashboard', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
+        const timeZone = await getDoctorTimeZone(doctorId);
         
         // Get today's appointments
         const todayAppointments = await db.query(`
@@ -390,9 +750,9 @@ router.get('/:doctorId/dashboard', async (req, res) => {
             FROM appointments a
             JOIN patients p ON a.patient_id = p.patient_id
             WHERE a.doctor_id = $1 
-            AND DATE(a.appointment_time) = CURRENT_DATE
-            ORDER BY a.appointment_time ASC
-        `, [doctorId]);
+            AND (a.appointment_time AT TIME ZONE $2)::date = (NOW() AT TIME ZONE $2)::date
+            ORDER BY ${RISK_ORDER}
+        `, [doctorId, timeZone]);
         
         // Get next appointment
         const nextAppointment = await db.query(`
@@ -413,15 +773,15 @@ router.get('/:doctorId/dashboard', async (req, res) => {
         // Get weekly statistics
         const weeklyStats = await db.query(`
             SELECT 
-                DATE(appointment_time) as date,
+                (appointment_time AT TIME ZONE $2)::date as date,
                 COUNT(*) as count
             FROM appointments
             WHERE doctor_id = $1 
             AND appointment_time >= NOW() - INTERVAL '7 days'
             AND appointment_time < NOW() + INTERVAL '1 day'
-            GROUP BY DATE(appointment_time)
+            GROUP BY (appointment_time AT TIME ZONE $2)::date
             ORDER BY date ASC
-        `, [doctorId]);
+        `, [doctorId, timeZone]);
         
         // Get patient demographics
         const patientStats = await db.query(`
@@ -459,7 +819,7 @@ router.get('/:doctorId/dashboard', async (req, res) => {
 });
 
 // Search patients
-router.get('/:doctorId/patients/search', async (req, res) => {
+router.get('/:doctorId/patients/search', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
         const { q } = req.query;
@@ -504,19 +864,71 @@ router.get('/:doctorId/patients/search', async (req, res) => {
     }
 });
 
-// Doctor availability management
-router.put('/:doctorId/availability', async (req, res) => {
+// Doctor working hours, breaks, leave, slot length and daily capacity (see availability.js)
+router.get('/:doctorId/availability', requireDoctor, async (req, res) => {
     try {
         const { doctorId } = req.params;
-        const { available, reason } = req.body;
-        
-        // This could be extended to manage doctor availability
-        // For now, just return success
+        const result = await db.query('SELECT available_slots, time_zone FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        res.json({
+            success: true,
+            availability: normalizeAvailability(result.rows[0].available_slots),
+            timeZone: doctorTimeZone(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({ error: 'Failed to get availability' });
+    }
+});
+
+// Doctor availability management; fields left out keep their current value. Working hours are
+// wall-clock times in `timeZone` (an IANA zone such as "Asia/Kolkata")
+router.put('/:doctorId/availability', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { weekly, breaks, leave, slotMinutes, dailyCapacity, timeZone } = req.body;
+        const update = { weekly, breaks, leave, slotMinutes, dailyCapacity };
+        Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+
+        if (Object.keys(update).length === 0 && timeZone === undefined) {
+            return res.status(400).json({ error: 'No availability fields to update' });
+        }
+        const errors = validateAvailability(update);
+        if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+            errors.push('timeZone must be an IANA time zone such as "Asia/Kolkata"');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid availability', details: errors });
+        }
+
+        const availability = await db.transaction(async (client) => {
+            const current = await client.query(
+                'SELECT available_slots, time_zone FROM doctors WHERE doctor_id = $1 FOR UPDATE',
+                [doctorId]
+            );
+            if (current.rows.length === 0) return null;
+            const merged = mergeAvailability(current.rows[0].available_slots, update);
+            const zone = timeZone === undefined ? current.rows[0].time_zone : timeZone;
+            await client.query(
+                'UPDATE doctors SET available_slots = $1, time_zone = $2 WHERE doctor_id = $3',
+                [JSON.stringify(merged), zone, doctorId]
+            );
+            return { merged, zone };
+        });
+
+        if (!availability) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
         res.json({
             success: true,
             message: 'Availability updated',
-            available: available,
-            reason: reason || null
+            availability: availability.merged,
+            timeZone: doctorTimeZone({ time_zone: availability.zone })
         });
         
     } catch (error) {
@@ -525,4 +937,155 @@ router.put('/:doctorId/availability', async (req, res) => {
     }
 });
 
+// Which calendar the doctor's appointments go to: Google, a CalDAV server or the local calendar
+router.get('/:doctorId/calendar', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const settings = await getCalendarSettings(doctorId);
+        res.json({
+            success: true,
+            calendar: describeCalendarSettings(doctor.rows[0], settings)
+        });
+
+    } catch (error) {
+        console.error('Get calendar settings error:', error);
+        res.status(500).json({ error: 'Failed to get calendar settings' });
+    }
+});
+
+// Choose the calendar provider; a CalDAV password left out keeps the stored one
+router.put('/:doctorId/calendar', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { provider, calendarId, caldav } = req.body;
+        const update = { provider, calendarId, caldav };
+
+        const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        // The stored password is only reused for the same server
+        const current = await getCalendarSettings(doctorId);
+        const errors = validateCalendarSettings(update, current?.caldav_url === caldav?.url ? current : null);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid calendar settings', details: errors });
+        }
+
+        const settings = await saveCalendarSettings(doctorId, update);
+        res.json({
+            success: true,
+            message: 'Calendar settings updated',
+            calendar: describeCalendarSettings(doctor.rows[0], settings)
+        });
+
+    } catch (error) {
+        console.error('Calendar settings update error:', error);
+        res.status(500).json({ error: 'Failed to update calendar settings' });
+    }
+});
+
+// Start connecting the doctor's own Google Calendar; the client opens the returned consent URL
+router.post('/:doctorId/calendar/google/connect', requireDoctor, async (req, res) => {
+    try {
+        if (!isGoogleConnectConfigured()) {
+            return res.status(400).json({ error: 'Google Calendar connection is not configured for this clinic' });
+        }
+        const state = signToken({ purpose: 'google_calendar', doctorId: Number(req.params.doctorId) }, CALENDAR_CONNECT_TTL_SECONDS);
+        res.json({ success: true, url: getConnectUrl(state) });
+
+    } catch (error) {
+        console.error('Google calendar connect error:', error);
+        res.status(500).json({ error: 'Failed to start calendar connection' });
+    }
+});
+
+// Revoke the doctor's Google grant and remove the stored tokens
+router.delete('/:doctorId/calendar/google', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const settings = await disconnectGoogleCalendar(doctorId);
+        res.json({
+            success: true,
+            message: 'Google Calendar disconnected',
+            calendar: describeCalendarSettings(doctor.rows[0], settings)
+        });
+
+    } catch (error) {
+        console.error('Google calendar disconnect error:', error);
+        res.status(500).json({ error: 'Failed to disconnect calendar' });
+    }
+});
+
+const feedUrl = (req, doctorId, token) =>
+    `${config.server.publicUrl || `${req.protocol}://${req.get('host')}`}/api/doctor/${doctorId}/appointments.ics?token=${token}`;
+
+// Subscription URL of the doctor's appointment feed, if turned on
+router.get('/:doctorId/calendar/feed', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const token = await getFeedToken(doctorId);
+        res.json({ success: true, enabled: !!token, url: token ? feedUrl(req, doctorId, token) : null });
+
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to get calendar feed' });
+    }
+});
+
+// Turn the feed on, or issue a new URL (the old one stops working)
+router.post('/:doctorId/calendar/feed', requireDoctor, async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const token = await rotateFeedToken(doctorId);
+        res.json({ success: true, enabled: true, url: feedUrl(req, doctorId, token) });
+
+    } catch (error) {
+        console.error('Calendar feed update error:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+router.delete('/:doctorId/calendar/feed', requireDoctor, async (req, res) => {
+    try {
+        await disableFeed(req.params.doctorId);
+        res.json({ success: true, enabled: false, url: null });
+
+    } catch (error) {
+        console.error('Calendar feed delete error:', error);
+        res.status(500).json({ error: 'Failed to turn off calendar feed' });
+    }
+});
+
+// Check the saved calendar can be reached by reading the next day's free/busy
+router.post('/:doctorId/calendar/test', requireDoctor, async (req, res) => {
+    const { doctorId } = req.params;
+    try {
+        const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const calendar = await getDoctorCalendar(doctor.rows[0]);
+        const start = new Date();
+        const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        const busy = await calendar.freeBusy({ start, end });
+        res.json({ success: true, provider: calendar.name, busy });
+
+    } catch (error) {
+        console.error('Calendar test error:', error);
+        res.status(502).json({ success: false, error: `Calendar could not be reached: ${error.message}` });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
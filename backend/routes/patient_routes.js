@@ -2,10 +2,31 @@ const express = require('express');
 const router = express.Router();
 const config = require('../config/config');
 const db = require('../db');
-const { getFreeBusySlots, bookAppointment, getDefaultSlots } = require('../calendar');
 const { sendNotifications } = require('../notify');
-
-// Check if patient exists by ID or name/identifier
+const { createOtp, verifyOtp, createSession, requirePatient, requireRole } = require('../auth');
+const { getSessionState } = require('../intake_state');
+const { startChatSession, completeChatSession } = require('../patient_chat');
+const { computeRiskScore, buildRiskInput } = require('../risk_score');
+const { AppointmentChangeError, createAppointment, cancelAppointment, rescheduleAppointment } = require('../appointments');
+const { SlotConflictError, HOLD_MINUTES, holdSlot, releaseHold, listHolds, findFreeSlots, findBestDoctorSlots } = require('../slots');
+const { listPendingBumps, respondToBump } = require('../allocation');
+const { WaitlistError, joinWaitlist, leaveWaitlist, getPatientWaitlist, declineOffer } = require('../waitlist');
+const { isValidTimeZone } = require('../timezones');
+
+// Any verified patient; routes that name a patient in the body compare it with req.auth.sub
+const requirePatientSession = requireRole('patient');
+
+// Short-lived patient session issued after registration or OTP verification
+const createPatientSession = (patientId) =>
+    createSession('patient', patientId, (config.auth?.patientSessionMinutes || 30) * 60);
+
+// Which verification channels a patient record supports (never the contact details themselves)
+const verificationChannels = (patient) => [
+    ...(patient.mobile ? ['sms'] : []),
+    ...(patient.email ? ['email'] : [])
+];
+
+// Check if patient exists by ID or name/identifier (identity only; no contact details)
 router.post('/check', async (req, res) => {
     try {
         const { patientId, patientIdentifier, patientName } = req.body;
@@ -13,11 +34,12 @@ router.post('/check', async (req, res) => {
         // 1) Backward-compatible: direct by patientId
         if (patientId) {
             const result = await db.query(
-                'SELECT patient_id, name, language FROM patients WHERE patient_id = $1',
+                'SELECT patient_id, name, language, email, mobile FROM patients WHERE patient_id = $1',
                 [patientId]
             );
             if (result.rows.length > 0) {
-                return res.json({ exists: true, patient: result.rows[0] });
+                const { email, mobile, ...patient } = result.rows[0];
+                return res.json({ exists: true, patient, verificationChannels: verificationChannels({ email, mobile }) });
             }
             return res.json({ exists: false });
         }
@@ -31,11 +53,12 @@ router.post('/check', async (req, res) => {
         // If identifier is numeric, treat as ID
         if (/^\d+$/.test(String(identifier))) {
             const result = await db.query(
-                'SELECT patient_id, name, language FROM patients WHERE patient_id = $1',
+                'SELECT patient_id, name, language, email, mobile FROM patients WHERE patient_id = $1',
                 [parseInt(identifier)]
             );
             if (result.rows.length > 0) {
-                return res.json({ exists: true, patient: result.rows[0] });
+                const { email, mobile, ...patient } = result.rows[0];
+                return res.json({ exists: true, patient, verificationChannels: verificationChannels({ email, mobile }) });
             }
             return res.json({ exists: false });
         }
@@ -51,14 +74,20 @@ router.post('/check', async (req, res) => {
             [`%${search}%`, search, search]
         );
 
-        if (matches.rows.length === 0) {
+        const choices = matches.rows.map(({ email, mobile, ...patient }) => ({
+            ...patient,
+            verificationChannels: verificationChannels({ email, mobile })
+        }));
+
+        if (choices.length === 0) {
             return res.json({ exists: false });
         }
-        if (matches.rows.length === 1) {
-            return res.json({ exists: true, patient: matches.rows[0] });
+        if (choices.length === 1) {
+            const { verificationChannels: channels, ...patient } = choices[0];
+            return res.json({ exists: true, patient, verificationChannels: channels });
         }
         // Multiple matches: ask client to pick
-        return res.json({ exists: false, requireSelection: true, choices: matches.rows });
+        return res.json({ exists: false, requireSelection: true, choices });
 
     } catch (error) {
         console.error('Patient check error:', error);
@@ -66,10 +95,100 @@ router.post('/check', async (req, res) => {
     }
 });
 
+// Identity verification step 1: send a one-time password to the registered mobile or email
+router.post('/verify/request', async (req, res) => {
+    try {
+        const { patientId, channel = 'sms' } = req.body;
+
+        if (!patientId) {
+            return res.status(400).json({ error: 'patientId is required' });
+        }
+        if (!['sms', 'email'].includes(channel)) {
+            return res.status(400).json({ error: 'channel must be sms or email' });
+        }
+
+        const result = await db.query(
+            'SELECT patient_id, mobile, email, language FROM patients WHERE patient_id = $1',
+            [patientId]
+        );
+        const patient = result.rows[0];
+        const destination = channel === 'email' ? patient?.email : patient?.mobile;
+
+        // Same response whether or not the record exists or has this channel
+        if (destination) {
+            // A null code means one was sent moments ago (resend cooldown)
+            const code = await createOtp('patient_verify', patient.patient_id);
+            if (code) {
+                if (config.server.nodeEnv === 'development') {
+                    console.log(`Patient verification OTP for ${patient.patient_id}: ${code}`);
+                }
+                const delivery = await sendNotifications('otp_code', {
+                    recipient: channel === 'email'
+                        ? { email: patient.email, language: patient.language }
+                        : { mobile: patient.mobile, language: patient.language },
+                    code,
+                    purposeLabel: 'verification'
+                });
+                if (!delivery.some(d => d.success)) {
+                    console.warn('Patient verification OTP could not be delivered:', delivery);
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            message: channel === 'email'
+                ? 'If an email is registered for this patient, a code has been sent to it'
+                : 'If a mobile number is registered for this patient, a code has been sent to it'
+        });
+
+    } catch (error) {
+        console.error('Patient OTP request error:', error);
+        res.status(500).json({ error: 'Failed to send verification code' });
+    }
+});
+
+// Identity verification step 2: exchange the one-time password for a patient token
+router.post('/verify/confirm', async (req, res) => {
+    try {
+        const { patientId, otp } = req.body;
+
+        if (!patientId || !otp) {
+            return res.status(400).json({ error: 'patientId and code are required' });
+        }
+
+        const valid = await verifyOtp('patient_verify', patientId, otp);
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid or expired code' });
+        }
+
+        const result = await db.query(
+            'SELECT patient_id, name, language FROM patients WHERE patient_id = $1',
+            [patientId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const session = await createPatientSession(result.rows[0].patient_id);
+
+        res.json({
+            success: true,
+            patient: result.rows[0],
+            token: session.token,
+            expiresIn: session.expiresIn
+        });
+
+    } catch (error) {
+        console.error('Patient OTP verify error:', error);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
 // Register new patient - STRICT FLOW STEP 2
 router.post('/register', async (req, res) => {
     try {
-        const { name, email, gender, age, mobile, emergency_contact, language = 'te' } = req.body;
+        const { name, email, gender, age, mobile, emergency_contact, language = 'te', timeZone } = req.body;
         
         // Validate required fields
         if (!name || !email || !mobile) {
@@ -93,16 +212,21 @@ router.post('/register', async (req, res) => {
         
         // Register new patient with enhanced data
         const result = await db.query(`
-            INSERT INTO patients (name, email, gender, age, mobile, emergency_contact, language, medical_history)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-            RETURNING patient_id, name, email, language
-        `, [name, email, gender, age, mobile, emergency_contact, language, JSON.stringify({})]);
+            INSERT INTO patients (name, email, gender, age, mobile, emergency_contact, language, medical_history, time_zone)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING patient_id, name, email, language, time_zone
+        `, [name, email, gender, age, mobile, emergency_contact, language, JSON.stringify({}),
+            // The browser's zone; times in messages to the patient are shown in it
+            isValidTimeZone(timeZone) ? timeZone : null]);
         
         const newPatient = result.rows[0];
+        const session = await createPatientSession(newPatient.patient_id);
         
         res.status(201).json({
             success: true,
             patient: newPatient,
+            token: session.token,
+            expiresIn: session.expiresIn,
             message: 'Patient registered successfully'
         });
         
@@ -113,68 +237,20 @@ router.post('/register', async (req, res) => {
 });
 
 // Start chat session - STRICT FLOW STEP 3
-router.post('/chat/start', async (req, res) => {
+router.post('/chat/start', requirePatientSession, async (req, res) => {
     try {
-        const { patientId, chatType = 'text_voice', language } = req.body;
-        
-        // End any existing active sessions
-        await db.query(
-            'UPDATE chat_sessions SET status = $1, completed_at = NOW() WHERE patient_id = $2 AND status = $3',
-            ['completed', patientId, 'active']
-        );
-        
-        // Check if patient is existing (has previous completed sessions)
-        const isExistingPatient = await db.query(`
-            SELECT COUNT(*) as count FROM chat_sessions 
-            WHERE patient_id = $1 AND status = 'completed'
-        `, [patientId]);
-        
-        // Get previous sessions ONLY for existing patients
-        let previousSessions = [];
-        if (parseInt(isExistingPatient.rows[0].count) > 0) {
-            const sessionsResult = await db.query(`
-                SELECT session_data, summary, ai_diagnosis_hints, created_at
-                FROM chat_sessions 
-                WHERE patient_id = $1 AND status = 'completed' AND summary IS NOT NULL
-                ORDER BY created_at DESC 
-                LIMIT 3
-            `, [patientId]);
-            previousSessions = sessionsResult.rows;
+        const { chatType = 'text_voice', language } = req.body;
+        const patientId = req.auth.sub;
+
+        if (req.body.patientId && String(req.body.patientId) !== patientId) {
+            return res.status(403).json({ error: 'Access denied' });
         }
         
-        // Create new session with initial state
-        const result = await db.query(`
-            INSERT INTO chat_sessions (patient_id, chat_type, session_data, status)
-            VALUES ($1, $2, $3, $4)
-            RETURNING session_id
-        `, [
-            patientId, 
-            chatType, 
-            JSON.stringify({ 
-                currentStep: 'symptom_identification',
-                startTime: new Date(),
-                chatType: chatType,
-                questionsAskedForCurrentSymptom: 0,
-                allPatientAnswers: [],
-                currentSymptom: null,
-                isExistingPatient: previousSessions.length > 0
-            }), 
-            'active'
-        ]);
-        
-        // Persist chosen language for this session (default to English)
-        const sessionLanguage = typeof language === 'string' && language ? language : 'en';
-        await db.query(
-            'UPDATE chat_sessions SET session_data = session_data || $1 WHERE session_id = $2',
-            [JSON.stringify({ language: sessionLanguage }), result.rows[0].session_id]
-        );
+        const session = await startChatSession(patientId, { chatType, language });
 
         res.json({
             success: true,
-            sessionId: result.rows[0].session_id,
-            previousSessions: previousSessions,
-            isExistingPatient: previousSessions.length > 0,
-            language: sessionLanguage,
+            ...session,
             message: 'Chat session started'
         });
         
@@ -185,16 +261,22 @@ router.post('/chat/start', async (req, res) => {
 });
 
 // Complete chat session - STRICT FLOW STEP 6
-router.post('/chat/complete', async (req, res) => {
+router.post('/chat/complete', requirePatientSession, async (req, res) => {
     try {
         const { sessionId, summary } = req.body;
-        
-        await db.query(`
-            UPDATE chat_sessions 
-            SET status = 'completed', completed_at = NOW(), summary = $1,
-                ai_diagnosis_hints = (session_data->>'diagnosisSuggestions')
-            WHERE session_id = $2
-        `, [summary, sessionId]);
+
+        const session = await db.query(
+            'SELECT session_data, status FROM chat_sessions WHERE session_id = $1 AND patient_id = $2',
+            [sessionId, req.auth.sub]
+        );
+        if (session.rows.length === 0) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        if (session.rows[0].status === 'completed') {
+            return res.status(409).json({ error: 'Chat session is already completed', state: 'completed' });
+        }
+
+        await completeChatSession(sessionId, req.auth.sub, summary, session.rows[0].session_data);
         
         res.json({
             success: true,
@@ -207,6 +289,23 @@ router.post('/chat/complete', async (req, res) => {
     }
 });
 
+// Current intake state of a session and the actions the client may take next
+router.get('/chat/:sessionId/state', requirePatientSession, async (req, res) => {
+    try {
+        const state = await getSessionState(req.params.sessionId, req.auth.sub);
+        if (!state) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+        res.json({ success: true, ...state });
+    } catch (error) {
+        console.error('Get chat state error:', error);
+        res.status(500).json({ error: 'Failed to get chat state' });
+    }
+});
+
+// What anyone may see of the doctor offering the slots; the full row stays internal
+const publicDoctor = (doctor) => (doctor ? { doctor_id: doctor.doctor_id, name: doctor.name, specialization: doctor.specialization } : null);
+
 // Get available appointment slots - supports specific doctor or auto-pick by availability
 router.get('/appointments/slots', async (req, res) => {
     try {
@@ -218,39 +317,19 @@ router.get('/appointments/slots', async (req, res) => {
 
         // If doctorId is not provided or is 'auto', choose doctor with most available slots
         if (!doctorId || String(doctorId).toLowerCase() === 'auto') {
-            const doctorsRes = await db.query('SELECT doctor_id, email, name FROM doctors');
-            const doctors = doctorsRes.rows || [];
-
-            let best = { doctor: null, slots: [] };
-            for (const doc of doctors) {
-                const email = doc.email || 'doctor@clinic.com';
-                let slots = [];
-                try {
-                    slots = await getFreeBusySlots(email, startDate, endDate);
-                } catch (_) {}
-                if ((!best.slots?.length && slots?.length) || (slots?.length || 0) > (best.slots?.length || 0)) {
-                    best = { doctor: doc, slots };
-                }
-            }
-
-            const finalSlots = (best.slots?.length ? best.slots : getDefaultSlots()).slice(0, 3);
-            return res.json({ success: true, slots: finalSlots, doctor: best.doctor });
+            const best = await findBestDoctorSlots(startDate, endDate);
+            return res.json({ success: true, slots: best.slots.slice(0, 3), doctor: publicDoctor(best.doctor) });
         }
 
-        // Otherwise, fetch slots for the specific doctor; if not found, fall back to defaults
+        // Otherwise, fetch slots for the specific doctor
         const doctor = await db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId]);
         if (doctor.rows.length === 0) {
-            const fallbackSlots = getDefaultSlots();
-            return res.json({ success: true, slots: fallbackSlots, doctor: null });
+            return res.status(404).json({ error: 'Doctor not found' });
         }
 
-        const slots = await getFreeBusySlots(
-            doctor.rows[0].email || 'default@clinic.com',
-            startDate,
-            endDate
-        );
+        const slots = await findFreeSlots(doctor.rows[0], startDate, endDate);
 
-        res.json({ success: true, slots, doctor: doctor.rows[0] });
+        res.json({ success: true, slots, doctor: publicDoctor(doctor.rows[0]) });
 
     } catch (error) {
         console.error('Get slots error:', error);
@@ -258,166 +337,294 @@ router.get('/appointments/slots', async (req, res) => {
     }
 });
 
-// Book appointment - accepts patientId or name/identifier, and uses suggestedDoctorId fallback
-router.post('/appointments/book', async (req, res) => {
+// Hold a slot for the verified patient while they confirm the booking
+router.post('/appointments/hold', requirePatientSession, async (req, res) => {
+    try {
+        const { doctorId, slotStart, slotEnd } = req.body;
+        const start = new Date(slotStart);
+        const end = new Date(slotEnd);
+        if (!doctorId || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+            return res.status(400).json({ error: 'doctorId, slotStart and slotEnd are required, with slotEnd after slotStart' });
+        }
+
+        const hold = await holdSlot({ doctorId, patientId: parseInt(req.auth.sub), start, end });
+        if (!hold) {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+        res.json({
+            success: true,
+            hold: { holdId: hold.slot_id, expiresAt: hold.hold_expires_at, holdMinutes: HOLD_MINUTES }
+        });
+    } catch (error) {
+        if (error instanceof SlotConflictError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Hold slot error:', error);
+        res.status(500).json({ error: 'Failed to hold appointment slot' });
+    }
+});
+
+// The patient's current holds, with their expiry
+router.get('/appointments/holds', requirePatientSession, async (req, res) => {
     try {
-        const { patientId, patientIdentifier, patientName, doctorId, suggestedDoctorId, slotStart, slotEnd, chatSummary, symptoms, aiDiagnosisHints } = req.body;
+        const holds = await listHolds(parseInt(req.auth.sub));
+        res.json({
+            success: true,
+            holds: holds.map(hold => ({
+                holdId: hold.slot_id,
+                doctorId: hold.doctor_id,
+                slotStart: hold.start_time,
+                slotEnd: hold.end_time,
+                expiresAt: hold.hold_expires_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get holds error:', error);
+        res.status(500).json({ error: 'Failed to get held slots' });
+    }
+});
+
+// Give up a hold (patient chose another slot or left)
+router.delete('/appointments/hold/:holdId', requirePatientSession, async (req, res) => {
+    try {
+        const released = await releaseHold(req.params.holdId, parseInt(req.auth.sub));
+        if (!released) {
+            return res.status(404).json({ error: 'Hold not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Release hold error:', error);
+        res.status(500).json({ error: 'Failed to release appointment slot' });
+    }
+});
+
+// Book appointment for the verified patient; uses suggestedDoctorId fallback (see createAppointment)
+router.post('/appointments/book', requirePatientSession, async (req, res) => {
+    try {
+        const { patientId, sessionId, doctorId, suggestedDoctorId, slotStart, slotEnd, holdId, chatSummary, symptoms, aiDiagnosisHints } = req.body;
 
         // Validate required fields (slot)
         if (!slotStart || !slotEnd) {
             return res.status(400).json({ error: 'slotStart and slotEnd are required' });
         }
 
-        // Resolve patient
-        let resolvedPatientId = patientId;
-        if (!resolvedPatientId) {
-            const identifier = patientIdentifier || patientName;
-            if (!identifier) {
-                return res.status(400).json({ error: 'Provide patientId or patientIdentifier/patientName' });
-            }
-            if (/^\d+$/.test(String(identifier))) {
-                const p = await db.query('SELECT patient_id FROM patients WHERE patient_id = $1', [parseInt(identifier)]);
-                if (!p.rows.length) return res.status(404).json({ error: 'Patient not found' });
-                resolvedPatientId = p.rows[0].patient_id;
-            } else {
-                const search = String(identifier).trim();
-                const matches = await db.query(
-                    `SELECT patient_id, name, email, mobile FROM patients
-                     WHERE name ILIKE $1 OR email = $2 OR mobile = $3
-                     ORDER BY name ASC LIMIT 10`,
-                    [`%${search}%`, search, search]
-                );
-                if (matches.rows.length === 0) {
-                    return res.status(404).json({ error: 'Patient not found' });
-                }
-                if (matches.rows.length > 1) {
-                    return res.status(409).json({ requireSelection: true, choices: matches.rows, error: 'Multiple patients matched' });
-                }
-                resolvedPatientId = matches.rows[0].patient_id;
-            }
+        // The patient is whoever holds the token
+        if (patientId && String(patientId) !== req.auth.sub) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
         // Resolve doctor: prefer explicit doctorId, else suggestedDoctorId, else default 1 (backward compatible)
-        const resolvedDoctorId = doctorId || suggestedDoctorId || 1;
+        const result = await createAppointment({
+            patientId: parseInt(req.auth.sub),
+            sessionId,
+            doctorId: doctorId || suggestedDoctorId || 1,
+            slotStart,
+            slotEnd,
+            holdId,
+            chatSummary,
+            symptoms,
+            aiDiagnosisHints
+        });
 
-        // Get patient and doctor details
-        const [patient, doctor] = await Promise.all([
-            db.query('SELECT * FROM patients WHERE patient_id = $1', [resolvedPatientId]),
-            db.query('SELECT * FROM doctors WHERE doctor_id = $1', [resolvedDoctorId])
-        ]);
+        // Construct user-facing message summarizing outcomes
+        const msgParts = ['Appointment booked successfully.'];
+        if (!result.calendar?.success) msgParts.push('Calendar invite could not be created.');
+        if (!result.notificationsSent) msgParts.push('Confirmations could not be sent yet and will be retried.');
+        const message = msgParts.join(' ');
 
-        if (patient.rows.length === 0) {
-            return res.status(404).json({ error: 'Patient not found' });
+        res.json({
+            success: true,
+            appointment: result.appointment,
+            calendar: result.calendar,
+            notifications: result.notifications,
+            notificationsSent: result.notificationsSent,
+            doctorName: result.doctor.name,
+            ...(result.fromChat ? { state: 'booked' } : {}),
+            message
+        });
+
+    } catch (error) {
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
         }
-        if (doctor.rows.length === 0) {
-            return res.status(404).json({ error: 'Doctor not found' });
+        console.error('Book appointment error:', error);
+        res.status(500).json({ error: 'Failed to book appointment' });
+    }
+});
+
+// Join a doctor's waitlist when none of the offered slots suit; freed slots are offered in
+// urgency order (from the intake, when sessionId is given) and then first come
+router.post('/appointments/waitlist', requirePatientSession, async (req, res) => {
+    try {
+        const { doctorId, sessionId, notBefore, notAfter } = req.body;
+        if (!doctorId) {
+            return res.status(400).json({ error: 'doctorId is required' });
         }
+        const window = [notBefore, notAfter].map(value => (value ? new Date(value) : null));
+        if (window.some(value => value && Number.isNaN(value.getTime())) ||
+            (window[0] && window[1] && window[1] <= window[0])) {
+            return res.status(400).json({ error: 'notBefore and notAfter must be valid times with notAfter later' });
+        }
+        const patientId = parseInt(req.auth.sub);
 
-        const patientData = patient.rows[0];
-        const doctorData = doctor.rows[0];
+        let urgency = 'NORMAL';
+        if (sessionId) {
+            const [sessionRes, patientRes] = await Promise.all([
+                db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1 AND patient_id = $2', [sessionId, patientId]),
+                db.query('SELECT * FROM patients WHERE patient_id = $1', [patientId])
+            ]);
+            if (!sessionRes.rows[0]) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+            urgency = computeRiskScore(buildRiskInput({
+                patient: patientRes.rows[0],
+                sessionData: sessionRes.rows[0].session_data
+            })).priority;
+        }
 
-        // Insert appointment
-        const appointmentResult = await db.query(`
-            INSERT INTO appointments (
-                doctor_id, patient_id, appointment_time, status,
-                chat_summary, symptoms, ai_diagnosis_hints
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-            RETURNING appointment_id, appointment_time
-        `, [resolvedDoctorId, resolvedPatientId, slotStart, 'scheduled', chatSummary, symptoms, aiDiagnosisHints]);
+        const { entry, created } = await joinWaitlist({
+            doctorId, patientId, urgency, notBefore: window[0], notAfter: window[1], sessionId: sessionId || null
+        });
+        res.status(created ? 201 : 200).json({ success: true, entry, alreadyWaiting: !created });
+    } catch (error) {
+        if (error instanceof WaitlistError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Join waitlist error:', error);
+        res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+});
 
-        const appointment = appointmentResult.rows[0];
+// The patient's waitlist entries, with any slot currently offered (confirm by booking with holdId)
+router.get('/appointments/waitlist', requirePatientSession, async (req, res) => {
+    try {
+        const entries = await getPatientWaitlist(parseInt(req.auth.sub));
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({ error: 'Failed to get waitlist' });
+    }
+});
 
-        // Update doctor's booked_slots with this slot
-        try {
-            await db.query(
-                `UPDATE doctors
-                 SET booked_slots = COALESCE(booked_slots, '[]'::jsonb) || $1::jsonb
-                 WHERE doctor_id = $2`,
-                [JSON.stringify([{ start: slotStart, end: slotEnd, appointment_id: appointment.appointment_id, patient_id: resolvedPatientId }]), resolvedDoctorId]
-            );
-        } catch (e) {
-            console.warn('Failed to update doctor.booked_slots:', e.message);
+router.delete('/appointments/waitlist/:entryId', requirePatientSession, async (req, res) => {
+    try {
+        await leaveWaitlist(req.params.entryId, parseInt(req.auth.sub));
+        res.json({ success: true });
+    } catch (error) {
+        if (error instanceof WaitlistError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Leave waitlist error:', error);
+        res.status(500).json({ error: 'Failed to leave waitlist' });
+    }
+});
+
+// Turn down an offered slot; it goes to the next patient and this one stays on the waitlist
+router.post('/appointments/waitlist/offers/:offerId/decline', requirePatientSession, async (req, res) => {
+    try {
+        await declineOffer(req.params.offerId, parseInt(req.auth.sub));
+        res.json({ success: true });
+    } catch (error) {
+        if (error instanceof WaitlistError) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Decline waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to decline offer' });
+    }
+});
 
-        // Book in Google Calendar with detailed information
-        const calendarBooking = await bookAppointment(
-            doctorData.email || 'doctor@clinic.com',
-            patientData.email,
+// Requests to move one of the patient's appointments for an urgent case
+router.get('/appointments/bumps', requirePatientSession, async (req, res) => {
+    try {
+        const requests = await listPendingBumps(parseInt(req.auth.sub));
+        res.json({ success: true, requests });
+    } catch (error) {
+        console.error('Get move requests error:', error);
+        res.status(500).json({ error: 'Failed to get move requests' });
+    }
+});
+
+// Accept or decline a move request; nothing changes unless the patient accepts
+router.post('/appointments/bumps/:bumpId/respond', requirePatientSession, async (req, res) => {
+    try {
+        const { accept } = req.body;
+        if (typeof accept !== 'boolean') {
+            return res.status(400).json({ error: 'accept must be true or false' });
+        }
+
+        const result = await respondToBump(req.params.bumpId, { patientId: parseInt(req.auth.sub), accept });
+        res.json({ success: true, status: result.bump.status, appointment: result.appointment || null });
+    } catch (error) {
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Respond to move request error:', error);
+        res.status(500).json({ error: 'Failed to respond to move request' });
+    }
+});
+
+// Move the patient's appointment to another slot (policy: at least 24h before the current time)
+router.post('/appointments/:appointmentId/reschedule', requirePatientSession, async (req, res) => {
+    try {
+        const { slotStart, slotEnd, reason } = req.body;
+        if (!slotStart || !slotEnd) {
+            return res.status(400).json({ error: 'slotStart and slotEnd are required' });
+        }
+
+        const result = await rescheduleAppointment(req.params.appointmentId, {
             slotStart,
             slotEnd,
-            `Cardiology Consultation - ${patientData.name}`,
-            `Patient: ${patientData.name}
-Age: ${patientData.age}
-Mobile: ${patientData.mobile}
-Symptoms: ${symptoms}
-
-Chat Summary:
-${chatSummary}
+            reason,
+            by: 'patient',
+            patientId: req.auth.sub
+        });
 
-AI Recommendations:
-${aiDiagnosisHints || 'Not available'}`
-        );
+        res.json({
+            success: true,
+            appointment: result.appointment,
+            previousTime: result.previousTime,
+            calendar: result.calendar,
+            notifications: result.notifications,
+            message: 'Appointment rescheduled successfully.'
+        });
 
-        // Send notifications (best-effort; do not fail booking if notifications fail)
-        let notificationResults = [];
-        let notificationsSent = false;
-        try {
-            const notifyRes = await Promise.all([
-                sendNotifications('patient_appointment', {
-                    patient: patientData,
-                    appointment: { 
-                        ...appointment, 
-                        symptoms,
-                        meet_link: calendarBooking?.meetLink || null,
-                        event_link: calendarBooking?.eventLink || null
-                    },
-                    doctor: doctorData
-                }),
-                sendNotifications('doctor_appointment_enhanced', {
-                    doctor: doctorData,
-                    patient: patientData,
-                    appointment: {
-                        ...appointment,
-                        symptoms,
-                        chat_summary: chatSummary,
-                        ai_diagnosis_hints: aiDiagnosisHints,
-                        meet_link: calendarBooking?.meetLink || null,
-                        event_link: calendarBooking?.eventLink || null
-                    }
-                })
-            ]);
-            notificationResults = notifyRes;
-            const allNotifications = notifyRes.flat();
-            const successfulNotifications = allNotifications.filter(n => n && n.success);
-            notificationsSent = successfulNotifications.length > 0;
-        } catch (e) {
-            console.warn('Notifications failed:', e?.message || e);
+    } catch (error) {
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
         }
+        console.error('Reschedule appointment error:', error);
+        res.status(500).json({ error: 'Failed to reschedule appointment' });
+    }
+});
 
-        // Construct user-facing message summarizing outcomes
-        const msgParts = ['Appointment booked successfully.'];
-        if (!calendarBooking?.success) msgParts.push('Calendar invite could not be created.');
-        if (!notificationsSent) msgParts.push('Notifications could not be sent.');
-        const message = msgParts.join(' ');
+// Cancel the patient's appointment (same policy window as rescheduling)
+router.post('/appointments/:appointmentId/cancel', requirePatientSession, async (req, res) => {
+    try {
+        const result = await cancelAppointment(req.params.appointmentId, {
+            reason: req.body?.reason,
+            by: 'patient',
+            patientId: req.auth.sub
+        });
 
         res.json({
             success: true,
-            appointment,
-            calendar: calendarBooking,
-            notifications: notificationResults,
-            notificationsSent,
-            doctorName: doctorData.name,
-            message
+            appointment: result.appointment,
+            calendar: result.calendar,
+            notifications: result.notifications,
+            message: 'Appointment cancelled.'
         });
 
     } catch (error) {
-        console.error('Book appointment error:', error);
-        res.status(500).json({ error: 'Failed to book appointment' });
+        if (error instanceof AppointmentChangeError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Cancel appointment error:', error);
+        res.status(500).json({ error: 'Failed to cancel appointment' });
     }
 });
 
 // Get patient appointments
-router.get('/:patientId/appointments', async (req, res) => {
+router.get('/:patientId/appointments', requirePatient, async (req, res) => {
     try {
         const { patientId } = req.params;
         
@@ -441,7 +648,7 @@ router.get('/:patientId/appointments', async (req, res) => {
 });
 
 // Get patient details
-router.get('/:patientId', async (req, res) => {
+router.get('/:patientId', requirePatient, async (req, res) => {
     try {
         const { patientId } = req.params;
         
@@ -463,7 +670,7 @@ router.get('/:patientId', async (req, res) => {
 });
 
 // Update patient language preference
-router.put('/:patientId/language', async (req, res) => {
+router.put('/:patientId/language', requirePatient, async (req, res) => {
     try {
         const { patientId } = req.params;
         const { language } = req.body;
@@ -485,51 +692,3 @@ router.put('/:patientId/language', async (req, res) => {
 });
 
 module.exports = router;
-
-// Get patient appointments
-router.get('/:patientId/appointments', async (req, res) => {
-    try {
-        const { patientId } = req.params;
-        
-        const result = await db.query(`
-            SELECT a.*, d.name as doctor_name, d.email as doctor_email
-            FROM appointments a
-            JOIN doctors d ON a.doctor_id = d.doctor_id
-            WHERE a.patient_id = $1
-            ORDER BY a.appointment_time DESC
-        `, [patientId]);
-        
-        res.json({
-            success: true,
-            appointments: result.rows
-        });
-        
-    } catch (error) {
-        console.error('Get appointments error:', error);
-        res.status(500).json({ error: 'Failed to get appointments' });
-    }
-});
-
-// Update patient language preference
-router.put('/:patientId/language', async (req, res) => {
-    try {
-        const { patientId } = req.params;
-        const { language } = req.body;
-        
-        await db.query(
-            'UPDATE patients SET language = $1 WHERE patient_id = $2',
-            [language, patientId]
-        );
-        
-        res.json({
-            success: true,
-            message: 'Language preference updated'
-        });
-        
-    } catch (error) {
-        console.error('Update language error:', error);
-        res.status(500).json({ error: 'Failed to update language' });
-    }
-});
-
-module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { getSymptomQuestions } = require('../llm');
+const { validateFollowUpQuestions } = require('../question_engine');
 
 // Get all symptom rules
 router.get('/', async (req, res) => {
@@ -78,6 +79,11 @@ router.post('/', async (req, res) => {
                 error: 'Symptom and follow_up_questions array are required' 
             });
         }
+
+        const questionErrors = validateFollowUpQuestions(follow_up_questions);
+        if (questionErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid follow_up_questions', details: questionErrors });
+        }
         
         // Check if symptom already exists
         const existing = await db.query(
@@ -124,7 +130,11 @@ router.put('/:ruleId', async (req, res) => {
             updateValues.push(symptom.toLowerCase());
         }
         
-        if (follow_up_questions && Array.isArray(follow_up_questions)) {
+        if (follow_up_questions !== undefined) {
+            const questionErrors = validateFollowUpQuestions(follow_up_questions);
+            if (questionErrors.length > 0) {
+                return res.status(400).json({ error: 'Invalid follow_up_questions', details: questionErrors });
+            }
             updateFields.push(`follow_up_questions = $${paramCount++}`);
             updateValues.push(JSON.stringify(follow_up_questions));
         }
@@ -273,6 +283,12 @@ router.post('/bulk-import', async (req, res) => {
                     results.errors.push(`Missing symptom or questions for: ${symptom || 'unknown'}`);
                     continue;
                 }
+
+                const questionErrors = validateFollowUpQuestions(follow_up_questions);
+                if (questionErrors.length > 0) {
+                    results.errors.push(`Invalid questions for ${symptom}: ${questionErrors.join('; ')}`);
+                    continue;
+                }
                 
                 // Check if exists
                 const existing = await db.query(
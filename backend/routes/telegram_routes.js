@@ -0,0 +1,33 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../config/config');
+const { handleUpdate } = require('../telegram_bot');
+
+// Telegram bot webhook (see telegram_bot.js). Register it once with
+//   https://api.telegram.org/bot<TELEGRAM_TOKEN>/setWebhook?url=<server>/api/telegram/webhook&secret_token=<telegram.webhookSecret>
+// Telegram then sends the secret with every update, so requests without it are refused.
+const secretMatches = (header) => {
+    if (typeof header !== 'string') return false;
+    const expected = Buffer.from(config.telegram.webhookSecret);
+    const received = Buffer.from(header);
+    return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+};
+
+router.post('/webhook', async (req, res) => {
+    if (!config.telegram?.webhookSecret) {
+        return res.status(503).json({ error: 'Telegram bot is not configured' });
+    }
+    if (!secretMatches(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
+    try {
+        await handleUpdate(req.body || {});
+    } catch (error) {
+        // Telegram resends updates that are not answered with 200, so a failing one would repeat
+        console.error('Telegram update error:', error);
+    }
+    res.json({ ok: true });
+});
+
+module.exports = router;
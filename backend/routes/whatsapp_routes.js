@@ -0,0 +1,30 @@
+const express = require('express');
+const twilio = require('twilio');
+const router = express.Router();
+const config = require('../config/config');
+const { handleInbound } = require('../whatsapp_intake');
+
+// Twilio WhatsApp webhook (see whatsapp_intake.js). Set it as the "when a message comes in" URL
+// of the WhatsApp sender. Twilio signs each request with the auth token over the public URL,
+// which behind a proxy is not the one Express sees, so it can be set as twilio.whatsappWebhookUrl.
+const webhookUrl = (req) => config.twilio?.whatsappWebhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+router.post('/webhook', (req, res) => {
+    if (!config.twilio?.authToken) {
+        return res.status(503).json({ error: 'WhatsApp intake is not configured' });
+    }
+    const signature = req.get('X-Twilio-Signature') || '';
+    if (!twilio.validateRequest(config.twilio.authToken, signature, webhookUrl(req), req.body || {})) {
+        return res.status(403).json({ error: 'Invalid Twilio signature' });
+    }
+
+    // The intake can take longer than Twilio waits for an answer, so replies are sent as new
+    // messages (in order per sender) and the webhook is answered at once
+    const { From, Body, ButtonPayload } = req.body;
+    if (From) {
+        handleInbound({ from: From, text: Body, buttonPayload: ButtonPayload || null });
+    }
+    res.type('text/xml').send('<Response></Response>');
+});
+
+module.exports = router;
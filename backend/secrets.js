@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const config = require('./config/config');
+
+// Encryption at rest for third-party credentials (doctors' calendar OAuth tokens and CalDAV
+// passwords). AES-256-GCM with a key derived from config.security.encryptionKey.
+const securityCfg = config.security || {};
+
+let encryptionKey = securityCfg.encryptionKey || process.env.ENCRYPTION_KEY;
+if (!encryptionKey) {
+    console.warn('security.encryptionKey is not configured; using a random key (stored credentials are unreadable after restart)');
+    encryptionKey = crypto.randomBytes(32).toString('hex');
+}
+const key = crypto.createHash('sha256').update(encryptionKey).digest();
+
+const PREFIX = 'enc1';
+
+// "enc1:<iv>:<tag>:<ciphertext>", base64 parts
+function encryptSecret(plaintext) {
+    if (plaintext === null || plaintext === undefined) return null;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [PREFIX, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+// Returns null when the value cannot be decrypted (wrong key or tampered); values stored before
+// encryption was introduced are returned as they are
+function decryptSecret(value) {
+    if (value === null || value === undefined) return null;
+    const parts = String(value).split(':');
+    if (parts[0] !== PREFIX || parts.length !== 4) return value;
+    try {
+        const [, iv, tag, data] = parts;
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        console.error('Decrypting a stored secret failed:', error.message);
+        return null;
+    }
+}
+
+const encryptJson = (value) => (value ? encryptSecret(JSON.stringify(value)) : null);
+
+function decryptJson(value) {
+    const plaintext = decryptSecret(value);
+    if (!plaintext) return null;
+    try {
+        return JSON.parse(plaintext);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    encryptJson,
+    decryptJson
+};
@@ -0,0 +1,240 @@
+const config = require('./config/config');
+const db = require('./db');
+const { getFreeBusySlots } = require('./calendar');
+const { generateSlots } = require('./availability');
+const { doctorTimeZone } = require('./timezones');
+
+// Local slot inventory (appointment_slots). A slot is 'held' for a few minutes while the patient
+// confirms, then 'booked' with its appointment, or 'released'. Every reservation runs in a
+// transaction holding the doctor's row lock, so two patients can never take overlapping slots.
+const HOLD_MINUTES = config.appointments?.holdMinutes || 5;
+
+class SlotConflictError extends Error {
+    constructor(message = 'That slot is no longer available') {
+        super(message);
+        this.name = 'SlotConflictError';
+        this.status = 409;
+    }
+}
+
+// Serialise reservations per doctor; returns the doctor row, or null when there is no such doctor
+async function lockDoctor(client, doctorId) {
+    const result = await client.query('SELECT * FROM doctors WHERE doctor_id = $1 FOR UPDATE', [doctorId]);
+    return result.rows[0] || null;
+}
+
+async function expireHolds(executor = db) {
+    await executor.query(
+        `UPDATE appointment_slots SET status = 'released', updated_at = NOW()
+         WHERE status = 'held' AND hold_expires_at <= NOW()`
+    );
+}
+
+// Active (held or booked) slots overlapping the period, except the one being changed
+async function findOverlap(client, doctorId, start, end, { excludeSlotId = null, excludeAppointmentId = null } = {}) {
+    const result = await client.query(
+        `SELECT * FROM appointment_slots
+         WHERE doctor_id = $1 AND status IN ('held', 'booked')
+         AND start_time < $3 AND end_time > $2
+         AND ($4::int IS NULL OR slot_id <> $4)
+         AND ($5::int IS NULL OR appointment_id IS DISTINCT FROM $5)
+         LIMIT 1`,
+        [doctorId, start, end, excludeSlotId, excludeAppointmentId]
+    );
+    return result.rows[0] || null;
+}
+
+// Hold a slot for the patient while they confirm; unless `replaceHolds` is false, any earlier
+// hold of theirs is given up. Only the doctor's upcoming slots can be held (see isDoctorSlot).
+async function holdSlot({ doctorId, patientId, start, end, minutes = HOLD_MINUTES, replaceHolds = true }) {
+    return db.transaction(async (client) => {
+        const doctor = await lockDoctor(client, doctorId);
+        if (!doctor) return null;
+        if (new Date(start).getTime() <= Date.now() || !isDoctorSlot(doctor, start, end)) {
+            throw new SlotConflictError("That time is not one of the doctor's available slots");
+        }
+        await expireHolds(client);
+        if (replaceHolds) {
+            await client.query(
+                `UPDATE appointment_slots SET status = 'released', updated_at = NOW()
+                 WHERE patient_id = $1 AND status = 'held'`,
+                [patientId]
+            );
+        }
+        if (await findOverlap(client, doctorId, start, end)) {
+            throw new SlotConflictError();
+        }
+        const result = await client.query(
+            `INSERT INTO appointment_slots (doctor_id, patient_id, start_time, end_time, status, hold_expires_at)
+             VALUES ($1, $2, $3, $4, 'held', NOW() + ($5 || ' minutes')::interval)
+             RETURNING *`,
+            [doctorId, patientId, start, end, String(minutes)]
+        );
+        return result.rows[0];
+    });
+}
+
+async function releaseHold(slotId, patientId) {
+    const result = await db.query(
+        `UPDATE appointment_slots SET status = 'released', updated_at = NOW()
+         WHERE slot_id = $1 AND patient_id = $2 AND status = 'held'`,
+        [slotId, patientId]
+    );
+    return result.rowCount > 0;
+}
+
+// Reserve the slot inside the booking transaction: confirm the patient's hold, or take a free
+// slot directly. Throws SlotConflictError when the time is taken or the hold has lapsed.
+async function reserveSlot(client, { doctorId, patientId, start, end, holdId = null }) {
+    if (!(await lockDoctor(client, doctorId))) {
+        throw new SlotConflictError('Doctor not found');
+    }
+    await expireHolds(client);
+
+    if (holdId) {
+        const held = await client.query(
+            `SELECT * FROM appointment_slots
+             WHERE slot_id = $1 AND patient_id = $2 AND doctor_id = $3 AND status = 'held'`,
+            [holdId, patientId, doctorId]
+        );
+        const slot = held.rows[0];
+        if (!slot) {
+            throw new SlotConflictError('Your hold on this slot has expired. Please choose a slot again.');
+        }
+        if (new Date(slot.start_time).getTime() !== new Date(start).getTime() ||
+            new Date(slot.end_time).getTime() !== new Date(end).getTime()) {
+            throw new SlotConflictError('The held slot does not match the requested time');
+        }
+        return slot;
+    }
+
+    if (await findOverlap(client, doctorId, start, end)) {
+        throw new SlotConflictError();
+    }
+    const result = await client.query(
+        `INSERT INTO appointment_slots (doctor_id, patient_id, start_time, end_time, status)
+         VALUES ($1, $2, $3, $4, 'held')
+         RETURNING *`,
+        [doctorId, patientId, start, end]
+    );
+    return result.rows[0];
+}
+
+// Whether start-end is one of the doctor's slots: within working hours, not in a break or on
+// leave, and on the slot grid. Reserved urgent slots count; bookings are checked by reserveSlot.
+function isDoctorSlot(doctor, start, end) {
+    const [slot] = generateSlots(doctor.available_slots, {
+        startDate: start,
+        endDate: end,
+        limit: 1,
+        includeReserved: true,
+        timeZone: doctorTimeZone(doctor)
+    });
+    return !!slot &&
+        new Date(slot.start).getTime() === new Date(start).getTime() &&
+        new Date(slot.end).getTime() === new Date(end).getTime();
+}
+
+// Mark a reserved slot as booked by the appointment
+async function confirmSlot(client, slotId, appointmentId) {
+    await client.query(
+        `UPDATE appointment_slots
+         SET status = 'booked', appointment_id = $2, hold_expires_at = NULL, updated_at = NOW()
+         WHERE slot_id = $1`,
+        [slotId, appointmentId]
+    );
+}
+
+// Free the appointment's booked slot; returns the freed slot, if there was one
+async function releaseAppointmentSlot(client, appointmentId) {
+    const result = await client.query(
+        `UPDATE appointment_slots SET status = 'released', updated_at = NOW()
+         WHERE appointment_id = $1 AND status = 'booked'
+         RETURNING *`,
+        [appointmentId]
+    );
+    return result.rows[0] || null;
+}
+
+// Move a booked appointment's slot; throws SlotConflictError when the new time is taken
+async function moveAppointmentSlot(client, { appointmentId, doctorId, patientId, start, end }) {
+    if (!(await lockDoctor(client, doctorId))) {
+        throw new SlotConflictError('Doctor not found');
+    }
+    await expireHolds(client);
+    if (await findOverlap(client, doctorId, start, end, { excludeAppointmentId: appointmentId })) {
+        throw new SlotConflictError();
+    }
+    await releaseAppointmentSlot(client, appointmentId);
+    const result = await client.query(
+        `INSERT INTO appointment_slots (doctor_id, patient_id, appointment_id, start_time, end_time, status)
+         VALUES ($1, $2, $3, $4, $5, 'booked')
+         RETURNING *`,
+        [doctorId, patientId, appointmentId, start, end]
+    );
+    return result.rows[0];
+}
+
+// The patient's unexpired holds, e.g. a slot freed for them by a routine patient moving
+async function listHolds(patientId) {
+    const result = await db.query(
+        `SELECT slot_id, doctor_id, start_time, end_time, hold_expires_at FROM appointment_slots
+         WHERE patient_id = $1 AND status = 'held' AND hold_expires_at > NOW()
+         ORDER BY start_time ASC`,
+        [patientId]
+    );
+    return result.rows;
+}
+
+// Held and booked periods in the window, as { start, end, status }
+async function getLocalBusy(doctorId, startDate, endDate) {
+    const result = await db.query(
+        `SELECT start_time, end_time, status FROM appointment_slots
+         WHERE doctor_id = $1 AND start_time < $3 AND end_time > $2
+         AND (status = 'booked' OR (status = 'held' AND hold_expires_at > NOW()))`,
+        [doctorId, startDate, endDate]
+    );
+    return result.rows.map(row => ({ start: row.start_time, end: row.end_time, status: row.status }));
+}
+
+// Slots that are free both in the doctor's calendar and in the local inventory;
+// `options` as for generateSlots ({ limit, includeReserved })
+async function findFreeSlots(doctor, startDate, endDate, options = {}) {
+    const localBusy = await getLocalBusy(doctor.doctor_id, startDate, endDate);
+    const slots = await getFreeBusySlots(doctor, startDate, endDate, localBusy, options);
+    return slots.map(slot => ({ ...slot, doctorId: doctor.doctor_id }));
+}
+
+// The doctor with the most free slots in the window, for booking without a chosen doctor
+async function findBestDoctorSlots(startDate, endDate) {
+    const doctorsRes = await db.query('SELECT * FROM doctors');
+    let best = { doctor: null, slots: [] };
+    for (const doctor of doctorsRes.rows || []) {
+        let slots = [];
+        try {
+            slots = await findFreeSlots(doctor, startDate, endDate);
+        } catch (error) {
+            console.warn(`Free slots for doctor ${doctor.doctor_id} failed:`, error.message);
+        }
+        if (slots.length > best.slots.length) {
+            best = { doctor, slots };
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    HOLD_MINUTES,
+    SlotConflictError,
+    holdSlot,
+    releaseHold,
+    isDoctorSlot,
+    reserveSlot,
+    confirmSlot,
+    releaseAppointmentSlot,
+    moveAppointmentSlot,
+    listHolds,
+    getLocalBusy,
+    findFreeSlots,
+    findBestDoctorSlots
+};
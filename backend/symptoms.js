@@ -0,0 +1,108 @@
+const db = require('./db');
+const { stem, tokenize, FLAG_STOPWORDS } = require('./emergency');
+const { normalizeQuestions } = require('./question_engine');
+
+const contentStems = (text) => tokenize(text).filter(t => !FLAG_STOPWORDS.has(t)).map(stem);
+
+// Names a patient may use for a rule: "Peripheral Edema (Leg/Foot Swelling)" gives
+// "peripheral edema", "leg swelling" and "foot swelling"; "Chest Pain / Discomfort" gives both halves.
+function symptomAliases(name) {
+    const lower = String(name || '').toLowerCase();
+    const parts = [lower.replace(/\([^)]*\)/g, ' '), ...[...lower.matchAll(/\(([^)]*)\)/g)].map(m => m[1])];
+
+    const aliases = [];
+    for (const part of parts) {
+        // Only split on "or" where it cannot be the tail of a list ("jaw, neck, or arm")
+        const separator = part.includes(',') ? /\s+\/\s+/ : /\s+\/\s+|\s+or\s+/;
+        for (const alternative of part.split(separator)) {
+            // "leg/foot swelling" -> "leg swelling", "foot swelling"
+            let variants = [''];
+            for (const word of alternative.trim().split(/\s+/)) {
+                const options = word.split('/').filter(Boolean);
+                variants = variants.flatMap(v => options.map(o => `${v} ${o}`));
+            }
+            aliases.push(...variants.map(v => v.trim()).filter(Boolean));
+        }
+    }
+    return [...new Set(aliases)];
+}
+
+// Every symptom_rules entry described in the message, in the order the patient mentioned them.
+// An alias matches when all of its content words appear; rules reached through an alias already
+// matched by an earlier rule (overlapping rules) are reported once.
+async function detectSymptoms(message) {
+    try {
+        const res = await db.query('SELECT symptom FROM symptom_rules ORDER BY rule_id ASC');
+        const words = contentStems(message);
+        if (words.length === 0) return [];
+
+        const matches = [];
+        const matchedAliases = new Set();
+        for (const row of res.rows) {
+            for (const alias of symptomAliases(row.symptom)) {
+                const aliasWords = contentStems(alias);
+                if (aliasWords.length === 0 || !aliasWords.every(w => words.includes(w))) continue;
+                const key = aliasWords.slice().sort().join(' ');
+                if (!matchedAliases.has(key)) {
+                    matchedAliases.add(key);
+                    matches.push({ symptom: row.symptom.toLowerCase(), at: Math.min(...aliasWords.map(w => words.indexOf(w))) });
+                }
+                break;
+            }
+        }
+
+        if (matches.length > 0) {
+            return [...new Set(matches.sort((a, b) => a.at - b.at).map(m => m.symptom))];
+        }
+
+        // Nothing named outright: fall back to the rule sharing the most words with the message
+        let best = null;
+        let score = 0;
+        for (const row of res.rows) {
+            const overlap = new Set(contentStems(row.symptom).filter(w => words.includes(w))).size;
+            if (overlap > score) {
+                score = overlap;
+                best = row.symptom.toLowerCase();
+            }
+        }
+        return best ? [best] : [];
+    } catch (error) {
+        console.error('detectSymptoms error:', error.message);
+        return [];
+    }
+}
+
+// Questions are compared loosely so the same question from overlapping rules is asked once
+const normalizeQuestion = (question) => String(question || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Drop questions (with their branches) already planned for another symptom or already asked
+function dedupeQuestions(nodes, seen) {
+    return nodes
+        .filter((node) => {
+            const key = normalizeQuestion(node.text);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(node => ({
+            ...node,
+            branches: node.branches.map(branch => ({ ...branch, questions: dedupeQuestions(branch.questions, seen) }))
+        }));
+}
+
+// Question tree per symptom (see question_engine.js), each question asked only once per session
+async function buildQuestionPlan(symptoms, loadQuestions, alreadyAsked = []) {
+    const seen = new Set(alreadyAsked.map(normalizeQuestion));
+    const plan = {};
+    for (const symptom of symptoms) {
+        plan[symptom] = dedupeQuestions(normalizeQuestions((await loadQuestions(symptom)) || []), seen);
+    }
+    return plan;
+}
+
+module.exports = {
+    symptomAliases,
+    detectSymptoms,
+    normalizeQuestion,
+    buildQuestionPlan
+};
@@ -0,0 +1,305 @@
+const db = require('./db');
+const metrics = require('./metrics');
+const { sendTelegramMessage, answerTelegramCallback } = require('./notify');
+const { acknowledgeAlert, listOpenAlerts } = require('./doctor_alerts');
+const { markNoShow, AppointmentChangeError } = require('./appointments');
+const { cancelAppointmentReminders } = require('./reminders');
+const { formatForPerson, doctorTimeZone } = require('./timezones');
+
+// Two-way Telegram bot for doctors; updates arrive on the webhook (see routes/telegram_routes.js).
+//
+// A chat belongs to the doctor whose doctors.telegram_id is its chat id (or their @username,
+// which is replaced by the chat id on first contact so alerts can reach them). Messages from
+// other chats only get their chat id back, to enter in Preferences.
+//
+// Commands, also offered as buttons:
+//   /alerts                        open URGENT alerts       buttons ack:<alertId>, intake:<alertId>
+//   /ack <alertId>                 acknowledge one          (stops its escalation)
+//   /intake <alertId>              the intake behind one
+//   /today                         today's appointments
+//   /case <appointmentId>          full intake summary      button case:<appointmentId>
+//   /status <appointmentId> <in-progress|completed|no-show>  button status:<appointmentId>:<status>
+// Anything else is a question for the doctor assistant (the same one as doctor_query).
+const BOT_STATUSES = ['in-progress', 'completed', 'no-show'];
+
+const STATUS_LABELS = { 'in-progress': '▶️ In progress', completed: '✅ Completed', 'no-show': '🚫 No-show' };
+
+const HELP = `Commands:
+/alerts - open urgent alerts
+/ack <alert id> - acknowledge an urgent alert
+/intake <alert id> - intake summary of an urgent alert
+/today - today's appointments
+/case <appointment id> - full intake summary
+/status <appointment id> <in-progress|completed|no-show> - update an appointment
+
+Anything else is answered by your assistant, e.g. "Who is my next patient?"`;
+
+const statusButtons = (appointmentId) => ({
+    inline_keyboard: [BOT_STATUSES.map(status => ({ text: STATUS_LABELS[status], callback_data: `status:${appointmentId}:${status}` }))]
+});
+
+// The doctor linked to a chat, or null. A doctor known by @username is linked to their private
+// chat with the bot only, so alerts never go to a group they wrote from.
+async function findDoctorByChat(chat, from) {
+    const chatId = String(chat.id);
+    const username = chat.type === 'private' && from?.username ? `@${from.username}` : null;
+    const result = await db.query(
+        `SELECT * FROM doctors
+         WHERE telegram_id = $1 OR (CAST($2 AS TEXT) IS NOT NULL AND LOWER(telegram_id) IN (LOWER($2), LOWER(SUBSTRING($2 FROM 2))))
+         ORDER BY (telegram_id = $1) DESC
+         LIMIT 1`,
+        [chatId, username]
+    );
+    const doctor = result.rows[0];
+    if (doctor && doctor.telegram_id !== chatId) {
+        await db.query('UPDATE doctors SET telegram_id = $1 WHERE doctor_id = $2', [chatId, doctor.doctor_id]);
+        doctor.telegram_id = chatId;
+    }
+    return doctor || null;
+}
+
+const reply = (chatId, text, replyMarkup = null) => sendTelegramMessage(chatId, text, { replyMarkup, parseMode: null });
+
+const alertButtons = (alert) => [
+    { text: `✅ Acknowledge #${alert.alert_id}`, callback_data: `ack:${alert.alert_id}` },
+    { text: '📋 Intake summary', callback_data: `intake:${alert.alert_id}` }
+];
+
+// Buttons under an URGENT alert that went to the doctor (or their backup) on Telegram (see doctor_alerts.js)
+async function sendAlertActions(doctor, alert) {
+    if (!doctor.telegram_id) return;
+    await reply(doctor.telegram_id, `Urgent alert #${alert.alert_id}: tap to acknowledge, or reply /ack ${alert.alert_id}.`, {
+        inline_keyboard: [alertButtons(alert)]
+    });
+}
+
+async function showAlerts(doctor) {
+    const alerts = await listOpenAlerts(doctor.doctor_id);
+    if (alerts.length === 0) {
+        return { text: 'No open urgent alerts.' };
+    }
+    const lines = alerts.map(alert => `#${alert.alert_id} ${formatForPerson(alert.created_at, doctor, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}` +
+        `${String(alert.doctor_id) !== String(doctor.doctor_id) ? ` (escalated from Dr. ${alert.doctor_name})` : ''}: ${alert.subject || alert.message.split('\n')[0]}`);
+    return {
+        text: `Open urgent alerts:\n\n${lines.join('\n')}`,
+        replyMarkup: { inline_keyboard: alerts.slice(0, 10).map(alertButtons) }
+    };
+}
+
+async function acknowledge(doctor, alertId) {
+    if (!/^\d+$/.test(String(alertId || ''))) {
+        return { text: 'Usage: /ack <alert id>' };
+    }
+    const alert = await acknowledgeAlert(alertId, doctor.doctor_id);
+    if (!alert) {
+        return { text: `Alert #${alertId} not found.` };
+    }
+    return { text: `✅ Alert #${alert.alert_id} acknowledged. It will not be escalated.` };
+}
+
+async function showToday(doctor) {
+    const timeZone = doctorTimeZone(doctor);
+    const result = await db.query(
+        `SELECT a.appointment_id, a.appointment_time, a.status, a.urgency, p.name AS patient_name
+         FROM appointments a
+         JOIN patients p ON a.patient_id = p.patient_id
+         WHERE a.doctor_id = $1
+         AND (a.appointment_time AT TIME ZONE $2)::date = (NOW() AT TIME ZONE $2)::date
+         AND a.status <> 'cancelled'
+         ORDER BY a.appointment_time ASC`,
+        [doctor.doctor_id, timeZone]
+    );
+    if (result.rows.length === 0) {
+        return { text: 'No appointments today.' };
+    }
+    const lines = result.rows.map(a => `#${a.appointment_id} ${formatForPerson(a.appointment_time, doctor, { hour: '2-digit', minute: '2-digit' })} ` +
+        `${a.patient_name}${a.urgency && a.urgency !== 'NORMAL' ? ` [${a.urgency}]` : ''} - ${a.status}`);
+    return {
+        text: `Today's appointments:\n\n${lines.join('\n')}`,
+        replyMarkup: { inline_keyboard: result.rows.slice(0, 10).map(a => [{ text: `📋 #${a.appointment_id} ${a.patient_name}`, callback_data: `case:${a.appointment_id}` }]) }
+    };
+}
+
+const APPOINTMENT_CASE = `SELECT a.*, p.name AS patient_name, p.age, p.gender, p.mobile, p.emergency_contact
+    FROM appointments a
+    JOIN patients p ON a.patient_id = p.patient_id
+    WHERE a.appointment_id = $1`;
+
+// Everything the intake produced for an appointment; status buttons when it is the doctor's own
+function appointmentCase(doctor, a) {
+    const risk = a.risk_assessment;
+    const text = `📋 Case #${a.appointment_id} - ${a.urgency || 'NORMAL'} priority
+
+👤 ${a.patient_name}, ${a.age || '?'} ${a.gender || ''}
+📱 ${a.mobile || 'No mobile'} | Emergency contact: ${a.emergency_contact || 'Not provided'}
+📅 ${formatForPerson(a.appointment_time, doctor)} - ${a.status}
+${risk ? `\n📈 Risk score ${risk.score}/${risk.maxScore} (${risk.band})\n${(risk.factors || []).map(f => `• +${f.points} ${f.detail}`).join('\n')}\n` : ''}
+🩺 Symptoms: ${a.symptoms || 'Not recorded'}
+
+💬 Intake summary:
+${a.chat_summary || 'No summary recorded'}
+
+🤖 AI analysis:
+${a.ai_diagnosis_hints || 'Not available'}`;
+    const own = String(a.doctor_id) === String(doctor.doctor_id);
+    return { text, replyMarkup: own ? statusButtons(a.appointment_id) : null };
+}
+
+async function showCase(doctor, appointmentId) {
+    if (!/^\d+$/.test(String(appointmentId || ''))) {
+        return { text: 'Usage: /case <appointment id>' };
+    }
+    const result = await db.query(`${APPOINTMENT_CASE} AND a.doctor_id = $2`, [appointmentId, doctor.doctor_id]);
+    if (!result.rows[0]) {
+        return { text: `Appointment #${appointmentId} not found.` };
+    }
+    return appointmentCase(doctor, result.rows[0]);
+}
+
+// The intake behind an URGENT alert: its appointment, or for an emergency raised mid-intake the chat session
+async function showAlertIntake(doctor, alertId) {
+    if (!/^\d+$/.test(String(alertId || ''))) {
+        return { text: 'Usage: /intake <alert id>' };
+    }
+    const alertRes = await db.query(
+        'SELECT * FROM doctor_alerts WHERE alert_id = $1 AND (doctor_id = $2 OR escalated_to = $2)',
+        [alertId, doctor.doctor_id]
+    );
+    const alert = alertRes.rows[0];
+    if (!alert) {
+        return { text: `Alert #${alertId} not found.` };
+    }
+    if (alert.appointment_id) {
+        const result = await db.query(APPOINTMENT_CASE, [alert.appointment_id]);
+        if (result.rows[0]) return appointmentCase(doctor, result.rows[0]);
+    }
+    const sessionRes = alert.session_id
+        ? await db.query(
+            `SELECT s.*, p.name AS patient_name, p.age, p.gender, p.mobile, p.emergency_contact
+             FROM chat_sessions s
+             JOIN patients p ON s.patient_id = p.patient_id
+             WHERE s.session_id = $1`,
+            [alert.session_id]
+        )
+        : { rows: [] };
+    const s = sessionRes.rows[0];
+    if (!s) {
+        return { text: alert.message };
+    }
+    const data = s.session_data || {};
+    const flags = s.emergency_event?.emergencyFlags || [];
+    const text = `🚨 Intake #${s.session_id} (alert #${alert.alert_id})
+
+👤 ${s.patient_name}, ${s.age || '?'} ${s.gender || ''}
+📱 ${s.mobile || 'No mobile'} | Emergency contact: ${s.emergency_contact || 'Not provided'}
+⚠️ Red flags: ${flags.length ? flags.join(', ') : 'flagged by AI'}
+🩺 Symptoms: ${(data.symptoms || []).join(', ') || 'Not recorded'}
+
+💬 Intake summary:
+${s.summary || data.sessionSummary || 'Intake still in progress'}
+
+🤖 AI analysis:
+${s.ai_diagnosis_hints || 'Not available'}`;
+    return { text, replyMarkup: alert.acknowledged_at ? null : { inline_keyboard: [[alertButtons(alert)[0]]] } };
+}
+
+// The statuses a doctor sets from the chat; no-show also frees the slot (see appointments.js)
+async function setStatus(doctor, appointmentId, status) {
+    if (!/^\d+$/.test(String(appointmentId || '')) || !BOT_STATUSES.includes(status)) {
+        return { text: `Usage: /status <appointment id> <${BOT_STATUSES.join('|')}>` };
+    }
+    if (status === 'no-show') {
+        try {
+            await markNoShow(appointmentId, { doctorId: doctor.doctor_id });
+        } catch (error) {
+            if (error instanceof AppointmentChangeError) {
+                return { text: `Appointment #${appointmentId}: ${error.message}` };
+            }
+            throw error;
+        }
+    } else {
+        const result = await db.query(
+            `UPDATE appointments SET status = $1
+             WHERE appointment_id = $2 AND doctor_id = $3 AND status NOT IN ('cancelled', 'no-show')
+             RETURNING appointment_id`,
+            [status, appointmentId, doctor.doctor_id]
+        );
+        if (result.rows.length === 0) {
+            return { text: `Appointment #${appointmentId} not found or no longer open.` };
+        }
+        await cancelAppointmentReminders(appointmentId, `Appointment ${status}`);
+    }
+    return { text: `Appointment #${appointmentId} marked ${status}.` };
+}
+
+async function askAssistant(doctor, question) {
+    const { getDoctorAIResponse } = require('./llm');
+    return { text: await getDoctorAIResponse(question, doctor.doctor_id) };
+}
+
+async function runCommand(doctor, text) {
+    const [command, ...args] = text.trim().split(/\s+/);
+    switch (command.toLowerCase().replace(/@\w+$/, '')) {
+        case '/start':
+        case '/help':
+            return { text: `Hello Dr. ${doctor.name}, this chat is linked to your account.\n\n${HELP}` };
+        case '/alerts':
+            return showAlerts(doctor);
+        case '/ack':
+            return acknowledge(doctor, args[0]);
+        case '/intake':
+            return showAlertIntake(doctor, args[0]);
+        case '/today':
+            return showToday(doctor);
+        case '/case':
+            return showCase(doctor, args[0]);
+        case '/status':
+            return setStatus(doctor, args[0], (args[1] || '').toLowerCase());
+        default:
+            return command.startsWith('/') ? { text: HELP } : askAssistant(doctor, text);
+    }
+}
+
+async function runButton(doctor, data) {
+    const [action, id, status] = String(data || '').split(':');
+    switch (action) {
+        case 'ack':
+            return acknowledge(doctor, id);
+        case 'case':
+            return showCase(doctor, id);
+        case 'intake':
+            return showAlertIntake(doctor, id);
+        case 'status':
+            return setStatus(doctor, id, status);
+        default:
+            return { text: HELP };
+    }
+}
+
+// Handle one webhook update (a message or a button tap)
+async function handleUpdate(update) {
+    const callback = update.callback_query;
+    const message = update.message || update.edited_message;
+    const chat = callback ? callback.message?.chat : message?.chat;
+    if (!chat || (!callback && !message.text)) return;
+
+    const doctor = await findDoctorByChat(chat, callback ? callback.from : message.from);
+    if (!doctor) {
+        metrics.increment('telegram_updates', { kind: 'unlinked' });
+        if (callback) await answerTelegramCallback(callback.id);
+        await reply(chat.id, `This chat is not linked to a doctor account. Enter ${chat.id} as your Telegram ID in Preferences, then send /start.`);
+        return;
+    }
+
+    const kind = callback ? 'button' : message.text.startsWith('/') ? 'command' : 'question';
+    metrics.increment('telegram_updates', { kind });
+    const result = callback ? await runButton(doctor, callback.data) : await runCommand(doctor, message.text);
+    if (callback) await answerTelegramCallback(callback.id);
+    await reply(chat.id, result.text, result.replyMarkup || null);
+}
+
+module.exports = {
+    BOT_STATUSES,
+    handleUpdate,
+    sendAlertActions
+};
@@ -0,0 +1,100 @@
+const config = require('./config/config');
+
+// Time zones for scheduling. Instants are stored in UTC (TIMESTAMPTZ columns); wall-clock times
+// only exist at the edges: doctors' working hours are in the doctor's zone (doctors.time_zone),
+// and times are shown to each person in their own zone and locale (patients.time_zone and
+// language). Without a zone of their own, people are in the clinic's (config.clinic.timeZone).
+
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (_) {
+        return false;
+    }
+};
+
+const CLINIC_TIME_ZONE = [config.clinic?.timeZone, config.calendar?.timeZone].find(isValidTimeZone) || 'Asia/Kolkata';
+
+// Patient language (patients.language) -> locale for dates and times
+const LOCALES = { en: 'en-IN', hi: 'hi-IN', te: 'te-IN', ta: 'ta-IN', mr: 'mr-IN', ml: 'ml-IN', kn: 'kn-IN' };
+const DEFAULT_LOCALE = 'en-IN';
+
+const zoneOrClinic = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : CLINIC_TIME_ZONE);
+const doctorTimeZone = (doctor) => zoneOrClinic(doctor?.time_zone);
+const patientTimeZone = (patient) => zoneOrClinic(patient?.time_zone);
+const localeFor = (person) => LOCALES[person?.language] || DEFAULT_LOCALE;
+
+const partsFormatters = new Map();
+
+// Wall-clock fields of an instant in a zone: { year, month, day, hour, minute, second }
+function zonedParts(date, timeZone) {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    return partsFormatters.get(timeZone).formatToParts(new Date(date))
+        .filter(p => p.type !== 'literal')
+        .reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function zoneOffset(date, timeZone) {
+    const parts = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+// UTC instant of a wall-clock time in a zone. A time skipped by a DST change comes out shifted
+// forward by the change (see wallClockExists); a time that happens twice gives the first.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offsets a day either side bracket any change that day
+    const candidates = [asUtc - 86400000, asUtc + 86400000].map(near => asUtc - zoneOffset(new Date(near), timeZone));
+    const valid = candidates.filter(c => asUtc - zoneOffset(new Date(c), timeZone) === c);
+    return new Date(valid.length ? Math.min(...valid) : candidates[0]);
+}
+
+// Whether the wall-clock time exists in the zone (false inside a spring-forward gap)
+function wallClockExists(fields, timeZone) {
+    const parts = zonedParts(zonedTimeToUtc(fields, timeZone), timeZone);
+    return parts.year === fields.year && parts.month === fields.month && parts.day === fields.day &&
+        parts.hour === (fields.hour || 0) && parts.minute === (fields.minute || 0);
+}
+
+// "YYYY-MM-DD" of an instant in a zone
+function dateKeyInZone(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const DATE_TIME_FORMAT = {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
+};
+
+// An instant as text in a zone and locale; the zone name is included so it is never ambiguous
+function formatDateTime(value, { timeZone = CLINIC_TIME_ZONE, locale = DEFAULT_LOCALE, ...options } = {}) {
+    const format = Object.keys(options).length ? options : DATE_TIME_FORMAT;
+    return new Date(value).toLocaleString(locale, { ...format, timeZone: zoneOrClinic(timeZone), timeZoneName: 'short' });
+}
+
+// Formatting for a patient or doctor row, in their zone and locale
+const formatForPerson = (value, person, options = {}) =>
+    formatDateTime(value, { timeZone: zoneOrClinic(person?.time_zone), locale: localeFor(person), ...options });
+
+module.exports = {
+    CLINIC_TIME_ZONE,
+    isValidTimeZone,
+    doctorTimeZone,
+    patientTimeZone,
+    localeFor,
+    zonedParts,
+    zonedTimeToUtc,
+    wallClockExists,
+    dateKeyInZone,
+    formatDateTime,
+    formatForPerson
+};
@@ -0,0 +1,276 @@
+const config = require('./config/config');
+const db = require('./db');
+const jobs = require('./jobs');
+const metrics = require('./metrics');
+const { SlotConflictError, holdSlot, releaseHold } = require('./slots');
+const { sendNotifications } = require('./notify');
+
+// Per-doctor waitlist with automatic backfill. Patients who found no suitable slot join it; when
+// a booked slot is freed (cancellation or no-show) it is held for the next eligible patient, most
+// urgent first and then first come, who confirms by booking with that hold. An offer that is
+// declined or not confirmed by its deadline passes to the next patient.
+//   waitlist_entries.status: waiting -> offered -> booked, back to waiting when an offer lapses, or left
+//   waitlist_offers.status:  offered -> accepted | declined | expired | withdrawn
+const waitlistCfg = config.waitlist || {};
+const OFFER_MINUTES = waitlistCfg.offerMinutes || 30;
+// A slot starting sooner than this cannot reasonably be taken up
+const MIN_NOTICE_MINUTES = waitlistCfg.minNoticeMinutes || 60;
+
+class WaitlistError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'WaitlistError';
+        this.status = status;
+    }
+}
+
+const offerKey = (offerId) => `waitlist_offer:${offerId}`;
+
+// Add the patient to the doctor's waitlist; an existing active entry is returned as it is
+async function joinWaitlist({ doctorId, patientId, urgency = 'NORMAL', notBefore = null, notAfter = null, sessionId = null }) {
+    const doctor = await db.query('SELECT doctor_id FROM doctors WHERE doctor_id = $1', [doctorId]);
+    if (doctor.rows.length === 0) {
+        throw new WaitlistError('Doctor not found', 404);
+    }
+
+    const inserted = await db.query(
+        `INSERT INTO waitlist_entries (doctor_id, patient_id, urgency, not_before, not_after, session_id)
+         SELECT $1, $2, $3, $4, $5, $6
+         WHERE NOT EXISTS (
+             SELECT 1 FROM waitlist_entries
+             WHERE doctor_id = $1 AND patient_id = $2 AND status IN ('waiting', 'offered')
+         )
+         RETURNING *`,
+        [doctorId, patientId, urgency, notBefore, notAfter, sessionId]
+    );
+    if (inserted.rows[0]) {
+        metrics.increment('waitlist_joined', { urgency });
+        return { entry: inserted.rows[0], created: true };
+    }
+
+    const existing = await db.query(
+        `SELECT * FROM waitlist_entries
+         WHERE doctor_id = $1 AND patient_id = $2 AND status IN ('waiting', 'offered')`,
+        [doctorId, patientId]
+    );
+    return { entry: existing.rows[0], created: false };
+}
+
+// The patient's active entries with any open offer
+async function getPatientWaitlist(patientId) {
+    const result = await db.query(
+        `SELECT w.*, d.name AS doctor_name,
+                o.offer_id, o.slot_id AS hold_id, o.slot_start, o.slot_end, o.expires_at AS offer_expires_at
+         FROM waitlist_entries w
+         JOIN doctors d ON d.doctor_id = w.doctor_id
+         LEFT JOIN waitlist_offers o ON o.entry_id = w.entry_id AND o.status = 'offered'
+         WHERE w.patient_id = $1 AND w.status IN ('waiting', 'offered')
+         ORDER BY w.created_at ASC`,
+        [patientId]
+    );
+    return result.rows;
+}
+
+// The doctor's queue in offer order
+async function getDoctorWaitlist(doctorId) {
+    const result = await db.query(
+        `SELECT w.*, p.name AS patient_name, o.offer_id, o.slot_start, o.expires_at AS offer_expires_at
+         FROM waitlist_entries w
+         JOIN patients p ON p.patient_id = w.patient_id
+         LEFT JOIN waitlist_offers o ON o.entry_id = w.entry_id AND o.status = 'offered'
+         WHERE w.doctor_id = $1 AND w.status IN ('waiting', 'offered')
+         ORDER BY CASE w.urgency WHEN 'URGENT' THEN 0 WHEN 'HIGH' THEN 1 ELSE 2 END, w.created_at ASC`,
+        [doctorId]
+    );
+    return result.rows;
+}
+
+// Claim the next eligible entry for the slot, so two freed slots never go to the same patient
+async function claimNextEntry(doctorId, start) {
+    const result = await db.query(
+        `UPDATE waitlist_entries SET status = 'offered', updated_at = NOW()
+         WHERE entry_id = (
+             SELECT w.entry_id FROM waitlist_entries w
+             WHERE w.doctor_id = $1 AND w.status = 'waiting'
+             AND (w.not_before IS NULL OR w.not_before <= $2)
+             AND (w.not_after IS NULL OR w.not_after >= $2)
+             AND NOT EXISTS (
+                 SELECT 1 FROM waitlist_offers o WHERE o.entry_id = w.entry_id AND o.slot_start = $2
+             )
+             AND NOT EXISTS (
+                 SELECT 1 FROM appointments a
+                 WHERE a.patient_id = w.patient_id AND a.doctor_id = w.doctor_id
+                 AND a.status = 'scheduled' AND a.appointment_time = $2
+             )
+             ORDER BY CASE w.urgency WHEN 'URGENT' THEN 0 WHEN 'HIGH' THEN 1 ELSE 2 END, w.created_at ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [doctorId, start]
+    );
+    return result.rows[0] || null;
+}
+
+// Offer a freed slot to the next patient on the doctor's waitlist; returns the offer or null
+async function offerFreedSlot({ doctorId, start, end }) {
+    const startsInMinutes = (new Date(start).getTime() - Date.now()) / 60000;
+    if (startsInMinutes < MIN_NOTICE_MINUTES) {
+        return null;
+    }
+
+    const entry = await claimNextEntry(doctorId, start);
+    if (!entry) {
+        return null;
+    }
+
+    let hold;
+    try {
+        hold = await holdSlot({
+            doctorId,
+            patientId: entry.patient_id,
+            start,
+            end,
+            // The offer must be answered well before the appointment itself
+            minutes: Math.min(OFFER_MINUTES, Math.floor(startsInMinutes - MIN_NOTICE_MINUTES / 2)),
+            replaceHolds: false
+        });
+    } catch (error) {
+        await db.query("UPDATE waitlist_entries SET status = 'waiting', updated_at = NOW() WHERE entry_id = $1", [entry.entry_id]);
+        if (error instanceof SlotConflictError) {
+            // Someone booked the slot in the meantime
+            return null;
+        }
+        throw error;
+    }
+    if (!hold) {
+        await db.query("UPDATE waitlist_entries SET status = 'waiting', updated_at = NOW() WHERE entry_id = $1", [entry.entry_id]);
+        return null;
+    }
+
+    const offerRes = await db.query(
+        `INSERT INTO waitlist_offers (entry_id, doctor_id, patient_id, slot_id, slot_start, slot_end, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [entry.entry_id, doctorId, entry.patient_id, hold.slot_id, start, end, hold.hold_expires_at]
+    );
+    const offer = offerRes.rows[0];
+    await jobs.enqueue({
+        type: 'waitlist_offer_expiry',
+        key: offerKey(offer.offer_id),
+        runAt: offer.expires_at,
+        payload: { offerId: offer.offer_id }
+    });
+    metrics.increment('waitlist_offers', { status: 'offered' });
+
+    try {
+        const [patientRes, doctorRes] = await Promise.all([
+            db.query('SELECT * FROM patients WHERE patient_id = $1', [entry.patient_id]),
+            db.query('SELECT * FROM doctors WHERE doctor_id = $1', [doctorId])
+        ]);
+        await sendNotifications('waitlist_offer', {
+            patient: patientRes.rows[0],
+            doctor: doctorRes.rows[0],
+            offer
+        });
+    } catch (e) {
+        console.warn('Waitlist offer notification failed:', e?.message || e);
+    }
+    return offer;
+}
+
+// Close an open offer (declined / expired / withdrawn), free its hold and put the patient back in line
+async function closeOffer(offerId, status, patientId = null) {
+    const result = await db.query(
+        `UPDATE waitlist_offers SET status = $2, responded_at = NOW()
+         WHERE offer_id = $1 AND status = 'offered' AND ($3::int IS NULL OR patient_id = $3)
+         RETURNING *`,
+        [offerId, status, patientId]
+    );
+    const offer = result.rows[0];
+    if (!offer) return null;
+
+    await releaseHold(offer.slot_id, offer.patient_id);
+    await db.query(
+        `UPDATE waitlist_entries SET status = 'waiting', updated_at = NOW()
+         WHERE entry_id = $1 AND status = 'offered'`,
+        [offer.entry_id]
+    );
+    metrics.increment('waitlist_offers', { status });
+    return offer;
+}
+
+// The patient turns the offer down; the slot goes to the next person
+async function declineOffer(offerId, patientId) {
+    const offer = await closeOffer(offerId, 'declined', patientId);
+    if (!offer) {
+        throw new WaitlistError('Offer not found or no longer open', 404);
+    }
+    await jobs.cancel(offerKey(offerId), 'Offer declined');
+    const next = await offerFreedSlot({ doctorId: offer.doctor_id, start: offer.slot_start, end: offer.slot_end });
+    return { offer, passedTo: next ? next.patient_id : null };
+}
+
+// Leave the waitlist; an open offer is withdrawn and passed on
+async function leaveWaitlist(entryId, patientId) {
+    const result = await db.query(
+        `UPDATE waitlist_entries SET status = 'left', updated_at = NOW()
+         WHERE entry_id = $1 AND patient_id = $2 AND status IN ('waiting', 'offered')
+         RETURNING *`,
+        [entryId, patientId]
+    );
+    if (!result.rows[0]) {
+        throw new WaitlistError('Waitlist entry not found', 404);
+    }
+
+    const open = await db.query("SELECT offer_id FROM waitlist_offers WHERE entry_id = $1 AND status = 'offered'", [entryId]);
+    for (const { offer_id: offerId } of open.rows) {
+        const offer = await closeOffer(offerId, 'withdrawn', patientId);
+        if (offer) {
+            await jobs.cancel(offerKey(offerId), 'Patient left the waitlist');
+            await offerFreedSlot({ doctorId: offer.doctor_id, start: offer.slot_start, end: offer.slot_end });
+        }
+    }
+    return result.rows[0];
+}
+
+// Inside the booking transaction: an offer confirmed with its hold is accepted, and any waiting
+// entry of the patient with this doctor is done
+async function completeWaitlistOnBooking(client, { patientId, doctorId, holdId, appointmentId }) {
+    if (holdId) {
+        await client.query(
+            `UPDATE waitlist_offers SET status = 'accepted', appointment_id = $2, responded_at = NOW()
+             WHERE slot_id = $1 AND status = 'offered'`,
+            [holdId, appointmentId]
+        );
+    }
+    await client.query(
+        `UPDATE waitlist_entries SET status = 'booked', updated_at = NOW()
+         WHERE patient_id = $1 AND doctor_id = $2 AND status IN ('waiting', 'offered')`,
+        [patientId, doctorId]
+    );
+}
+
+// Deadline passed without a booking: pass the slot on
+async function runOfferExpiry(job) {
+    const offer = await closeOffer(job.payload.offerId, 'expired');
+    if (!offer) {
+        return { status: 'skipped', error: 'Offer was already answered' };
+    }
+    const next = await offerFreedSlot({ doctorId: offer.doctor_id, start: offer.slot_start, end: offer.slot_end });
+    return { status: 'done', result: { passedToPatientId: next ? next.patient_id : null } };
+}
+
+jobs.registerHandler('waitlist_offer_expiry', runOfferExpiry);
+
+module.exports = {
+    OFFER_MINUTES,
+    WaitlistError,
+    joinWaitlist,
+    leaveWaitlist,
+    getPatientWaitlist,
+    getDoctorWaitlist,
+    offerFreedSlot,
+    declineOffer,
+    completeWaitlistOnBooking
+};
@@ -0,0 +1,247 @@
+const config = require('./config/config');
+const db = require('./db');
+const metrics = require('./metrics');
+const { sendOnChannel } = require('./notify');
+const { languageFor, phrase } = require('./message_templates');
+const { currentState } = require('./intake_state');
+const { startChatSession, recordChatMessage, processPatientMessage, completeChatSession } = require('./patient_chat');
+const { AppointmentChangeError, createAppointment } = require('./appointments');
+const { findBestDoctorSlots } = require('./slots');
+const { formatForPerson } = require('./timezones');
+
+// Patient intake over WhatsApp; messages arrive on the Twilio webhook (see routes/whatsapp_routes.js).
+//
+// The sender's number is matched to patients.mobile and the conversation runs the same intake
+// as the web chat (patient_chat.js), in a chat_sessions row with chat_type 'whatsapp'. When the
+// intake offers appointment slots they are sent as a numbered list (kept in
+// session_data.whatsappSlots) and the patient books by replying with the number, or tapping a
+// quick-reply button whose payload is the number. A booked session is closed, so the next message
+// starts a new consultation; NEW starts one at any time. Replies use the patient's language.
+const CHAT_TYPE = 'whatsapp';
+
+const RESTART_WORDS = ['new', 'restart'];
+
+// Twilio refuses WhatsApp bodies over 1600 characters
+const MAX_BODY = 1500;
+
+const SLOT_FORMAT = { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' };
+
+// Messages from one number are handled one at a time, in the order they arrived
+const queues = new Map();
+
+const senderNumber = (from) => String(from || '').replace(/^whatsapp:/i, '').trim();
+
+// The patient registered with this number: an exact match, else one whose mobile was stored
+// without the country code and is the sender's last 10 digits. Null when that is not one patient,
+// so a sender is never given someone else's intake.
+async function findPatientByNumber(number) {
+    const digits = number.replace(/\D/g, '');
+    if (digits.length < 8) return null;
+    const exact = await db.query('SELECT * FROM patients WHERE mobile = $1 LIMIT 2', [number]);
+    if (exact.rows.length) {
+        return exact.rows.length === 1 ? exact.rows[0] : null;
+    }
+    const local = await db.query(
+        `SELECT * FROM patients
+         WHERE length(regexp_replace(mobile, '[^0-9]', '', 'g')) <= 10
+         AND regexp_replace(mobile, '[^0-9]', '', 'g') = RIGHT($1, 10)
+         LIMIT 2`,
+        [digits]
+    );
+    return local.rows.length === 1 ? local.rows[0] : null;
+}
+
+// Long replies (e.g. the intake summary) go out in several messages, split between lines
+function splitMessage(text) {
+    const lines = String(text).split('\n').flatMap(line => line.match(new RegExp(`[\\s\\S]{1,${MAX_BODY}}`, 'g')) || ['']);
+    const parts = [];
+    let current = null;
+    for (const line of lines) {
+        if (current !== null && current.length + line.length + 1 > MAX_BODY) {
+            parts.push(current);
+            current = null;
+        }
+        current = current === null ? line : `${current}\n${line}`;
+    }
+    if (current !== null && current.trim()) parts.push(current);
+    return parts;
+}
+
+async function reply(to, text) {
+    for (const part of splitMessage(text)) {
+        const result = await sendOnChannel('whatsapp', to, { text: part });
+        if (!result.success) {
+            console.warn(`WhatsApp reply to ${to} failed:`, result.error);
+            return;
+        }
+    }
+}
+
+async function findActiveSession(patientId) {
+    const result = await db.query(
+        `SELECT session_id, chat_type, session_data, status FROM chat_sessions
+         WHERE patient_id = $1 AND status = 'active'
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [patientId]
+    );
+    return result.rows[0] || null;
+}
+
+// The slots the intake attached, else the next free ones as the web chat falls back to
+async function slotsToOffer(response) {
+    if (response.options?.length) {
+        return response.options.map(slot => ({
+            start: slot.start,
+            end: slot.end,
+            doctorId: slot.doctorId || response.suggestedDoctorId,
+            doctorName: response.suggestedDoctorName || null
+        }));
+    }
+    const now = new Date();
+    const best = await findBestDoctorSlots(now, new Date(now.getTime() + 3 * 24 * 3600000));
+    if (!best.doctor) return [];
+    return best.slots.slice(0, 3).map(slot => ({
+        start: slot.start, end: slot.end, doctorId: best.doctor.doctor_id, doctorName: best.doctor.name
+    }));
+}
+
+async function offerSlots(sessionId, patient, language, slots) {
+    await db.query(
+        'UPDATE chat_sessions SET session_data = session_data || $1 WHERE session_id = $2',
+        [JSON.stringify({ whatsappSlots: slots }), sessionId]
+    );
+    if (slots.length === 0) {
+        return phrase(language, 'whatsapp.noSlots');
+    }
+    return [
+        phrase(language, 'whatsapp.chooseSlot'),
+        ...slots.map((slot, index) => phrase(language, 'whatsapp.slot', {
+            number: index + 1,
+            time: formatForPerson(slot.start, patient, SLOT_FORMAT),
+            doctor: slot.doctorName || slot.doctorId
+        }))
+    ].join('\n');
+}
+
+// The offered slot a reply picks ("2", "2.", or a quick-reply payload of 2), or null
+function chosenSlot(sessionData, text, buttonPayload) {
+    const slots = sessionData?.whatsappSlots || [];
+    const match = String(buttonPayload || text).trim().match(/^(\d)\.?$/);
+    return match ? slots[Number(match[1]) - 1] || null : null;
+}
+
+const diagnosisText = (suggestions) => (Array.isArray(suggestions)
+    ? suggestions.map(s => `• ${s.condition} (${s.likelihood}): ${s.rationale}`).join('\n')
+    : suggestions || null);
+
+async function bookChosenSlot(patient, session, language, slot) {
+    const data = session.session_data || {};
+    let result;
+    try {
+        result = await createAppointment({
+            patientId: patient.patient_id,
+            sessionId: session.session_id,
+            doctorId: slot.doctorId,
+            slotStart: slot.start,
+            slotEnd: slot.end,
+            chatSummary: data.sessionSummary || null,
+            aiDiagnosisHints: diagnosisText(data.diagnosisSuggestions)
+        });
+    } catch (error) {
+        if (error instanceof AppointmentChangeError && error.status === 409 && !error.details?.state) {
+            // Taken or passed since it was offered: offer what is free now
+            const slots = await slotsToOffer({});
+            return `${phrase(language, 'whatsapp.slotTaken')}\n\n${await offerSlots(session.session_id, patient, language, slots)}`;
+        }
+        throw error;
+    }
+    metrics.increment('whatsapp_intake', { outcome: 'booked' });
+
+    const booked = await db.query('SELECT session_data FROM chat_sessions WHERE session_id = $1', [session.session_id]);
+    await completeChatSession(session.session_id, patient.patient_id, data.sessionSummary || null, booked.rows[0]?.session_data);
+    return phrase(language, 'whatsapp.booked', {
+        time: formatForPerson(result.appointment.appointment_time, patient, SLOT_FORMAT),
+        doctor: result.doctor.name
+    });
+}
+
+// `context.language` is set once the patient is known, for the error reply
+async function handleMessage({ from, text, buttonPayload }, context) {
+    const number = senderNumber(from);
+    const patient = await findPatientByNumber(number);
+    if (!patient) {
+        metrics.increment('whatsapp_intake', { outcome: 'unregistered' });
+        await reply(number, phrase('en', 'whatsapp.notRegistered', {
+            clinic: phrase('en', 'clinic'),
+            url: config.server?.frontendUrl || ''
+        }));
+        return;
+    }
+    const language = languageFor(patient);
+    context.language = language;
+    const message = String(text || '').trim();
+
+    let session = await findActiveSession(patient.patient_id);
+    let intro = '';
+    const restart = RESTART_WORDS.includes(message.toLowerCase());
+    if (!session || session.chat_type !== CHAT_TYPE || restart) {
+        // A web chat still open is ended, as starting one on the web would
+        const started = await startChatSession(patient.patient_id, { chatType: CHAT_TYPE, language });
+        session = { session_id: started.sessionId, chat_type: CHAT_TYPE, session_data: {} };
+        intro = phrase(language, 'whatsapp.started');
+        metrics.increment('whatsapp_intake', { outcome: 'started' });
+        if (restart || (!message && !buttonPayload)) {
+            await reply(number, intro);
+            return;
+        }
+    }
+    if (!message && !buttonPayload) return;
+
+    const sessionData = session.session_data || {};
+    const slot = currentState(sessionData) === 'booking_offer' ? chosenSlot(sessionData, message, buttonPayload) : null;
+    if (slot) {
+        await recordChatMessage(session.session_id, 'user', message || String(buttonPayload));
+        const confirmation = await bookChosenSlot(patient, session, language, slot);
+        await reply(number, confirmation);
+        return;
+    }
+
+    await recordChatMessage(session.session_id, 'user', message);
+    const response = await processPatientMessage(message, patient.patient_id, session.session_id, CHAT_TYPE);
+    try {
+        await recordChatMessage(session.session_id, 'assistant', response?.message || '');
+    } catch (e) {
+        console.warn('Failed to append assistant message (WhatsApp):', e.message);
+    }
+
+    const parts = [intro, response?.message];
+    if (response?.state === 'booking_offer') {
+        parts.push(await offerSlots(session.session_id, patient, language, await slotsToOffer(response)));
+    }
+    await reply(number, parts.filter(Boolean).join('\n\n'));
+}
+
+// Handle one inbound WhatsApp message; failures are logged and the patient asked to retry
+function handleInbound({ from, text, buttonPayload = null }) {
+    const number = senderNumber(from);
+    const previous = queues.get(number) || Promise.resolve();
+    const context = { language: 'en' };
+    const next = previous
+        .then(() => handleMessage({ from, text, buttonPayload }, context))
+        .catch(async (error) => {
+            console.error(`WhatsApp intake error for ${number}:`, error);
+            metrics.increment('whatsapp_intake', { outcome: 'error' });
+            await reply(number, phrase(context.language, 'whatsapp.error')).catch(() => {});
+        })
+        .finally(() => {
+            if (queues.get(number) === next) queues.delete(number);
+        });
+    queues.set(number, next);
+    return next;
+}
+
+module.exports = {
+    CHAT_TYPE,
+    handleInbound
+};
@@ -7,6 +7,9 @@ import DoctorLogin from './components/DoctorLogin.jsx';
 import DoctorDashboard from './components/DoctorDashboard.jsx';
 import LanguageSelector from './components/LanguageSelector.jsx';
 import { io } from 'socket.io-client';
+import axios from 'axios';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
 
 function App() {
   const { t, i18n } = useTranslation();
@@ -50,6 +53,12 @@ function App() {
   };
 
   const handleLogout = () => {
+    // Revoke the doctor's session on the server (best-effort)
+    if (userType === 'doctor' && currentUser?.token) {
+      axios.post(`${BACKEND_URL}/api/doctor/logout`, {}, {
+        headers: { Authorization: `Bearer ${currentUser.token}` }
+      }).catch(() => {});
+    }
     setCurrentUser(null);
     setUserType(null);
     setIsInChat(false);
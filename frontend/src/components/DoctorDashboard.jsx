@@ -7,8 +7,12 @@ const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000'
 
 function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
   const { t } = useTranslation();
-  const [activeTab, setActiveTab] = useState('dashboard');
+  // Returning from the Google Calendar consent page (?calendar=...) lands on Preferences
+  const [activeTab, setActiveTab] = useState(
+    new URLSearchParams(window.location.search).has('calendar') ? 'preferences' : 'dashboard'
+  );
   const [appointments, setAppointments] = useState([]);
+  const [appointmentSort, setAppointmentSort] = useState('risk');
   const [dashboardData, setDashboardData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [preferences, setPreferences] = useState(doctor.prefs || {});
@@ -16,13 +20,30 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
   const [voiceResponse, setVoiceResponse] = useState('');
   const [isVoiceLoading, setIsVoiceLoading] = useState(false);
 
+  // Every doctor API call carries the session token from login
+  const authConfig = { headers: { Authorization: `Bearer ${doctor.token}` } };
+
+  // Expired or revoked session: send the doctor back to login
+  const handleAuthError = (error) => {
+    if (error.response?.status === 401) {
+      onBack();
+      return true;
+    }
+    return false;
+  };
+
+  // Profile updates from the API do not include the session token
+  const handleDoctorUpdate = (updated) => {
+    onDoctorUpdate({ ...updated, token: doctor.token });
+  };
+
   useEffect(() => {
     if (activeTab === 'dashboard') {
       loadDashboardData();
     } else if (activeTab === 'appointments') {
       loadAppointments();
     }
-  }, [activeTab, doctor.doctor_id]);
+  }, [activeTab, doctor.doctor_id, appointmentSort]);
 
   useEffect(() => {
     if (socket) {
@@ -36,12 +57,13 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
   const loadDashboardData = async () => {
     try {
       setIsLoading(true);
-      const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/dashboard`);
+      const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/dashboard`, authConfig);
       
       if (response.data.success) {
         setDashboardData(response.data.dashboard);
       }
     } catch (error) {
+      if (handleAuthError(error)) return;
       console.error('Dashboard load error:', error);
     } finally {
       setIsLoading(false);
@@ -52,13 +74,15 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
     try {
       setIsLoading(true);
       const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/appointments`, {
-        params: { filter: 'upcoming', limit: 20 }
+        ...authConfig,
+        params: { filter: 'upcoming', limit: 20, sort: appointmentSort }
       });
       
       if (response.data.success) {
         setAppointments(response.data.appointments);
       }
     } catch (error) {
+      if (handleAuthError(error)) return;
       console.error('Appointments load error:', error);
     } finally {
       setIsLoading(false);
@@ -72,13 +96,14 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
         telegram_id: doctor.telegram_id,
         whatsapp_number: doctor.whatsapp_number,
         prefs: preferences
-      });
+      }, authConfig);
 
       if (response.data.success) {
-        onDoctorUpdate(response.data.doctor);
+        handleDoctorUpdate(response.data.doctor);
         alert(t('notifications.preferencesUpdated'));
       }
     } catch (error) {
+      if (handleAuthError(error)) return;
       console.error('Preferences update error:', error);
       alert(t('notifications.error'));
     }
@@ -88,11 +113,12 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
     try {
       await axios.put(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/appointments/${appointmentId}`, {
         status: status
-      });
+      }, authConfig);
       
       // Reload appointments
       loadAppointments();
     } catch (error) {
+      if (handleAuthError(error)) return;
       console.error('Appointment update error:', error);
       alert(t('notifications.error'));
     }
@@ -105,7 +131,8 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
       
       socket.emit('doctor_query', {
         doctorId: doctor.doctor_id,
-        query: transcript
+        query: transcript,
+        token: doctor.token
       });
     }
   };
@@ -134,13 +161,16 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
     }
   };
 
+  // Appointment times are UTC; show them in the doctor's zone when one is set
   const formatTime = (dateString) => {
     return new Date(dateString).toLocaleString('en-IN', {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone: doctor.time_zone || undefined,
+      timeZoneName: 'short'
     });
   };
 
@@ -197,6 +227,9 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
       {/* Tab Content */}
       <div className="bg-white shadow rounded-lg p-6">
         {/* Dashboard Tab */}
+        {activeTab === 'dashboard' && (
+          <UrgentAlerts doctor={doctor} authConfig={authConfig} onAuthError={handleAuthError} t={t} formatTime={formatTime} />
+        )}
         {activeTab === 'dashboard' && (
           <DashboardTab
             dashboardData={dashboardData}
@@ -212,6 +245,8 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
             appointments={appointments}
             isLoading={isLoading}
             onStatusUpdate={updateAppointmentStatus}
+            sort={appointmentSort}
+            onSortChange={setAppointmentSort}
             t={t}
             formatTime={formatTime}
           />
@@ -235,7 +270,8 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
             preferences={preferences}
             onPreferencesChange={setPreferences}
             onUpdate={updatePreferences}
-            onDoctorUpdate={onDoctorUpdate}
+            onDoctorUpdate={handleDoctorUpdate}
+            authConfig={authConfig}
             t={t}
           />
         )}
@@ -244,6 +280,69 @@ function DoctorDashboard({ socket, doctor, onDoctorUpdate, onBack }) {
   );
 }
 
+// URGENT alerts waiting for acknowledgement; an unacknowledged one escalates to the backup doctor
+function UrgentAlerts({ doctor, authConfig, onAuthError, t, formatTime }) {
+  const [alerts, setAlerts] = useState([]);
+
+  const loadAlerts = async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/alerts`, authConfig);
+      if (response.data.success) {
+        setAlerts(response.data.alerts);
+      }
+    } catch (error) {
+      if (onAuthError(error)) return;
+      console.error('Alerts load error:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadAlerts();
+  }, [doctor.doctor_id]);
+
+  const acknowledge = async (alertId) => {
+    try {
+      await axios.post(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/alerts/${alertId}/acknowledge`, {}, authConfig);
+      setAlerts(prev => prev.filter(a => a.alert_id !== alertId));
+    } catch (error) {
+      if (onAuthError(error)) return;
+      console.error('Alert acknowledge error:', error);
+      alert(t('notifications.error'));
+    }
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+      <h3 className="text-lg font-medium text-red-800 mb-3">
+        🚨 {t('doctor.alerts.title', 'Urgent alerts to acknowledge')}
+      </h3>
+      <div className="space-y-3">
+        {alerts.map((a) => (
+          <div key={a.alert_id} className="flex justify-between items-start bg-white border border-red-100 rounded p-3">
+            <div className="text-sm text-red-900">
+              <p className="font-medium">{a.subject || a.message.split('\n')[0]}</p>
+              <p className="text-xs text-red-700">
+                {formatTime(a.created_at)}
+                {String(a.doctor_id) !== String(doctor.doctor_id)
+                  ? ` · ${t('doctor.alerts.escalatedFrom', { name: a.doctor_name, defaultValue: 'Escalated from Dr. {{name}}' })}`
+                  : ''}
+              </p>
+            </div>
+            <button
+              onClick={() => acknowledge(a.alert_id)}
+              className="ml-4 px-3 py-1 bg-red-600 text-white text-sm rounded-md hover:bg-red-700"
+            >
+              {t('doctor.alerts.acknowledge', 'Acknowledge')}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // Dashboard Tab Component
 function DashboardTab({ dashboardData, isLoading, t, formatTime }) {
   if (isLoading) {
@@ -315,7 +414,9 @@ function DashboardTab({ dashboardData, isLoading, t, formatTime }) {
               <div key={appointment.appointment_id} className="border rounded-lg p-3">
                 <div className="flex justify-between items-start">
                   <div>
-                    <p className="font-medium">{appointment.patient_name}</p>
+                    <p className="font-medium">
+                      {appointment.patient_name} <UrgencyBadge appointment={appointment} t={t} />
+                    </p>
                     <p className="text-sm text-gray-600">
                       {formatTime(appointment.appointment_time)}
                     </p>
@@ -339,8 +440,60 @@ function DashboardTab({ dashboardData, isLoading, t, formatTime }) {
   );
 }
 
+const urgencyColors = {
+  URGENT: 'bg-red-100 text-red-800',
+  HIGH: 'bg-orange-100 text-orange-800',
+  NORMAL: 'bg-gray-100 text-gray-700'
+};
+
+// Intake risk score with its contributing factors on hover
+function UrgencyBadge({ appointment, t }) {
+  const risk = appointment.risk_assessment;
+  if (!risk) return null;
+  const factors = (risk.factors || []).map(f => `+${f.points} ${f.detail}`).join('\n');
+  return (
+    <span
+      className={`ml-2 px-2 py-0.5 rounded text-xs font-semibold ${urgencyColors[appointment.urgency] || urgencyColors.NORMAL}`}
+      title={`${risk.version}\n${factors}`}
+    >
+      {t(`doctor.appointments.urgency.${appointment.urgency || 'NORMAL'}`, appointment.urgency || 'NORMAL')} {risk.score}/{risk.maxScore}
+    </span>
+  );
+}
+
+const deliveryColors = {
+  delivered: 'text-green-700',
+  pending: 'text-yellow-700',
+  sending: 'text-yellow-700',
+  digest: 'text-gray-600',
+  failed: 'text-red-700'
+};
+
+// Where the confirmation and change messages got to, per recipient; the channels tried on hover
+function DeliveryStatus({ notifications, t }) {
+  if (!notifications || notifications.length === 0) return null;
+  return (
+    <div className="mt-1 space-y-0.5">
+      {notifications.map((n, index) => (
+        <div
+          key={index}
+          className={`text-xs ${deliveryColors[n.status] || 'text-gray-600'}`}
+          title={n.error || ''}
+        >
+          {t(`doctor.appointments.delivery.${n.recipient}`, n.recipient)}:{' '}
+          {t(`doctor.appointments.delivery.${n.status}`, n.status)}
+          {n.channel ? ` (${n.channel})` : ''}
+          {n.status === 'pending' && n.attempts > 0
+            ? ` · ${t('doctor.appointments.delivery.attempts', { count: n.attempts, defaultValue: '{{count}} attempts' })}`
+            : ''}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // Appointments Tab Component
-function AppointmentsTab({ appointments, isLoading, onStatusUpdate, t, formatTime }) {
+function AppointmentsTab({ appointments, isLoading, onStatusUpdate, sort, onSortChange, t, formatTime }) {
   if (isLoading) {
     return <div className="flex justify-center items-center h-64">
       <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
@@ -357,9 +510,19 @@ function AppointmentsTab({ appointments, isLoading, onStatusUpdate, t, formatTim
 
   return (
     <div>
-      <h3 className="text-lg font-medium text-gray-900 mb-4">
-        {t('doctor.appointments.title')} ({appointments.length})
-      </h3>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-gray-900">
+          {t('doctor.appointments.title')} ({appointments.length})
+        </h3>
+        <select
+          value={sort}
+          onChange={(e) => onSortChange(e.target.value)}
+          className="text-sm border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="risk">{t('doctor.appointments.sortByRisk', 'Highest risk first')}</option>
+          <option value="time">{t('doctor.appointments.sortByTime', 'By time')}</option>
+        </select>
+      </div>
       
       {appointments.length > 0 ? (
         <div className="overflow-x-auto">
@@ -389,6 +552,7 @@ function AppointmentsTab({ appointments, isLoading, onStatusUpdate, t, formatTim
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm font-medium text-gray-900">
                       {appointment.patient_name}
+                      <UrgencyBadge appointment={appointment} t={t} />
                     </div>
                     <div className="text-sm text-gray-500">
                       Age: {appointment.patient_age} • {appointment.patient_gender}
@@ -408,6 +572,7 @@ function AppointmentsTab({ appointments, isLoading, onStatusUpdate, t, formatTim
                     }`}>
                       {appointment.status}
                     </span>
+                    <DeliveryStatus notifications={appointment.notifications} t={t} />
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <select
@@ -496,12 +661,20 @@ function VoiceTab({ voiceQuery, voiceResponse, isVoiceLoading, onVoiceQuery, t }
 }
 
 // Preferences Tab Component
-function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, onDoctorUpdate, t }) {
+function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, onDoctorUpdate, authConfig, t }) {
   const [doctorData, setDoctorData] = useState({
     email: doctor.email || '',
     telegram_id: doctor.telegram_id || '',
     whatsapp_number: doctor.whatsapp_number || ''
   });
+  const [colleagues, setColleagues] = useState([]);
+
+  // Other doctors, for the backup that unacknowledged URGENT alerts escalate to
+  useEffect(() => {
+    axios.get(`${BACKEND_URL}/api/doctor/available`)
+      .then(response => setColleagues((response.data.doctors || []).filter(d => d.doctor_id !== doctor.doctor_id)))
+      .catch(error => console.error('Doctors load error:', error));
+  }, [doctor.doctor_id]);
 
   const handlePreferenceChange = (key, value) => {
     onPreferencesChange(prev => ({
@@ -515,7 +688,7 @@ function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, on
       const response = await axios.put(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/preferences`, {
         ...doctorData,
         prefs: preferences
-      });
+      }, authConfig);
 
       if (response.data.success) {
         onDoctorUpdate(response.data.doctor);
@@ -523,7 +696,7 @@ function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, on
       }
     } catch (error) {
       console.error('Contact update error:', error);
-      alert(t('notifications.error'));
+      alert(error.response?.data?.details?.join('\n') || t('notifications.error'));
     }
   };
 
@@ -573,6 +746,9 @@ function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, on
               placeholder="@username"
               className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
             />
+            <p className="mt-1 text-xs text-gray-500">
+              {t('doctor.preferences.telegramHelp', 'Send /start to the clinic bot to link your chat, then acknowledge urgent alerts, open cases and update appointments from Telegram.')}
+            </p>
           </div>
         </div>
       </div>
@@ -620,6 +796,112 @@ function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, on
               ✈️ {t('doctor.preferences.telegram')}
             </label>
           </div>
+
+          <div className="flex items-center">
+            <input
+              id="sms-notifications"
+              type="checkbox"
+              checked={preferences.sms || false}
+              onChange={(e) => handlePreferenceChange('sms', e.target.checked)}
+              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            />
+            <label htmlFor="sms-notifications" className="ml-2 block text-sm text-gray-900">
+              💬 {t('doctor.preferences.sms', 'SMS Notifications')}
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {/* Alert routing: urgent alerts always go out, high-priority ones wait for the end of quiet hours,
+          routine ones are sent in a daily digest */}
+      <div className="bg-gray-50 rounded-lg p-4">
+        <h4 className="font-medium text-gray-900 mb-1">{t('doctor.preferences.routing', 'Alert Routing')}</h4>
+        <p className="text-sm text-gray-600 mb-4">
+          {t('doctor.preferences.routingHelp', 'Urgent alerts are always sent at once. High-priority alerts wait until your quiet hours end, and routine updates arrive in one daily digest.')}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="md:col-span-2 flex items-center">
+            <input
+              id="quiet-hours"
+              type="checkbox"
+              checked={!!preferences.quietHours}
+              onChange={(e) => handlePreferenceChange('quietHours', e.target.checked ? { start: '22:00', end: '07:00' } : null)}
+              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            />
+            <label htmlFor="quiet-hours" className="ml-2 block text-sm text-gray-900">
+              🌙 {t('doctor.preferences.quietHours', 'Quiet hours')}
+            </label>
+          </div>
+
+          {preferences.quietHours && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  {t('doctor.preferences.quietStart', 'From')}
+                </label>
+                <input
+                  type="time"
+                  value={preferences.quietHours.start}
+                  onChange={(e) => handlePreferenceChange('quietHours', { ...preferences.quietHours, start: e.target.value })}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  {t('doctor.preferences.quietEnd', 'Until')}
+                </label>
+                <input
+                  type="time"
+                  value={preferences.quietHours.end}
+                  onChange={(e) => handlePreferenceChange('quietHours', { ...preferences.quietHours, end: e.target.value })}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                />
+              </div>
+            </>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              {t('doctor.preferences.digestTime', 'Daily digest at')}
+            </label>
+            <input
+              type="time"
+              value={preferences.digestTime || '08:00'}
+              onChange={(e) => handlePreferenceChange('digestTime', e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              {t('doctor.preferences.backupDoctor', 'Backup doctor for unacknowledged urgent alerts')}
+            </label>
+            <select
+              value={preferences.backupDoctorId || ''}
+              onChange={(e) => handlePreferenceChange('backupDoctorId', e.target.value ? Number(e.target.value) : null)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            >
+              <option value="">{t('doctor.preferences.noBackup', 'Clinic default')}</option>
+              {colleagues.map(d => (
+                <option key={d.doctor_id} value={d.doctor_id}>Dr. {d.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              {t('doctor.preferences.escalationMinutes', 'Escalate after (minutes)')}
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="240"
+              value={preferences.escalationMinutes || 15}
+              onChange={(e) => handlePreferenceChange('escalationMinutes', parseInt(e.target.value, 10) || 15)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            />
+          </div>
         </div>
       </div>
 
@@ -632,6 +914,312 @@ function PreferencesTab({ doctor, preferences, onPreferencesChange, onUpdate, on
           {t('doctor.preferences.save')}
         </button>
       </div>
+
+      <CalendarSettings doctor={doctor} authConfig={authConfig} t={t} />
+    </div>
+  );
+}
+
+// Which calendar appointments are written to: Google, a CalDAV server or the clinic's own calendar
+function CalendarSettings({ doctor, authConfig, t }) {
+  const [calendar, setCalendar] = useState({ provider: 'local', calendarId: '', url: '', username: '', password: '' });
+  const [hasPassword, setHasPassword] = useState(false);
+  const [googleStatus, setGoogleStatus] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const applySettings = (settings) => {
+    setCalendar({
+      provider: settings.provider,
+      calendarId: settings.calendarId || '',
+      url: settings.caldav?.url || '',
+      username: settings.caldav?.username || '',
+      password: ''
+    });
+    setHasPassword(!!settings.caldav?.hasPassword);
+    setGoogleStatus(settings.google || null);
+  };
+
+  useEffect(() => {
+    // Result of the Google consent page, passed back by the backend callback
+    const connectResult = new URLSearchParams(window.location.search).get('calendar');
+    if (connectResult) {
+      setStatus(connectResult === 'connected'
+        ? t('doctor.preferences.calendar.googleConnected', 'Google Calendar connected')
+        : t('doctor.preferences.calendar.googleConnectFailed', 'Google Calendar could not be connected'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    const loadCalendar = async () => {
+      try {
+        const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar`, authConfig);
+        if (response.data.success) {
+          applySettings(response.data.calendar);
+        }
+      } catch (error) {
+        console.error('Calendar settings load error:', error);
+      }
+    };
+    const loadFeed = async () => {
+      try {
+        const response = await axios.get(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/feed`, authConfig);
+        setFeedUrl(response.data.url);
+      } catch (error) {
+        console.error('Calendar feed load error:', error);
+      }
+    };
+    loadCalendar();
+    loadFeed();
+  }, [doctor.doctor_id]);
+
+  const handleChange = (key, value) => {
+    setCalendar(prev => ({ ...prev, [key]: value }));
+    setStatus('');
+  };
+
+  const handleSave = async () => {
+    try {
+      const response = await axios.put(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar`, {
+        provider: calendar.provider,
+        calendarId: calendar.provider === 'google' ? calendar.calendarId || null : null,
+        caldav: calendar.provider === 'caldav'
+          ? { url: calendar.url, username: calendar.username, password: calendar.password || undefined }
+          : undefined
+      }, authConfig);
+
+      if (response.data.success) {
+        applySettings(response.data.calendar);
+        setStatus(t('doctor.preferences.calendar.saved', 'Calendar settings saved'));
+      }
+    } catch (error) {
+      console.error('Calendar settings update error:', error);
+      const details = error.response?.data?.details;
+      setStatus(details ? details.join('; ') : t('notifications.error'));
+    }
+  };
+
+  // Google's consent page returns to the backend, which sends the browser back here
+  const handleGoogleConnect = async () => {
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/google/connect`, {}, authConfig);
+      if (response.data.success) {
+        window.location.href = response.data.url;
+      }
+    } catch (error) {
+      console.error('Google calendar connect error:', error);
+      setStatus(error.response?.data?.error || t('notifications.error'));
+    }
+  };
+
+  const handleGoogleDisconnect = async () => {
+    if (!window.confirm(t('doctor.preferences.calendar.disconnectConfirm', 'Disconnect your Google Calendar?'))) return;
+    try {
+      const response = await axios.delete(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/google`, authConfig);
+      if (response.data.success) {
+        applySettings(response.data.calendar);
+        setStatus(t('doctor.preferences.calendar.googleDisconnected', 'Google Calendar disconnected'));
+      }
+    } catch (error) {
+      console.error('Google calendar disconnect error:', error);
+      setStatus(t('notifications.error'));
+    }
+  };
+
+  // A new feed URL replaces the old one, so existing subscriptions stop updating
+  const handleFeedCreate = async () => {
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/feed`, {}, authConfig);
+      setFeedUrl(response.data.url);
+    } catch (error) {
+      console.error('Calendar feed update error:', error);
+      setStatus(t('notifications.error'));
+    }
+  };
+
+  const handleFeedDisable = async () => {
+    try {
+      await axios.delete(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/feed`, authConfig);
+      setFeedUrl(null);
+    } catch (error) {
+      console.error('Calendar feed delete error:', error);
+      setStatus(t('notifications.error'));
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/doctor/${doctor.doctor_id}/calendar/test`, {}, authConfig);
+      setStatus(t('doctor.preferences.calendar.testOk', {
+        provider: response.data.provider,
+        count: response.data.busy.length,
+        defaultValue: 'Connected to {{provider}}: {{count}} busy periods in the next 24 hours'
+      }));
+    } catch (error) {
+      console.error('Calendar test error:', error);
+      setStatus(error.response?.data?.error || t('doctor.preferences.calendar.testFailed', 'Calendar could not be reached'));
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500';
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <h4 className="font-medium text-gray-900 mb-4">{t('doctor.preferences.calendar.title', 'Calendar')}</h4>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700">
+            {t('doctor.preferences.calendar.provider', 'Calendar provider')}
+          </label>
+          <select
+            value={calendar.provider}
+            onChange={(e) => handleChange('provider', e.target.value)}
+            className={inputClass}
+          >
+            <option value="google">{t('doctor.preferences.calendar.google', 'Google Calendar')}</option>
+            <option value="caldav">{t('doctor.preferences.calendar.caldav', 'CalDAV (Nextcloud, iCloud, Fastmail, ...)')}</option>
+            <option value="local">{t('doctor.preferences.calendar.local', 'Clinic calendar (ICS)')}</option>
+          </select>
+        </div>
+
+        {calendar.provider === 'google' && googleStatus?.connectAvailable && (
+          <div className="md:col-span-2 flex items-center justify-between">
+            <span className="text-sm text-gray-700">
+              {googleStatus.connected
+                ? t('doctor.preferences.calendar.googleAccount', {
+                  account: googleStatus.account || '',
+                  defaultValue: 'Connected to {{account}}'
+                })
+                : googleStatus.revoked
+                  ? t('doctor.preferences.calendar.googleRevoked', 'Google access was revoked; connect again')
+                  : t('doctor.preferences.calendar.googleClinic', 'Using the clinic calendar account')}
+            </span>
+            {googleStatus.connected ? (
+              <button
+                onClick={handleGoogleDisconnect}
+                className="px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-sm"
+              >
+                {t('doctor.preferences.calendar.disconnect', 'Disconnect')}
+              </button>
+            ) : (
+              <button
+                onClick={handleGoogleConnect}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 text-sm"
+              >
+                {t('doctor.preferences.calendar.connect', 'Connect Google Calendar')}
+              </button>
+            )}
+          </div>
+        )}
+
+        {calendar.provider === 'google' && (
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">
+              {t('doctor.preferences.calendar.calendarId', 'Google calendar ID')}
+            </label>
+            <input
+              type="text"
+              value={calendar.calendarId}
+              onChange={(e) => handleChange('calendarId', e.target.value)}
+              placeholder="primary"
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {calendar.provider === 'caldav' && (
+          <>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700">
+                {t('doctor.preferences.calendar.caldavUrl', 'Calendar URL')}
+              </label>
+              <input
+                type="url"
+                value={calendar.url}
+                onChange={(e) => handleChange('url', e.target.value)}
+                placeholder="https://cloud.example.com/remote.php/dav/calendars/user/appointments/"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                {t('doctor.preferences.calendar.caldavUsername', 'Username')}
+              </label>
+              <input
+                type="text"
+                value={calendar.username}
+                onChange={(e) => handleChange('username', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                {t('doctor.preferences.calendar.caldavPassword', 'Password')}
+              </label>
+              <input
+                type="password"
+                value={calendar.password}
+                onChange={(e) => handleChange('password', e.target.value)}
+                placeholder={hasPassword ? t('doctor.preferences.calendar.passwordSaved', 'Leave blank to keep the saved password') : ''}
+                className={inputClass}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-700">
+          {t('doctor.preferences.calendar.feed', 'Subscribe in any calendar app (ICS feed)')}
+        </label>
+        {feedUrl ? (
+          <div className="flex items-center space-x-2 mt-1">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className={inputClass}
+            />
+            <button
+              onClick={handleFeedCreate}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-sm whitespace-nowrap"
+            >
+              {t('doctor.preferences.calendar.feedRotate', 'New link')}
+            </button>
+            <button
+              onClick={handleFeedDisable}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-sm whitespace-nowrap"
+            >
+              {t('doctor.preferences.calendar.feedDisable', 'Turn off')}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleFeedCreate}
+            className="mt-1 px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 text-sm"
+          >
+            {t('doctor.preferences.calendar.feedCreate', 'Create feed link')}
+          </button>
+        )}
+      </div>
+
+      {status && <p className="mt-3 text-sm text-gray-600">{status}</p>}
+
+      <div className="flex justify-end space-x-2 mt-4">
+        <button
+          onClick={handleTest}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+        >
+          {t('doctor.preferences.calendar.test', 'Test Connection')}
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          {t('doctor.preferences.calendar.save', 'Save Calendar')}
+        </button>
+      </div>
     </div>
   );
 }
@@ -8,16 +8,16 @@ function DoctorLogin({ onLogin, onBack }) {
   const { t } = useTranslation();
   const [formData, setFormData] = useState({
     mobile: '',
-    name: ''
+    otp: ''
   });
+  const [otpSent, setOtpSent] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!formData.mobile || !formData.name) {
-      setError('Please fill in all fields');
+  const requestOtp = async () => {
+    if (!formData.mobile) {
+      setError('Please enter your mobile number');
       return;
     }
 
@@ -32,15 +32,39 @@ function DoctorLogin({ onLogin, onBack }) {
     setIsLoading(true);
 
     try {
-      const response = await axios.post(`${BACKEND_URL}/api/doctor/login`, formData);
+      const response = await axios.post(`${BACKEND_URL}/api/doctor/login/request-otp`, {
+        mobile: formData.mobile
+      });
+
+      if (response.data.success) {
+        setOtpSent(true);
+        setInfo(response.data.message);
+      }
+    } catch (error) {
+      console.error('OTP request error:', error);
+      setError(error.response?.data?.error || 'Could not send login code. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const verifyOtp = async () => {
+    if (!formData.otp) {
+      setError('Please enter the code you received');
+      return;
+    }
+
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/doctor/login/verify-otp`, {
+        mobile: formData.mobile,
+        otp: formData.otp
+      });
       
       if (response.data.success) {
-        onLogin(response.data.doctor, 'doctor');
-        
-        // Show welcome message for new doctors
-        if (response.data.isFirstLogin) {
-          alert(`Welcome Dr. ${response.data.doctor.name}! Please set up your notification preferences.`);
-        }
+        onLogin({ ...response.data.doctor, token: response.data.token }, 'doctor');
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -54,6 +78,15 @@ function DoctorLogin({ onLogin, onBack }) {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (otpSent) {
+      verifyOtp();
+    } else {
+      requestOtp();
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -99,6 +132,12 @@ function DoctorLogin({ onLogin, onBack }) {
         </div>
       )}
 
+      {info && !error && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-300 text-blue-700 rounded-md">
+          {info}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         <div>
           <label htmlFor="mobile" className="block text-sm font-medium text-gray-700">
@@ -112,29 +151,42 @@ function DoctorLogin({ onLogin, onBack }) {
               required
               value={formData.mobile}
               onChange={handleInputChange}
+              disabled={otpSent}
               placeholder="+91 9876543210"
               className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
             />
           </div>
         </div>
 
-        <div>
-          <label htmlFor="name" className="block text-sm font-medium text-gray-700">
-            {t('doctor.login.name')} *
-          </label>
-          <div className="mt-1">
-            <input
-              id="name"
-              name="name"
-              type="text"
-              required
-              value={formData.name}
-              onChange={handleInputChange}
-              placeholder="Dr. John Doe"
-              className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-            />
+        {otpSent && (
+          <div>
+            <label htmlFor="otp" className="block text-sm font-medium text-gray-700">
+              {t('doctor.login.otp', 'Login Code')} *
+            </label>
+            <div className="mt-1">
+              <input
+                id="otp"
+                name="otp"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                value={formData.otp}
+                onChange={handleInputChange}
+                placeholder="123456"
+                className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={requestOtp}
+              disabled={isLoading}
+              className="mt-2 text-xs text-indigo-600 hover:text-indigo-800 underline disabled:opacity-50"
+            >
+              {t('doctor.login.resendOtp', 'Resend code')}
+            </button>
           </div>
-        </div>
+        )}
 
         <div>
           <button
@@ -147,8 +199,10 @@ function DoctorLogin({ onLogin, onBack }) {
                 <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                 {t('common.loading')}
               </>
-            ) : (
+            ) : otpSent ? (
               t('doctor.login.login')
+            ) : (
+              t('doctor.login.sendOtp', 'Send Login Code')
             )}
           </button>
         </div>
@@ -168,7 +222,7 @@ function DoctorLogin({ onLogin, onBack }) {
 
         <div className="mt-4 text-xs text-gray-600 text-center">
           <p>🔒 Your information is secure and encrypted</p>
-          <p className="mt-1">First time? You'll be automatically registered</p>
+          <p className="mt-1">Only doctors registered with the clinic can sign in</p>
         </div>
       </div>
     </div>
@@ -16,11 +16,16 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
   const [showRegistration, setShowRegistration] = useState(false);
   const [appointmentSlots, setAppointmentSlots] = useState([]);
   const [selectedSlot, setSelectedSlot] = useState(null);
+  const [slotHold, setSlotHold] = useState(null); // { slot, doctorId, holdId } while the patient confirms
   const [isTyping, setIsTyping] = useState(false);
   const [chatSummary, setChatSummary] = useState(null);
   const [availableDoctors, setAvailableDoctors] = useState([]);
+  const [pendingPatient, setPendingPatient] = useState(null); // found by ID, awaiting OTP
   const messagesEndRef = useRef(null);
 
+  // Patient API calls and socket messages carry the token issued at verification
+  const authConfig = { headers: { Authorization: `Bearer ${currentUser?.token}` } };
+
   // Registration form state
   const [registrationData, setRegistrationData] = useState({
     name: '',
@@ -31,6 +36,16 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
     emergency_contact: ''
   });
 
+  // Slots come as UTC instants; show them in the browser's zone, with the zone name
+  const formatSlot = (slot) => new Date(slot.start).toLocaleString(i18n.language || undefined, {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -83,16 +98,29 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
     setMessages(prev => [...prev, newMessage]);
   };
 
+  // The backend intake state (data.state) decides what the chat shows next
   const handleBotResponse = (data) => {
     setIsTyping(false);
-    addBotMessage(data.message, data.type, data.options);
+    setIsLoading(false);
+    const isBookingOffer = data.state === 'booking_offer';
+    addBotMessage(data.message, isBookingOffer ? 'booking' : data.type, data.options);
+
+    if (data.type === 'session_summary') {
+      setChatSummary(data.message);
+    }
     
-    if (data.type === 'summary') {
-      setChatSummary(data.summary);
-      setChatStep('summary');
-    } else if (data.type === 'booking') {
-      loadAvailableDoctorsAndSlots();
+    if (data.isEmergency || data.state === 'emergency') {
+      // Intake stops here; the patient is directed to emergency care
+      setChatStep('completed');
+    } else if (isBookingOffer) {
+      if (data.options?.length) {
+        setAppointmentSlots(data.options);
+      } else {
+        loadAvailableDoctorsAndSlots();
+      }
       setChatStep('booking');
+    } else if (data.state === 'booked' || data.state === 'completed') {
+      setChatStep('completed');
     }
   };
 
@@ -122,7 +150,7 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
       const response = await axios.post(`${BACKEND_URL}/api/patient/chat/start`, {
         patientId: currentUser.patient_id,
         chatType: chatType || 'text_voice'
-      });
+      }, authConfig);
       
       if (response.data.success) {
         setSessionId(response.data.sessionId);
@@ -168,9 +196,11 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
       });
 
       if (response.data.exists) {
-        onUserUpdate(response.data.patient);
         addUserMessage(`Patient ID: ${patientId}`);
-        // Will trigger initializeChat through useEffect
+        const channels = response.data.verificationChannels || [];
+        const patient = { ...response.data.patient, verificationChannels: channels };
+        setPendingPatient(patient);
+        await requestOtp(patient, channels.includes('sms') ? 'sms' : 'email');
       } else {
         addBotMessage('Patient ID not found. Please register as a new patient.', 'error');
         setShowRegistration(true);
@@ -180,6 +210,50 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
       addBotMessage(t('messages.error'), 'error');
     } finally {
       setIsLoading(false);
+      setIsTyping(false);
+    }
+  };
+
+  // Send a one-time code to the patient's registered mobile or email
+  const requestOtp = async (patient, channel) => {
+    try {
+      await axios.post(`${BACKEND_URL}/api/patient/verify/request`, {
+        patientId: patient.patient_id,
+        channel
+      });
+      addBotMessage(
+        channel === 'email'
+          ? 'We have sent a verification code to your registered email. Please enter it below.'
+          : 'We have sent a verification code to your registered mobile number. Please enter it below.',
+        'otp-request',
+        (patient.verificationChannels || []).filter(c => c !== channel)
+      );
+      setChatStep('patient_otp');
+    } catch (error) {
+      console.error('OTP request error:', error);
+      addBotMessage(t('messages.error'), 'error');
+    }
+  };
+
+  const handleOtpSubmit = async (otp) => {
+    try {
+      setIsLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/patient/verify/confirm`, {
+        patientId: pendingPatient.patient_id,
+        otp
+      });
+
+      if (response.data.success) {
+        setPendingPatient(null);
+        onUserUpdate({ ...response.data.patient, token: response.data.token });
+        // Will trigger initializeChat through useEffect
+      }
+    } catch (error) {
+      console.error('OTP verification error:', error);
+      addBotMessage(error.response?.data?.error || t('messages.error'), 'error');
+    } finally {
+      setIsLoading(false);
+      setIsTyping(false);
     }
   };
 
@@ -195,11 +269,12 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
       setIsLoading(true);
       const response = await axios.post(`${BACKEND_URL}/api/patient/register`, {
         ...registrationData,
-        language: 'te' // Default to Telugu as per requirement
+        language: 'te', // Default to Telugu as per requirement
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
       });
 
       if (response.data.success) {
-        onUserUpdate(response.data.patient);
+        onUserUpdate({ ...response.data.patient, token: response.data.token });
         setShowRegistration(false);
         addUserMessage(`Registered as: ${registrationData.name}`);
         // Will trigger initializeChat through useEffect
@@ -220,7 +295,8 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
     if (!inputMessage.trim() || !socket || isLoading) return;
 
     const message = inputMessage.trim();
-    addUserMessage(message);
+    // Never echo a verification code into the transcript
+    addUserMessage(chatStep === 'patient_otp' ? '••••••' : message);
     setInputMessage('');
     setIsLoading(true);
     setIsTyping(true);
@@ -230,12 +306,18 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
       return;
     }
 
+    if (chatStep === 'patient_otp') {
+      handleOtpSubmit(message);
+      return;
+    }
+
     if (currentUser && sessionId) {
       socket.emit('patient_message', {
         patientId: currentUser.patient_id,
         message: message,
         sessionId: sessionId,
-        chatType: chatType
+        chatType: chatType,
+        token: currentUser.token
       });
     }
   };
@@ -257,9 +339,86 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
     }
   };
 
+  // Hold the slot for a few minutes so nobody else can take it while the patient confirms
   const handleSlotSelection = async (slot, doctorId = 1) => {
     setSelectedSlot(slot);
-    
+
+    try {
+      setIsLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/patient/appointments/hold`, {
+        doctorId: doctorId,
+        slotStart: slot.start,
+        slotEnd: slot.end
+      }, authConfig);
+
+      const { holdId, holdMinutes } = response.data.hold;
+      setSlotHold({ slot, doctorId, holdId });
+      addUserMessage(`Selected: ${formatSlot(slot)}`);
+      addBotMessage(
+        t('patient.appointment.confirmHold', {
+          minutes: holdMinutes,
+          defaultValue: 'This slot is held for you for {{minutes}} minutes. Confirm the booking?'
+        }),
+        'booking-confirm'
+      );
+    } catch (error) {
+      handleSlotUnavailable(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Someone else took the slot (or the hold lapsed): say so and offer fresh slots
+  const handleSlotUnavailable = async (error) => {
+    if (error.response?.status !== 409) {
+      console.error('Booking error:', error);
+      addBotMessage(t('messages.error'), 'error');
+      return;
+    }
+    setSlotHold(null);
+    addBotMessage(t('messages.slotUnavailable', 'Sorry, that slot was just taken. Here are the slots still available:'), 'booking');
+    await loadAvailableDoctorsAndSlots();
+  };
+
+  const handleChooseAnotherSlot = async () => {
+    if (slotHold) {
+      try {
+        await axios.delete(`${BACKEND_URL}/api/patient/appointments/hold/${slotHold.holdId}`, authConfig);
+      } catch (error) {
+        // The hold lapses by itself
+        console.warn('Release hold error:', error);
+      }
+    }
+    setSlotHold(null);
+    addBotMessage(t('messages.appointmentOffer'), 'booking');
+  };
+
+  // None of the offered times suit: wait for a freed slot with the same doctor
+  const handleJoinWaitlist = async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/patient/appointments/waitlist`, {
+        doctorId: appointmentSlots[0]?.doctorId || 1,
+        sessionId: sessionId
+      }, authConfig);
+
+      if (response.data.success) {
+        addUserMessage(t('patient.appointment.joinWaitlist', 'None of these times work for me'));
+        addBotMessage(t('messages.joinedWaitlist', "You're on the waitlist. If an earlier slot frees up, we'll hold it for you and message you to confirm it."));
+        setChatStep('completed');
+      }
+    } catch (error) {
+      console.error('Join waitlist error:', error);
+      addBotMessage(t('messages.error'), 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleConfirmBooking = async () => {
+    if (!slotHold) return;
+    const { slot, doctorId, holdId } = slotHold;
+
     try {
       setIsLoading(true);
       
@@ -271,22 +430,25 @@ function PatientChat({ socket, currentUser, onUserUpdate }) {
 
       const response = await axios.post(`${BACKEND_URL}/api/patient/appointments/book`, {
         patientId: currentUser.patient_id,
+        sessionId: sessionId,
         doctorId: doctorId,
         slotStart: slot.start,
         slotEnd: slot.end,
+        holdId: holdId,
         chatSummary: chatSummary || summary,
         symptoms: messages.find(m => m.type === 'user' && m.text.length > 10)?.text || 'General consultation'
-      });
+      }, authConfig);
 
       if (response.data.success) {
-        addUserMessage(`Selected: ${slot.display}`);
+        setSlotHold(null);
+        // The confirmation goes out on the first channel that works; failures are retried
+        const confirmation = (response.data.notifications || []).find(n => n.recipient === 'patient');
         addBotMessage(t('messages.appointmentBooked'), 'appointment-confirmed');
         addBotMessage(
           `Your appointment details:
-📅 ${slot.display}
+📅 ${formatSlot(slot)}
 👨‍⚕️ ${response.data.doctorName || 'Dr. Rajesh Kumar'}
-📱 You'll receive WhatsApp confirmation shortly
-📧 Email confirmation has been sent
+${confirmation?.status === 'delivered' ? `📨 Confirmation sent by ${confirmation.channel}` : "📨 You'll receive a confirmation shortly"}
 
 ${t('patient.appointment.confirmation')}`, 
           'confirmation'
@@ -297,11 +459,10 @@ ${t('patient.appointment.confirmation')}`,
         await axios.post(`${BACKEND_URL}/api/patient/chat/complete`, {
           sessionId: sessionId,
           summary: chatSummary || summary
-        });
+        }, authConfig);
       }
     } catch (error) {
-      console.error('Booking error:', error);
-      addBotMessage(t('messages.error'), 'error');
+      handleSlotUnavailable(error);
     } finally {
       setIsLoading(false);
     }
@@ -323,7 +484,8 @@ ${t('patient.appointment.confirmation')}`,
               patientId: currentUser.patient_id,
               message: message,
               sessionId: sessionId,
-              chatType: chatType
+              chatType: chatType,
+              token: currentUser.token
             });
           }
         }
@@ -502,7 +664,12 @@ ${t('patient.appointment.confirmation')}`,
               message={message}
               onChatTypeSelect={handleChatTypeSelection}
               onPatientTypeSelect={handlePatientTypeSelect}
+              onOtpResend={(channel) => pendingPatient && requestOtp(pendingPatient, channel)}
               onSlotSelect={handleSlotSelection}
+              onConfirmBooking={handleConfirmBooking}
+              onChooseAnotherSlot={handleChooseAnotherSlot}
+              onJoinWaitlist={handleJoinWaitlist}
+              hasSlotHold={!!slotHold}
               onVoiceResponse={handleVoiceResponse}
               availableDoctors={availableDoctors}
               appointmentSlots={appointmentSlots}
@@ -575,7 +742,12 @@ function MessageBubble({
   message, 
   onChatTypeSelect, 
   onPatientTypeSelect, 
+  onOtpResend, 
   onSlotSelect, 
+  onConfirmBooking,
+  onChooseAnotherSlot,
+  onJoinWaitlist,
+  hasSlotHold,
   onVoiceResponse, 
   availableDoctors, 
   appointmentSlots, 
@@ -586,9 +758,11 @@ function MessageBubble({
   return (
     <div className={`flex mb-4 ${isBot ? 'justify-start' : 'justify-end'}`}>
       <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-        isBot 
-          ? 'bg-gray-200 text-gray-800' 
-          : 'bg-indigo-600 text-white'
+        message.messageType === 'emergency'
+          ? 'bg-red-100 text-red-900 border border-red-400 font-medium'
+          : isBot 
+            ? 'bg-gray-200 text-gray-800' 
+            : 'bg-indigo-600 text-white'
       }`}>
         <div className="text-sm whitespace-pre-line">
           {message.text}
@@ -632,6 +806,21 @@ function MessageBubble({
           </div>
         )}
         
+        {/* Verification code: offer the other registered channel */}
+        {message.messageType === 'otp-request' && message.options?.length > 0 && (
+          <div className="mt-3 space-y-2">
+            {message.options.map((channel) => (
+              <button
+                key={channel}
+                onClick={() => onOtpResend(channel)}
+                className="block w-full text-left px-3 py-2 bg-indigo-100 text-indigo-800 rounded-md hover:bg-indigo-200"
+              >
+                {channel === 'email' ? '📧 Send the code to my email instead' : '📱 Send the code to my mobile instead'}
+              </button>
+            ))}
+          </div>
+        )}
+        
         {/* Appointment Booking */}
         {message.messageType === 'booking' && appointmentSlots.length > 0 && (
           <div className="mt-3 space-y-3">
@@ -640,7 +829,7 @@ function MessageBubble({
               <div key={index} className="bg-white p-3 rounded border">
                 <div className="flex justify-between items-start mb-2">
                   <div>
-                    <div className="font-medium text-gray-900">{slot.display}</div>
+                    <div className="font-medium text-gray-900">{formatSlot(slot)}</div>
                     <div className="text-sm text-gray-600">
                       👨‍⚕️ Dr. Rajesh Kumar - Cardiology
                       <br />🏥 Apollo Hospital
@@ -649,13 +838,37 @@ function MessageBubble({
                   </div>
                 </div>
                 <button
-                  onClick={() => onSlotSelect(slot, 1)}
+                  onClick={() => onSlotSelect(slot, slot.doctorId || 1)}
                   className="w-full mt-2 px-3 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700"
                 >
                   Book this slot
                 </button>
               </div>
             ))}
+            <button
+              onClick={onJoinWaitlist}
+              className="w-full px-3 py-2 bg-indigo-100 text-indigo-800 rounded-md hover:bg-indigo-200"
+            >
+              {t('patient.appointment.joinWaitlist', 'None of these times work for me')}
+            </button>
+          </div>
+        )}
+        
+        {/* Confirm a held slot */}
+        {message.messageType === 'booking-confirm' && hasSlotHold && (
+          <div className="mt-3 space-y-2">
+            <button
+              onClick={onConfirmBooking}
+              className="block w-full px-3 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700"
+            >
+              {t('patient.appointment.confirmBooking', 'Confirm booking')}
+            </button>
+            <button
+              onClick={onChooseAnotherSlot}
+              className="block w-full px-3 py-2 bg-indigo-100 text-indigo-800 rounded-md hover:bg-indigo-200"
+            >
+              {t('patient.appointment.chooseAnother', 'Choose another slot')}
+            </button>
           </div>
         )}
         